@@ -9,6 +9,10 @@ import { timestampToMoment } from '../../../utils.js';
 import { deleteAttachment } from '../../../chats.js';
 import { extension_settings } from '../../../extensions.js';
 import { t } from '../../../i18n.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandEnumValue } from '../../../slash-commands/SlashCommandEnumValue.js';
 
 const {
     getCurrentChatId,
@@ -26,7 +30,23 @@ const defaultSettings = {
 };
 if (!('folders' in defaultSettings)) defaultSettings.folders = [];
 if (!('chatFolders' in defaultSettings)) defaultSettings.chatFolders = {};
+if (!('chatFingerprints' in defaultSettings)) defaultSettings.chatFingerprints = {};
+if (!('folderSortModes' in defaultSettings)) defaultSettings.folderSortModes = {};
+if (!('archivedChats' in defaultSettings)) defaultSettings.archivedChats = {};
+if (!('dismissedStaleChats' in defaultSettings)) defaultSettings.dismissedStaleChats = {};
 const MAX_RECENT_CHATS = 100;
+// Version of window.chatsPlusApi, bumped on breaking changes to its methods or events
+const API_VERSION = 1;
+// DOM events dispatched on document for other extensions, the details are documented in the README
+const API_EVENTS = {
+    READY: 'chatsplus:ready',
+    PIN: 'chatsplus:pin',
+    FOLDER_CHANGE: 'chatsplus:folder-change',
+    RENAME: 'chatsplus:rename',
+    INDEX_REFRESH: 'chatsplus:index-refresh',
+};
+// Version of the stored data model, bumped whenever DATA_MIGRATIONS gets a new entry
+const DATA_VERSION = 2;
 
 // =========================
 // 2. Settings & State Management
@@ -35,6 +55,7 @@ let activateTab = null;
 let refreshFoldersTab = null; // will be defined after function definitions
 let recentChatsTabContainer = null;
 let isRefreshingFoldersTab = false; // Flag to prevent concurrent refreshes
+let migrationPromise = null; // Pending or finished data migration run
 
 /**
  * Get the extension settings object, initializing if necessary.
@@ -43,6 +64,8 @@ let isRefreshingFoldersTab = false; // Flag to prevent concurrent refreshes
 function getSettings() {
     if (!extensionSettings[MODULE_NAME]) {
         extensionSettings[MODULE_NAME] = structuredClone(defaultSettings);
+        // Fresh settings never hold legacy data, so they start at the current version
+        extensionSettings[MODULE_NAME].dataVersion = DATA_VERSION;
     }
     for (const key in defaultSettings) {
         if (extensionSettings[MODULE_NAME][key] === undefined) {
@@ -52,9 +75,75 @@ function getSettings() {
     return extensionSettings[MODULE_NAME];
 }
 
+/**
+ * Get the stable owner identifier of a chat.
+ * Characters are identified by their avatar file name, groups by their group ID.
+ * Unlike the positional characterId, these survive imports, deletions and reloads.
+ * @param {Object} chat - Chat object.
+ * @returns {string} The owner identifier.
+ */
+function getChatOwnerKey(chat) {
+    if (chat.isGroup) return String(chat.characterId);
+    if (chat.avatar) return chat.avatar;
+    const characters = SillyTavern.getContext().characters || [];
+    const char = characters[chat.characterId];
+    return char && char.avatar ? char.avatar : String(chat.characterId);
+}
+
+/**
+ * Get the storage key of a chat, used by chatFolders.
+ * @param {Object} chat - Chat object.
+ * @returns {string} Key in the form "owner:file_name".
+ */
+function getChatKey(chat) {
+    return getChatOwnerKey(chat) + ':' + chat.file_name;
+}
+
+/**
+ * Split a chatFolders key back into its owner and file name.
+ * Only the first colon separates them, file names may contain more.
+ * @param {string} key - Key in the form "owner:file_name".
+ * @returns {{owner: string, file_name: string}} The chat reference.
+ */
+function parseChatKey(key) {
+    const idx = key.indexOf(':');
+    if (idx === -1) return { owner: key, file_name: '' };
+    return { owner: key.slice(0, idx), file_name: key.slice(idx + 1) };
+}
+
+/**
+ * Resolve a stored chat reference to a chat object using the current characters and groups.
+ * @param {{owner: string, file_name: string}} ref - Stored chat reference.
+ * @returns {Object|null} Chat object, or null if the owner no longer exists.
+ */
+function resolveChatRef(ref) {
+    const group = groups.find(g => String(g.id) === String(ref.owner));
+    if (group) {
+        return {
+            character: group.name || `Group ${group.id}`,
+            avatar: group.avatar || '',
+            file_name: ref.file_name,
+            characterId: group.id,
+            isGroup: true,
+            groupMembers: group.members || []
+        };
+    }
+    const characters = SillyTavern.getContext().characters || [];
+    const charId = characters.findIndex(c => c && c.avatar === ref.owner);
+    if (charId === -1) return null;
+    const char = characters[charId];
+    return {
+        character: char.name || String(charId),
+        avatar: char.avatar,
+        file_name: ref.file_name,
+        characterId: String(charId),
+        isGroup: false
+    };
+}
+
 /**
  * Get the list of pinned chats from settings.
- * @returns {Array} Array of pinned chat objects.
+ * @returns {Array} Array of pinned chat references ({ owner, file_name }).
  */
 function getPinnedChats() {
     try { return getSettings().pinnedChats || []; } catch { return []; }
@@ -62,11 +151,12 @@ function getPinnedChats() {
 
 /**
  * Set the list of pinned chats in settings.
- * @param {Array} pinned - Array of pinned chat objects.
+ * @param {Array} pinned - Array of pinned chat references.
  */
 function setPinnedChats(pinned) {
     getSettings().pinnedChats = pinned;
     saveSettingsDebounced();
+    scheduleApiChangeEvents();
 }
 
 /**
@@ -76,7 +166,8 @@ function setPinnedChats(pinned) {
  */
 function isChatPinned(chat) {
     const pinned = getPinnedChats();
-    return pinned.some(x => x.characterId === chat.characterId && x.file_name === chat.file_name);
+    const owner = getChatOwnerKey(chat);
+    return pinned.some(x => x.owner === owner && x.file_name === chat.file_name);
 }
 
 /**
@@ -85,8 +176,9 @@ function isChatPinned(chat) {
  */
 function togglePinChat(chat) {
     let pinned = getPinnedChats();
-    const idx = pinned.findIndex(x => x.characterId === chat.characterId && x.file_name === chat.file_name);
-    if (idx === -1) pinned.push({ characterId: chat.characterId, file_name: chat.file_name });
+    const owner = getChatOwnerKey(chat);
+    const idx = pinned.findIndex(x => x.owner === owner && x.file_name === chat.file_name);
+    if (idx === -1) pinned.push({ owner, file_name: chat.file_name });
     else pinned.splice(idx, 1);
     setPinnedChats(pinned);
 }
@@ -113,28 +205,245 @@ function getFolders() {
 function setFolders(folders) {
     getSettings().folders = folders;
     saveSettingsDebounced();
+    scheduleApiChangeEvents();
+}
+
+/**
+ * Generate a new unique folder ID.
+ * @param {Set<string>} [takenIds] - IDs already in use, the current folders by default.
+ * @returns {string} Folder ID.
+ */
+function createFolderId(takenIds = new Set(getFolders().map(f => f.id))) {
+    let id;
+    do {
+        id = 'folder_' + Date.now() + '_' + Math.floor(Math.random() * 10000);
+    } while (takenIds.has(id));
+    return id;
 }
 
 /**
  * Add a new folder with the given name and optional parent.
  * @param {string} name - Name of the new folder.
  * @param {string|null} parent - Parent folder ID, or null for root.
+ * @param {string|null} [query] - Filter query for a smart folder, null for a regular folder.
+ * @returns {string} The new folder ID.
  */
-function addFolder(name, parent = null) {
+function addFolder(name, parent = null, query = null) {
     const folders = getFolders();
-    const id = 'folder_' + Date.now() + '_' + Math.floor(Math.random() * 10000);
-    folders.push({ id, name, parent });
+    const id = createFolderId();
+    const folder = { id, name, parent };
+    if (typeof query === 'string') folder.query = query;
+    folders.push(folder);
     setFolders(folders);
+    return id;
+}
+
+/**
+ * Find a regular folder by its name path ("Stories/Horror"), creating the missing folders.
+ * Names are compared case-insensitively, smart folders are never reused.
+ * @param {string} path - Folder names separated by "/".
+ * @returns {string|null} ID of the innermost folder, or null for an empty path.
+ */
+function ensureFolderPath(path) {
+    let parent = null;
+    for (const name of path.split('/').map(part => part.trim()).filter(Boolean)) {
+        const existing = getFolders().find(f => (f.parent || null) === parent && !isSmartFolder(f) && f.name.toLowerCase() === name.toLowerCase());
+        parent = existing ? existing.id : addFolder(name, parent);
+    }
+    return parent;
+}
+
+/**
+ * Find a folder by its name path ("Stories/Horror") without creating anything.
+ * Names are compared case-insensitively, an exact match wins over a case-insensitive one.
+ * @param {string} path - Folder names separated by "/".
+ * @returns {Object|null} The folder, or null if some part of the path does not exist.
+ */
+function findFolderByPath(path) {
+    const names = path.split('/').map(part => part.trim()).filter(Boolean);
+    if (names.length === 0) return null;
+    const folders = getFolders();
+    let folder = null;
+    for (const name of names) {
+        const siblings = folders.filter(f => (f.parent || null) === (folder ? folder.id : null));
+        folder = siblings.find(f => f.name === name) || siblings.find(f => f.name.toLowerCase() === name.toLowerCase());
+        if (!folder) return null;
+    }
+    return folder;
+}
+
+/**
+ * Check whether a folder is a smart folder, whose chats come from a saved filter query
+ * instead of the chatFolders mapping.
+ * @param {Object} folder - Folder object.
+ * @returns {boolean} True for smart folders.
+ */
+function isSmartFolder(folder) {
+    return Boolean(folder) && typeof folder.query === 'string';
+}
+
+/**
+ * Get the IDs of a folder and every folder nested below it.
+ * @param {string} id - Folder ID.
+ * @returns {Array<string>} The folder ID followed by its descendants.
+ */
+function getFolderSubtreeIds(id) {
+    const folders = getFolders();
+    const ids = [id];
+    for (let i = 0; i < ids.length; i++) {
+        for (const folder of folders) {
+            if (folder.parent === ids[i] && !ids.includes(folder.id)) ids.push(folder.id);
+        }
+    }
+    return ids;
+}
+
+/**
+ * Count what removing a folder affects, for the remove confirmation.
+ * @param {string} id - Folder ID.
+ * @returns {{childCount: number, subfolderCount: number, chatCount: number, subtreeChatCount: number}}
+ *   Direct subfolders, all nested subfolders, chats filed directly in the folder, and chats filed anywhere in its subtree.
+ */
+function getFolderRemovalImpact(id) {
+    const subtreeIds = new Set(getFolderSubtreeIds(id));
+    const folderIdLists = Object.values(getChatFoldersMap()).filter(Array.isArray);
+    return {
+        childCount: getFolders().filter(f => f.parent === id).length,
+        subfolderCount: subtreeIds.size - 1,
+        chatCount: folderIdLists.filter(ids => ids.includes(id)).length,
+        subtreeChatCount: folderIdLists.filter(ids => ids.some(folderId => subtreeIds.has(folderId))).length,
+    };
 }
 
 /**
- * Remove a folder by its ID.
+ * Remove a folder by its ID, deciding what happens to its subfolders and chats.
+ * Chats are never deleted, only their folder assignments change.
  * @param {string} id - Folder ID.
+ * @param {'subtree'|'parent'|'root'} [mode] - Delete the subfolders as well, or move the subfolders
+ *   and chats to the folder's parent or to the root. Chats moved to the root are no longer in any folder.
+ */
+function removeFolder(id, mode = 'parent') {
+    const folders = getFolders();
+    const folder = folders.find(f => f.id === id);
+    if (!folder) return;
+    const removedIds = new Set(mode === 'subtree' ? getFolderSubtreeIds(id) : [id]);
+    const parentFolder = mode === 'parent' ? folders.find(f => f.id === folder.parent) : null;
+    const newParent = parentFolder ? parentFolder.id : null;
+    // Smart folders cannot hold chats, so chats moved there end up unfiled
+    const chatTarget = parentFolder && !isSmartFolder(parentFolder) ? parentFolder.id : null;
+
+    setFolders(folders
+        .filter(f => !removedIds.has(f.id))
+        .map(f => f.parent === id ? { ...f, parent: newParent } : f));
+
+    const map = getChatFoldersMap();
+    for (const key of Object.keys(map)) {
+        if (!Array.isArray(map[key])) continue;
+        const hadFolder = map[key].includes(id);
+        let ids = map[key].filter(folderId => !removedIds.has(folderId));
+        if (hadFolder && mode !== 'subtree' && chatTarget) ids.push(chatTarget);
+        map[key] = [...new Set(ids)];
+    }
+    setChatFoldersMap(map);
+    pruneChatFolders();
+
+    const settings = getSettings();
+    if (settings.folderSortModes) {
+        for (const removedId of removedIds) delete settings.folderSortModes[removedId];
+    }
+    saveSettingsDebounced();
+}
+
+/**
+ * Drop folder IDs that no longer exist from chatFolders, and chats left without any folder.
+ * Smart folder IDs are dropped too, since their chats come from their query.
+ * @param {Object} [settings] - Settings object to clean, the live settings by default.
+ * @returns {number} Number of removed folder assignments.
+ */
+function pruneChatFolders(settings = getSettings()) {
+    const storedIds = new Set((settings.folders || []).filter(f => !isSmartFolder(f)).map(f => f.id));
+    const map = settings.chatFolders || {};
+    let removed = 0;
+    for (const key of Object.keys(map)) {
+        const ids = Array.isArray(map[key]) ? map[key] : [];
+        const kept = ids.filter(id => storedIds.has(id));
+        removed += ids.length - kept.length;
+        if (kept.length > 0) map[key] = kept;
+        else delete map[key];
+    }
+    settings.chatFolders = map;
+    if (settings === getSettings()) {
+        saveSettingsDebounced();
+        scheduleApiChangeEvents();
+    }
+    return removed;
+}
+
+/**
+ * Get how the subfolders of a parent are ordered. Manual order is the order of the folders in settings.
+ * @param {string|null} parent - Parent folder ID, or null for the root.
+ * @returns {'alpha'|'manual'} The sort mode, alphabetical by default.
+ */
+function getFolderSortMode(parent) {
+    const modes = getSettings().folderSortModes || {};
+    return modes[parent || 'root'] === 'manual' ? 'manual' : 'alpha';
+}
+
+/**
+ * Set how the subfolders of a parent are ordered.
+ * @param {string|null} parent - Parent folder ID, or null for the root.
+ * @param {'alpha'|'manual'} mode - The sort mode.
+ */
+function setFolderSortMode(parent, mode) {
+    const settings = getSettings();
+    const modes = { ...(settings.folderSortModes || {}) };
+    if (mode === 'manual') modes[parent || 'root'] = 'manual';
+    else delete modes[parent || 'root'];
+    settings.folderSortModes = modes;
+    saveSettingsDebounced();
+    scheduleApiChangeEvents();
+}
+
+/**
+ * Check whether a folder is the given ancestor or nested anywhere below it.
+ * @param {string} folderId - Folder ID to check.
+ * @param {string} ancestorId - Possible ancestor folder ID.
+ * @returns {boolean} True if moving the ancestor into the folder would create a cycle.
+ */
+function isFolderInside(folderId, ancestorId) {
+    const folderMap = Object.fromEntries(getFolders().map(f => [f.id, f]));
+    const seen = new Set();
+    for (let current = folderMap[folderId]; current && !seen.has(current.id); current = folderMap[current.parent]) {
+        if (current.id === ancestorId) return true;
+        seen.add(current.id);
+    }
+    return false;
+}
+
+/**
+ * Move a folder to a new parent, optionally placing it before or after a sibling in the manual order.
+ * @param {string} id - Folder ID to move.
+ * @param {string|null} parent - New parent folder ID, or null for the root.
+ * @param {Object} [placement] - Sibling to place the folder next to.
+ * @param {string} placement.siblingId - Folder ID of the sibling.
+ * @param {boolean} placement.after - Place after the sibling instead of before it.
+ * @returns {boolean} False if the move would put the folder inside itself.
  */
-function removeFolder(id) {
-    let folders = getFolders();
-    folders = folders.filter(f => f.id !== id);
+function moveFolder(id, parent, placement = null) {
+    if (parent && isFolderInside(parent, id)) return false;
+    const folders = getFolders().slice();
+    const idx = folders.findIndex(f => f.id === id);
+    if (idx === -1) return false;
+    const [folder] = folders.splice(idx, 1);
+    const moved = { ...folder, parent: parent || null };
+    let insertAt = folders.length;
+    if (placement) {
+        const siblingIdx = folders.findIndex(f => f.id === placement.siblingId);
+        if (siblingIdx !== -1) insertAt = placement.after ? siblingIdx + 1 : siblingIdx;
+    }
+    folders.splice(insertAt, 0, moved);
     setFolders(folders);
+    return true;
 }
 
 /**
@@ -152,6 +461,7 @@ function getChatFoldersMap() {
 function setChatFoldersMap(map) {
     getSettings().chatFolders = map;
     saveSettingsDebounced();
+    scheduleApiChangeEvents();
 }
 
 /**
@@ -161,7 +471,7 @@ function setChatFoldersMap(map) {
  */
 function assignChatToFolder(chat, folderId) {
     const map = getChatFoldersMap();
-    const key = chat.characterId + ':' + chat.file_name;
+    const key = getChatKey(chat);
     if (!Array.isArray(map[key])) map[key] = [];
     if (!map[key].includes(folderId)) map[key].push(folderId);
     setChatFoldersMap(map);
@@ -174,7 +484,7 @@ function assignChatToFolder(chat, folderId) {
  */
 function removeChatFromFolder(chat, folderId) {
     const map = getChatFoldersMap();
-    const key = chat.characterId + ':' + chat.file_name;
+    const key = getChatKey(chat);
     if (Array.isArray(map[key])) {
         map[key] = map[key].filter(id => id !== folderId);
         if (map[key].length === 0) delete map[key];
@@ -189,7 +499,7 @@ function removeChatFromFolder(chat, folderId) {
  */
 function getChatFolderIds(chat) {
     const map = getChatFoldersMap();
-    const key = chat.characterId + ':' + chat.file_name;
+    const key = getChatKey(chat);
     return Array.isArray(map[key]) ? map[key] : [];
 }
 
@@ -203,761 +513,3978 @@ function getChatFolderId(chat) {
     return ids.length > 0 ? ids[0] : null;
 }
 
+/**
+ * Get the archived chats, keyed by chat key, with the time they were archived.
+ * @returns {Object} Map of chat key to timestamp.
+ */
+function getArchivedChatsMap() {
+    try { return getSettings().archivedChats || {}; } catch { return {}; }
+}
 
-// =========================
-// 3. Utility Functions
-// =========================
 /**
- * Prompt the user to select a folder or 'Pinned' for a chat using a SillyTavern popup.
- * Shows folders as a tree with indentation.
+ * Check if a chat is archived, i.e. hidden from Recent and the Folders tab by default.
  * @param {Object} chat - Chat object.
- * @returns {Promise<string|null>} The selected folderId, 'pinned', or null if cancelled.
+ * @returns {boolean} True if archived.
  */
-async function promptSelectFolderOrPinned(chat) {
-    const folders = getFolders().slice().sort((a, b) => a.name.localeCompare(b.name));
-    // Helper: render radios as tree, with chat previews
-    function renderFolderRadios(nodes, radioName, container, level = 0) {
-        nodes.forEach(folder => {
-            const label = document.createElement('label');
-            label.style.display = 'flex';
-            label.style.alignItems = 'center';
-            label.style.marginLeft = (level * 20) + 'px';
-            const radio = document.createElement('input');
-            radio.type = 'radio';
-            radio.name = radioName;
-            radio.value = folder.id;
-            label.appendChild(radio);
-            label.appendChild(document.createTextNode(' 📁 ' + folder.name));
-            container.appendChild(label);
-            // Chat preview for this folder 
-            const folderChats = Object.entries(getChatFoldersMap())
-                .filter(([key, ids]) => Array.isArray(ids) && ids.includes(folder.id))
-                .map(([key]) => {
-                    const [characterId, file_name] = key.split(':');
-                    return { characterId, file_name };
-                });
-            if (folderChats.length > 0) {
-                const previewContainer = document.createElement('div');
-                previewContainer.className = 'folder-preview-chats';
-                previewContainer.style.marginLeft = (level * 20 + 32) + 'px';
-                previewContainer.style.marginBottom = '4px';
-                folderChats.slice(0, 3).forEach(chatObj => {
-                    // Find character info
-                    let char = null;
-                    let isGroup = false;
-                    if (SillyTavern.getContext().characters && SillyTavern.getContext().characters[chatObj.characterId]) {
-                        char = SillyTavern.getContext().characters[chatObj.characterId];
-                    } else {
-                        // Check if this is a group chat
-                        const group = groups.find(g => g.id === chatObj.characterId);
-                        if (group) {
-                            isGroup = true;
-                            char = { name: group.name || `Group ${group.id}`, avatar: group.avatar || '' };
-                        }
-                    }
-                    const chat = {
-                        character: char ? (char.name || chatObj.characterId) : chatObj.characterId,
-                        avatar: char ? char.avatar : '',
-                        file_name: chatObj.file_name,
-                        characterId: chatObj.characterId,
-                        stat: undefined,
-                        isGroup: isGroup
-                    };
-                    // Try to get stat if available
-                    if (typeof getPastCharacterChats === 'function') {
-                        // This is async, but for preview, we skip stat or use cached if available
-                        // Optionally, you could cache stats elsewhere for more detail
-                    }
-                    // Render preview using .tabItem-singleline style
-                    const tabItem = document.createElement('div');
-                    tabItem.classList.add('tabItem', 'tabItem-singleline');
-                    tabItem.style.display = 'flex';
-                    tabItem.style.flexDirection = 'row';
-                    tabItem.style.alignItems = 'center';
-                    tabItem.style.gap = '10px';
-                    tabItem.style.marginBottom = '2px';
+function isChatArchived(chat) {
+    return getChatKey(chat) in getArchivedChatsMap();
+}
 
-                    // Character/Group image (character = img, group = div)
-                    let previewImg;
-                    if (isGroup) {
-                        previewImg = document.createElement('div');
-                        previewImg.className = 'tabItem-previewImg group-preview';
+/**
+ * Archive or unarchive chats.
+ * @param {Array<Object>} chats - Chat objects.
+ * @param {boolean} archived - Archive if true, unarchive if false.
+ */
+function setChatsArchived(chats, archived) {
+    const map = { ...getArchivedChatsMap() };
+    const now = Date.now();
+    for (const chat of chats) {
+        const key = getChatKey(chat);
+        if (archived && !(key in map)) map[key] = now;
+        else if (!archived) delete map[key];
+    }
+    getSettings().archivedChats = map;
+    saveSettingsDebounced();
+}
 
-                        const group = groups.find(g => g.id === chatObj.characterId);
-                        if (group) {
-                            let result = getGroupAvatar(group);
-                            if (result && result.length > 0) {
-                                const groupElement = result[0];
-                                groupElement.style.width = '100%';
-                                groupElement.style.height = '100%';
-                                groupElement.style.minWidth = 'unset';
-                                previewImg.appendChild(groupElement);
-                            }
-                        }
-                    } else {
-                        previewImg = document.createElement('img');
-                        previewImg.className = 'tabItem-previewImg';
-                        previewImg.src = typeof getThumbnailUrl === 'function' ? getThumbnailUrl('avatar', chat.avatar) : (chat.avatar || '');
-                        previewImg.alt = chat.character || '';
-                    }
-                    const nameRow = document.createElement('div');
-                    nameRow.className = 'tabItem-nameRow';
-                    nameRow.textContent = `${chat.character}: ${chat.file_name}`;
-                    tabItem.appendChild(previewImg);
-                    tabItem.appendChild(nameRow);
-                    previewContainer.appendChild(tabItem);
-                });
-                if (folderChats.length > 3) {
-                    const more = document.createElement('div');
-                    more.style.fontSize = '0.9em';
-                    more.style.color = '#888';
-                    more.style.marginLeft = '4px';
-                    more.textContent = `+${folderChats.length - 3} more`;
-                    previewContainer.appendChild(more);
-                }
-                container.appendChild(previewContainer);
-            }
-            if (folder.children && folder.children.length > 0) {
-                renderFolderRadios(folder.children, radioName, container, level + 1);
-            }
-        });
+/**
+ * Dispatch one of the API_EVENTS on document. Listener errors never reach ChatsPlus.
+ * @param {string} name - Event name from API_EVENTS.
+ * @param {Object} detail - Event detail.
+ */
+function emitApiEvent(name, detail) {
+    try {
+        document.dispatchEvent(new CustomEvent(name, { detail }));
+    } catch (error) {
+        console.error(`ChatsPlus: Failed to dispatch ${name}`, error);
     }
-    // Build popup content
-    const content = document.createElement('div');
-    content.className = 'pin-popup-content';
-    content.innerHTML = `<h3>${t`Pin or folder chat`}</h3>`;
-    // Chat preview for the chat being pinned
-    const previewContainer = document.createElement('div');
-    previewContainer.className = 'pin-popup-chat-preview';
-    previewContainer.style.margin = '8px 0 12px 0';
-    // Build the preview using .tabItem-singleline style
-    const tabItem = document.createElement('div');
-    tabItem.classList.add('tabItem', 'tabItem-singleline');
-    tabItem.style.display = 'flex';
-    tabItem.style.flexDirection = 'row';
-    tabItem.style.alignItems = 'center';
-    tabItem.style.gap = '10px';
-    tabItem.style.marginBottom = '2px';
+}
 
-    // Character/Group image (character = img, group = div)
-    // Check if this is a group chat
-    const isGroup = chat.isGroup || false;
-    let previewImg;
-    if (isGroup) {
-        previewImg = document.createElement('div');
-        previewImg.className = 'tabItem-previewImg group-preview';
 
-        const group = groups.find(g => g.id === chat.characterId);
-        if (group) {
-            let result = getGroupAvatar(group);
-            if (result && result.length > 0) {
-                const groupElement = result[0];
-                groupElement.style.width = '100%';
-                groupElement.style.height = '100%';
-                groupElement.style.minWidth = 'unset';
-                previewImg.appendChild(groupElement);
+// =========================
+// 2.1. Data Migrations
+// =========================
+/**
+ * Ordered list of data model migrations. Each entry upgrades the stored settings
+ * to its version and may be async, since older data can need server lookups.
+ */
+const DATA_MIGRATIONS = [
+    { version: 1, migrate: migrateToStableChatOwners },
+    { version: 2, migrate: migrateOrphanedFolderReferences },
+];
+
+/**
+ * Run all pending data migrations once per session.
+ * Waits for the character list, since converting legacy data depends on it.
+ * @returns {Promise<boolean>} True if any migration was applied.
+ */
+function runDataMigrations() {
+    if (!migrationPromise) {
+        migrationPromise = (async () => {
+            const settings = getSettings();
+            const fromVersion = settings.dataVersion ?? 0;
+            if (fromVersion >= DATA_VERSION) return false;
+            let migrated = false;
+            for (const migration of DATA_MIGRATIONS) {
+                if (migration.version <= (settings.dataVersion ?? 0)) continue;
+                try {
+                    await migration.migrate(settings);
+                    settings.dataVersion = migration.version;
+                    migrated = true;
+                } catch (error) {
+                    console.error(`ChatsPlus: Data migration to version ${migration.version} failed:`, error);
+                    toastr.error(t`ChatsPlus could not upgrade your folders and pins, see the browser console for details.`);
+                    break;
+                }
             }
-        }
-    } else {
-        previewImg = document.createElement('img');
-        previewImg.className = 'tabItem-previewImg';
-        previewImg.src = typeof getThumbnailUrl === 'function' ? getThumbnailUrl('avatar', chat.avatar) : (chat.avatar || '');
-        previewImg.alt = chat.character || '';
+            if (!migrated) return false;
+            saveSettingsDebounced();
+            scheduleApiChangeEvents();
+            console.log(`ChatsPlus: Migrated data from version ${fromVersion} to ${settings.dataVersion}`);
+            if (typeof refreshFoldersTab === 'function') refreshFoldersTab();
+            if (document.getElementById('extensionAllChatsTabContainer')) populateAllChatsTab();
+            return true;
+        })();
     }
+    return migrationPromise;
+}
 
-    const nameRow = document.createElement('div');
-    nameRow.className = 'tabItem-nameRow';
-    nameRow.textContent = `${chat.character}: ${chat.file_name}`;
-    tabItem.appendChild(previewImg);
-    tabItem.appendChild(nameRow);
-    previewContainer.appendChild(tabItem);
-    content.appendChild(previewContainer);
+/**
+ * Version 1: key pins and folder assignments by avatar file name or group ID
+ * instead of the positional characterId, which shifts when characters are added or removed.
+ * Legacy ids are checked against the chat files each character actually owns.
+ * @param {Object} settings - The settings object to migrate in place.
+ */
+async function migrateToStableChatOwners(settings) {
+    const characters = SillyTavern.getContext().characters || [];
+    const isGroupId = (id) => groups.some(g => String(g.id) === String(id));
+
+    // Map of chat file name to the avatars of every character owning a chat with that name
+    const fileOwners = {};
+    await Promise.all(characters.map(async (char) => {
+        if (!char || !char.avatar) return;
+        const chats = await getListOfCharacterChats(char.avatar) || [];
+        for (const chatName of chats) {
+            if (!fileOwners[chatName]) fileOwners[chatName] = new Set();
+            fileOwners[chatName].add(char.avatar);
+        }
+    }));
+
+    let unresolved = 0;
+    const toOwner = (legacyId, fileName) => {
+        if (isGroupId(legacyId)) return String(legacyId);
+        const char = characters[legacyId];
+        const owners = fileOwners[fileName];
+        if (char && owners && owners.has(char.avatar)) return char.avatar;
+        if (owners && owners.size === 1) return [...owners][0];
+        if (char && char.avatar) return char.avatar;
+        // Keep the entry under its old id rather than losing it
+        unresolved++;
+        return String(legacyId);
+    };
 
-    // Separator between chat preview and pinned chats
-    const separatorPreviewToPinned = document.createElement('hr');
-    separatorPreviewToPinned.style.margin = '8px 0';
-    content.appendChild(separatorPreviewToPinned);
+    settings.pinnedChats = (settings.pinnedChats || []).map(p => {
+        if (p.owner !== undefined) return p;
+        return { owner: toOwner(p.characterId, p.file_name), file_name: p.file_name };
+    });
 
-    const radioGroup = document.createElement('div');
-    radioGroup.className = 'chatplus_radio_group';
-    const radioName = 'pin-folder-radio';
-    // Option for pinned
-    const pinnedLabel = document.createElement('label');
-    pinnedLabel.style.display = 'flex';
-    pinnedLabel.style.alignItems = 'center';
-    const pinnedRadio = document.createElement('input');
-    pinnedRadio.type = 'radio';
-    pinnedRadio.name = radioName;
-    pinnedRadio.value = 'pinned';
-    pinnedRadio.checked = true;
-    pinnedLabel.appendChild(pinnedRadio);
-    pinnedLabel.appendChild(document.createTextNode(' 📌 ' + t`Pinned section`));
-    radioGroup.appendChild(pinnedLabel);
-    // Preview pinned chats 
-    const pinnedChats = getPinnedChats();
-    if (pinnedChats.length > 0) {
-        const pinnedPreviewContainer = document.createElement('div');
-        pinnedPreviewContainer.className = 'pinned-preview-chats';
-        pinnedPreviewContainer.style.marginLeft = '32px';
-        pinnedPreviewContainer.style.marginBottom = '4px';
-        pinnedChats.forEach(chatObj => {
-            let char = null;
-            let isGroup = false;
-            if (SillyTavern.getContext().characters && SillyTavern.getContext().characters[chatObj.characterId]) {
-                char = SillyTavern.getContext().characters[chatObj.characterId];
-            } else {
-                // Check if this might be a group chat by checking if the ID exists in groups
-                const group = groups.find(g => g.id === chatObj.characterId);
-                if (group) {
-                    isGroup = true;
-                    char = { name: group.name || `Group ${group.id}`, avatar: group.avatar || '' };
-                }
-            }
+    const newMap = {};
+    for (const [key, folderIds] of Object.entries(settings.chatFolders || {})) {
+        const ref = parseChatKey(key);
+        // Only purely numeric owners are legacy character indexes, avatar names always have an extension
+        const owner = /^\d+$/.test(ref.owner) ? toOwner(ref.owner, ref.file_name) : ref.owner;
+        const newKey = owner + ':' + ref.file_name;
+        newMap[newKey] = [...new Set([...(newMap[newKey] || []), ...folderIds])];
+    }
+    settings.chatFolders = newMap;
 
-            const chat = {
-                character: char ? (char.name || chatObj.characterId) : chatObj.characterId,
-                avatar: char ? char.avatar : '',
-                file_name: chatObj.file_name,
-                characterId: chatObj.characterId,
-                stat: undefined,
-                isGroup: isGroup
-            };
-            const tabItem = document.createElement('div');
-            tabItem.classList.add('tabItem', 'tabItem-singleline');
-            tabItem.style.display = 'flex';
-            tabItem.style.flexDirection = 'row';
-            tabItem.style.alignItems = 'center';
-            tabItem.style.gap = '10px';
-            tabItem.style.marginBottom = '2px';
+    if (unresolved > 0) {
+        console.warn(`ChatsPlus: ${unresolved} chat references could not be matched to a character and were kept as-is`);
+    }
+}
 
-            // Character/Group image (character = img, group = div)
-            let previewImg;
-            if (isGroup) {
-                previewImg = document.createElement('div');
-                previewImg.className = 'tabItem-previewImg group-preview';
+/**
+ * Version 2: clean up after folders removed by older versions, which left their subfolders
+ * pointing at a missing parent and their ids in chatFolders.
+ * @param {Object} settings - The settings object to migrate in place.
+ */
+function migrateOrphanedFolderReferences(settings) {
+    const folderIds = new Set((settings.folders || []).map(f => f.id));
+    for (const folder of settings.folders || []) {
+        if (folder.parent && !folderIds.has(folder.parent)) folder.parent = null;
+    }
+    const removed = pruneChatFolders(settings);
+    if (removed > 0) console.log(`ChatsPlus: Removed ${removed} references to deleted folders`);
+}
 
-                const group = groups.find(g => g.id === chatObj.characterId);
-                if (group) {
-                    let result = getGroupAvatar(group);
-                    if (result && result.length > 0) {
-                        const groupElement = result[0];
-                        groupElement.style.width = '100%';
-                        groupElement.style.height = '100%';
-                        groupElement.style.minWidth = 'unset';
-                        previewImg.appendChild(groupElement);
-                    }
-                }
-            } else {
-                previewImg = document.createElement('img');
-                previewImg.className = 'tabItem-previewImg';
-                previewImg.src = typeof getThumbnailUrl === 'function' ? getThumbnailUrl('avatar', chat.avatar) : (chat.avatar || '');
-                previewImg.alt = chat.character || '';
-            }
+// =========================
+// 2.2. Undo History
+// =========================
+// Every organization change runs as a command: the settings it touches are captured before and
+// after, and undo/redo swap them back in. Commands with side effects outside the settings,
+// like renaming a chat file, also carry undo/redo callbacks for those.
+// The same settings also change outside of commands (relinking, renamed or deleted characters,
+// the trash, archiving), so a command is only undone or redone while its keys are unchanged since.
+const HISTORY_KEYS = ['pinnedChats', 'folders', 'chatFolders', 'folderSortModes', 'chatFingerprints', 'archivedChats'];
+const MAX_HISTORY = 50;
+const undoStack = [];
+const redoStack = [];
+let activeHistoryCommand = null; // Commands recorded while another runs become part of it
+// Pins and folders as last reported to other extensions, see emitApiChangeEvents
+const API_EVENT_KEYS = ['pinnedChats', 'folders', 'chatFolders', 'folderSortModes'];
+let apiEventState = null;
+let isApiChangeEventScheduled = false;
+let renderHistoryPanel = null; // Re-renders the open history panel, if any
 
-            const nameRow = document.createElement('div');
-            nameRow.className = 'tabItem-nameRow';
-            nameRow.textContent = `${chat.character}: ${chat.file_name}`;
-            tabItem.appendChild(previewImg);
-            tabItem.appendChild(nameRow);
-            pinnedPreviewContainer.appendChild(tabItem);
-        });
-        radioGroup.appendChild(pinnedPreviewContainer);
+/**
+ * Capture the organization data covered by undo.
+ * @returns {Object} Deep copy of the history keys of the settings.
+ */
+function captureHistoryState() {
+    const settings = getSettings();
+    return Object.fromEntries(HISTORY_KEYS.map(key => [key, structuredClone(settings[key])]));
+}
+
+/**
+ * Run a change of the organization data as one undoable command and offer to undo it in a toast.
+ * @param {string} label - Short description shown in the toast and the history panel.
+ * @param {Function} mutate - Function changing the settings, may be async. Its result is returned.
+ * @param {Object} [effects] - Side effects outside the settings.
+ * @param {Function} [effects.undo] - Async function reverting them, called before the settings are restored.
+ * @param {Function} [effects.redo] - Async function applying them again.
+ * @returns {Promise<*>} The result of mutate.
+ */
+async function recordHistory(label, mutate, effects = {}) {
+    if (activeHistoryCommand) return mutate();
+    const before = captureHistoryState();
+    activeHistoryCommand = label;
+    let result;
+    try {
+        result = await mutate();
+    } finally {
+        activeHistoryCommand = null;
     }
+    const after = captureHistoryState();
+    // Only the changed keys are kept, most commands touch one or two of them
+    const changedKeys = HISTORY_KEYS.filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+    if (changedKeys.length === 0 && !effects.undo) return result;
+    const entry = {
+        label,
+        time: Date.now(),
+        before: Object.fromEntries(changedKeys.map(key => [key, before[key]])),
+        after: Object.fromEntries(changedKeys.map(key => [key, after[key]])),
+        effects,
+    };
+    undoStack.push(entry);
+    if (undoStack.length > MAX_HISTORY) undoStack.shift();
+    redoStack.length = 0;
+    emitApiChangeEvents(label);
+    showUndoToast(entry);
+    if (renderHistoryPanel) renderHistoryPanel();
+    return result;
+}
 
-    // Separator between pinned and folders
-    const separatorPinnedToFolders = document.createElement('hr');
-    separatorPinnedToFolders.style.margin = '8px 0';
-    radioGroup.appendChild(separatorPinnedToFolders);
+/**
+ * Capture the organization data other extensions get events about.
+ * @returns {Object} Deep copy of the pins, folders, assignments and sort modes.
+ */
+function captureApiEventState() {
+    const settings = getSettings();
+    return Object.fromEntries(API_EVENT_KEYS.map(key => [key, structuredClone(settings[key])]));
+}
 
-    // Render folder radios as tree, with previews
-    const folderTree = buildFolderTree(folders);
-    renderFolderRadios(folderTree, radioName, radioGroup, 0);
-    content.appendChild(radioGroup);
-    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
-        cancelButton: t`Cancel`,
-        wide: true,
-        large: true,
+/**
+ * Tell other extensions what changed since the last events were sent.
+ * @param {string|null} label - Label of the command, its undo or redo, or null for changes outside the history.
+ */
+function emitApiChangeEvents(label) {
+    const current = captureApiEventState();
+    if (apiEventState) emitHistoryEvents(apiEventState, current, label);
+    apiEventState = current;
+}
+
+/**
+ * Send the events of a change made outside the history once the current task is done,
+ * so the setter calls of one operation become one set of events. Commands send their own.
+ */
+function scheduleApiChangeEvents() {
+    if (activeHistoryCommand || isApiChangeEventScheduled) return;
+    isApiChangeEventScheduled = true;
+    queueMicrotask(() => {
+        isApiChangeEventScheduled = false;
+        emitApiChangeEvents(null);
     });
-    const popupResult = await popup.show();
-    if (popupResult === POPUP_RESULT.CANCELLED || popupResult === 0) return null; // Popup cancelled by the user
+}
 
-    const selectedRadio = content.querySelector('input[type="radio"]:checked');
-    const result = selectedRadio && selectedRadio.value ? selectedRadio.value : null;
-    return result || null;
+/**
+ * Send the events for the differences between two captured states.
+ * @param {Object} before - Captured state before the change.
+ * @param {Object} after - Captured state after the change, with the same keys.
+ * @param {string|null} label - Label of the command, or null for changes outside the history.
+ */
+function emitHistoryEvents(before, after, label) {
+    const changed = key => key in after && JSON.stringify(before[key]) !== JSON.stringify(after[key]);
+    if (changed('pinnedChats')) {
+        const keys = list => new Set((list || []).map(p => p.owner + ':' + p.file_name));
+        const beforeKeys = keys(before.pinnedChats);
+        const afterKeys = keys(after.pinnedChats);
+        emitApiEvent(API_EVENTS.PIN, {
+            pinned: [...afterKeys].filter(key => !beforeKeys.has(key)).map(parseChatKey),
+            unpinned: [...beforeKeys].filter(key => !afterKeys.has(key)).map(parseChatKey),
+            label,
+        });
+    }
+    const folderKeys = ['folders', 'chatFolders', 'folderSortModes'].filter(changed);
+    if (folderKeys.length > 0) emitApiEvent(API_EVENTS.FOLDER_CHANGE, { changed: folderKeys, label });
 }
 
-// =========================
-// 4. Chat Data Fetching
-// =========================
 /**
- * Fetch the list of chat file names for a character by avatar.
- * @param {string} avatar - Avatar URL or identifier.
- * @returns {Promise<string[]>} List of chat file names.
+ * Show a toast for a recorded command with an Undo button.
+ * @param {Object} entry - History entry.
  */
-async function getListOfCharacterChats(avatar) {
+function showUndoToast(entry) {
+    const message = document.createElement('div');
+    const text = document.createElement('span');
+    text.textContent = entry.label + ' ';
+    const undoButton = document.createElement('button');
+    undoButton.className = 'menu_button chatsplus-undo-toast-btn';
+    undoButton.textContent = t`Undo`;
+    message.appendChild(text);
+    message.appendChild(undoButton);
+    const toast = toastr.info(message.outerHTML, '', {
+        escapeHtml: false,
+        timeOut: 6000,
+        extendedTimeOut: 3000,
+    });
+    // Only the button undoes, clicking the toast elsewhere just dismisses it
+    toast.find('.chatsplus-undo-toast-btn').on('click', () => {
+        // Only undo if nothing was done after this command, otherwise the toast would undo something else
+        if (undoStack[undoStack.length - 1] === entry) undoHistory();
+    });
+}
+
+/**
+ * Write a captured state back into the settings.
+ * @param {Object} state - Map of history key to value.
+ */
+function applyHistoryState(state) {
+    const settings = getSettings();
+    for (const [key, value] of Object.entries(state)) {
+        settings[key] = structuredClone(value);
+    }
+    saveSettingsDebounced();
+}
+
+/**
+ * Check whether the settings still hold a captured state.
+ * @param {Object} state - Map of history key to value.
+ * @returns {boolean} True if every key of the state matches the settings.
+ */
+function isHistoryStateCurrent(state) {
+    const settings = getSettings();
+    // Fingerprints are refreshed whenever the index is built and recorded again from the chats,
+    // so an older copy can be put back without losing anything
+    return Object.entries(state)
+        .filter(([key]) => key !== 'chatFingerprints')
+        .every(([key, value]) => JSON.stringify(settings[key]) === JSON.stringify(value));
+}
+
+/**
+ * Re-render everything showing organization data after undo or redo.
+ */
+async function refreshAfterHistoryChange() {
+    if (document.getElementById('extensionAllChatsTabContainer')) await populateAllChatsTab();
+    if (typeof refreshFoldersTab === 'function') await refreshFoldersTab();
+    if (typeof window['chatsPlusRenderSelectedChat'] === 'function') window['chatsPlusRenderSelectedChat']();
+    if (renderHistoryPanel) renderHistoryPanel();
+}
+
+/**
+ * Undo the latest command. It is dropped instead if its settings were changed outside of the history since.
+ * @returns {Promise<boolean>} False if there was nothing to undo, or it failed.
+ */
+async function undoHistory() {
+    const entry = undoStack.pop();
+    if (!entry) return false;
+    if (!isHistoryStateCurrent(entry.after)) {
+        // Restoring the old values would revert the later changes as well
+        toastr.warning(t`The chats were changed since, this can no longer be undone:` + ' ' + entry.label);
+        if (renderHistoryPanel) renderHistoryPanel();
+        return false;
+    }
     try {
-        const result = await fetch('/api/characters/chats', {
-            method: 'POST',
-            headers: getRequestHeaders(),
-            body: JSON.stringify({ avatar_url: avatar, simple: true }),
-        });
-        if (!result.ok) return [];
-        const data = await result.json();
-        if (!Array.isArray(data)) {
-            console.warn('Skipping character chats: data is not an array', data);
-            return [];
-        }
-        return data.map(x => String(x.file_name).replace('.jsonl', ''));
+        if (entry.effects.undo) await entry.effects.undo();
     } catch (error) {
-        console.warn('Failed to get list of character chats, skipping', error);
-        return [];
+        console.error('ChatsPlus: Undo failed', error);
+        toastr.error(t`Could not undo:` + ' ' + entry.label);
+        undoStack.push(entry);
+        return false;
     }
+    applyHistoryState(entry.before);
+    emitApiChangeEvents(entry.label);
+    redoStack.push(entry);
+    toastr.info(t`Undone:` + ' ' + entry.label);
+    await refreshAfterHistoryChange();
+    return true;
 }
 
 /**
- * Get the list of chat files for the current chat context (group or character).
- * @returns {Promise<Array>} List of chat files.
+ * Redo the latest undone command. It is dropped instead if its settings were changed outside of the history since.
+ * @returns {Promise<boolean>} False if there was nothing to redo, or it failed.
  */
-async function getChatFiles() {
-    const context = SillyTavern.getContext();
-    const chatId = getCurrentChatId();
-    if (!chatId) return [];
-    if (context.groupId) return await getGroupPastChats(context.groupId);
-    if (context.characterId !== undefined) return await getPastCharacterChats(context.characterId);
-    return [];
+async function redoHistory() {
+    const entry = redoStack.pop();
+    if (!entry) return false;
+    if (!isHistoryStateCurrent(entry.before)) {
+        toastr.warning(t`The chats were changed since, this can no longer be redone:` + ' ' + entry.label);
+        if (renderHistoryPanel) renderHistoryPanel();
+        return false;
+    }
+    try {
+        if (entry.effects.redo) await entry.effects.redo();
+    } catch (error) {
+        console.error('ChatsPlus: Redo failed', error);
+        toastr.error(t`Could not redo:` + ' ' + entry.label);
+        redoStack.push(entry);
+        return false;
+    }
+    applyHistoryState(entry.after);
+    emitApiChangeEvents(entry.label);
+    undoStack.push(entry);
+    toastr.info(t`Redone:` + ' ' + entry.label);
+    await refreshAfterHistoryChange();
+    return true;
 }
 
 /**
- * Open a chat by its ID, switching to the appropriate group or character chat.
- * @param {string} chatId - The chat file name or ID.
- * @param {boolean} isGroup - Whether this is a group chat.
- * @param {string|null} groupId - The group ID if this is a group chat.
+ * Handle Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) while the Recent or Folders tab has focus.
+ * Text fields keep their own undo.
+ * @param {KeyboardEvent} e - Keyboard event.
  */
-async function openChatById(chatId, isGroup = false, groupId = null) {
-    const context = SillyTavern.getContext();
-    if (!chatId) return;
+function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    const target = e.target;
+    if (!(target instanceof HTMLElement) || !target.closest('#chatsplus-recent-chats-tab, #chatsplus-folders-tab')) return;
+    if (target.closest('input, textarea, [contenteditable="true"]')) return;
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) redoHistory();
+    else undoHistory();
+}
 
-    if (isGroup && groupId && typeof openGroupChat === 'function') {
-        await openGroupChat(groupId, chatId);
-    } else if (context.groupId && typeof openGroupChat === 'function') {
-        await openGroupChat(context.groupId, chatId);
-    } else if (context.characterId !== undefined && typeof openCharacterChat === 'function') {
-        await openCharacterChat(chatId);
+/**
+ * Show the history panel: recorded commands newest first, undone ones above them.
+ * Clicking a command undoes or redoes everything up to it.
+ */
+async function showHistoryPopup() {
+    const content = document.createElement('div');
+    content.className = 'chatsplus-history-panel';
+    const header = document.createElement('h3');
+    header.textContent = t`Organization history`;
+    content.appendChild(header);
+    const buttons = document.createElement('div');
+    buttons.className = 'chatsplus-history-buttons';
+    const undoButton = document.createElement('button');
+    undoButton.className = 'menu_button';
+    undoButton.innerHTML = `<i class="fa-solid fa-rotate-left"></i> ${t`Undo`}`;
+    undoButton.addEventListener('click', () => undoHistory());
+    const redoButton = document.createElement('button');
+    redoButton.className = 'menu_button';
+    redoButton.innerHTML = `<i class="fa-solid fa-rotate-right"></i> ${t`Redo`}`;
+    redoButton.addEventListener('click', () => redoHistory());
+    buttons.appendChild(undoButton);
+    buttons.appendChild(redoButton);
+    content.appendChild(buttons);
+    const list = document.createElement('div');
+    list.className = 'chatsplus-history-list';
+    content.appendChild(list);
+
+    const renderEntry = (entry, isUndone, steps) => {
+        const row = document.createElement('div');
+        row.className = 'chatsplus-history-entry' + (isUndone ? ' undone' : '');
+        const time = document.createElement('small');
+        time.textContent = new Date(entry.time).toLocaleTimeString();
+        const label = document.createElement('span');
+        label.textContent = entry.label;
+        row.appendChild(label);
+        row.appendChild(time);
+        row.title = isUndone ? t`Redo up to here` : t`Undo up to here`;
+        row.addEventListener('click', async () => {
+            for (let i = 0; i < steps; i++) {
+                if (!(isUndone ? await redoHistory() : await undoHistory())) break;
+            }
+        });
+        list.appendChild(row);
+    };
+    renderHistoryPanel = () => {
+        list.innerHTML = '';
+        undoButton.disabled = undoStack.length === 0;
+        redoButton.disabled = redoStack.length === 0;
+        // Newest first, so the next redo sits right above the latest command still applied
+        redoStack.forEach((entry, idx) => renderEntry(entry, true, redoStack.length - idx));
+        undoStack.slice().reverse().forEach((entry, idx) => renderEntry(entry, false, idx + 1));
+        if (undoStack.length === 0 && redoStack.length === 0) {
+            list.textContent = t`No changes yet in this session.`;
+        }
+    };
+    renderHistoryPanel();
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', { okButton: t`Close`, wide: true });
+    try {
+        await popup.show();
+    } finally {
+        renderHistoryPanel = null;
     }
-    // Call the window["chatsPlusRenderSelectedChat"] to update the "Currently Selected Chats"
-    window['chatsPlusRenderSelectedChat'](chatId);
-    return;
 }
 
 // =========================
-// 5. UI Rendering Functions
+// 2.3. Import
 // =========================
+// Imported files are validated, migrated to the current data model with DATA_MIGRATIONS,
+// and then either replace the organization data or are merged into it.
+const IMPORT_PREFERENCE_TYPES = {
+    enabled: 'boolean',
+    defaultTab: 'string',
+    autoRelinkRenamedChats: 'boolean',
+    snapshotRetention: 'number',
+    trashRetentionDays: 'number',
+    autoArchiveDays: 'number',
+    showArchivedInFolders: 'boolean',
+    quickSwitcherShortcut: 'boolean',
+};
+
 /**
- * Get or create the container for the Recent Chats tab.
- * @returns {HTMLElement|null} The container element or null if not found.
+ * Check that imported data has the shape of ChatsPlus settings.
+ * @param {*} data - Parsed JSON file.
+ * @returns {Array<string>} Readable errors, empty if the data is valid.
  */
-function getOrCreateRecentChatsTabContainer() {
-    if (recentChatsTabContainer && document.body.contains(recentChatsTabContainer)) return recentChatsTabContainer;
-    const menu = document.getElementById('right-nav-panel');
-    if (!menu) return null;
-    const tabContent = menu.querySelector('.chatsplus-tab-content');
-    if (!tabContent) return null;
-    let recentChatsTab = tabContent.children[1];
-    if (!recentChatsTab) return null;
-    recentChatsTab.innerHTML = '';
-    recentChatsTabContainer = recentChatsTab;
-    return recentChatsTabContainer;
+function validateImportedSettings(data) {
+    const errors = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(data)) return [t`The file does not contain a ChatsPlus settings object.`];
+
+    if (data.dataVersion !== undefined) {
+        if (!Number.isInteger(data.dataVersion) || data.dataVersion < 0) {
+            errors.push(t`dataVersion must be a whole number.`);
+        } else if (data.dataVersion > DATA_VERSION) {
+            errors.push(t`The file was made by a newer version of ChatsPlus, update the extension first.`);
+        }
+    }
+    if (data.pinnedChats !== undefined) {
+        if (!Array.isArray(data.pinnedChats)) {
+            errors.push(t`pinnedChats must be a list.`);
+        } else {
+            data.pinnedChats.forEach((pin, idx) => {
+                const hasOwner = isObject(pin) && (typeof pin.owner === 'string' || pin.characterId !== undefined);
+                if (!hasOwner || typeof pin.file_name !== 'string' || !pin.file_name) {
+                    errors.push(`pinnedChats[${idx}]: ` + t`needs an owner and a file_name.`);
+                }
+            });
+        }
+    }
+    if (data.folders !== undefined) {
+        if (!Array.isArray(data.folders)) {
+            errors.push(t`folders must be a list.`);
+        } else {
+            const ids = new Set();
+            data.folders.forEach((folder, idx) => {
+                if (!isObject(folder) || typeof folder.id !== 'string' || !folder.id) {
+                    errors.push(`folders[${idx}]: ` + t`needs an id.`);
+                    return;
+                }
+                if (ids.has(folder.id)) errors.push(`folders[${idx}]: ` + t`duplicate id` + ` "${folder.id}".`);
+                ids.add(folder.id);
+                if (typeof folder.name !== 'string' || !folder.name.trim()) errors.push(`folders[${idx}]: ` + t`needs a name.`);
+                if (folder.parent !== undefined && folder.parent !== null && typeof folder.parent !== 'string') {
+                    errors.push(`folders[${idx}]: ` + t`parent must be a folder id or null.`);
+                }
+                if (folder.query !== undefined && typeof folder.query !== 'string') {
+                    errors.push(`folders[${idx}]: ` + t`query must be text.`);
+                }
+                if (folder.note !== undefined && typeof folder.note !== 'string') {
+                    errors.push(`folders[${idx}]: ` + t`note must be text.`);
+                }
+            });
+        }
+    }
+    if (data.chatFolders !== undefined) {
+        if (!isObject(data.chatFolders)) {
+            errors.push(t`chatFolders must be an object.`);
+        } else {
+            for (const [key, folderIds] of Object.entries(data.chatFolders)) {
+                if (!key.includes(':')) errors.push(`chatFolders["${key}"]: ` + t`key must be owner:file_name.`);
+                if (!Array.isArray(folderIds) || folderIds.some(id => typeof id !== 'string' && typeof id !== 'number')) {
+                    errors.push(`chatFolders["${key}"]: ` + t`must be a list of folder ids.`);
+                }
+            }
+        }
+    }
+    for (const key of ['folderSortModes', 'chatFingerprints', 'archivedChats']) {
+        if (data[key] !== undefined && !isObject(data[key])) errors.push(`${key} ` + t`must be an object.`);
+    }
+    for (const [key, type] of Object.entries(IMPORT_PREFERENCE_TYPES)) {
+        if (data[key] !== undefined && typeof data[key] !== type) errors.push(`${key} ` + t`must be a` + ` ${type}.`);
+    }
+    return errors;
 }
 
 /**
- * Render all chats in the Recent Chats tab, including loader and main container.
- * Calls populateAllChatsTab to fill the content.
+ * Upgrade imported settings from the version they were exported with to the current data model.
+ * @param {Object} data - Validated imported settings.
+ * @returns {Promise<Object>} Migrated copy with dataVersion set to DATA_VERSION.
  */
-async function renderAllChatsInRecentChatsTab() {
-    const container = getOrCreateRecentChatsTabContainer();
-    if (!container) return;
-    if (container.querySelector('#extensionAllChatsTabContainer')) return;
-    // Add filter input at the top 
-    const filterRow = document.createElement('div');
-    filterRow.className = 'filter-row';
+async function migrateImportedSettings(data) {
+    const migrated = structuredClone(data);
+    for (const key of ['pinnedChats', 'folders', 'chatFolders', 'folderSortModes', 'chatFingerprints', 'archivedChats']) {
+        if (migrated[key] === undefined) migrated[key] = structuredClone(defaultSettings[key]);
+    }
+    // Stringify numeric folder ids of hand-edited files, the rest of the code compares strings
+    for (const key of Object.keys(migrated.chatFolders)) migrated.chatFolders[key] = migrated.chatFolders[key].map(String);
+    for (const migration of DATA_MIGRATIONS) {
+        if (migration.version <= (migrated.dataVersion ?? 0)) continue;
+        await migration.migrate(migrated);
+        migrated.dataVersion = migration.version;
+    }
+    migrated.dataVersion = DATA_VERSION;
+    return migrated;
+}
 
-    // Create input wrapper for positioning the clear button
-    const inputWrapper = document.createElement('div');
-    inputWrapper.className = 'filter-input-wrapper';
-    inputWrapper.style.position = 'relative';
-    inputWrapper.style.display = 'flex';
-    inputWrapper.style.alignItems = 'center';
+/**
+ * Merge imported organization data into the current data.
+ * Folders are matched by their name path ("Stories/Horror"), new ones get fresh ids, and
+ * chat assignments follow the matched or new folder. Pins are deduplicated, and existing
+ * folders keep their own query and sort mode.
+ * @param {Object} current - Current organization data.
+ * @param {Object} imported - Migrated imported settings.
+ * @returns {Object} The merged organization data.
+ */
+function mergeImportedSettings(current, imported) {
+    const result = structuredClone(current);
+    const currentMap = Object.fromEntries(result.folders.map(f => [f.id, f]));
+    const pathToId = new Map(result.folders.map(f => [getFolderPath(f, currentMap).toLowerCase(), f.id]));
+    const takenIds = new Set(result.folders.map(f => f.id));
+    const importedMap = Object.fromEntries(imported.folders.map(f => [f.id, f]));
+    const idMap = {};
+    // Parents before children, so every parent is already mapped
+    const depth = (folder) => getFolderPath(folder, importedMap).split('/').length;
+    for (const folder of imported.folders.slice().sort((a, b) => depth(a) - depth(b))) {
+        const path = getFolderPath(folder, importedMap).toLowerCase();
+        if (pathToId.has(path)) {
+            idMap[folder.id] = pathToId.get(path);
+            continue;
+        }
+        const id = createFolderId(takenIds);
+        takenIds.add(id);
+        idMap[folder.id] = id;
+        pathToId.set(path, id);
+        const merged = { ...folder, id, parent: folder.parent && idMap[folder.parent] ? idMap[folder.parent] : null };
+        result.folders.push(merged);
+        const sortMode = (imported.folderSortModes || {})[folder.id];
+        if (sortMode) result.folderSortModes[id] = sortMode;
+    }
 
-    const filterInput = document.createElement('input');
-    filterInput.type = 'text';
-    filterInput.placeholder = 'Filter chats...';
-    filterInput.className = 'filter-input';
-    filterInput.style.paddingRight = '30px'; // Make room for the clear button
+    for (const [key, folderIds] of Object.entries(imported.chatFolders)) {
+        const mapped = folderIds.map(id => idMap[id]).filter(Boolean);
+        if (mapped.length === 0) continue;
+        result.chatFolders[key] = [...new Set([...(result.chatFolders[key] || []), ...mapped])];
+    }
 
-    // Create clear button
-    const clearButton = document.createElement('button');
-    clearButton.className = 'filter-clear-button';
-    clearButton.innerHTML = '<i class="fa-solid fa-xmark"></i>';
-    clearButton.title = 'Clear filter';
-
-    inputWrapper.appendChild(filterInput);
-    inputWrapper.appendChild(clearButton);
-    filterRow.appendChild(inputWrapper);
-    container.appendChild(filterRow);
-    // Loader and main container 
-    const loader = document.createElement('div');
-    loader.id = 'extensionAllChatsTabLoader';
-    loader.className = 'allChatsTabLoader'; // Initially hidden
-    const loaderIcon = document.createElement('i');
-    loaderIcon.className = 'fa-2x fa-solid fa-gear fa-spin';
-    loader.appendChild(loaderIcon);
-    container.appendChild(loader);
-    const chatsTabContainer = document.createElement('div');
-    chatsTabContainer.id = 'extensionAllChatsTabContainer';
-    container.appendChild(chatsTabContainer);
-    // Load More button
-    const loadMoreBtn = document.createElement('button');
-    loadMoreBtn.id = 'extensionAllChatsTabLoadMoreBtn';
-    loadMoreBtn.classList.add('load-more-btn');
-    loadMoreBtn.classList.add('hidden'); // Initially hidden
-    loadMoreBtn.textContent = 'Load More';
-    container.appendChild(loadMoreBtn);
-    // Filtering and pagination logic
-    let lastFilter = '';
-    let lastChatsData = null;
-    let offset = 0;
-    let totalChats = 0;
-    async function doPopulate(filterValue, append = false) {
-        lastFilter = filterValue;
-        const result = await populateAllChatsTab({
-            container: chatsTabContainer,
-            loader,
-            tab: container,
-            filter: filterValue,
-            cache: lastChatsData,
-            setCache: (data) => { lastChatsData = data; },
-            offset,
-            append
-        });
-        totalChats = result && result.totalChats ? result.totalChats : 0;
-        if (offset + MAX_RECENT_CHATS < totalChats) {
-            loadMoreBtn.classList.remove('hidden');
-        } else {
-            loadMoreBtn.classList.add('hidden');
-        }
+    const pinKeys = new Set(result.pinnedChats.map(p => p.owner + ':' + p.file_name));
+    for (const pin of imported.pinnedChats) {
+        const key = pin.owner + ':' + pin.file_name;
+        if (pinKeys.has(key)) continue;
+        pinKeys.add(key);
+        result.pinnedChats.push({ owner: pin.owner, file_name: pin.file_name });
     }
-    filterInput.addEventListener('input', (e) => {
-        offset = 0;
-        chatsTabContainer.innerHTML = '';
-        doPopulate(e.target.value.trim());
+    result.chatFingerprints = { ...imported.chatFingerprints, ...result.chatFingerprints };
+    result.archivedChats = { ...imported.archivedChats, ...result.archivedChats };
+    pruneChatFolders(result);
+    return result;
+}
 
-        // Show/hide clear button based on input content
-        if (e.target.value.trim().length > 0) {
-            clearButton.style.display = 'block';
-        } else {
-            clearButton.style.display = 'none';
-        }
-    });
+/**
+ * Build the data an import would write, for previewing and applying it.
+ * @param {Object} imported - Migrated imported settings.
+ * @param {'replace'|'merge'} mode - Replace the organization data, or merge into it.
+ * @returns {Object} Organization data (HISTORY_KEYS) plus, when replacing, the imported preferences.
+ */
+function buildImportResult(imported, mode) {
+    const current = captureHistoryState();
+    if (mode === 'merge') return mergeImportedSettings(current, imported);
+    const result = {};
+    for (const key of HISTORY_KEYS) result[key] = structuredClone(imported[key] ?? defaultSettings[key]);
+    pruneChatFolders(result);
+    for (const key of Object.keys(IMPORT_PREFERENCE_TYPES)) {
+        if (imported[key] !== undefined) result[key] = imported[key];
+    }
+    return result;
+}
 
-    // Clear button functionality
-    clearButton.addEventListener('click', () => {
-        filterInput.value = '';
-        clearButton.style.display = 'none';
-        offset = 0;
-        chatsTabContainer.innerHTML = '';
-        doPopulate('');
-        filterInput.focus(); // Keep focus on the input after clearing
-    });
-    loadMoreBtn.addEventListener('click', () => {
-        offset += MAX_RECENT_CHATS;
-        doPopulate(lastFilter, true);
+/**
+ * Write an import result into the settings as one undoable command and refresh the tabs.
+ * @param {Object} result - Data built by buildImportResult.
+ * @param {string} label - History label.
+ */
+async function applyImportResult(result, label) {
+    await snapshotBeforeDestructive(label);
+    await recordHistory(label, () => {
+        const settings = getSettings();
+        for (const [key, value] of Object.entries(result)) settings[key] = structuredClone(value);
+        settings.dataVersion = DATA_VERSION;
+        saveSettingsDebounced();
     });
-    // Initial population
-    await doPopulate('', false);
+    // Owners referenced by the import may not be indexed yet
+    invalidateChatIndex();
+    await refreshAfterHistoryChange();
 }
 
 /**
- * Populate the All Chats tab with chat items, grouped and sorted.
- * @param {Object} param0 - Options for population.
- * @param {HTMLElement} param0.container - The container to render into.
- * @param {HTMLElement} param0.loader - Loader element.
- * @param {HTMLElement} param0.tab - Tab element.
- * @param {string} [param0.filter] - Optional filter string.
- * @param {Object} [param0.cache] - Optional cache of chat data.
- * @param {Function} [param0.setCache] - Optional callback to set cache.
- * @param {number} [param0.offset] - Offset for pagination.
- * @param {boolean} [param0.append] - Whether to append to container.
- * @returns {Object} - { totalChats }
+ * Let the user pick a ChatsPlus export file, validate it and import it after a preview.
  */
-async function populateAllChatsTab({ container, loader, tab, filter = '', cache = null, setCache = null, offset = 0, append = false } = {}) {
-    container = container || document.getElementById('extensionAllChatsTabContainer');
-    loader = loader || document.getElementById('extensionAllChatsTabLoader');
-    if (!loader || !container) return { totalChats: 0 };
-    loader.classList.remove('displayNone');
-    if (!append) container.innerHTML = '';
-    let allChats = [];
-    let chatStatsMap = {};
-    let groupsMap = {}; // Add groups map for caching
-    if (cache && cache.allChats && cache.chatStatsMap) {
-        allChats = cache.allChats;
-        chatStatsMap = cache.chatStatsMap;
-        groupsMap = cache.groupsMap || {}; // Include groups in cache
-    } else {
-        const context = SillyTavern.getContext();
-        const characters = context.characters || {};
-
-        // 1. Fetch all chat lists for all characters in parallel
-        const chatListPromises = Object.entries(characters).map(async ([charId, char]) => {
-            try {
-                const chats = await getListOfCharacterChats(char.avatar);
-                return chats.filter(chatName => typeof chatName === 'string' && chatName).map(chatName => ({
-                    character: char.name || charId,
-                    avatar: char.avatar,
-                    file_name: chatName,
-                    characterId: charId,
-                    isGroup: false
-                }));
-            } catch (e) {
-                return [];
+function showImportSettingsDialog() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            await showImportErrors([t`The file is not valid JSON:` + ' ' + error.message]);
+            return;
+        }
+        // Partial exports in the portable format are matched against the user's own chats first
+        if (data && data.format === PORTABLE_FORMAT) {
+            const portableErrors = validatePortableExport(data);
+            if (portableErrors.length > 0) {
+                await showImportErrors(portableErrors);
+                return;
             }
-        });
-
-        // 2. Fetch all group chats in parallel
-        let groupChats = [];
+            const { settings, unmatched } = await portableToSettings(data);
+            // Replacing with one folder or only the pins would wipe everything else
+            await showImportPreviewPopup(settings, file.name, unmatched, data.scope !== 'skeleton');
+            return;
+        }
+        const errors = validateImportedSettings(data);
+        if (errors.length > 0) {
+            await showImportErrors(errors);
+            return;
+        }
+        let imported;
         try {
-            const groupsResponse = await fetch('/api/groups/all', {
-                method: 'POST',
-                headers: getRequestHeaders(),
-            });
-            if (groupsResponse.ok) {
-                const groups = await groupsResponse.json();
-
-                // Build groups map for later use
-                groupsMap = Object.fromEntries(groups.map(group => [group.id, group]));
-
-                const groupChatPromises = groups.map(async (group) => {
-                    try {
-                        const chats = await getGroupPastChats(group.id);
-                        return chats.map(chat => {
-                            const fileName = typeof chat === 'string' ? chat.replace('.jsonl', '') : String(chat.file_name || chat).replace('.jsonl', '');
-                            return {
-                                character: group.name || `Group ${group.id}`,
-                                avatar: group.avatar || '', // Groups might have avatars
-                                file_name: fileName,
-                                characterId: group.id,
-                                isGroup: true,
-                                groupMembers: group.members || [] // Store group member info
-                            };
-                        });
-                    } catch (e) {
-                        return [];
-                    }
-                });
+            imported = await migrateImportedSettings(data);
+        } catch (error) {
+            console.error('ChatsPlus: Migrating the imported file failed', error);
+            await showImportErrors([t`The file could not be upgraded to the current format:` + ' ' + error.message]);
+            return;
+        }
+        await showImportPreviewPopup(imported, file.name);
+    };
+    document.body.appendChild(fileInput);
+    fileInput.click();
+    setTimeout(() => document.body.removeChild(fileInput), 5000);
+}
 
-                const groupChatLists = await Promise.all(groupChatPromises);
-                groupChats = groupChatLists.flat();
-            }
-        } catch (e) {
-            console.warn('Failed to load group chats:', e);
+/**
+ * Show why a file cannot be imported.
+ * @param {Array<string>} errors - Readable errors.
+ */
+async function showImportErrors(errors) {
+    const content = document.createElement('div');
+    content.innerHTML = `<h3>${t`This file cannot be imported`}</h3>`;
+    const list = document.createElement('ul');
+    list.className = 'chatsplus-import-errors';
+    errors.slice(0, 20).forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+    });
+    if (errors.length > 20) {
+        const item = document.createElement('li');
+        item.textContent = `… ${errors.length - 20} ` + t`more`;
+        list.appendChild(item);
+    }
+    content.appendChild(list);
+    await new Popup(content, POPUP_TYPE.TEXT, '', { okButton: t`Close`, wide: true }).show();
+}
+
+/**
+ * Ask whether to replace or merge, previewing the changes of the chosen mode, and import on confirm.
+ * @param {Object} imported - Migrated imported settings.
+ * @param {string} fileName - Name of the imported file.
+ * @param {Array<string>} [unmatched] - Chats of a portable export that match none of the user's chats.
+ * @param {boolean} [mergeOnly] - Only offer to merge, for files holding part of the organization data.
+ */
+async function showImportPreviewPopup(imported, fileName, unmatched = [], mergeOnly = false) {
+    const content = document.createElement('div');
+    content.innerHTML = `<h3>${t`Import ChatsPlus data?`}</h3>`;
+    const source = document.createElement('small');
+    source.textContent = fileName;
+    content.appendChild(source);
+    if (unmatched.length > 0) {
+        const unmatchedNote = document.createElement('div');
+        unmatchedNote.className = 'chatsplus-import-unmatched';
+        unmatchedNote.textContent = `${unmatched.length} ` + t`chats in the file match none of your chats and are skipped.`;
+        unmatchedNote.title = unmatched.join('\n');
+        content.appendChild(unmatchedNote);
+    }
+    const radioGroup = document.createElement('div');
+    radioGroup.className = 'chatplus_radio_group chatsplus-import-modes';
+    const radioName = 'chatsplus-import-mode';
+    [
+        { value: 'merge', label: t`Merge: add the folders, assignments and pins of the file to yours` },
+        { value: 'replace', label: t`Replace: use only the folders, assignments and pins of the file` },
+    ].filter(({ value }) => !mergeOnly || value === 'merge').forEach(({ value, label }, idx) => {
+        const optionLabel = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = radioName;
+        radio.value = value;
+        radio.checked = idx === 0;
+        optionLabel.appendChild(radio);
+        optionLabel.appendChild(document.createTextNode(' ' + label));
+        radioGroup.appendChild(optionLabel);
+    });
+    if (mergeOnly) {
+        const mergeNote = document.createElement('small');
+        mergeNote.textContent = t`The file holds only one folder or the pins, so it can only be merged.`;
+        radioGroup.appendChild(mergeNote);
+    }
+    content.appendChild(radioGroup);
+    const previewTitle = document.createElement('b');
+    content.appendChild(previewTitle);
+    const previewList = document.createElement('ul');
+    previewList.className = 'chatsplus-snapshot-diff';
+    content.appendChild(previewList);
+
+    const getMode = () => content.querySelector(`input[name="${radioName}"]:checked`).value;
+    const renderPreview = () => {
+        const changes = diffSnapshotData(captureSnapshotData(), buildImportResult(imported, getMode()));
+        previewTitle.textContent = changes.length > 0 ? `${changes.length} ` + t`changes:` : t`Nothing would change.`;
+        previewList.innerHTML = '';
+        changes.slice(0, 100).forEach(change => {
+            const item = document.createElement('li');
+            item.textContent = change;
+            previewList.appendChild(item);
+        });
+        if (changes.length > 100) {
+            const item = document.createElement('li');
+            item.textContent = `… ${changes.length - 100} ` + t`more`;
+            previewList.appendChild(item);
         }
+    };
+    radioGroup.addEventListener('change', renderPreview);
+    renderPreview();
 
-        const characterChatLists = await Promise.all(chatListPromises);
-        allChats = [...characterChatLists.flat(), ...groupChats];
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: t`Import`,
+        cancelButton: t`Cancel`,
+        wide: true,
+    });
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+    const mode = getMode();
+    await applyImportResult(buildImportResult(imported, mode), (mode === 'merge' ? t`Merge import` : t`Replace import`) + ` "${fileName}"`);
+    toastr.success(t`ChatsPlus data imported.`);
+}
 
-        // 3. Fetch stats for both character and group chats
-        const uniqueCharacterIds = [...new Set(allChats.filter(chat => !chat.isGroup).map(chat => chat.characterId))];
-        const uniqueGroupIds = [...new Set(allChats.filter(chat => chat.isGroup).map(chat => chat.characterId))];
+// =========================
+// 2.4. Portable Organization Format
+// =========================
+// Selective exports for sharing organization templates. Unlike the settings backup, chats are
+// referenced by what another user can have too: the character avatar file name (or the group
+// name) plus the chat file name. The format is documented in the README:
+// {
+//   "format": "chatsplus-organization", "formatVersion": 1, "scope": "subtree" | "pins" | "skeleton",
+//   "exportedAt": ISO date,
+//   "folders": [{ "id", "name", "parent": id | null, "query"?: smart folder query, "note"?: text, "sort"?: "manual" }],
+//   "chats": [{ "avatar" | "group", "name"?: display name, "file_name", "folders": [folder ids], "pinned": boolean }]
+// }
+const PORTABLE_FORMAT = 'chatsplus-organization';
+const PORTABLE_FORMAT_VERSION = 1;
 
-        // Character stats
-        const characterStatsPromises = uniqueCharacterIds.map(async (charId) => {
-            try {
-                const statsList = await getPastCharacterChats(charId);
-                return statsList.map(stat => {
-                    const fileName = String(stat.file_name).replace('.jsonl', '');
-                    return [charId + ':' + fileName, stat];
-                });
-            } catch (e) {
-                return [];
-            }
-        });
+/**
+ * Get the portable reference of a chat owner: the avatar of a character or the name of a group.
+ * @param {string} owner - Stable owner key (avatar file name or group ID).
+ * @returns {Object} { avatar, name } or { group }.
+ */
+function getPortableOwnerRef(owner) {
+    const group = groups.find(g => String(g.id) === String(owner));
+    if (group) return { group: group.name };
+    const character = (SillyTavern.getContext().characters || []).find(c => c && c.avatar === owner);
+    return character ? { avatar: owner, name: character.name } : { avatar: owner };
+}
 
-        // Group stats
-        const groupStatsPromises = uniqueGroupIds.map(async (groupId) => {
-            try {
-                const statsList = await getGroupPastChats(groupId);
-                return statsList.map(stat => {
-                    const fileName = typeof stat === 'string' ? stat.replace('.jsonl', '') : String(stat.file_name || stat).replace('.jsonl', '');
-                    return [groupId + ':' + fileName, stat];
-                });
-            } catch (e) {
-                return [];
-            }
+/**
+ * Build a portable export of part of the organization data.
+ * @param {Object} options - What to export.
+ * @param {'subtree'|'pins'|'skeleton'} options.scope - One folder with its subfolders, only the pins, or only the folder tree.
+ * @param {string} [options.folderId] - Root folder of a subtree export.
+ * @param {boolean} [options.includeChats] - Include the chat assignments of a subtree export.
+ * @returns {Object} The portable export.
+ */
+function buildPortableExport({ scope, folderId = null, includeChats = true }) {
+    const folders = getFolders();
+    const exportedIds = new Set(scope === 'subtree' ? getFolderSubtreeIds(folderId) : scope === 'skeleton' ? folders.map(f => f.id) : []);
+    const exportedFolders = folders
+        .filter(f => exportedIds.has(f.id))
+        .map(f => {
+            const folder = { id: f.id, name: f.name, parent: f.parent && exportedIds.has(f.parent) ? f.parent : null };
+            if (isSmartFolder(f)) folder.query = f.query;
+            if (f.note) folder.note = f.note;
+            if (getFolderSortMode(f.id) === 'manual') folder.sort = 'manual';
+            return folder;
         });
 
-        const statsEntries = (await Promise.all([...characterStatsPromises, ...groupStatsPromises])).flat();
-        chatStatsMap = Object.fromEntries(statsEntries);
-        if (setCache) setCache({ allChats, chatStatsMap, groupsMap }); // Include groups in cache
-    }
-    allChats = allChats.map(chat => {
-        const stat = chatStatsMap[chat.characterId + ':' + chat.file_name];
-        let lastMesRaw = stat && stat.last_mes ? stat.last_mes : null;
-        let lastMesDate = null;
-        if (lastMesRaw) {
-            // Use timestampToMoment (dayjs wrapper) for robust parsing
-            const momentObj = timestampToMoment(lastMesRaw);
-            if (momentObj && momentObj.isValid()) {
-                lastMesDate = momentObj.toDate();
-            }
+    const chats = new Map();
+    const getEntry = (owner, fileName) => {
+        const key = owner + ':' + fileName;
+        if (!chats.has(key)) chats.set(key, { ...getPortableOwnerRef(owner), file_name: fileName, folders: [], pinned: false });
+        return chats.get(key);
+    };
+    if (scope === 'subtree' && includeChats) {
+        for (const [key, ids] of Object.entries(getChatFoldersMap())) {
+            const inSubtree = (ids || []).filter(id => exportedIds.has(id));
+            if (inSubtree.length === 0) continue;
+            const ref = parseChatKey(key);
+            getEntry(ref.owner, ref.file_name).folders.push(...inSubtree);
         }
-        return { ...chat, stat, last_mes: lastMesDate };
-    }).filter(chat => chat.last_mes);
-    // Ensure allChats is a flat array and sort strictly by date
-    allChats.sort((a, b) => b.last_mes - a.last_mes);
-    // Filtering
-    let filterLower = filter ? filter.toLowerCase() : '';
-    function chatMatches(chat) {
-        if (!filterLower) return true;
-        return (
-            (chat.character && chat.character.toLowerCase().includes(filterLower)) ||
-            (chat.file_name && chat.file_name.toLowerCase().includes(filterLower)) ||
-            (chat.stat && chat.stat.mes && chat.stat.mes.toLowerCase().includes(filterLower))
-        );
     }
-    const filteredChats = allChats.filter(chatMatches);
-    const totalChats = filteredChats.length;
-    const chatsToShow = filteredChats.slice(offset, offset + MAX_RECENT_CHATS);
-    // Render pinned and recent chats (filtered, paginated) (always render all pinned chats, not just those in the current page)
-    const pinnedChatsRaw = getPinnedChats();
-    const pinnedChats = pinnedChatsRaw.map(pinned => {
-        // Try to find stat info from chatStatsMap
-        const stat = chatStatsMap[pinned.characterId + ':' + pinned.file_name];
-        // Try to get character info from allChats or SillyTavern context
-        let chatInfo = allChats.find(c => c.characterId === pinned.characterId && c.file_name === pinned.file_name);
-        if (!chatInfo) {
-            // Fallback: try to get character info from context
-            const context = SillyTavern.getContext();
-            const char = context.characters && context.characters[pinned.characterId];
-
-            // Check if this might be a group chat (groups would not be in context.characters)
-            if (!char) {
-                // This could be a group chat, check groupsMap
-                const group = groupsMap[pinned.characterId];
-                chatInfo = {
-                    character: group ? (group.name || `Group ${group.id}`) : pinned.characterId,
-                    avatar: group ? (group.avatar || '') : '',
-                    file_name: pinned.file_name,
-                    characterId: pinned.characterId,
-                    stat: stat,
-                    last_mes: stat && stat.last_mes ? timestampToMoment(stat.last_mes).toDate() : null,
-                    isGroup: true,
-                    groupMembers: group ? (group.members || []) : []
-                };
-            } else {
-                chatInfo = {
-                    character: char.name || pinned.characterId,
-                    avatar: char.avatar || '',
-                    file_name: pinned.file_name,
-                    characterId: pinned.characterId,
-                    stat: stat,
-                    last_mes: stat && stat.last_mes ? timestampToMoment(stat.last_mes).toDate() : null,
-                    isGroup: false
-                };
-            }
-        } else {
-            chatInfo = { ...chatInfo, stat };
+    if (scope === 'pins') {
+        for (const pin of getPinnedChats()) getEntry(pin.owner, pin.file_name).pinned = true;
+    }
+    return {
+        format: PORTABLE_FORMAT,
+        formatVersion: PORTABLE_FORMAT_VERSION,
+        scope,
+        exportedAt: new Date().toISOString(),
+        folders: exportedFolders,
+        chats: [...chats.values()],
+    };
+}
+
+/**
+ * Check that data has the shape of a portable export.
+ * @param {Object} data - Parsed JSON with format set to PORTABLE_FORMAT.
+ * @returns {Array<string>} Readable errors, empty if valid.
+ */
+function validatePortableExport(data) {
+    const errors = [];
+    if (!Number.isInteger(data.formatVersion) || data.formatVersion > PORTABLE_FORMAT_VERSION) {
+        errors.push(t`Unsupported formatVersion, update ChatsPlus to import this file.`);
+    }
+    if (!Array.isArray(data.folders)) errors.push(t`folders must be a list.`);
+    if (!Array.isArray(data.chats)) errors.push(t`chats must be a list.`);
+    if (errors.length > 0) return errors;
+    const ids = new Set();
+    data.folders.forEach((folder, idx) => {
+        if (!folder || typeof folder.id !== 'string' || typeof folder.name !== 'string' || !folder.name.trim()) {
+            errors.push(`folders[${idx}]: ` + t`needs an id and a name.`);
+            return;
         }
-        return chatInfo;
-    }).filter(chat => chat && chat.last_mes && chatMatches(chat));
-    // Sort pinned chats alphabetically by character, then file_name
-    pinnedChats.sort((a, b) => {
-        const charA = (a.character || '').toLowerCase();
-        const charB = (b.character || '').toLowerCase();
-        if (charA < charB) return -1;
-        if (charA > charB) return 1;
-        const fileA = (a.file_name || '').toLowerCase();
-        const fileB = (b.file_name || '').toLowerCase();
-        if (fileA < fileB) return -1;
-        if (fileA > fileB) return 1;
-        return 0;
+        ids.add(folder.id);
     });
-    // Render all pinned chats at the top
-    if (pinnedChats.length > 0) {
-        // Add pinned section header
-        const pinnedSeparator = document.createElement('div');
-        pinnedSeparator.className = 'allChatsDateSeparator pinned-section-header';
-        pinnedSeparator.textContent = '📌 ' + t`Pinned Chats`;
-        pinnedSeparator.style.fontWeight = 'bold';
-        container.appendChild(pinnedSeparator);
-
-        for (const chat of pinnedChats) {
-            renderAllChatsTabItem(chat, container, true, null);
+    data.chats.forEach((chat, idx) => {
+        if (!chat || typeof chat.file_name !== 'string' || (typeof chat.avatar !== 'string' && typeof chat.group !== 'string')) {
+            errors.push(`chats[${idx}]: ` + t`needs an avatar or group and a file_name.`);
+        } else if (chat.folders !== undefined && (!Array.isArray(chat.folders) || chat.folders.some(id => !ids.has(id)))) {
+            errors.push(`chats[${idx}]: ` + t`refers to a folder missing from the file.`);
         }
-    }
-    // Render recent chats (filtered)
-    let lastDate = null;
-    if (append) {
-        // Find the last date separator in the container
-        const dateSeparators = Array.from(container.querySelectorAll('.allChatsDateSeparator'));
-        if (dateSeparators.length > 0) {
-            const lastSeparator = dateSeparators[dateSeparators.length - 1];
-            lastDate = lastSeparator.getAttribute('data-date') || null;
+    });
+    return errors;
+}
+
+/**
+ * Convert a portable export to settings, matching its chats against the user's own chats.
+ * @param {Object} data - Validated portable export.
+ * @returns {Promise<{settings: Object, unmatched: Array<string>}>} Settings-shaped data, and the chats without a match.
+ */
+async function portableToSettings(data) {
+    const { chats } = await getChatIndex();
+    const existingKeys = new Set(chats.map(getChatKey));
+    const settings = {
+        dataVersion: DATA_VERSION,
+        folders: data.folders.map(f => {
+            const folder = { id: f.id, name: f.name.trim(), parent: f.parent || null };
+            if (typeof f.query === 'string') folder.query = f.query;
+            if (typeof f.note === 'string' && f.note) folder.note = f.note;
+            return folder;
+        }),
+        folderSortModes: Object.fromEntries(data.folders.filter(f => f.sort === 'manual').map(f => [f.id, 'manual'])),
+        chatFolders: {},
+        pinnedChats: [],
+        chatFingerprints: {},
+    };
+    const unmatched = [];
+    for (const chat of data.chats) {
+        let owner = chat.avatar;
+        if (typeof chat.group === 'string') {
+            const group = groups.find(g => g.name === chat.group);
+            owner = group ? String(group.id) : null;
         }
-    }
-    for (const chat of chatsToShow) {
-        const stat = chat.stat;
-        const chatMoment = stat && stat.last_mes ? timestampToMoment(stat.last_mes) : null;
-        const chatDateStr = chatMoment ? chatMoment.format('YYYY-MM-DD') : '';
-        if (chatDateStr !== lastDate) {
-            lastDate = chatDateStr;
-            const dateSeparator = document.createElement('div');
-            dateSeparator.className = 'allChatsDateSeparator';
-            dateSeparator.textContent = chatMoment ? chatMoment.format('LL') : '';
-            dateSeparator.setAttribute('data-date', chatDateStr); // For tracking
-            container.appendChild(dateSeparator);
+        const key = owner + ':' + chat.file_name;
+        if (!owner || !existingKeys.has(key)) {
+            unmatched.push(`${chat.name || chat.group || chat.avatar}: ${chat.file_name}`);
+            continue;
         }
-        renderAllChatsTabItem(chat, container, false, null);
+        if (Array.isArray(chat.folders) && chat.folders.length > 0) settings.chatFolders[key] = [...chat.folders];
+        if (chat.pinned) settings.pinnedChats.push({ owner, file_name: chat.file_name });
     }
-    loader.classList.add('displayNone');
-    return { totalChats };
+    return { settings, unmatched };
 }
 
 /**
- * Build a tree structure from the flat folder list.
- * @param {Array} folders - Flat array of folder objects.
- * @returns {Array} Array of root folder nodes, each with children property.
+ * Save data as a JSON file download.
+ * @param {Object} data - Data to save.
+ * @param {string} fileName - Download file name.
  */
-function buildFolderTree(folders) {
-    const idToNode = {};
-    folders.forEach(folder => {
-        idToNode[folder.id] = { ...folder, children: [] };
-    });
-    const roots = [];
-    folders.forEach(folder => {
-        if (folder.parent && idToNode[folder.parent]) {
-            idToNode[folder.parent].children.push(idToNode[folder.id]);
-        } else {
-            roots.push(idToNode[folder.id]);
-        }
-    });
-    return roots;
+function downloadJson(data, fileName) {
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), fileName);
 }
 
 /**
- * Render all chat folders UI inside the given container, with nested subfolders.
- * @param {HTMLElement} container - The container to render folders into.
- * @param {Object} folderedChats - Map of folderId to array of chats.
- * @param {Array} [folderNodes] - Optional, for recursion: array of folder nodes.
- * @param {number} [level] - Optional, for recursion: current nesting level.
+ * Save a blob as a file download.
+ * @param {Blob} blob - File contents.
+ * @param {string} fileName - Download file name.
  */
-function renderAllChatsFoldersUI(container, folderedChats, folderNodes, level = 0) {
-    const folders = getFolders().slice().sort((a, b) => a.name.localeCompare(b.name));
-    if (!folderNodes) folderNodes = buildFolderTree(folders);
-    // Build a map for quick parent lookup
-    const folderMap = Object.fromEntries(folders.map(f => [f.id, f]));
-    folderNodes.forEach(folder => {
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => {
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }, 100);
+}
+
+/**
+ * Ask what to export: a full settings backup, one folder subtree, only the pins, or only the folder tree.
+ */
+async function showExportDialog() {
+    const folders = getFolders();
+    const folderMap = Object.fromEntries(folders.map(f => [f.id, f]));
+    const content = document.createElement('div');
+    content.innerHTML = `<h3>${t`Export ChatsPlus data`}</h3>`;
+    const radioGroup = document.createElement('div');
+    radioGroup.className = 'chatplus_radio_group chatsplus-import-modes';
+    const radioName = 'chatsplus-export-scope';
+    const addOption = (value, label, checked) => {
+        const optionLabel = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = radioName;
+        radio.value = value;
+        radio.checked = checked;
+        optionLabel.appendChild(radio);
+        optionLabel.appendChild(document.createTextNode(' ' + label));
+        radioGroup.appendChild(optionLabel);
+        return optionLabel;
+    };
+    addOption('all', t`Full backup of all ChatsPlus settings`, true);
+    const subtreeOption = addOption('subtree', t`One folder with its subfolders:`, false);
+    const folderSelect = document.createElement('select');
+    folderSelect.className = 'text_pole';
+    folders
+        .map(f => ({ id: f.id, path: getFolderPath(f, folderMap) }))
+        .sort((a, b) => a.path.localeCompare(b.path))
+        .forEach(({ id, path }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = path;
+            folderSelect.appendChild(option);
+        });
+    subtreeOption.appendChild(folderSelect);
+    const includeChatsLabel = document.createElement('label');
+    includeChatsLabel.className = 'checkbox_label chatsplus-export-include-chats';
+    const includeChats = document.createElement('input');
+    includeChats.type = 'checkbox';
+    includeChats.checked = true;
+    includeChatsLabel.append(includeChats, document.createTextNode(' ' + t`Include which chats are in the folders`));
+    radioGroup.appendChild(includeChatsLabel);
+    if (folders.length === 0) {
+        subtreeOption.querySelector('input').disabled = true;
+        includeChats.disabled = true;
+    }
+    addOption('pins', t`Pinned chats only`, false);
+    addOption('skeleton', t`Folder structure only, without chats`, false);
+    content.appendChild(radioGroup);
+    const note = document.createElement('small');
+    note.textContent = t`Partial exports match chats by character avatar and chat file name, so they can be imported by others.`;
+    content.appendChild(note);
+    folderSelect.addEventListener('change', () => {
+        content.querySelector(`input[name="${radioName}"][value="subtree"]`).checked = true;
+    });
+
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', { okButton: t`Export`, cancelButton: t`Cancel`, wide: true });
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+    const scope = content.querySelector(`input[name="${radioName}"]:checked`).value;
+    if (scope === 'all') {
+        downloadJson(getSettings(), 'ChatsPlus-settings.json');
+        return;
+    }
+    const data = buildPortableExport({ scope, folderId: folderSelect.value, includeChats: includeChats.checked });
+    const suffix = scope === 'subtree' ? 'folder-' + (folderMap[folderSelect.value]?.name || 'folder').replace(/[^\w-]+/g, '_') : scope;
+    downloadJson(data, `ChatsPlus-${suffix}.json`);
+}
+
+// =========================
+// 3. Utility Functions
+// =========================
+/**
+ * Run an async worker over a list of items with a limited number running at once.
+ * @param {Array} items - Items to process.
+ * @param {number} limit - Maximum number of concurrent workers.
+ * @param {Function} worker - Async function called with each item and its index.
+ * @returns {Promise<Array>} Results in the order of the items.
+ */
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const idx = next++;
+            results[idx] = await worker(items[idx], idx);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
+/**
+ * Prompt the user to select a folder or 'Pinned' for a chat using a SillyTavern popup.
+ * Shows folders as a tree with indentation.
+ * @param {Object} chat - Chat object.
+ * @returns {Promise<string|null>} The selected folderId, 'pinned', or null if cancelled.
+ */
+async function promptSelectFolderOrPinned(chat) {
+    const folders = getFolders();
+    // Look up previewed chats in the shared chat index to show their last message
+    const { chats: indexedChats } = await getChatIndex();
+    const indexedChatsByKey = new Map(indexedChats.map(c => [getChatKey(c), c]));
+    // Helper: render radios as tree, with chat previews
+    function renderFolderRadios(nodes, radioName, container, level = 0) {
+        nodes.forEach(folder => {
+            const label = document.createElement('label');
+            label.style.display = 'flex';
+            label.style.alignItems = 'center';
+            label.style.marginLeft = (level * 20) + 'px';
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = radioName;
+            radio.value = folder.id;
+            // Smart folders are computed from their query, chats cannot be added to them
+            if (isSmartFolder(folder)) {
+                radio.disabled = true;
+                label.title = t`Smart folder:` + ' ' + folder.query;
+            }
+            label.appendChild(radio);
+            label.appendChild(document.createTextNode((isSmartFolder(folder) ? ' ✨ ' : ' 📁 ') + folder.name));
+            container.appendChild(label);
+            // Chat preview for this folder 
+            const folderChats = Object.entries(getChatFoldersMap())
+                .filter(([key, ids]) => Array.isArray(ids) && ids.includes(folder.id))
+                .map(([key]) => parseChatKey(key));
+            if (folderChats.length > 0) {
+                const previewContainer = document.createElement('div');
+                previewContainer.className = 'folder-preview-chats';
+                previewContainer.style.marginLeft = (level * 20 + 32) + 'px';
+                previewContainer.style.marginBottom = '4px';
+                folderChats.slice(0, 3).forEach(chatRef => {
+                    // Find character or group info
+                    const resolved = resolveChatRef(chatRef);
+                    const isGroup = resolved ? resolved.isGroup : false;
+                    const chat = resolved || {
+                        character: chatRef.owner,
+                        avatar: '',
+                        file_name: chatRef.file_name,
+                        characterId: chatRef.owner,
+                        isGroup: false
+                    };
+                    const indexedChat = indexedChatsByKey.get(chatRef.owner + ':' + chatRef.file_name);
+                    // Render preview using .tabItem-singleline style
+                    const tabItem = document.createElement('div');
+                    tabItem.classList.add('tabItem', 'tabItem-singleline');
+                    tabItem.style.display = 'flex';
+                    tabItem.style.flexDirection = 'row';
+                    tabItem.style.alignItems = 'center';
+                    tabItem.style.gap = '10px';
+                    tabItem.style.marginBottom = '2px';
+
+                    // Character/Group image (character = img, group = div)
+                    let previewImg;
+                    if (isGroup) {
+                        previewImg = document.createElement('div');
+                        previewImg.className = 'tabItem-previewImg group-preview';
+
+                        const group = groups.find(g => g.id === chat.characterId);
+                        if (group) {
+                            let result = getGroupAvatar(group);
+                            if (result && result.length > 0) {
+                                const groupElement = result[0];
+                                groupElement.style.width = '100%';
+                                groupElement.style.height = '100%';
+                                groupElement.style.minWidth = 'unset';
+                                previewImg.appendChild(groupElement);
+                            }
+                        }
+                    } else {
+                        previewImg = document.createElement('img');
+                        previewImg.className = 'tabItem-previewImg';
+                        previewImg.src = typeof getThumbnailUrl === 'function' ? getThumbnailUrl('avatar', chat.avatar) : (chat.avatar || '');
+                        previewImg.alt = chat.character || '';
+                    }
+                    const nameRow = document.createElement('div');
+                    nameRow.className = 'tabItem-nameRow';
+                    nameRow.textContent = `${chat.character}: ${chat.file_name}`;
+                    if (indexedChat && indexedChat.stat && indexedChat.stat.mes) nameRow.title = indexedChat.stat.mes;
+                    tabItem.appendChild(previewImg);
+                    tabItem.appendChild(nameRow);
+                    previewContainer.appendChild(tabItem);
+                });
+                if (folderChats.length > 3) {
+                    const more = document.createElement('div');
+                    more.style.fontSize = '0.9em';
+                    more.style.color = '#888';
+                    more.style.marginLeft = '4px';
+                    more.textContent = `+${folderChats.length - 3} more`;
+                    previewContainer.appendChild(more);
+                }
+                container.appendChild(previewContainer);
+            }
+            if (folder.children && folder.children.length > 0) {
+                renderFolderRadios(folder.children, radioName, container, level + 1);
+            }
+        });
+    }
+    // Build popup content
+    const content = document.createElement('div');
+    content.className = 'pin-popup-content';
+    content.innerHTML = `<h3>${t`Pin or folder chat`}</h3>`;
+    // Chat preview for the chat being pinned
+    const previewContainer = document.createElement('div');
+    previewContainer.className = 'pin-popup-chat-preview';
+    previewContainer.style.margin = '8px 0 12px 0';
+    // Build the preview using .tabItem-singleline style
+    const tabItem = document.createElement('div');
+    tabItem.classList.add('tabItem', 'tabItem-singleline');
+    tabItem.style.display = 'flex';
+    tabItem.style.flexDirection = 'row';
+    tabItem.style.alignItems = 'center';
+    tabItem.style.gap = '10px';
+    tabItem.style.marginBottom = '2px';
+
+    // Character/Group image (character = img, group = div)
+    // Check if this is a group chat
+    const isGroup = chat.isGroup || false;
+    let previewImg;
+    if (isGroup) {
+        previewImg = document.createElement('div');
+        previewImg.className = 'tabItem-previewImg group-preview';
+
+        const group = groups.find(g => g.id === chat.characterId);
+        if (group) {
+            let result = getGroupAvatar(group);
+            if (result && result.length > 0) {
+                const groupElement = result[0];
+                groupElement.style.width = '100%';
+                groupElement.style.height = '100%';
+                groupElement.style.minWidth = 'unset';
+                previewImg.appendChild(groupElement);
+            }
+        }
+    } else {
+        previewImg = document.createElement('img');
+        previewImg.className = 'tabItem-previewImg';
+        previewImg.src = typeof getThumbnailUrl === 'function' ? getThumbnailUrl('avatar', chat.avatar) : (chat.avatar || '');
+        previewImg.alt = chat.character || '';
+    }
+
+    const nameRow = document.createElement('div');
+    nameRow.className = 'tabItem-nameRow';
+    nameRow.textContent = `${chat.character}: ${chat.file_name}`;
+    tabItem.appendChild(previewImg);
+    tabItem.appendChild(nameRow);
+    previewContainer.appendChild(tabItem);
+    content.appendChild(previewContainer);
+
+    // Separator between chat preview and pinned chats
+    const separatorPreviewToPinned = document.createElement('hr');
+    separatorPreviewToPinned.style.margin = '8px 0';
+    content.appendChild(separatorPreviewToPinned);
+
+    const radioGroup = document.createElement('div');
+    radioGroup.className = 'chatplus_radio_group';
+    const radioName = 'pin-folder-radio';
+    // Option for pinned
+    const pinnedLabel = document.createElement('label');
+    pinnedLabel.style.display = 'flex';
+    pinnedLabel.style.alignItems = 'center';
+    const pinnedRadio = document.createElement('input');
+    pinnedRadio.type = 'radio';
+    pinnedRadio.name = radioName;
+    pinnedRadio.value = 'pinned';
+    pinnedRadio.checked = true;
+    pinnedLabel.appendChild(pinnedRadio);
+    pinnedLabel.appendChild(document.createTextNode(' 📌 ' + t`Pinned section`));
+    radioGroup.appendChild(pinnedLabel);
+    // Preview pinned chats 
+    const pinnedChats = getPinnedChats();
+    if (pinnedChats.length > 0) {
+        const pinnedPreviewContainer = document.createElement('div');
+        pinnedPreviewContainer.className = 'pinned-preview-chats';
+        pinnedPreviewContainer.style.marginLeft = '32px';
+        pinnedPreviewContainer.style.marginBottom = '4px';
+        pinnedChats.forEach(chatRef => {
+            const resolved = resolveChatRef(chatRef);
+            const isGroup = resolved ? resolved.isGroup : false;
+            const chat = resolved || {
+                character: chatRef.owner,
+                avatar: '',
+                file_name: chatRef.file_name,
+                characterId: chatRef.owner,
+                isGroup: false
+            };
+            const tabItem = document.createElement('div');
+            tabItem.classList.add('tabItem', 'tabItem-singleline');
+            tabItem.style.display = 'flex';
+            tabItem.style.flexDirection = 'row';
+            tabItem.style.alignItems = 'center';
+            tabItem.style.gap = '10px';
+            tabItem.style.marginBottom = '2px';
+
+            // Character/Group image (character = img, group = div)
+            let previewImg;
+            if (isGroup) {
+                previewImg = document.createElement('div');
+                previewImg.className = 'tabItem-previewImg group-preview';
+
+                const group = groups.find(g => g.id === chat.characterId);
+                if (group) {
+                    let result = getGroupAvatar(group);
+                    if (result && result.length > 0) {
+                        const groupElement = result[0];
+                        groupElement.style.width = '100%';
+                        groupElement.style.height = '100%';
+                        groupElement.style.minWidth = 'unset';
+                        previewImg.appendChild(groupElement);
+                    }
+                }
+            } else {
+                previewImg = document.createElement('img');
+                previewImg.className = 'tabItem-previewImg';
+                previewImg.src = typeof getThumbnailUrl === 'function' ? getThumbnailUrl('avatar', chat.avatar) : (chat.avatar || '');
+                previewImg.alt = chat.character || '';
+            }
+
+            const nameRow = document.createElement('div');
+            nameRow.className = 'tabItem-nameRow';
+            nameRow.textContent = `${chat.character}: ${chat.file_name}`;
+            const indexedChat = indexedChatsByKey.get(chatRef.owner + ':' + chatRef.file_name);
+            if (indexedChat && indexedChat.stat && indexedChat.stat.mes) nameRow.title = indexedChat.stat.mes;
+            tabItem.appendChild(previewImg);
+            tabItem.appendChild(nameRow);
+            pinnedPreviewContainer.appendChild(tabItem);
+        });
+        radioGroup.appendChild(pinnedPreviewContainer);
+    }
+
+    // Separator between pinned and folders
+    const separatorPinnedToFolders = document.createElement('hr');
+    separatorPinnedToFolders.style.margin = '8px 0';
+    radioGroup.appendChild(separatorPinnedToFolders);
+
+    // Render folder radios as tree, with previews
+    const folderTree = buildFolderTree(folders);
+    renderFolderRadios(folderTree, radioName, radioGroup, 0);
+    content.appendChild(radioGroup);
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+        cancelButton: t`Cancel`,
+        wide: true,
+        large: true,
+    });
+    const popupResult = await popup.show();
+    if (popupResult === POPUP_RESULT.CANCELLED || popupResult === 0) return null; // Popup cancelled by the user
+
+    const selectedRadio = content.querySelector('input[type="radio"]:checked');
+    const result = selectedRadio && selectedRadio.value ? selectedRadio.value : null;
+    return result || null;
+}
+
+// =========================
+// 3.1. Search Query Language
+// =========================
+// Filter syntax: plain words match the character name, file name or last message,
+// field operators narrow down (char:, group:, folder:, pinned:, archived:, before:, after:, messages:),
+// "quoted phrases" keep spaces, -term or NOT negates, terms combine with AND (implicit) and OR,
+// and parentheses group.
+const QUERY_FIELDS = {
+    char: t`Character name`,
+    group: t`Group name`,
+    folder: t`Folder name or path, "none" or "any"`,
+    pinned: t`yes or no`,
+    archived: t`yes or no, archived chats are only listed when this is used`,
+    before: t`Last message before a date (YYYY-MM-DD, today, 7d, 2w, 3m, 1y)`,
+    after: t`Last message on or after a date (YYYY-MM-DD, today, 7d, 2w, 3m, 1y)`,
+    messages: t`Message count, e.g. >100, <=5, 20`,
+};
+const compilingSmartFolderIds = new Set(); // Smart folders whose query is being compiled
+
+/**
+ * Create an error pointing at a position of the query, shown next to the filter input.
+ * @param {string} message - Readable error message.
+ * @param {number} position - Character offset in the query.
+ * @returns {Error} The error, with a position property.
+ */
+function createQueryError(message, position) {
+    const error = new Error(message);
+    error.position = position;
+    return error;
+}
+
+/**
+ * Split a query into tokens: parentheses, operators and terms.
+ * @param {string} query - Query text.
+ * @returns {Array<Object>} Tokens with their type and position.
+ */
+function tokenizeChatQuery(query) {
+    const tokens = [];
+    let i = 0;
+    while (i < query.length) {
+        const ch = query[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch, position: i });
+            i++;
+            continue;
+        }
+        if (ch === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+            tokens.push({ type: 'not', position: i });
+            i++;
+            continue;
+        }
+        const start = i;
+        while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+        let word = query.slice(start, i);
+        let quoted = false;
+        if (query[i] === '"' && (word === '' || word.endsWith(':'))) {
+            const end = query.indexOf('"', i + 1);
+            if (end === -1) throw createQueryError(t`Missing closing quote`, i);
+            word += query.slice(i + 1, end);
+            quoted = true;
+            i = end + 1;
+        } else if (word === '') {
+            // A stray quote inside a word, skip it
+            i++;
+            continue;
+        }
+        const upper = word.toUpperCase();
+        if (!quoted && (upper === 'AND' || upper === 'OR' || upper === 'NOT')) {
+            tokens.push({ type: upper.toLowerCase(), position: start });
+            continue;
+        }
+        const fieldMatch = /^([a-z]+):([\s\S]*)$/i.exec(word);
+        if (fieldMatch && !(quoted && query[start] === '"')) {
+            const field = fieldMatch[1].toLowerCase();
+            if (!(field in QUERY_FIELDS)) {
+                throw createQueryError(t`Unknown operator` + ` "${field}:". ` + t`Available:` + ' ' + Object.keys(QUERY_FIELDS).map(f => f + ':').join(' '), start);
+            }
+            if (!fieldMatch[2]) throw createQueryError(t`Missing value after` + ` "${field}:"`, start);
+            tokens.push({ type: 'term', field, value: fieldMatch[2], position: start });
+        } else {
+            tokens.push({ type: 'term', field: null, value: word, position: start });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parse a relative (7d, 2w, 3m, 1y), named (today, yesterday) or absolute (YYYY-MM-DD) date.
+ * @param {string} value - Date text.
+ * @returns {Date|null} Start of the day, or null if the text is not a date.
+ */
+function parseQueryDate(value) {
+    const lower = value.toLowerCase();
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (lower === 'today') return today;
+    if (lower === 'yesterday') return new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+    const relative = /^(\d+)([dwmy])$/.exec(lower);
+    if (relative) {
+        const amount = Number(relative[1]);
+        const date = new Date(today);
+        if (relative[2] === 'd') date.setDate(date.getDate() - amount);
+        if (relative[2] === 'w') date.setDate(date.getDate() - amount * 7);
+        if (relative[2] === 'm') date.setMonth(date.getMonth() - amount);
+        if (relative[2] === 'y') date.setFullYear(date.getFullYear() - amount);
+        return date;
+    }
+    const absolute = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(lower);
+    if (absolute) {
+        const [year, month, day] = absolute.slice(1).map(Number);
+        const date = new Date(year, month - 1, day);
+        // Date rolls impossible days over, e.g. 2024-02-31 becomes March 2
+        const isSameDay = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+        return isSameDay ? date : null;
+    }
+    return null;
+}
+
+/**
+ * Get the path of a folder from the root, e.g. "Stories/Horror".
+ * @param {Object} folder - Folder object.
+ * @param {Object} folderMap - Map of folder ID to folder.
+ * @returns {string} The folder path.
+ */
+function getFolderPath(folder, folderMap) {
+    const names = [];
+    const seen = new Set();
+    let current = folder;
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        names.unshift(current.name);
+        current = current.parent ? folderMap[current.parent] : null;
+    }
+    return names.join('/');
+}
+
+/**
+ * Turn a single query term into a predicate on chats, validating its value.
+ * @param {Object} token - Term token.
+ * @returns {Function} Predicate called with a chat.
+ */
+function compileQueryTerm(token) {
+    const value = token.value;
+    const lower = value.toLowerCase();
+    switch (token.field) {
+        case null:
+            return chat => Boolean(
+                (chat.character && chat.character.toLowerCase().includes(lower)) ||
+                (chat.file_name && chat.file_name.toLowerCase().includes(lower)) ||
+                (chat.stat && chat.stat.mes && chat.stat.mes.toLowerCase().includes(lower))
+            );
+        case 'char':
+            return chat => !chat.isGroup && Boolean(chat.character && chat.character.toLowerCase().includes(lower));
+        case 'group':
+            return chat => Boolean(chat.isGroup && chat.character && chat.character.toLowerCase().includes(lower));
+        case 'folder': {
+            if (lower === 'none') return chat => getChatFolderIds(chat).length === 0;
+            if (lower === 'any') return chat => getChatFolderIds(chat).length > 0;
+            // Match the folder by name or path, including everything nested below it
+            const folders = getFolders();
+            const folderMap = Object.fromEntries(folders.map(f => [f.id, f]));
+            const matchedIds = new Set(folders
+                .filter(f => f.name.toLowerCase() === lower || getFolderPath(f, folderMap).toLowerCase() === lower)
+                .map(f => f.id));
+            let added = true;
+            while (added) {
+                added = false;
+                for (const folder of folders) {
+                    if (folder.parent && matchedIds.has(folder.parent) && !matchedIds.has(folder.id)) {
+                        matchedIds.add(folder.id);
+                        added = true;
+                    }
+                }
+            }
+            // Smart folders contribute the chats matching their own query, guarding against folders referencing each other
+            const smartPredicates = [];
+            for (const folder of folders) {
+                if (!matchedIds.has(folder.id) || !isSmartFolder(folder) || compilingSmartFolderIds.has(folder.id)) continue;
+                compilingSmartFolderIds.add(folder.id);
+                try {
+                    smartPredicates.push(compileChatQuery(folder.query));
+                } catch {
+                    // An invalid smart folder matches nothing
+                } finally {
+                    compilingSmartFolderIds.delete(folder.id);
+                }
+            }
+            return chat => getChatFolderIds(chat).some(id => matchedIds.has(id)) || smartPredicates.some(predicate => predicate(chat));
+        }
+        case 'pinned': {
+            if (['yes', 'true', '1'].includes(lower)) return chat => isChatPinned(chat);
+            if (['no', 'false', '0'].includes(lower)) return chat => !isChatPinned(chat);
+            throw createQueryError(t`pinned: expects yes or no`, token.position);
+        }
+        case 'archived': {
+            if (['yes', 'true', '1'].includes(lower)) return chat => isChatArchived(chat);
+            if (['no', 'false', '0'].includes(lower)) return chat => !isChatArchived(chat);
+            throw createQueryError(t`archived: expects yes or no`, token.position);
+        }
+        case 'before':
+        case 'after': {
+            const date = parseQueryDate(value);
+            if (!date) throw createQueryError(`${token.field}: ` + t`expects a date like 2024-05-31, today, 7d, 2w, 3m or 1y`, token.position);
+            return token.field === 'before'
+                ? chat => Boolean(chat.last_mes && chat.last_mes < date)
+                : chat => Boolean(chat.last_mes && chat.last_mes >= date);
+        }
+        case 'messages': {
+            const match = /^(>=|<=|>|<|=)?(\d+)$/.exec(value);
+            if (!match) throw createQueryError(t`messages: expects a number like >100, <=5 or 20`, token.position);
+            const operator = match[1] || '=';
+            const count = Number(match[2]);
+            const compare = {
+                '>': n => n > count,
+                '<': n => n < count,
+                '>=': n => n >= count,
+                '<=': n => n <= count,
+                '=': n => n === count,
+            }[operator];
+            return chat => compare(Number(chat.stat && chat.stat.chat_items) || 0);
+        }
+    }
+    throw createQueryError(t`Unknown operator` + ` "${token.field}:"`, token.position);
+}
+
+/**
+ * Compile a filter query into a predicate on chats.
+ * @param {string} query - Query text.
+ * @returns {Function} Predicate called with a chat, always true for an empty query.
+ * @throws {Error} With a position property if the query is invalid.
+ */
+function compileChatQuery(query) {
+    const tokens = tokenizeChatQuery(query);
+    let pos = 0;
+    const peek = () => tokens[pos];
+
+    function parseOr() {
+        const parts = [parseAnd()];
+        while (peek() && peek().type === 'or') {
+            const orToken = tokens[pos++];
+            if (!peek() || peek().type === ')') throw createQueryError(t`Expected a term after OR`, orToken.position);
+            parts.push(parseAnd());
+        }
+        return parts.length === 1 ? parts[0] : chat => parts.some(part => part(chat));
+    }
+
+    function parseAnd() {
+        const parts = [parseUnary()];
+        while (peek() && peek().type !== 'or' && peek().type !== ')') {
+            if (peek().type === 'and') {
+                const andToken = tokens[pos++];
+                if (!peek() || peek().type === ')' || peek().type === 'or') throw createQueryError(t`Expected a term after AND`, andToken.position);
+            }
+            parts.push(parseUnary());
+        }
+        return parts.length === 1 ? parts[0] : chat => parts.every(part => part(chat));
+    }
+
+    function parseUnary() {
+        const token = tokens[pos++];
+        if (!token) throw createQueryError(t`Unexpected end of query`, query.length);
+        if (token.type === 'not') {
+            if (!peek()) throw createQueryError(t`Expected a term to negate`, token.position);
+            const inner = parseUnary();
+            return chat => !inner(chat);
+        }
+        if (token.type === '(') {
+            const inner = parseOr();
+            const closing = tokens[pos++];
+            if (!closing || closing.type !== ')') throw createQueryError(t`Missing closing parenthesis`, token.position);
+            return inner;
+        }
+        if (token.type === 'term') return compileQueryTerm(token);
+        throw createQueryError(t`Unexpected` + ` "${token.type === ')' ? ')' : token.type.toUpperCase()}"`, token.position);
+    }
+
+    if (tokens.length === 0) return () => true;
+    const predicate = parseOr();
+    if (pos < tokens.length) throw createQueryError(t`Unexpected` + ' ")"', tokens[pos].position);
+    return predicate;
+}
+
+/**
+ * Check whether a query uses a field operator, e.g. to decide if archived chats are listed.
+ * @param {string} query - Query text.
+ * @param {string} field - Field name without the colon.
+ * @returns {boolean} True if any term of the query uses the field.
+ */
+function queryUsesField(query, field) {
+    try {
+        return tokenizeChatQuery(query || '').some(token => token.type === 'term' && token.field === field);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Check a filter query for errors without using it.
+ * @param {string} query - Query text.
+ * @returns {Error|null} The parse error, or null if the query is valid.
+ */
+function validateChatQuery(query) {
+    try {
+        compileChatQuery(query);
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+/**
+ * Get autocomplete suggestions for the query term being typed.
+ * @param {string} term - The term under the caret, e.g. "fol" or "char:Al".
+ * @returns {Array<{label: string, insert: string}>} Suggestions with the text replacing the term.
+ */
+function getChatQuerySuggestions(term) {
+    const quote = (value) => /[\s()]/.test(value) ? `"${value}"` : value;
+    const fieldMatch = /^([a-z]+):"?(.*)$/i.exec(term);
+    if (!fieldMatch) {
+        const lower = term.toLowerCase();
+        if (!lower) return [];
+        return Object.entries(QUERY_FIELDS)
+            .filter(([field]) => field.startsWith(lower) && field !== lower)
+            .map(([field, description]) => ({ label: `${field}: ${description}`, insert: field + ':' }));
+    }
+    const field = fieldMatch[1].toLowerCase();
+    const partial = fieldMatch[2].toLowerCase();
+    let values = [];
+    if (field === 'char') {
+        values = (SillyTavern.getContext().characters || []).map(char => char && char.name).filter(Boolean);
+    } else if (field === 'group') {
+        values = groups.map(group => group.name).filter(Boolean);
+    } else if (field === 'folder') {
+        const folders = getFolders();
+        const folderMap = Object.fromEntries(folders.map(f => [f.id, f]));
+        values = ['none', 'any', ...folders.map(f => getFolderPath(f, folderMap))];
+    } else if (field === 'pinned' || field === 'archived') {
+        values = ['yes', 'no'];
+    } else if (field === 'before' || field === 'after') {
+        values = ['today', 'yesterday', '7d', '30d', '1y'];
+    } else if (field === 'messages') {
+        values = ['>10', '>100', '<5'];
+    }
+    return [...new Set(values)]
+        .filter(value => value.toLowerCase().includes(partial) && value.toLowerCase() !== partial)
+        .sort((a, b) => a.localeCompare(b))
+        .slice(0, 10)
+        .map(value => ({ label: `${field}:${value}`, insert: `${field}:${quote(value)}` }));
+}
+
+/**
+ * Attach query error feedback and autocomplete to a filter input.
+ * @param {HTMLInputElement} input - The filter input.
+ * @param {HTMLElement} wrapper - Positioned wrapper of the input, the suggestion list is added to it.
+ *   The error line is added after the filter row holding the wrapper, so the row must be in the DOM.
+ * @param {Function} isEnabled - Returns false while the input is used for something else, like full-text search.
+ * @returns {{validate: Function}} Call validate() after changing the input value programmatically.
+ */
+function attachChatQueryAssist(input, wrapper, isEnabled) {
+    const errorLine = document.createElement('div');
+    errorLine.className = 'filter-error hidden';
+    wrapper.parentElement.insertAdjacentElement('afterend', errorLine);
+    const list = document.createElement('div');
+    list.className = 'filter-suggestions hidden';
+    wrapper.appendChild(list);
+    let suggestions = [];
+    let activeIdx = 0;
+
+    const getTermBounds = () => {
+        const caret = input.selectionStart ?? input.value.length;
+        const before = input.value.slice(0, caret);
+        // Unbalanced quotes mean the caret is inside a quoted value that may contain spaces
+        const quoteCount = (before.match(/"/g) || []).length;
+        let start = quoteCount % 2 === 1 ? before.lastIndexOf(' ', before.lastIndexOf('"')) + 1 : before.search(/[^\s()]*$/);
+        // A leading minus negates the term and is not part of it
+        while (before[start] === '-') start++;
+        return { start, end: caret, term: before.slice(start) };
+    };
+    const close = () => {
+        list.classList.add('hidden');
+        suggestions = [];
+    };
+    const accept = (suggestion) => {
+        const { start, end } = getTermBounds();
+        const suffix = suggestion.insert.endsWith(':') ? '' : ' ';
+        input.value = input.value.slice(0, start) + suggestion.insert + suffix + input.value.slice(end);
+        const caret = start + suggestion.insert.length + suffix.length;
+        input.setSelectionRange(caret, caret);
+        close();
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+    const render = () => {
+        list.innerHTML = '';
+        suggestions.forEach((suggestion, idx) => {
+            const item = document.createElement('div');
+            item.className = 'filter-suggestion' + (idx === activeIdx ? ' active' : '');
+            item.textContent = suggestion.label;
+            // mousedown instead of click so the input keeps its focus
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                accept(suggestion);
+            });
+            list.appendChild(item);
+        });
+        list.classList.toggle('hidden', suggestions.length === 0);
+    };
+    const validate = () => {
+        const error = isEnabled() ? validateChatQuery(input.value.trim()) : null;
+        input.classList.toggle('filter-input-error', Boolean(error));
+        input.title = error ? error.message : '';
+        errorLine.classList.toggle('hidden', !error);
+        errorLine.textContent = error ? `${error.message} (${t`at character`} ${error.position + 1})` : '';
+    };
+    const update = () => {
+        validate();
+        if (!isEnabled()) return close();
+        suggestions = getChatQuerySuggestions(getTermBounds().term);
+        activeIdx = 0;
+        render();
+    };
+
+    input.addEventListener('input', update);
+    input.addEventListener('click', update);
+    input.addEventListener('blur', close);
+    input.addEventListener('keydown', (e) => {
+        if (suggestions.length === 0) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            activeIdx = (activeIdx + (e.key === 'ArrowDown' ? 1 : -1) + suggestions.length) % suggestions.length;
+            render();
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            accept(suggestions[activeIdx]);
+        } else if (e.key === 'Escape') {
+            close();
+        }
+    });
+    return { validate };
+}
+
+// =========================
+// 3.2. Zip Files
+// =========================
+// Minimal zip reader and writer for chat bundles. Written entries are stored uncompressed,
+// chat files are small and this keeps the extension free of a zip library.
+let crc32Table = null;
+
+/**
+ * Compute the CRC-32 checksum zip entries need.
+ * @param {Uint8Array} bytes - Data.
+ * @returns {number} Unsigned checksum.
+ */
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a zip file from a list of entries.
+ * @param {Array<{name: string, data: string|Uint8Array}>} entries - Entry paths (with / separators) and contents, text is stored as UTF-8.
+ * @returns {Blob} The zip file.
+ */
+function createZip(entries) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts = [];
+    const centralParts = [];
+    let offset = 0;
+    for (const entry of entries) {
+        const name = encoder.encode(entry.name);
+        const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+        const crc = crc32(data);
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true); // Stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local, name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(central, name);
+        offset += 30 + name.length + data.length;
+    }
+    const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...centralParts, end], { type: 'application/zip' });
+}
+
+/**
+ * Read the files of a zip. Stored and deflated entries are supported, which covers zips
+ * made by createZip and by common zip tools.
+ * @param {Blob} blob - Zip file.
+ * @returns {Promise<Array<{name: string, data: Uint8Array}>>} Files, directories left out.
+ * @throws {Error} If the file is not a zip or uses an unsupported compression.
+ */
+async function readZip(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) throw new Error(t`Not a zip file.`);
+    const count = view.getUint16(end + 10, true);
+    let pos = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const files = [];
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(pos, true) !== 0x02014B50) throw new Error(t`The zip file is damaged.`);
+        const method = view.getUint16(pos + 10, true);
+        const compressedSize = view.getUint32(pos + 20, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        const localOffset = view.getUint32(pos + 42, true);
+        const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+        pos += 46 + nameLength + extraLength + commentLength;
+        if (name.endsWith('/')) continue;
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            files.push({ name, data: compressed });
+        } else if (method === 8) {
+            const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            files.push({ name, data: new Uint8Array(await new Response(stream).arrayBuffer()) });
+        } else {
+            throw new Error(t`Unsupported zip compression in` + ` ${name}.`);
+        }
+    }
+    return files;
+}
+
+// =========================
+// 4. Chat Data Fetching
+// =========================
+/**
+ * Fetch the list of chat file names for a character by avatar.
+ * @param {string} avatar - Avatar URL or identifier.
+ * @returns {Promise<string[]|null>} List of chat file names, or null if the request failed.
+ */
+async function getListOfCharacterChats(avatar) {
+    try {
+        const result = await fetch('/api/characters/chats', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ avatar_url: avatar, simple: true }),
+        });
+        if (!result.ok) return null;
+        const data = await result.json();
+        if (!Array.isArray(data)) {
+            console.warn('Skipping character chats: data is not an array', data);
+            return null;
+        }
+        return data.map(x => String(x.file_name).replace('.jsonl', ''));
+    } catch (error) {
+        console.warn('Failed to get list of character chats, skipping', error);
+        return null;
+    }
+}
+
+/**
+ * Get the list of chat files for the current chat context (group or character).
+ * @returns {Promise<Array>} List of chat files.
+ */
+async function getChatFiles() {
+    const context = SillyTavern.getContext();
+    const chatId = getCurrentChatId();
+    if (!chatId) return [];
+    if (context.groupId) return await getGroupPastChats(context.groupId);
+    if (context.characterId !== undefined) return await getPastCharacterChats(context.characterId);
+    return [];
+}
+
+/**
+ * Get the chat that is currently open in SillyTavern.
+ * @returns {Object|null} Chat object, or null if no chat is open.
+ */
+function getCurrentChat() {
+    const context = SillyTavern.getContext();
+    const chatId = getCurrentChatId && getCurrentChatId();
+    if (!chatId) return null;
+    const charId = context.characterId;
+    const groupId = context.groupId;
+
+    // Check if we're in a group chat
+    if (groupId && groups) {
+        const group = groups.find(g => g.id === groupId);
+        if (!group) return null;
+        return {
+            character: group.name || `Group ${groupId}`,
+            avatar: group.avatar || '',
+            file_name: chatId,
+            characterId: groupId,
+            isGroup: true
+        };
+    }
+    if (context.characters && charId !== undefined && context.characters[charId]) {
+        const char = context.characters[charId];
+        return {
+            character: char.name || charId,
+            avatar: char.avatar,
+            file_name: chatId,
+            characterId: String(charId),
+            isGroup: false
+        };
+    }
+    return null;
+}
+
+/**
+ * Open a chat by its ID, switching to the appropriate group or character chat.
+ * @param {string} chatId - The chat file name or ID.
+ * @param {boolean} isGroup - Whether this is a group chat.
+ * @param {string|null} groupId - The group ID if this is a group chat.
+ */
+async function openChatById(chatId, isGroup = false, groupId = null) {
+    const context = SillyTavern.getContext();
+    if (!chatId) return;
+
+    if (isGroup && groupId && typeof openGroupChat === 'function') {
+        await openGroupChat(groupId, chatId);
+    } else if (context.groupId && typeof openGroupChat === 'function') {
+        await openGroupChat(context.groupId, chatId);
+    } else if (context.characterId !== undefined && typeof openCharacterChat === 'function') {
+        await openCharacterChat(chatId);
+    }
+    // Call the window["chatsPlusRenderSelectedChat"] to update the "Currently Selected Chats"
+    window['chatsPlusRenderSelectedChat'](chatId);
+    return;
+}
+
+// =========================
+// 4.1. Renamed Chat Reconciliation
+// =========================
+// Minimum score for a candidate to be re-linked without asking (see scoreRenameCandidate)
+const AUTO_RELINK_MIN_SCORE = 5;
+let isReconcilePopupOpen = false;
+const postponedStaleChatKeys = new Set(); // Stale keys of a cancelled review, offered again next session
+
+/**
+ * Remember stale chat keys the user chose to leave alone, so they are not offered again.
+ * @param {Array<string>} keys - Stale chat keys.
+ */
+function dismissStaleChatKeys(keys) {
+    if (keys.length === 0) return;
+    const settings = getSettings();
+    if (!settings.dismissedStaleChats) settings.dismissedStaleChats = {};
+    keys.forEach(key => settings.dismissedStaleChats[key] = Date.now());
+    saveSettingsDebounced();
+}
+
+/**
+ * Build a fingerprint of a chat from its stats, used to recognize it after a rename.
+ * @param {Object} stat - Chat stats from getPastCharacterChats/getGroupPastChats.
+ * @returns {Object|null} Fingerprint object, or null if no stats are available.
+ */
+function getChatFingerprint(stat) {
+    if (!stat || typeof stat !== 'object') return null;
+    return {
+        chat_items: Number(stat.chat_items) || 0,
+        file_size: stat.file_size ?? null,
+        last_mes: stat.last_mes ?? null,
+        mes: typeof stat.mes === 'string' ? stat.mes : '',
+    };
+}
+
+/**
+ * Score how likely a chat is to be the renamed version of a stored chat.
+ * The last message and message count weigh the most, a rename leaves both untouched.
+ * @param {Object|null} fingerprint - Fingerprint recorded for the stored chat.
+ * @param {Object|null} candidate - Fingerprint of the candidate chat.
+ * @returns {number} Score, higher is a better match.
+ */
+function scoreRenameCandidate(fingerprint, candidate) {
+    if (!fingerprint || !candidate) return 0;
+    let score = 0;
+    if (fingerprint.mes && candidate.mes === fingerprint.mes) score += 3;
+    if (candidate.chat_items === fingerprint.chat_items) score += 2;
+    else if (candidate.chat_items > fingerprint.chat_items) score += 1; // Chat continued after the rename
+    if (fingerprint.last_mes && String(candidate.last_mes) === String(fingerprint.last_mes)) score += 2;
+    if (fingerprint.file_size && candidate.file_size === fingerprint.file_size) score += 1;
+    return score;
+}
+
+/**
+ * Get all chat keys referenced by pins or folder assignments.
+ * @returns {Set<string>} Set of chat keys.
+ */
+function getReferencedChatKeys() {
+    const keys = new Set(Object.keys(getChatFoldersMap()));
+    for (const p of getPinnedChats()) keys.add(p.owner + ':' + p.file_name);
+    for (const key of Object.keys(getArchivedChatsMap())) keys.add(key);
+    return keys;
+}
+
+/**
+ * Move every reference (pin, folder assignment, fingerprint) of a chat to a new file name.
+ * @param {string} oldKey - Stale chat key.
+ * @param {string} newFileName - File name the chat was renamed to.
+ */
+function relinkChatKey(oldKey, newFileName) {
+    const ref = parseChatKey(oldKey);
+    const resolved = resolveChatRef(ref);
+    if (!resolved) return;
+    handleChatRename(resolved, newFileName);
+}
+
+/**
+ * Detect pins and folder assignments pointing to chat files that no longer exist,
+ * and re-link them to the chat they were most likely renamed to.
+ * Confident matches are re-linked right away if enabled, the rest are offered in a review popup.
+ * Also records fingerprints of all referenced chats for later runs.
+ * @param {Array} allChats - All known chats, with their stat attached.
+ */
+function reconcileRenamedChats(allChats) {
+    const settings = getSettings();
+    if (!settings.chatFingerprints) settings.chatFingerprints = {};
+    const fingerprints = settings.chatFingerprints;
+    if (!settings.dismissedStaleChats) settings.dismissedStaleChats = {};
+    const dismissed = settings.dismissedStaleChats;
+    const referencedKeys = getReferencedChatKeys();
+
+    // Index the known chats by key and by owner
+    const chatsByKey = new Map();
+    const chatsByOwner = new Map();
+    for (const chat of allChats) {
+        const key = getChatKey(chat);
+        chatsByKey.set(key, chat);
+        const owner = getChatOwnerKey(chat);
+        if (!chatsByOwner.has(owner)) chatsByOwner.set(owner, []);
+        chatsByOwner.get(owner).push(chat);
+    }
+
+    let changed = false;
+    const staleKeys = [];
+    for (const key of referencedKeys) {
+        const chat = chatsByKey.get(key);
+        if (chat) {
+            const fingerprint = getChatFingerprint(chat.stat);
+            if (fingerprint && JSON.stringify(fingerprint) !== JSON.stringify(fingerprints[key])) {
+                fingerprints[key] = fingerprint;
+                changed = true;
+            }
+        } else if (chatsByOwner.has(parseChatKey(key).owner) && !dismissed[key] && !postponedStaleChatKeys.has(key)) {
+            // Only owners with a known chat list can be judged, deleted characters are handled elsewhere
+            staleKeys.push(key);
+        }
+    }
+    // Drop fingerprints of chats that are no longer referenced
+    for (const key of Object.keys(fingerprints)) {
+        if (!referencedKeys.has(key)) {
+            delete fingerprints[key];
+            changed = true;
+        }
+    }
+    // Drop dismissals of chats that are no longer referenced or exist again
+    for (const key of Object.keys(dismissed)) {
+        if (!referencedKeys.has(key) || chatsByKey.has(key)) {
+            delete dismissed[key];
+            changed = true;
+        }
+    }
+    if (changed) saveSettingsDebounced();
+    if (staleKeys.length === 0) return;
+
+    const autoRelink = settings.autoRelinkRenamedChats ?? true;
+    const toReview = [];
+    let relinkedCount = 0;
+    for (const key of staleKeys) {
+        const owner = parseChatKey(key).owner;
+        // Candidates are chats of the same owner that nothing references yet and that match the
+        // fingerprint at all, a key without fingerprint has none and is left alone
+        const candidates = chatsByOwner.get(owner)
+            .filter(chat => !referencedKeys.has(getChatKey(chat)))
+            .map(chat => ({ chat, score: scoreRenameCandidate(fingerprints[key], getChatFingerprint(chat.stat)) }))
+            .filter(candidate => candidate.score > 0)
+            .sort((a, b) => b.score - a.score || (b.chat.last_mes || 0) - (a.chat.last_mes || 0));
+        if (candidates.length === 0) continue;
+        const [best, second] = candidates;
+        const isConfident = best.score >= AUTO_RELINK_MIN_SCORE && (!second || second.score < best.score);
+        if (autoRelink && isConfident) {
+            relinkChatKey(key, best.chat.file_name);
+            referencedKeys.add(getChatKey(best.chat));
+            relinkedCount++;
+        } else {
+            toReview.push({ key, candidates });
+        }
+    }
+
+    if (relinkedCount > 0) {
+        console.log(`ChatsPlus: Re-linked ${relinkedCount} renamed chats`);
+        if (typeof refreshFoldersTab === 'function') setTimeout(() => refreshFoldersTab(), 100);
+    }
+    if (toReview.length > 0 && !isReconcilePopupOpen) {
+        // Not awaited so that loading the chat list is not blocked by the popup
+        showReconcileRenamedChatsPopup(toReview);
+    }
+}
+
+/**
+ * Show a popup to review stale chat references and pick the chat each one was renamed to.
+ * @param {Array<{key: string, candidates: Array}>} items - Stale keys with their ranked candidates.
+ */
+async function showReconcileRenamedChatsPopup(items) {
+    isReconcilePopupOpen = true;
+    try {
+        const content = document.createElement('div');
+        content.innerHTML = `<h3>${t`Chats renamed outside ChatsPlus`}</h3><p>${t`These pinned or foldered chats no longer exist under their old name. Select the chat each one was renamed to, chats left as is are not asked about again.`}</p>`;
+        const list = document.createElement('div');
+        list.className = 'reconcile-list';
+        const selects = [];
+        for (const item of items) {
+            const ref = parseChatKey(item.key);
+            const resolved = resolveChatRef(ref);
+            const row = document.createElement('div');
+            row.className = 'reconcile-row';
+            const label = document.createElement('div');
+            label.className = 'tabItem-nameRow';
+            label.textContent = `${resolved ? resolved.character : ref.owner}: ${ref.file_name}`;
+            const select = document.createElement('select');
+            select.className = 'text_pole';
+            const keepOption = document.createElement('option');
+            keepOption.value = '';
+            keepOption.textContent = t`Leave as is`;
+            select.appendChild(keepOption);
+            for (const candidate of item.candidates) {
+                const option = document.createElement('option');
+                option.value = candidate.chat.file_name;
+                option.textContent = candidate.chat.stat && candidate.chat.stat.mes
+                    ? `${candidate.chat.file_name} (${candidate.chat.stat.mes.slice(0, 40)})`
+                    : candidate.chat.file_name;
+                select.appendChild(option);
+            }
+            select.value = item.candidates[0].chat.file_name;
+            row.appendChild(label);
+            row.appendChild(select);
+            list.appendChild(row);
+            selects.push({ key: item.key, select });
+        }
+        content.appendChild(list);
+        const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+            okButton: t`Re-link`,
+            cancelButton: t`Not now`,
+            wide: true,
+        });
+        const result = await popup.show();
+        if (result !== POPUP_RESULT.AFFIRMATIVE) {
+            // Only rows confirmed as "Leave as is" are dismissed for good
+            selects.forEach(({ key }) => postponedStaleChatKeys.add(key));
+            return;
+        }
+        const usedFileNames = new Set();
+        const dismissedKeys = [];
+        for (const { key, select } of selects) {
+            const owner = parseChatKey(key).owner;
+            // The same chat cannot be the target of two stale references
+            if (!select.value || usedFileNames.has(owner + ':' + select.value)) {
+                dismissedKeys.push(key);
+                continue;
+            }
+            usedFileNames.add(owner + ':' + select.value);
+            relinkChatKey(key, select.value);
+        }
+        dismissStaleChatKeys(dismissedKeys);
+        if (typeof populateAllChatsTab === 'function') await populateAllChatsTab();
+        if (typeof refreshFoldersTab === 'function') await refreshFoldersTab();
+    } finally {
+        isReconcilePopupOpen = false;
+    }
+}
+
+// =========================
+// 4.2. Local Database
+// =========================
+const DB_NAME = 'ChatsPlus';
+// Bump DB_VERSION whenever a store is added to DB_STORES
+const DB_VERSION = 4;
+const DB_STORES = {
+    chatIndex: { keyPath: 'owner' },
+    searchDocs: { keyPath: 'key' },
+    snapshots: { keyPath: 'id', autoIncrement: true },
+    trash: { keyPath: 'id', autoIncrement: true },
+};
+let dbPromise = null;
+
+/**
+ * Open the ChatsPlus IndexedDB database, creating missing object stores.
+ * @returns {Promise<IDBDatabase>} The database connection.
+ */
+function openChatsPlusDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const [name, options] of Object.entries(DB_STORES)) {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, options);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version opened in another tab upgrade, the next read reopens the database
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            // An older version is still open in another tab, callers fall back to the server
+            request.onblocked = () => reject(new Error('The ChatsPlus database is blocked by another tab'));
+        }).catch(error => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run a callback inside an IndexedDB transaction and wait for it to complete.
+ * @param {string} storeName - Object store name.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {Function} callback - Called with the object store, may return an IDBRequest whose result is returned.
+ * @returns {Promise<any>} Result of the returned request, if any.
+ */
+async function runDbTransaction(storeName, mode, callback) {
+    const db = await openChatsPlusDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = callback(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// =========================
+// 4.3. Chat Index
+// =========================
+// Shared list of all character and group chats with their stats, read by every tab and popup.
+// Each owner's chats are persisted in IndexedDB so the index is available instantly on startup.
+let chatIndexData = null;
+let chatIndexPromise = null;
+let chatIndexGeneration = 0; // Bumped on invalidation so stale builds are discarded
+let isPersistedChatIndexLoaded = false;
+let skipChatIndexCache = false; // Set by a full reload, the next build refetches every owner
+const chatIndexForcedOwners = new Set(); // Owners to refetch on the next build
+const chatIndexSubscribers = new Set();
+
+/**
+ * Get a signature of a character's chats that changes when a chat gets new messages.
+ * @param {Object} char - Character object.
+ * @returns {string} The signature.
+ */
+function getCharacterChatSignature(char) {
+    return `${char.date_last_chat ?? ''}|${char.chat_size ?? ''}`;
+}
+
+/**
+ * Get a signature of a group's chats that changes when a chat is added, removed or gets new messages.
+ * @param {Object} group - Group object from /api/groups/all.
+ * @returns {string} The signature.
+ */
+function getGroupChatSignature(group) {
+    return `${group.date_last_chat ?? ''}|${group.chat_size ?? ''}|${(group.chats || []).join('|')}`;
+}
+
+/**
+ * Check whether a cached owner record can be reused as is.
+ * @param {Object|undefined} cached - Cached record.
+ * @param {string} signature - Current signature.
+ * @param {string[]} fileNames - Current chat file names.
+ * @returns {boolean} True if nothing changed.
+ */
+function isChatIndexRecordFresh(cached, signature, fileNames) {
+    if (!cached || cached.signature !== signature) return false;
+    if (cached.chats.length !== fileNames.length) return false;
+    const cachedNames = new Set(cached.chats.map(c => c.file_name));
+    return fileNames.every(name => cachedNames.has(name));
+}
+
+/**
+ * Read the persisted chat index records.
+ * @returns {Promise<Map<string, Object>>} Map of owner to record.
+ */
+async function loadChatIndexRecords() {
+    try {
+        const records = await runDbTransaction('chatIndex', 'readonly', store => store.getAll());
+        return new Map((records || []).map(record => [record.owner, record]));
+    } catch (error) {
+        console.warn('ChatsPlus: Failed to read the persisted chat index', error);
+        return new Map();
+    }
+}
+
+/**
+ * Replace the persisted chat index records.
+ * @param {Array} records - Owner records to store.
+ */
+async function saveChatIndexRecords(records) {
+    try {
+        await runDbTransaction('chatIndex', 'readwrite', store => {
+            store.clear();
+            for (const record of records) store.put(record);
+        });
+    } catch (error) {
+        console.warn('ChatsPlus: Failed to persist the chat index', error);
+    }
+}
+
+/**
+ * Turn owner records into the chat index, attaching the current character and group info.
+ * Records whose owner no longer exists are skipped.
+ * @param {Array} records - Owner records ({ owner, isGroup, signature, chats: [{ file_name, stat }] }).
+ * @param {Array} groupList - Group objects.
+ * @returns {Object} The index: { chats, chatStatsMap, groupsMap }.
+ */
+function chatIndexFromRecords(records, groupList) {
+    const characters = SillyTavern.getContext().characters || [];
+    const charIdByAvatar = new Map(characters.map((char, charId) => [char && char.avatar, String(charId)]));
+    const groupsMap = Object.fromEntries(groupList.map(group => [group.id, group]));
+    const chats = [];
+    const chatStatsMap = {};
+    for (const record of records) {
+        let owner;
+        if (record.isGroup) {
+            const group = groupsMap[record.owner];
+            if (!group) continue;
+            owner = {
+                character: group.name || `Group ${group.id}`,
+                avatar: group.avatar || '', // Groups might have avatars
+                characterId: group.id,
+                isGroup: true,
+                groupMembers: group.members || [] // Store group member info
+            };
+        } else {
+            const charId = charIdByAvatar.get(record.owner);
+            if (charId === undefined) continue;
+            const char = characters[charId];
+            owner = {
+                character: char.name || charId,
+                avatar: char.avatar,
+                characterId: charId,
+                isGroup: false
+            };
+        }
+        for (const { file_name, stat } of record.chats) {
+            if (stat) chatStatsMap[owner.characterId + ':' + file_name] = stat;
+            let lastMesDate = null;
+            if (stat && stat.last_mes) {
+                // Use timestampToMoment (dayjs wrapper) for robust parsing
+                const momentObj = timestampToMoment(stat.last_mes);
+                if (momentObj && momentObj.isValid()) {
+                    lastMesDate = momentObj.toDate();
+                }
+            }
+            chats.push({ ...owner, file_name, stat, last_mes: lastMesDate });
+        }
+    }
+    return { chats, chatStatsMap, groupsMap };
+}
+
+/**
+ * Fetch the chat stats of a character, keyed by file name.
+ * @param {string} charId - Character ID.
+ * @returns {Promise<Object|null>} Map of file name to stat, or null if the request failed.
+ */
+async function fetchCharacterChatStats(charId) {
+    try {
+        const statsList = await getPastCharacterChats(charId);
+        return Object.fromEntries(statsList.map(stat => [String(stat.file_name).replace('.jsonl', ''), stat]));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Fetch the chat stats of a group, keyed by file name.
+ * @param {string} groupId - Group ID.
+ * @returns {Promise<Object|null>} Map of file name to stat, or null if the request failed.
+ */
+async function fetchGroupChatStats(groupId) {
+    try {
+        const statsList = await getGroupPastChats(groupId);
+        return Object.fromEntries(statsList.map(stat => {
+            const fileName = typeof stat === 'string' ? stat.replace('.jsonl', '') : String(stat.file_name || stat).replace('.jsonl', '');
+            return [fileName, typeof stat === 'string' ? undefined : stat];
+        }));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Fetch all character and group chats with their stats.
+ * Characters whose signature did not change since the persisted index was saved are reused without
+ * any request, the others get their chat list and stats refetched.
+ * Group chat lists come with the groups, their stats are only refetched when the list or signature changed.
+ * @param {Object} [options] - Build options.
+ * @param {Set<string>} [options.forcedOwners] - Owners whose stats are refetched regardless.
+ * @param {boolean} [options.skipCache] - Refetch everything, ignoring the persisted index.
+ * @returns {Promise<Object>} The index: { chats, chatStatsMap, groupsMap }.
+ */
+async function buildChatIndex({ forcedOwners = new Set(), skipCache = false } = {}) {
+    const context = SillyTavern.getContext();
+    const characters = context.characters || {};
+    const cachedRecords = skipCache ? new Map() : await loadChatIndexRecords();
+    // Failed fetches get no signature, so they are retried on the next build
+    const toRecord = (owner, isGroup, signature, fileNames, statsByName) => ({
+        owner,
+        isGroup,
+        signature: statsByName ? signature : null,
+        chats: fileNames.map(file_name => ({ file_name, stat: statsByName ? statsByName[file_name] : undefined })),
+    });
+
+    // 1. Characters: fetch chat lists and stats in parallel, only where the signature changed
+    const characterRecordPromises = Object.entries(characters).map(async ([charId, char]) => {
+        if (!char || !char.avatar) return null;
+        const signature = getCharacterChatSignature(char);
+        const cached = cachedRecords.get(char.avatar);
+        if (!forcedOwners.has(char.avatar) && cached && cached.signature === signature) return cached;
+        const chatList = await getListOfCharacterChats(char.avatar);
+        // A failed list keeps the previous chats, or is recorded without signature, so it is fetched again
+        if (!chatList) return cached || toRecord(char.avatar, false, signature, [], null);
+        const fileNames = chatList.filter(chatName => typeof chatName === 'string' && chatName);
+        const statsByName = await fetchCharacterChatStats(charId);
+        return toRecord(char.avatar, false, signature, fileNames, statsByName);
+    });
+
+    // 2. Groups: the group list carries the chat names, stats only where something changed
+    let groupList = [];
+    let groupRecords = [];
+    try {
+        const groupsResponse = await fetch('/api/groups/all', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+        if (groupsResponse.ok) {
+            groupList = await groupsResponse.json();
+            groupRecords = await Promise.all(groupList.map(async (group) => {
+                const owner = String(group.id);
+                const fileNames = (group.chats || []).map(chat => String(chat).replace('.jsonl', ''));
+                const signature = getGroupChatSignature(group);
+                const cached = cachedRecords.get(owner);
+                if (!forcedOwners.has(owner) && isChatIndexRecordFresh(cached, signature, fileNames)) return cached;
+                const statsByName = await fetchGroupChatStats(group.id);
+                return toRecord(owner, true, signature, fileNames, statsByName);
+            }));
+        }
+    } catch (e) {
+        console.warn('Failed to load group chats:', e);
+    }
+
+    const characterRecords = (await Promise.all(characterRecordPromises)).filter(Boolean);
+    const records = [...characterRecords, ...groupRecords];
+    await saveChatIndexRecords(records);
+    return chatIndexFromRecords(records, groupList);
+}
+
+/**
+ * Read the persisted chat index without any server request.
+ * @returns {Promise<Object|null>} The index, or null if nothing usable is persisted.
+ */
+async function loadPersistedChatIndex() {
+    const characters = SillyTavern.getContext().characters || [];
+    // Owners can only be resolved once characters or groups are loaded
+    if (characters.length === 0 && groups.length === 0) return null;
+    isPersistedChatIndexLoaded = true;
+    const records = await loadChatIndexRecords();
+    if (records.size === 0) return null;
+    return chatIndexFromRecords([...records.values()], groups);
+}
+
+/**
+ * Store a new index and let everyone know about it.
+ * @param {Object} data - The new index.
+ * @param {boolean} [isFresh] - False for the persisted index, which is too old to judge renamed chats.
+ */
+function applyChatIndex(data, isFresh = true) {
+    chatIndexData = data;
+    if (isFresh) reconcileRenamedChats(data.chats);
+    notifyChatIndexSubscribers(data);
+    emitApiEvent(API_EVENTS.INDEX_REFRESH, { chatCount: data.chats.length, fresh: isFresh });
+}
+
+/**
+ * Build the chat index with the pending invalidation options, discarding the result
+ * if the index was invalidated again in the meantime.
+ * @returns {Promise<Object|null>} The index, or null if it was discarded.
+ */
+async function runChatIndexBuild() {
+    const generation = chatIndexGeneration;
+    const forcedOwners = new Set(chatIndexForcedOwners);
+    const skipCache = skipChatIndexCache;
+    const data = await buildChatIndex({ forcedOwners, skipCache });
+    if (generation !== chatIndexGeneration) return null;
+    forcedOwners.forEach(owner => chatIndexForcedOwners.delete(owner));
+    if (skipCache) skipChatIndexCache = false;
+    applyChatIndex(data);
+    return data;
+}
+
+/**
+ * Get the chat index, building it if it is missing or was invalidated.
+ * On the first read of a session the persisted index is returned right away
+ * and revalidated in the background. Concurrent callers share the same request.
+ * @returns {Promise<Object>} The index: { chats, chatStatsMap, groupsMap }.
+ */
+function getChatIndex() {
+    if (chatIndexData) return Promise.resolve(chatIndexData);
+    if (chatIndexPromise) return chatIndexPromise;
+    const promise = (async () => {
+        if (!isPersistedChatIndexLoaded && !skipChatIndexCache) {
+            const generation = chatIndexGeneration;
+            const persisted = await loadPersistedChatIndex();
+            if (persisted && generation === chatIndexGeneration) {
+                applyChatIndex(persisted, false);
+                runChatIndexBuild().catch(error => console.warn('ChatsPlus: Failed to revalidate chat index', error));
+                return persisted;
+            }
+        }
+        // Invalidated while building, the data may already be outdated
+        return (await runChatIndexBuild()) ?? getChatIndex();
+    })().finally(() => {
+        if (chatIndexPromise === promise) chatIndexPromise = null;
+    });
+    chatIndexPromise = promise;
+    return promise;
+}
+
+/**
+ * Get the chat index only if it is already loaded, without fetching.
+ * @returns {Object|null} The index or null.
+ */
+function getCachedChatIndex() {
+    return chatIndexData;
+}
+
+/**
+ * Drop the chat index so the next read fetches it again.
+ * If anything is subscribed, the index is rebuilt right away so subscribers get the new data.
+ * @param {Object} [options] - Invalidation options.
+ * @param {string[]} [options.owners] - Owners whose chats are known to have changed.
+ * @param {boolean} [options.full] - Refetch every owner instead of only the changed ones.
+ */
+function invalidateChatIndex({ owners = [], full = false } = {}) {
+    owners.forEach(owner => chatIndexForcedOwners.add(owner));
+    if (full) skipChatIndexCache = true;
+    chatIndexGeneration++;
+    chatIndexData = null;
+    chatIndexPromise = null;
+    if (chatIndexSubscribers.size > 0) {
+        getChatIndex().catch(error => console.warn('ChatsPlus: Failed to rebuild chat index', error));
+    }
+}
+
+/**
+ * Insert or update a single chat in the loaded index without refetching, e.g. after a new message.
+ * The owner is still refetched on the next build so the server stays the source of truth.
+ * @param {Object} chat - Chat object.
+ * @param {Object} stat - New stats of the chat.
+ * @returns {Object|null} The index entry, or null if the index is not loaded.
+ */
+function upsertChatIndexEntry(chat, stat) {
+    chatIndexForcedOwners.add(getChatOwnerKey(chat));
+    if (!chatIndexData) return null;
+    const key = getChatKey(chat);
+    let lastMesDate = null;
+    if (stat && stat.last_mes) {
+        const momentObj = timestampToMoment(stat.last_mes);
+        if (momentObj && momentObj.isValid()) lastMesDate = momentObj.toDate();
+    }
+    let entry = chatIndexData.chats.find(c => getChatKey(c) === key);
+    if (entry) {
+        entry.stat = stat;
+        entry.last_mes = lastMesDate;
+    } else {
+        entry = { ...chat, stat, last_mes: lastMesDate };
+        chatIndexData.chats.push(entry);
+    }
+    chatIndexData.chatStatsMap[entry.characterId + ':' + entry.file_name] = stat;
+    return entry;
+}
+
+/**
+ * Remove a single chat from the loaded index without refetching.
+ * @param {Object} chat - Chat object.
+ */
+function removeChatIndexEntry(chat) {
+    chatIndexForcedOwners.add(getChatOwnerKey(chat));
+    if (!chatIndexData) return;
+    const key = getChatKey(chat);
+    chatIndexData.chats = chatIndexData.chats.filter(c => getChatKey(c) !== key);
+    delete chatIndexData.chatStatsMap[chat.characterId + ':' + chat.file_name];
+}
+
+/**
+ * Subscribe to chat index updates. The callback runs every time a new index is built.
+ * @param {Function} callback - Called with the new index.
+ * @returns {Function} Function to unsubscribe.
+ */
+function subscribeChatIndex(callback) {
+    chatIndexSubscribers.add(callback);
+    return () => chatIndexSubscribers.delete(callback);
+}
+
+/**
+ * Call all chat index subscribers, isolating their errors.
+ * @param {Object} data - The new index.
+ */
+function notifyChatIndexSubscribers(data) {
+    for (const callback of [...chatIndexSubscribers]) {
+        try {
+            callback(data);
+        } catch (error) {
+            console.error('ChatsPlus: Chat index subscriber failed', error);
+        }
+    }
+}
+
+// =========================
+// 4.4. Snapshots
+// =========================
+// Rolling local copies of the organization data in IndexedDB, taken on a schedule and before
+// destructive operations. Only the newest snapshots are kept, see settings.snapshotRetention.
+const SNAPSHOT_KEYS = ['pinnedChats', 'folders', 'chatFolders', 'folderSortModes', 'archivedChats'];
+const SNAPSHOT_INTERVAL = 6 * 60 * 60 * 1000; // Scheduled snapshots at most every 6 hours
+const SNAPSHOT_CHECK_INTERVAL = 30 * 60 * 1000;
+const DEFAULT_SNAPSHOT_RETENTION = 20;
+let snapshotTimer = null;
+
+/**
+ * Get how many snapshots are kept.
+ * @returns {number} Retention count, at least 1.
+ */
+function getSnapshotRetention() {
+    const retention = Number(getSettings().snapshotRetention);
+    return Number.isInteger(retention) && retention > 0 ? retention : DEFAULT_SNAPSHOT_RETENTION;
+}
+
+/**
+ * Copy the organization data covered by snapshots out of the settings.
+ * @returns {Object} Map of snapshot key to value.
+ */
+function captureSnapshotData() {
+    const settings = getSettings();
+    return Object.fromEntries(SNAPSHOT_KEYS.map(key => [key, structuredClone(settings[key] ?? defaultSettings[key] ?? {})]));
+}
+
+/**
+ * List stored snapshots, newest first.
+ * @returns {Promise<Array>} Snapshot records ({ id, time, reason, data }).
+ */
+async function listSnapshots() {
+    const records = await runDbTransaction('snapshots', 'readonly', store => store.getAll());
+    return (records || []).sort((a, b) => b.time - a.time);
+}
+
+/**
+ * Store a snapshot of the current organization data and drop the ones past the retention count.
+ * Scheduled snapshots are skipped when nothing changed since the latest one.
+ * @param {string} reason - Why the snapshot was taken, shown in the snapshot list.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.force] - Store it even if the data is unchanged.
+ * @returns {Promise<Object|null>} The stored record, or null if skipped or IndexedDB is unavailable.
+ */
+async function createSnapshot(reason, { force = false } = {}) {
+    try {
+        const data = captureSnapshotData();
+        const snapshots = await listSnapshots();
+        if (!force && snapshots.length > 0 && JSON.stringify(snapshots[0].data) === JSON.stringify(data)) return null;
+        const record = { time: Date.now(), reason, data };
+        record.id = await runDbTransaction('snapshots', 'readwrite', store => store.add(record));
+        const expired = [record, ...snapshots].slice(getSnapshotRetention());
+        if (expired.length > 0) {
+            await runDbTransaction('snapshots', 'readwrite', store => {
+                expired.forEach(snapshot => store.delete(snapshot.id));
+            });
+        }
+        return record;
+    } catch (error) {
+        console.warn('ChatsPlus: Could not store a snapshot', error);
+        return null;
+    }
+}
+
+/**
+ * Take a snapshot before an operation that discards data. Never blocks the operation on failure.
+ * @param {string} label - Description of the operation.
+ * @returns {Promise<Object|null>} The stored record, if any.
+ */
+function snapshotBeforeDestructive(label) {
+    return createSnapshot(t`Before:` + ' ' + label);
+}
+
+/**
+ * Take scheduled snapshots: one on startup if the latest is old enough, then check periodically.
+ */
+function scheduleSnapshots() {
+    const takeIfDue = async () => {
+        try {
+            const [latest] = await listSnapshots();
+            if (!latest || Date.now() - latest.time >= SNAPSHOT_INTERVAL) await createSnapshot(t`Scheduled`);
+        } catch (error) {
+            console.warn('ChatsPlus: Scheduled snapshot failed', error);
+        }
+    };
+    takeIfDue();
+    clearInterval(snapshotTimer);
+    snapshotTimer = setInterval(takeIfDue, SNAPSHOT_CHECK_INTERVAL);
+}
+
+/**
+ * Start the snapshot and auto-archive schedules and expire old trash, once the data is migrated.
+ */
+function startBackgroundTasks() {
+    scheduleSnapshots();
+    purgeExpiredTrash();
+    scheduleAutoArchive();
+}
+
+/**
+ * Describe what differs between two versions of the organization data.
+ * @param {Object} from - Older data, e.g. a snapshot.
+ * @param {Object} to - Newer data, e.g. the current settings.
+ * @returns {Array<string>} Human readable changes, empty if identical.
+ */
+function diffSnapshotData(from, to) {
+    const changes = [];
+    const pinKey = (p) => p.owner + ':' + p.file_name;
+    const fromPins = new Set((from.pinnedChats || []).map(pinKey));
+    const toPins = new Set((to.pinnedChats || []).map(pinKey));
+    toPins.forEach(key => { if (!fromPins.has(key)) changes.push(t`Pinned` + ` ${parseChatKey(key).file_name}`); });
+    fromPins.forEach(key => { if (!toPins.has(key)) changes.push(t`Unpinned` + ` ${parseChatKey(key).file_name}`); });
+
+    const fromFolders = Object.fromEntries((from.folders || []).map(f => [f.id, f]));
+    const toFolders = Object.fromEntries((to.folders || []).map(f => [f.id, f]));
+    const folderName = (id) => (toFolders[id] || fromFolders[id] || { name: id }).name;
+    for (const folder of Object.values(toFolders)) {
+        const old = fromFolders[folder.id];
+        if (!old) {
+            changes.push(t`Added folder` + ` "${folder.name}"`);
+            continue;
+        }
+        if (old.name !== folder.name) changes.push(t`Renamed folder` + ` "${old.name}" → "${folder.name}"`);
+        if ((old.parent || null) !== (folder.parent || null)) {
+            changes.push(t`Moved folder` + ` "${folder.name}" → ` + (folder.parent ? `"${folderName(folder.parent)}"` : t`top level`));
+        }
+        if ((old.query ?? null) !== (folder.query ?? null)) changes.push(t`Changed smart folder` + ` "${folder.name}"`);
+        if ((old.note || '') !== (folder.note || '')) changes.push(t`Changed note of folder` + ` "${folder.name}"`);
+    }
+    for (const folder of Object.values(fromFolders)) {
+        if (!toFolders[folder.id]) changes.push(t`Removed folder` + ` "${folder.name}"`);
+    }
+
+    const fromMap = from.chatFolders || {};
+    const toMap = to.chatFolders || {};
+    for (const key of new Set([...Object.keys(fromMap), ...Object.keys(toMap)])) {
+        const before = new Set(fromMap[key] || []);
+        const after = new Set(toMap[key] || []);
+        const fileName = parseChatKey(key).file_name;
+        after.forEach(id => { if (!before.has(id)) changes.push(`${fileName}: ` + t`added to` + ` "${folderName(id)}"`); });
+        before.forEach(id => { if (!after.has(id)) changes.push(`${fileName}: ` + t`removed from` + ` "${folderName(id)}"`); });
+    }
+    const fromArchived = from.archivedChats || {};
+    const toArchived = to.archivedChats || {};
+    Object.keys(toArchived).forEach(key => { if (!(key in fromArchived)) changes.push(t`Archived` + ` ${parseChatKey(key).file_name}`); });
+    Object.keys(fromArchived).forEach(key => { if (!(key in toArchived)) changes.push(t`Unarchived` + ` ${parseChatKey(key).file_name}`); });
+    if (JSON.stringify(from.folderSortModes || {}) !== JSON.stringify(to.folderSortModes || {})) {
+        changes.push(t`Changed folder sort order`);
+    }
+    return changes;
+}
+
+/**
+ * Restore a snapshot as one undoable command, keeping a snapshot of the current data first.
+ * @param {Object} snapshot - Snapshot record.
+ */
+async function restoreSnapshot(snapshot) {
+    await snapshotBeforeDestructive(t`Restore snapshot`);
+    await recordHistory(t`Restore snapshot from` + ' ' + new Date(snapshot.time).toLocaleString(), () => {
+        const settings = getSettings();
+        for (const key of SNAPSHOT_KEYS) {
+            if (key in snapshot.data) settings[key] = structuredClone(snapshot.data[key]);
+        }
+        saveSettingsDebounced();
+    });
+    await refreshAfterHistoryChange();
+}
+
+/**
+ * Render the snapshot list of the Backup Management section.
+ * @param {HTMLElement} container - Element to render the list into, replacing its contents.
+ */
+async function renderSnapshotList(container) {
+    container.innerHTML = '';
+    let snapshots;
+    try {
+        snapshots = await listSnapshots();
+    } catch {
+        container.textContent = t`Snapshots are unavailable, IndexedDB could not be opened.`;
+        return;
+    }
+    if (snapshots.length === 0) {
+        container.textContent = t`No snapshots yet.`;
+        return;
+    }
+    for (const snapshot of snapshots) {
+        const row = document.createElement('div');
+        row.className = 'chatsplus-snapshot-row';
+        const info = document.createElement('div');
+        info.className = 'chatsplus-snapshot-info';
+        const title = document.createElement('span');
+        title.textContent = new Date(snapshot.time).toLocaleString();
+        const details = document.createElement('small');
+        details.textContent = `${snapshot.reason} · ${(snapshot.data.folders || []).length} ${t`folders`}, ${(snapshot.data.pinnedChats || []).length} ${t`pins`}`;
+        info.appendChild(title);
+        info.appendChild(details);
+        row.appendChild(info);
+
+        const diffBtn = document.createElement('button');
+        diffBtn.className = 'menu_button';
+        diffBtn.title = t`Show changes since this snapshot`;
+        diffBtn.innerHTML = '<i class="fa-solid fa-code-compare"></i>';
+        diffBtn.addEventListener('click', async () => {
+            const changes = diffSnapshotData(snapshot.data, captureSnapshotData());
+            const content = document.createElement('div');
+            content.innerHTML = `<h3>${t`Changes since this snapshot`}</h3>`;
+            const list = document.createElement('ul');
+            list.className = 'chatsplus-snapshot-diff';
+            if (changes.length === 0) {
+                content.appendChild(document.createTextNode(t`Nothing changed since this snapshot.`));
+            }
+            changes.forEach(change => {
+                const item = document.createElement('li');
+                item.textContent = change;
+                list.appendChild(item);
+            });
+            content.appendChild(list);
+            await new Popup(content, POPUP_TYPE.TEXT, '', { okButton: t`Close`, wide: true }).show();
+        });
+        row.appendChild(diffBtn);
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'menu_button';
+        restoreBtn.title = t`Restore this snapshot`;
+        restoreBtn.innerHTML = '<i class="fa-solid fa-clock-rotate-left"></i>';
+        restoreBtn.addEventListener('click', async () => {
+            await restoreSnapshot(snapshot);
+            await renderSnapshotList(container);
+        });
+        row.appendChild(restoreBtn);
+        container.appendChild(row);
+    }
+}
+
+// =========================
+// 4.5. Trash
+// =========================
+// Chats deleted from ChatsPlus are copied into IndexedDB before their file is deleted, together
+// with their pins, folder assignments and fingerprint, so they can be restored until the copies
+// expire after settings.trashRetentionDays.
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Get for how many days deleted chats are kept in the trash.
+ * @returns {number} Retention in days, at least 1.
+ */
+function getTrashRetentionDays() {
+    const days = Number(getSettings().trashRetentionDays);
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * List the chats in the trash, most recently deleted first.
+ * @returns {Promise<Array>} Trash records ({ id, deletedAt, chat, lines, pinned, folderIds, fingerprint }).
+ */
+async function listTrash() {
+    const records = await runDbTransaction('trash', 'readonly', store => store.getAll());
+    return (records || []).sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+/**
+ * Copy a chat with its organization data into the trash.
+ * @param {Object} chat - Chat object.
+ * @returns {Promise<number>} ID of the trash record.
+ */
+async function addChatToTrash(chat) {
+    const key = getChatKey(chat);
+    const record = {
+        deletedAt: Date.now(),
+        chat: {
+            owner: getChatOwnerKey(chat),
+            file_name: chat.file_name,
+            character: chat.character,
+            isGroup: Boolean(chat.isGroup),
+        },
+        lines: await fetchChatFile(chat),
+        pinned: isChatPinned(chat),
+        folderIds: [...getChatFolderIds(chat)],
+        archived: isChatArchived(chat),
+        fingerprint: (getSettings().chatFingerprints || {})[key] || null,
+    };
+    return runDbTransaction('trash', 'readwrite', store => store.add(record));
+}
+
+/**
+ * Permanently remove records from the trash.
+ * @param {Array<number>} ids - Trash record IDs.
+ */
+async function purgeTrash(ids) {
+    if (ids.length === 0) return;
+    await runDbTransaction('trash', 'readwrite', store => {
+        ids.forEach(id => store.delete(id));
+    });
+}
+
+/**
+ * Remove the trash records older than the retention period.
+ */
+async function purgeExpiredTrash() {
+    try {
+        const cutoff = Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000;
+        const records = await listTrash();
+        await purgeTrash(records.filter(record => record.deletedAt < cutoff).map(record => record.id));
+    } catch (error) {
+        console.warn('ChatsPlus: Could not purge the trash', error);
+    }
+}
+
+/**
+ * Check whether a chat file name is taken for an owner. Group chat files share one folder on the server,
+ * so a group chat name is also taken when any other group lists it.
+ * @param {string} owner - Owner key: character avatar or group ID.
+ * @param {string} fileName - Chat file name.
+ * @param {Set<string>} takenKeys - Keys of the known chats.
+ * @returns {boolean} True if a chat file with that name exists.
+ */
+function isChatFileNameTaken(owner, fileName, takenKeys) {
+    if (takenKeys.has(owner + ':' + fileName)) return true;
+    if (!groups.some(g => String(g.id) === String(owner))) return false;
+    return groups.some(g => Array.isArray(g.chats) && g.chats.includes(fileName));
+}
+
+/**
+ * Write chat lines to a chat file on the server. Group chats are also added to their group's chat list.
+ * @param {Object} chat - Chat object, resolved from its owner.
+ * @param {Array<Object>} lines - Parsed lines of the jsonl file, the metadata header first.
+ * @param {Object} [options] - Save options.
+ * @param {boolean} [options.force] - Replace an existing file even if it belongs to another chat.
+ * @throws {Error} If the file could not be written, or a group chat could not be added to its group.
+ */
+async function saveChatFile(chat, lines, { force = false } = {}) {
+    const response = chat.isGroup
+        ? await fetch('/api/chats/group/save', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ id: chat.file_name, chat: lines, force }),
+        })
+        : await fetch('/api/chats/save', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ ch_name: chat.character, file_name: chat.file_name, chat: lines, avatar_url: chat.avatar, force }),
+        });
+    if (response.status === 400) {
+        // Without force the server refuses to replace a file whose chat does not match
+        const data = await response.json().catch(() => ({}));
+        if (data.error === 'integrity') throw new Error(t`Another chat already uses this file name:` + ` ${chat.file_name}`);
+    }
+    if (!response.ok) throw new Error(`Failed to save chat ${chat.file_name}: ${response.status}`);
+    if (!chat.isGroup) return;
+    const group = groups.find(g => String(g.id) === String(chat.characterId));
+    if (!group || !Array.isArray(group.chats) || group.chats.includes(chat.file_name)) return;
+    try {
+        await saveGroupChatList(group, [...group.chats, chat.file_name]);
+    } catch (error) {
+        // A file no group lists would never show up, remove it so the chat can be saved again later
+        await fetch('/api/chats/group/delete', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ id: chat.file_name }),
+        }).catch(() => { });
+        throw error;
+    }
+}
+
+/**
+ * Restore chats from the trash with their pins, folder assignments (of folders that still exist) and fingerprint.
+ * A chat whose file name was taken in the meantime is restored under a numbered name.
+ * @param {Array<Object>} records - Trash records.
+ * @returns {Promise<{restored: Array<Object>, failed: Array<Object>}>} Restored chats and failed records.
+ */
+async function restoreTrashedChats(records) {
+    const { chats } = await getChatIndex();
+    const takenKeys = new Set(chats.map(getChatKey));
+    const folderIds = new Set(getFolders().map(f => f.id));
+    const outcome = { restored: [], failed: [] };
+    for (const record of records) {
+        const resolved = resolveChatRef({ owner: record.chat.owner, file_name: record.chat.file_name });
+        if (!resolved) {
+            outcome.failed.push(record);
+            continue;
+        }
+        let fileName = record.chat.file_name;
+        for (let n = 2; isChatFileNameTaken(record.chat.owner, fileName, takenKeys); n++) {
+            fileName = `${record.chat.file_name} (${n})`;
+        }
+        const chat = { ...resolved, file_name: fileName };
+        try {
+            await saveChatFile(chat, record.lines);
+        } catch (error) {
+            console.error('ChatsPlus: Failed to restore chat', error);
+            outcome.failed.push(record);
+            continue;
+        }
+        const key = getChatKey(chat);
+        takenKeys.add(key);
+        if (record.pinned && !isChatPinned(chat)) togglePinChat(chat);
+        record.folderIds.filter(id => folderIds.has(id)).forEach(id => assignChatToFolder(chat, id));
+        if (record.archived) setChatsArchived([chat], true);
+        if (record.fingerprint) {
+            const settings = getSettings();
+            if (!settings.chatFingerprints) settings.chatFingerprints = {};
+            settings.chatFingerprints[key] = record.fingerprint;
+            saveSettingsDebounced();
+        }
+        outcome.restored.push(chat);
+        await purgeTrash([record.id]);
+    }
+    if (outcome.restored.length > 0) {
+        // Refetch the owners of the restored chats, subscribed tabs refresh themselves
+        invalidateChatIndex({ owners: outcome.restored.map(getChatOwnerKey) });
+    }
+    return outcome;
+}
+
+/**
+ * Ask for confirmation, then move chats to the trash.
+ * @param {Array<Object>} chats - Chats to delete.
+ * @returns {Promise<Array<Object>>} The deleted chats, empty if cancelled.
+ */
+async function confirmDeleteChats(chats) {
+    const content = document.createElement('div');
+    content.innerHTML = `<h3>${chats.length === 1 ? t`Delete this chat?` : t`Delete chats?` + ` (${chats.length})`}</h3>`;
+    const list = document.createElement('ul');
+    list.className = 'chatsplus-bulk-delete-list';
+    for (const chat of chats) {
+        const item = document.createElement('li');
+        item.textContent = `${chat.character}: ${chat.file_name}`;
+        list.appendChild(item);
+    }
+    content.appendChild(list);
+    const note = document.createElement('small');
+    note.textContent = t`Deleted chats stay in the ChatsPlus trash for` + ` ${getTrashRetentionDays()} ` + t`days and can be restored with their pins and folders.`;
+    content.appendChild(note);
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', { okButton: t`Delete`, cancelButton: t`Cancel` });
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return [];
+    await snapshotBeforeDestructive(t`Delete chats` + ` (${chats.length})`);
+    const { deleted, skipped, failed } = await deleteChats(chats);
+    if (deleted.length > 0) {
+        toastr.success(t`Click to open the trash.`, `${deleted.length} ` + t`chats moved to the trash`, { onclick: () => showTrashPopup() });
+    }
+    if (skipped.length > 0) toastr.warning(t`The open chat was not deleted, switch to another chat first.`);
+    if (failed.length > 0) toastr.error(`${failed.length} ` + t`chats could not be deleted.`);
+    return deleted;
+}
+
+/**
+ * Show the trash with restore and permanent delete for single chats or all of them.
+ */
+async function showTrashPopup() {
+    const content = document.createElement('div');
+    content.className = 'chatsplus-trash';
+    content.innerHTML = `<h3>${t`Trash`}</h3>`;
+    const note = document.createElement('small');
+    note.textContent = t`Deleted chats are kept for` + ` ${getTrashRetentionDays()} ` + t`days.`;
+    content.appendChild(note);
+    const actions = document.createElement('div');
+    actions.className = 'chatsplus-trash-actions';
+    const restoreAllBtn = document.createElement('button');
+    restoreAllBtn.className = 'menu_button';
+    restoreAllBtn.textContent = t`Restore all`;
+    const emptyBtn = document.createElement('button');
+    emptyBtn.className = 'menu_button';
+    emptyBtn.textContent = t`Empty trash`;
+    actions.append(restoreAllBtn, emptyBtn);
+    content.appendChild(actions);
+    const list = document.createElement('div');
+    list.className = 'chatsplus-snapshot-list chatsplus-trash-list';
+    content.appendChild(list);
+
+    const restore = async (records) => {
+        const { restored, failed } = await restoreTrashedChats(records);
+        if (restored.length > 0) toastr.success(`${restored.length} ` + t`chats restored.`);
+        if (failed.length > 0) toastr.error(`${failed.length} ` + t`chats could not be restored, their character or group no longer exists.`);
+        await render();
+    };
+    const render = async () => {
+        list.innerHTML = '';
+        let records;
+        try {
+            records = await listTrash();
+        } catch {
+            list.textContent = t`The trash is unavailable, IndexedDB could not be opened.`;
+            return;
+        }
+        restoreAllBtn.disabled = emptyBtn.disabled = records.length === 0;
+        restoreAllBtn.onclick = () => restore(records);
+        emptyBtn.onclick = async () => {
+            const confirmPopup = new Popup(`<h3>${t`Empty trash?`}</h3>${t`The chats in the trash are deleted permanently.`}`, POPUP_TYPE.CONFIRM, '', {
+                okButton: t`Empty trash`,
+                cancelButton: t`Cancel`
+            });
+            if (await confirmPopup.show() !== POPUP_RESULT.AFFIRMATIVE) return;
+            await purgeTrash(records.map(record => record.id));
+            await render();
+        };
+        if (records.length === 0) {
+            list.textContent = t`The trash is empty.`;
+            return;
+        }
+        for (const record of records) {
+            const row = document.createElement('div');
+            row.className = 'chatsplus-snapshot-row';
+            const info = document.createElement('div');
+            info.className = 'chatsplus-snapshot-info';
+            const title = document.createElement('span');
+            title.textContent = `${record.chat.character}: ${record.chat.file_name}`;
+            const details = document.createElement('small');
+            const extras = [record.pinned ? t`pinned` : '', record.folderIds.length > 0 ? `${record.folderIds.length} ${t`folders`}` : ''].filter(Boolean);
+            details.textContent = [t`Deleted` + ' ' + new Date(record.deletedAt).toLocaleString(), `${Math.max(0, record.lines.length - 1)} ${t`messages`}`, ...extras].join(' · ');
+            info.append(title, details);
+            row.appendChild(info);
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'menu_button';
+            restoreBtn.title = t`Restore chat`;
+            restoreBtn.innerHTML = '<i class="fa-solid fa-trash-arrow-up"></i>';
+            restoreBtn.addEventListener('click', () => restore([record]));
+            const purgeBtn = document.createElement('button');
+            purgeBtn.className = 'menu_button';
+            purgeBtn.title = t`Delete permanently`;
+            purgeBtn.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+            purgeBtn.addEventListener('click', async () => {
+                await purgeTrash([record.id]);
+                await render();
+            });
+            row.append(restoreBtn, purgeBtn);
+            list.appendChild(row);
+        }
+    };
+    await render();
+    await new Popup(content, POPUP_TYPE.TEXT, '', { okButton: t`Close`, wide: true }).show();
+}
+
+/**
+ * Open a chat listed by ChatsPlus, selecting its character or group first.
+ * @param {Object} chat - Chat object.
+ */
+async function openChatFromList(chat) {
+    const context = SillyTavern.getContext();
+
+    if (chat.isGroup) {
+        // Handle group chat opening
+        // First set the active group, then open the group chat
+        const group = groups.find(g => g.id === chat.characterId);
+        setActiveGroup(group);
+        select_group_chats(group.id, true);
+        await openChatById(chat.file_name, true, group.id);
+    } else {
+        // Existing character chat logic
+        if (String(context.characterId) !== String(chat.characterId)) {
+            await selectCharacterById(chat.characterId);
+            await new Promise(resolve => setTimeout(resolve, 150));
+        }
+        await openChatById(chat.file_name);
+    }
+}
+
+/**
+ * Rename a chat file and move its pins, folder assignments and fingerprint along, as one undoable command.
+ * @param {Object} chat - Chat object.
+ * @param {string} newName - New chat file name.
+ */
+async function renameChatFile(chat, newName) {
+    const oldName = chat.file_name;
+    const renameFile = async (from, to) => {
+        const context = SillyTavern.getContext();
+        const loader = document.getElementById('extensionAllChatsTabLoader') || null;
+        await renameGroupOrCharacterChat({
+            characterId: chat.characterId,
+            groupId: context.groupId,
+            oldFileName: from,
+            newFileName: to,
+            loader
+        });
+        // A rename keeps the character signature, so the owner is refetched explicitly
+        invalidateChatIndex({ owners: [getChatOwnerKey(chat)] });
+    };
+    await recordHistory(t`Rename chat` + ` "${oldName}"`, async () => {
+        await renameFile(oldName, newName);
+        handleChatRename(chat, newName);
+    }, {
+        undo: () => renameFile(newName, oldName),
+        redo: () => renameFile(oldName, newName),
+    });
+}
+
+/**
+ * Save the chat list of a group on the server, putting the previous list back in memory if that fails.
+ * @param {Object} group - Group object from SillyTavern's groups.
+ * @param {Array<string>} chats - New list of chat IDs.
+ * @throws {Error} If the group could not be saved.
+ */
+async function saveGroupChatList(group, chats) {
+    const previous = group.chats;
+    group.chats = chats;
+    const response = await fetch('/api/groups/edit', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(group),
+    });
+    if (!response.ok) {
+        group.chats = previous;
+        throw new Error(`Failed to update the chats of group ${group.name}: ${response.status}`);
+    }
+}
+
+/**
+ * Delete a chat file on the server. Group chats are dropped from their group's chat list first,
+ * so a failed group update leaves the chat untouched instead of listing a missing file.
+ * @param {Object} chat - Chat object.
+ */
+async function deleteChatFile(chat) {
+    if (chat.isGroup) {
+        const group = groups.find(g => String(g.id) === String(chat.characterId));
+        const previousChats = group && Array.isArray(group.chats) ? group.chats : null;
+        if (previousChats && previousChats.includes(chat.file_name)) {
+            await saveGroupChatList(group, previousChats.filter(name => name !== chat.file_name));
+        }
+        const response = await fetch('/api/chats/group/delete', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ id: chat.file_name }),
+        });
+        if (!response.ok) {
+            // Put the chat back into its group, the file is still there
+            if (previousChats && group.chats !== previousChats) {
+                await saveGroupChatList(group, previousChats).catch(error => console.error('ChatsPlus: Failed to restore the group chat list', error));
+            }
+            throw new Error(`Failed to delete chat ${chat.file_name}: ${response.status}`);
+        }
+        if (group && group.past_metadata) delete group.past_metadata[chat.file_name];
+        return;
+    }
+    const response = await fetch('/api/chats/delete', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ chatfile: chat.file_name + '.jsonl', avatar_url: chat.avatar }),
+    });
+    if (!response.ok) throw new Error(`Failed to delete chat ${chat.file_name}: ${response.status}`);
+}
+
+/**
+ * Move chats to the trash: copy them into it, delete their files and forget their pins,
+ * folder assignments and fingerprints. See Trash for restoring them.
+ * The open chat is skipped, SillyTavern expects it to exist until another chat is opened.
+ * @param {Array<Object>} chats - Chats to delete.
+ * @returns {Promise<{deleted: Array<Object>, skipped: Array<Object>, failed: Array<Object>}>} Outcome per chat.
+ */
+async function deleteChats(chats) {
+    const current = getCurrentChat();
+    const currentKey = current ? getChatKey(current) : null;
+    const outcome = { deleted: [], skipped: [], failed: [] };
+    for (const chat of chats) {
+        if (getChatKey(chat) === currentKey) {
+            outcome.skipped.push(chat);
+            continue;
+        }
+        let trashId = null;
+        try {
+            trashId = await addChatToTrash(chat);
+            await deleteChatFile(chat);
+            outcome.deleted.push(chat);
+        } catch (error) {
+            // Keep the trash free of chats whose file still exists
+            if (trashId !== null) await purgeTrash([trashId]).catch(() => { });
+            console.error('ChatsPlus: Failed to delete chat', error);
+            outcome.failed.push(chat);
+        }
+    }
+    if (outcome.deleted.length > 0) {
+        forgetChatReferences(outcome.deleted);
+        outcome.deleted.forEach(removeChatIndexEntry);
+        // Refetch the owners of the deleted chats, subscribed tabs refresh themselves
+        invalidateChatIndex({ owners: outcome.deleted.map(getChatOwnerKey) });
+    }
+    return outcome;
+}
+
+// =========================
+// 5. UI Rendering Functions
+// =========================
+/**
+ * Get or create the container for the Recent Chats tab.
+ * @returns {HTMLElement|null} The container element or null if not found.
+ */
+function getOrCreateRecentChatsTabContainer() {
+    if (recentChatsTabContainer && document.body.contains(recentChatsTabContainer)) return recentChatsTabContainer;
+    const menu = document.getElementById('right-nav-panel');
+    if (!menu) return null;
+    const tabContent = menu.querySelector('.chatsplus-tab-content');
+    if (!tabContent) return null;
+    let recentChatsTab = tabContent.children[1];
+    if (!recentChatsTab) return null;
+    recentChatsTab.innerHTML = '';
+    recentChatsTabContainer = recentChatsTab;
+    return recentChatsTabContainer;
+}
+
+/**
+ * Render all chats in the Recent Chats tab, including loader and main container.
+ * Calls populateAllChatsTab to fill the content.
+ */
+async function renderAllChatsInRecentChatsTab() {
+    const container = getOrCreateRecentChatsTabContainer();
+    if (!container) return;
+    if (container.querySelector('#extensionAllChatsTabContainer')) return;
+    // Add filter input at the top 
+    const filterRow = document.createElement('div');
+    filterRow.className = 'filter-row';
+
+    // Create input wrapper for positioning the clear button
+    const inputWrapper = document.createElement('div');
+    inputWrapper.className = 'filter-input-wrapper';
+    inputWrapper.style.position = 'relative';
+    inputWrapper.style.display = 'flex';
+    inputWrapper.style.alignItems = 'center';
+
+    const filterInput = document.createElement('input');
+    filterInput.type = 'text';
+    filterInput.placeholder = 'Filter chats...';
+    filterInput.className = 'filter-input';
+    filterInput.style.paddingRight = '30px'; // Make room for the clear button
+
+    // Create clear button
+    const clearButton = document.createElement('button');
+    clearButton.className = 'filter-clear-button';
+    clearButton.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+    clearButton.title = 'Clear filter';
+
+    inputWrapper.appendChild(filterInput);
+    inputWrapper.appendChild(clearButton);
+    filterRow.appendChild(inputWrapper);
+
+    // Toggle between filtering the list and searching the messages of all chats
+    const fullTextToggle = document.createElement('button');
+    fullTextToggle.className = 'filter-mode-toggle';
+    fullTextToggle.innerHTML = '<i class="fa-solid fa-file-lines"></i>';
+    fullTextToggle.title = t`Search message contents of all chats`;
+    filterRow.appendChild(fullTextToggle);
+    // Save the current filter as a smart folder in the Folders tab
+    const saveSmartFolderBtn = document.createElement('button');
+    saveSmartFolderBtn.className = 'filter-mode-toggle save-smart-folder-btn';
+    saveSmartFolderBtn.innerHTML = '<i class="fa-solid fa-wand-magic-sparkles"></i>';
+    saveSmartFolderBtn.title = t`Save filter as smart folder`;
+    filterRow.appendChild(saveSmartFolderBtn);
+    const historyBtn = document.createElement('button');
+    historyBtn.className = 'filter-mode-toggle chatsplus-history-btn';
+    historyBtn.innerHTML = '<i class="fa-solid fa-clock-rotate-left"></i>';
+    historyBtn.title = t`Undo history`;
+    historyBtn.addEventListener('click', () => showHistoryPopup());
+    filterRow.appendChild(historyBtn);
+    const archiveBtn = document.createElement('button');
+    archiveBtn.className = 'filter-mode-toggle chatsplus-archive-btn';
+    archiveBtn.innerHTML = '<i class="fa-solid fa-box-archive"></i>';
+    archiveBtn.title = t`Archived chats`;
+    archiveBtn.addEventListener('click', () => showArchivePopup());
+    filterRow.appendChild(archiveBtn);
+    // Select chats for bulk actions, see Bulk Selection
+    const selectBtn = document.createElement('button');
+    selectBtn.className = 'filter-mode-toggle chatsplus-select-btn';
+    selectBtn.innerHTML = '<i class="fa-solid fa-list-check"></i>';
+    selectBtn.title = t`Select chats (Ctrl+click, Shift+click for a range)`;
+    selectBtn.addEventListener('click', () => setRecentSelectionMode(!isRecentSelectionMode));
+    filterRow.appendChild(selectBtn);
+    container.appendChild(filterRow);
+    container.appendChild(createRecentBulkBar());
+    const queryAssist = attachChatQueryAssist(filterInput, inputWrapper, () => !isFullTextMode);
+
+    // Indexing progress of the full-text search
+    const searchStatus = document.createElement('div');
+    searchStatus.className = 'fulltext-status hidden';
+    container.appendChild(searchStatus);
+    // Loader and main container 
+    const loader = document.createElement('div');
+    loader.id = 'extensionAllChatsTabLoader';
+    loader.className = 'allChatsTabLoader'; // Initially hidden
+    const loaderIcon = document.createElement('i');
+    loaderIcon.className = 'fa-2x fa-solid fa-gear fa-spin';
+    loader.appendChild(loaderIcon);
+    container.appendChild(loader);
+    const chatsTabContainer = document.createElement('div');
+    chatsTabContainer.id = 'extensionAllChatsTabContainer';
+    chatsTabContainer.classList.toggle('selection-mode', isRecentSelectionMode);
+    chatsTabContainer.setAttribute('role', 'listbox');
+    chatsTabContainer.setAttribute('aria-label', t`Recent chats`);
+    chatsTabContainer.setAttribute('aria-multiselectable', 'true');
+    attachKeyboardNavigation(chatsTabContainer, 'recent');
+    container.appendChild(chatsTabContainer);
+    updateRecentBulkBar();
+    // Load More button
+    const loadMoreBtn = document.createElement('button');
+    loadMoreBtn.id = 'extensionAllChatsTabLoadMoreBtn';
+    loadMoreBtn.classList.add('load-more-btn');
+    loadMoreBtn.classList.add('hidden'); // Initially hidden
+    loadMoreBtn.textContent = 'Load More';
+    container.appendChild(loadMoreBtn);
+    // Filtering and pagination logic
+    let lastFilter = '';
+    let offset = 0;
+    let totalChats = 0;
+    let isFullTextMode = false;
+    let fullTextTimer = null;
+    let fullTextRun = 0; // Only the latest search may render its results
+    async function doFullTextSearch(query) {
+        lastFilter = query;
+        const run = ++fullTextRun;
+        loadMoreBtn.classList.add('hidden');
+        loader.classList.remove('displayNone');
+        try {
+            await syncSearchIndex((done, total) => {
+                if (run !== fullTextRun) return;
+                searchStatus.classList.toggle('hidden', done >= total);
+                searchStatus.textContent = t`Indexing chats...` + ` ${done}/${total}`;
+            });
+            const search = await searchChatMessages(query);
+            if (run !== fullTextRun || !isFullTextMode) return;
+            renderFullTextResults(chatsTabContainer, search);
+        } catch (error) {
+            console.error('ChatsPlus: Full-text search failed', error);
+        } finally {
+            if (run === fullTextRun) {
+                loader.classList.add('displayNone');
+                searchStatus.classList.add('hidden');
+            }
+        }
+    }
+    async function doPopulate(filterValue, append = false) {
+        if (isFullTextMode) {
+            clearTimeout(fullTextTimer);
+            fullTextTimer = setTimeout(() => doFullTextSearch(filterValue), 300);
+            return;
+        }
+        lastFilter = filterValue;
+        const result = await populateAllChatsTab({
+            container: chatsTabContainer,
+            loader,
+            tab: container,
+            filter: filterValue,
+            offset,
+            append
+        });
+        totalChats = result && result.totalChats ? result.totalChats : 0;
+        if (offset + MAX_RECENT_CHATS < totalChats) {
+            loadMoreBtn.classList.remove('hidden');
+        } else {
+            loadMoreBtn.classList.add('hidden');
+        }
+    }
+    filterInput.addEventListener('input', (e) => {
+        offset = 0;
+        chatsTabContainer.innerHTML = '';
+        doPopulate(e.target.value.trim());
+
+        // Show/hide clear button based on input content
+        if (e.target.value.trim().length > 0) {
+            clearButton.style.display = 'block';
+        } else {
+            clearButton.style.display = 'none';
+        }
+    });
+
+    // Clear button functionality
+    clearButton.addEventListener('click', () => {
+        filterInput.value = '';
+        clearButton.style.display = 'none';
+        offset = 0;
+        chatsTabContainer.innerHTML = '';
+        doPopulate('');
+        queryAssist.validate();
+        filterInput.focus(); // Keep focus on the input after clearing
+    });
+    loadMoreBtn.addEventListener('click', () => {
+        offset += MAX_RECENT_CHATS;
+        doPopulate(lastFilter, true);
+    });
+    saveSmartFolderBtn.addEventListener('click', async () => {
+        const query = filterInput.value.trim();
+        if (isFullTextMode || !query || validateChatQuery(query)) {
+            toastr.info(t`Type a valid filter first, it becomes the smart folder's query.`);
+            return;
+        }
+        if (await showSmartFolderEditorPopup(null, query)) {
+            toastr.success(t`Smart folder saved to the Folders tab.`);
+        }
+    });
+    fullTextToggle.addEventListener('click', () => {
+        isFullTextMode = !isFullTextMode;
+        setRecentSelectionMode(false);
+        fullTextRun++;
+        fullTextToggle.classList.toggle('active', isFullTextMode);
+        chatsTabContainer.classList.toggle('fulltext-results', isFullTextMode);
+        filterInput.placeholder = isFullTextMode ? t`Search messages...` : 'Filter chats...';
+        searchStatus.classList.add('hidden');
+        queryAssist.validate();
+        offset = 0;
+        chatsTabContainer.innerHTML = '';
+        doPopulate(filterInput.value.trim());
+        filterInput.focus();
+    });
+    // Initial population
+    await doPopulate('', false);
+    // Re-render with the current filter whenever the chat index is rebuilt
+    const unsubscribe = subscribeChatIndex(() => {
+        if (!document.body.contains(chatsTabContainer)) {
+            unsubscribe();
+            return;
+        }
+        offset = 0;
+        doPopulate(lastFilter);
+    });
+}
+
+/**
+ * Populate the All Chats tab with chat items, grouped and sorted.
+ * @param {Object} param0 - Options for population.
+ * @param {HTMLElement} param0.container - The container to render into.
+ * @param {HTMLElement} param0.loader - Loader element.
+ * @param {HTMLElement} param0.tab - Tab element.
+ * @param {string} [param0.filter] - Optional filter string.
+ * @param {number} [param0.offset] - Offset for pagination.
+ * @param {boolean} [param0.append] - Whether to append to container.
+ * @returns {Object} - { totalChats }
+ */
+async function populateAllChatsTab({ container, loader, tab, filter = '', offset = 0, append = false } = {}) {
+    container = container || document.getElementById('extensionAllChatsTabContainer');
+    loader = loader || document.getElementById('extensionAllChatsTabLoader');
+    if (!loader || !container) return { totalChats: 0 };
+    // Full-text search results own the container until the mode is switched off
+    if (container.classList.contains('fulltext-results')) return { totalChats: 0 };
+    loader.classList.remove('displayNone');
+    // Re-rendering removes the focused item, it is focused again once the list is rebuilt
+    const restoreFocus = !append && container.contains(document.activeElement);
+    if (!append) container.innerHTML = '';
+    const index = await getChatIndex();
+    const chatStatsMap = index.chatStatsMap;
+    let allChats = index.chats.filter(chat => chat.last_mes);
+    // Ensure allChats is a flat array and sort strictly by date
+    allChats = allChats.slice().sort((a, b) => b.last_mes - a.last_mes);
+    // Filtering
+    const chatMatches = getChatListPredicate(filter);
+    const filteredChats = allChats.filter(chatMatches);
+    const totalChats = filteredChats.length;
+    const chatsToShow = filteredChats.slice(offset, offset + MAX_RECENT_CHATS);
+    // Render pinned and recent chats (filtered, paginated) (always render all pinned chats, not just those in the current page)
+    const pinnedChatsRaw = getPinnedChats();
+    const pinnedChats = pinnedChatsRaw.map(pinned => {
+        // Try to get chat info from the index, falling back to the current characters and groups
+        let chatInfo = index.chats.find(c => c.file_name === pinned.file_name && getChatOwnerKey(c) === pinned.owner);
+        if (chatInfo) return chatInfo;
+        chatInfo = resolveChatRef(pinned);
+        if (!chatInfo) return null;
+        const stat = chatStatsMap[chatInfo.characterId + ':' + chatInfo.file_name];
+        return {
+            ...chatInfo,
+            stat,
+            last_mes: stat && stat.last_mes ? timestampToMoment(stat.last_mes).toDate() : null
+        };
+    }).filter(chat => chat && chat.last_mes && chatMatches(chat));
+    // Sort pinned chats alphabetically by character, then file_name
+    pinnedChats.sort((a, b) => {
+        const charA = (a.character || '').toLowerCase();
+        const charB = (b.character || '').toLowerCase();
+        if (charA < charB) return -1;
+        if (charA > charB) return 1;
+        const fileA = (a.file_name || '').toLowerCase();
+        const fileB = (b.file_name || '').toLowerCase();
+        if (fileA < fileB) return -1;
+        if (fileA > fileB) return 1;
+        return 0;
+    });
+    // Render all pinned chats at the top
+    if (pinnedChats.length > 0) {
+        // Add pinned section header
+        const pinnedSeparator = document.createElement('div');
+        pinnedSeparator.className = 'allChatsDateSeparator pinned-section-header';
+        pinnedSeparator.textContent = '📌 ' + t`Pinned Chats`;
+        pinnedSeparator.style.fontWeight = 'bold';
+        pinnedSeparator.dataset.dropFolderId = 'pinned';
+        container.appendChild(pinnedSeparator);
+
+        for (const chat of pinnedChats) {
+            renderAllChatsTabItem(chat, container, true, null);
+        }
+    }
+    // Render recent chats (filtered)
+    let lastDate = null;
+    if (append) {
+        // Find the last date separator in the container
+        const dateSeparators = Array.from(container.querySelectorAll('.allChatsDateSeparator'));
+        if (dateSeparators.length > 0) {
+            const lastSeparator = dateSeparators[dateSeparators.length - 1];
+            lastDate = lastSeparator.getAttribute('data-date') || null;
+        }
+    }
+    for (const chat of chatsToShow) {
+        const stat = chat.stat;
+        const chatMoment = stat && stat.last_mes ? timestampToMoment(stat.last_mes) : null;
+        const chatDateStr = chatMoment ? chatMoment.format('YYYY-MM-DD') : '';
+        if (chatDateStr !== lastDate) {
+            lastDate = chatDateStr;
+            const dateSeparator = document.createElement('div');
+            dateSeparator.className = 'allChatsDateSeparator';
+            dateSeparator.textContent = chatMoment ? chatMoment.format('LL') : '';
+            dateSeparator.setAttribute('data-date', chatDateStr); // For tracking
+            container.appendChild(dateSeparator);
+        }
+        renderAllChatsTabItem(chat, container, false, null);
+    }
+    ensureRovingTabStop(container, 'option', recentListFocusKey, restoreFocus);
+    loader.classList.add('displayNone');
+    return { totalChats };
+}
+
+/**
+ * Get the predicate for a filter query, see the Search Query Language section.
+ * Invalid queries fall back to matching the whole text as a plain word,
+ * the error itself is shown next to the input.
+ * @param {string} filter - Filter query, empty matches everything.
+ * @returns {Function} Predicate called with a chat.
+ */
+function getChatFilterPredicate(filter) {
+    const query = filter ? filter.trim() : '';
+    try {
+        return compileChatQuery(query);
+    } catch {
+        return compileQueryTerm({ field: null, value: query, position: 0 });
+    }
+}
+
+/**
+ * Get the predicate for the chats a list shows for a filter query. Archived chats are
+ * left out unless the query asks for them with archived: or showArchived is set.
+ * @param {string} filter - Filter query, empty matches every chat that is not archived.
+ * @param {boolean} [showArchived] - List archived chats too.
+ * @returns {Function} Predicate called with a chat.
+ */
+function getChatListPredicate(filter, showArchived = false) {
+    const matches = getChatFilterPredicate(filter);
+    if (showArchived || queryUsesField(filter, 'archived')) return matches;
+    return chat => !isChatArchived(chat) && matches(chat);
+}
+
+/**
+ * Check whether a single chat matches the Recent Chats filter query.
+ * Compile the query once with getChatFilterPredicate when checking many chats.
+ * @param {Object} chat - Chat object.
+ * @param {string} filter - Filter query, empty matches everything.
+ * @returns {boolean} True if the chat matches.
+ */
+function chatMatchesFilter(chat, filter) {
+    return getChatFilterPredicate(filter)(chat);
+}
+
+/**
+ * Build a tree structure from the flat folder list.
+ * Siblings are sorted by their parent's sort mode, manual order keeps the order of the list.
+ * @param {Array} folders - Flat array of folder objects, in their stored order.
+ * @returns {Array} Array of root folder nodes, each with children property.
+ */
+function buildFolderTree(folders) {
+    const idToNode = {};
+    folders.forEach(folder => {
+        idToNode[folder.id] = { ...folder, children: [] };
+    });
+    const roots = [];
+    folders.forEach(folder => {
+        if (folder.parent && idToNode[folder.parent]) {
+            idToNode[folder.parent].children.push(idToNode[folder.id]);
+        } else {
+            roots.push(idToNode[folder.id]);
+        }
+    });
+    const sortSiblings = (nodes, parent) => {
+        if (getFolderSortMode(parent) === 'alpha') nodes.sort((a, b) => a.name.localeCompare(b.name));
+        nodes.forEach(node => sortSiblings(node.children, node.id));
+    };
+    sortSiblings(roots, null);
+    return roots;
+}
+
+/**
+ * Show the definition editor of a smart folder, creating it if no folder is given.
+ * Shows the number of matching chats while typing and refuses invalid queries.
+ * @param {Object|null} folder - Smart folder to edit, or null to create a new one.
+ * @param {string} [initialQuery] - Query to prefill when creating, e.g. the current Recent tab filter.
+ * @returns {Promise<boolean>} True if the folder was saved.
+ */
+async function showSmartFolderEditorPopup(folder, initialQuery = '') {
+    const folders = getFolders();
+    const folderMap = Object.fromEntries(folders.map(f => [f.id, f]));
+    const content = document.createElement('div');
+    content.className = 'smart-folder-editor';
+    content.innerHTML = `<h3>${folder ? t`Edit smart folder` : t`New smart folder`}</h3>`;
+
+    const nameLabel = document.createElement('label');
+    nameLabel.textContent = t`Name:`;
+    nameLabel.className = 'chatplus_menu_label';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'chatplus_menu_input';
+    nameInput.value = folder ? folder.name : '';
+    content.appendChild(nameLabel);
+    content.appendChild(nameInput);
+
+    const queryLabel = document.createElement('label');
+    queryLabel.textContent = t`Filter query:`;
+    queryLabel.className = 'chatplus_menu_label';
+    content.appendChild(queryLabel);
+    const filterRow = document.createElement('div');
+    filterRow.className = 'filter-row';
+    const inputWrapper = document.createElement('div');
+    inputWrapper.className = 'filter-input-wrapper';
+    const queryInput = document.createElement('input');
+    queryInput.type = 'text';
+    queryInput.className = 'filter-input chatplus_menu_input';
+    queryInput.placeholder = 'char:Alice folder:none after:7d';
+    queryInput.value = folder ? folder.query : initialQuery;
+    inputWrapper.appendChild(queryInput);
+    filterRow.appendChild(inputWrapper);
+    content.appendChild(filterRow);
+    const queryAssist = attachChatQueryAssist(queryInput, inputWrapper, () => true);
+    const matchCount = document.createElement('div');
+    matchCount.className = 'smart-folder-match-count';
+    content.appendChild(matchCount);
+
+    // Parent folder, excluding the folder itself and everything below it
+    const parentLabel = document.createElement('label');
+    parentLabel.textContent = t`Parent folder:`;
+    parentLabel.className = 'chatplus_menu_label';
+    const parentSelect = document.createElement('select');
+    parentSelect.className = 'text_pole';
+    const noneOption = document.createElement('option');
+    noneOption.value = '';
+    noneOption.textContent = t`No parent`;
+    parentSelect.appendChild(noneOption);
+    const isInsideFolder = (candidate) => {
+        for (let current = candidate; current; current = current.parent ? folderMap[current.parent] : null) {
+            if (folder && current.id === folder.id) return true;
+        }
+        return false;
+    };
+    folders
+        .filter(f => !isInsideFolder(f))
+        .map(f => ({ id: f.id, path: getFolderPath(f, folderMap) }))
+        .sort((a, b) => a.path.localeCompare(b.path))
+        .forEach(({ id, path }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = path;
+            parentSelect.appendChild(option);
+        });
+    parentSelect.value = folder && folder.parent ? folder.parent : '';
+    content.appendChild(parentLabel);
+    content.appendChild(parentSelect);
+
+    const { chats } = await getChatIndex();
+    const updateMatchCount = () => {
+        const query = queryInput.value.trim();
+        const error = validateChatQuery(query);
+        matchCount.textContent = error ? '' : `${chats.filter(getChatListPredicate(query, getSettings().showArchivedInFolders)).length} ` + t`matching chats`;
+    };
+    queryInput.addEventListener('input', updateMatchCount);
+    queryAssist.validate();
+    updateMatchCount();
+
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: t`Save`,
+        cancelButton: t`Cancel`,
+        wide: true,
+        onClosing: (popup) => {
+            if (popup.result !== POPUP_RESULT.AFFIRMATIVE) return true;
+            const query = queryInput.value.trim();
+            if (!nameInput.value.trim() || !query || validateChatQuery(query)) {
+                queryAssist.validate();
+                toastr.warning(t`Enter a name and a valid filter query.`);
+                return false;
+            }
+            return true;
+        },
+    });
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return false;
+    const name = nameInput.value.trim();
+    const query = queryInput.value.trim();
+    const parent = parentSelect.value || null;
+    if (folder) {
+        const current = getFolders();
+        const idx = current.findIndex(f => f.id === folder.id);
+        if (idx === -1) return false;
+        await recordHistory(t`Edit smart folder` + ` "${name}"`, () => {
+            current[idx] = { ...current[idx], name, query, parent };
+            setFolders(current);
+        });
+    } else {
+        await recordHistory(t`Add smart folder` + ` "${name}"`, () => addFolder(name, parent, query));
+    }
+    await refreshFoldersTab();
+    return true;
+}
+
+/**
+ * Create the button switching the subfolders of a parent between alphabetical and manual order.
+ * @param {string|null} parent - Parent folder ID, or null for the root.
+ * @returns {HTMLButtonElement} The toggle button.
+ */
+function createFolderSortToggle(parent) {
+    const isManual = getFolderSortMode(parent) === 'manual';
+    const toggle = document.createElement('button');
+    toggle.className = 'folder-sort-toggle' + (isManual ? ' active' : '');
+    toggle.title = isManual
+        ? t`Subfolders in manual order, drag to reorder. Click to sort alphabetically.`
+        : t`Subfolders sorted alphabetically. Click to use manual order.`;
+    toggle.innerHTML = isManual ? '<i class="fa-solid fa-grip-lines"></i>' : '<i class="fa-solid fa-arrow-down-a-z"></i>';
+    toggle.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await recordHistory(isManual ? t`Sort folders alphabetically` : t`Use manual folder order`, () => setFolderSortMode(parent, isManual ? 'alpha' : 'manual'));
+        await refreshFoldersTab();
+    });
+    return toggle;
+}
+
+/**
+ * Render all chat folders UI inside the given container, with nested subfolders.
+ * @param {HTMLElement} container - The container to render folders into.
+ * @param {Object} folderedChats - Map of folderId to array of chats.
+ * @param {Array} [folderNodes] - Optional, for recursion: array of folder nodes.
+ * @param {number} [level] - Optional, for recursion: current nesting level.
+ */
+function renderAllChatsFoldersUI(container, folderedChats, folderNodes, level = 0) {
+    const folders = getFolders();
+    if (!folderNodes) folderNodes = buildFolderTree(folders);
+    // Build a map for quick parent lookup
+    const folderMap = Object.fromEntries(folders.map(f => [f.id, f]));
+    folderNodes.forEach(folder => {
         const folderSection = document.createElement('div');
         folderSection.className = 'collapsible-section folder-collapsible-section';
         folderSection.style.paddingLeft = level === 0 ? '0' : '28px';
+        // Tree semantics and roving focus, see Keyboard Navigation
+        folderSection.setAttribute('role', 'treeitem');
+        folderSection.setAttribute('aria-level', String(level + 1));
+        folderSection.setAttribute('aria-label', folder.name);
+        folderSection.dataset.navKey = 'folder:' + folder.id;
+        folderSection.tabIndex = -1;
         const header = document.createElement('div');
         header.className = 'collapsible-header';
         const chevron = document.createElement('i');
@@ -969,6 +4496,13 @@ function renderAllChatsFoldersUI(container, folderedChats, folderNodes, level =
         pencilIcon.style.cursor = 'pointer';
         pencilIcon.style.margin = '0 6px 0 6px';
         header.appendChild(pencilIcon);
+        if (isSmartFolder(folder)) {
+            folderSection.classList.add('smart-folder');
+            const smartIcon = document.createElement('i');
+            smartIcon.className = 'fa-solid fa-wand-magic-sparkles smart-folder-icon';
+            smartIcon.title = t`Smart folder:` + ' ' + folder.query;
+            header.appendChild(smartIcon);
+        }
         const folderTitle = document.createElement('span');
         folderTitle.className = 'folder-title';
         folderTitle.textContent = folder.name;
@@ -980,850 +4514,3227 @@ function renderAllChatsFoldersUI(container, folderedChats, folderNodes, level =
                 e.target === folderTitle ||
                 e.currentTarget === e.target
             ) {
-                folderSection.classList.toggle('collapsed');
-                content.classList.toggle('collapsed');
-                if (folderSection.classList.contains('collapsed')) {
-                    chevron.classList.remove('fa-chevron-down');
-                    chevron.classList.add('fa-chevron-right');
+                setFolderSectionCollapsed(folderSection, !folderSection.classList.contains('collapsed'));
+            }
+        });
+        // Helper function to show the rename folder popup
+        async function showRenameFolderPopup(folder) {
+            const content = document.createElement('div');
+            content.innerHTML = `<h3>Rename folder</h3>`;
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = folder.name;
+            nameInput.style.width = '100%';
+            nameInput.style.marginTop = '8px';
+            nameInput.className = 'chatplus_menu_input';
+            content.appendChild(nameInput);
+            // Free text for the {{chatNote}} macro of the chats in this folder and its subfolders
+            const noteLabel = document.createElement('label');
+            noteLabel.className = 'chatsplus-folder-note-label';
+            noteLabel.textContent = t`Note, inserted by {{chatNote}}:`;
+            const noteInput = document.createElement('textarea');
+            noteInput.className = 'text_pole textarea_compact chatsplus-folder-note';
+            noteInput.rows = 3;
+            noteInput.value = folder.note || '';
+            noteLabel.appendChild(noteInput);
+            content.appendChild(noteLabel);
+            const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+                okButton: t`Save`,
+                cancelButton: t`Cancel`,
+                wide: true
+            });
+            // Add Enter key support
+            nameInput.addEventListener('keydown', function (e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    popup.okButton.click(); // Trigger the popup's OK button
+                }
+            });
+            const result = await popup.show();
+            const newName = nameInput.value.trim();
+            const newNote = noteInput.value.trim();
+            const nameChanged = newName && newName !== folder.name;
+            const noteChanged = newNote !== (folder.note || '');
+            if ((result === POPUP_RESULT.AFFIRMATIVE) && (nameChanged || noteChanged)) {
+                // Update folder name and note
+                const folders = getFolders();
+                const idx = folders.findIndex(f => f.id === folder.id);
+                if (idx !== -1) {
+                    await recordHistory((nameChanged ? t`Rename folder` : t`Edit folder note`) + ` "${folder.name}"`, () => {
+                        if (nameChanged) folders[idx].name = newName;
+                        if (newNote) folders[idx].note = newNote;
+                        else delete folders[idx].note;
+                        setFolders(folders);
+                    });
+                    await refreshFoldersTab();
+                }
+            }
+        }
+
+        // Helper function to show the add chats to folder popup
+        async function showAddChatsToFolderPopup(folder) {
+            const content = document.createElement('div');
+            content.innerHTML = `<h3>Add Chats to "${folder.name}"</h3>`;
+            content.style.width = '100%';
+            content.style.maxHeight = '70vh';
+            content.style.overflow = 'hidden';
+            content.style.display = 'flex';
+            content.style.flexDirection = 'column';
+
+            // Add filter input
+            const filterRow = document.createElement('div');
+            filterRow.className = 'filter-row';
+            filterRow.style.marginBottom = '10px';
+
+            const inputWrapper = document.createElement('div');
+            inputWrapper.className = 'filter-input-wrapper';
+            inputWrapper.style.position = 'relative';
+            inputWrapper.style.display = 'flex';
+            inputWrapper.style.alignItems = 'center';
+
+            const filterInput = document.createElement('input');
+            filterInput.type = 'text';
+            filterInput.placeholder = 'Filter chats...';
+            filterInput.className = 'filter-input chatplus_menu_input';
+            filterInput.style.paddingRight = '30px';
+            filterInput.style.width = '100%';
+
+            const clearButton = document.createElement('button');
+            clearButton.className = 'filter-clear-button';
+            clearButton.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+            clearButton.title = 'Clear filter';
+            clearButton.style.position = 'absolute';
+            clearButton.style.right = '5px';
+            clearButton.style.background = 'none';
+            clearButton.style.border = 'none';
+            clearButton.style.cursor = 'pointer';
+            clearButton.style.display = 'none';
+
+            inputWrapper.appendChild(filterInput);
+            inputWrapper.appendChild(clearButton);
+            filterRow.appendChild(inputWrapper);
+            content.appendChild(filterRow);
+            const queryAssist = attachChatQueryAssist(filterInput, inputWrapper, () => true);
+
+            // Add selection controls
+            const selectionControls = document.createElement('div');
+            selectionControls.style.display = 'flex';
+            selectionControls.style.gap = '10px';
+            selectionControls.style.marginBottom = '10px';
+            selectionControls.style.alignItems = 'center';
+
+            const selectedCount = document.createElement('span');
+            selectedCount.style.marginLeft = 'auto';
+            selectedCount.style.fontSize = '0.9em';
+            selectedCount.style.color = '#888';
+            selectedCount.textContent = '0 selected';
+
+            selectionControls.appendChild(selectedCount);
+            content.appendChild(selectionControls);
+
+            // Chat list container
+            const chatsContainer = document.createElement('div');
+            chatsContainer.style.flex = '1 1 auto';
+            chatsContainer.style.overflow = 'auto';
+            chatsContainer.style.maxHeight = '50vh';
+            chatsContainer.style.border = '1px solid #444';
+            chatsContainer.style.borderRadius = '4px';
+            chatsContainer.style.padding = '8px';
+            content.appendChild(chatsContainer);
+
+            // Loader
+            const loader = document.createElement('div');
+            loader.className = 'allChatsTabLoader';
+            loader.style.textAlign = 'center';
+            loader.style.padding = '20px';
+            const loaderIcon = document.createElement('i');
+            loaderIcon.className = 'fa-2x fa-solid fa-gear fa-spin';
+            loader.appendChild(loaderIcon);
+            chatsContainer.appendChild(loader);
+
+            // Track selected chats
+            const selectedChats = new Map(); // chat key -> chat object
+            let allChatsData = [];
+
+            // Function to render chat items with checkboxes
+            function renderChatItemWithCheckbox(chat, container) {
+                const chatItem = document.createElement('div');
+                chatItem.className = 'tabItem tabItem-singleline bookmark-chat-item';
+                chatItem.style.display = 'flex';
+                chatItem.style.alignItems = 'center';
+                chatItem.style.gap = '10px';
+                chatItem.style.padding = '8px';
+                chatItem.style.margin = '2px 0';
+                chatItem.style.borderRadius = '4px';
+                chatItem.style.cursor = 'pointer';
+                chatItem.style.border = '1px solid transparent';
+
+                // Checkbox
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.style.marginRight = '8px';
+                const chatKey = getChatKey(chat);
+                checkbox.checked = selectedChats.has(chatKey);
+
+                // Character/Group image
+                let previewImg;
+                if (chat.isGroup) {
+                    previewImg = document.createElement('div');
+                    previewImg.className = 'tabItem-previewImg group-preview';
+
+                    const group = groups.find(g => g.id === chat.characterId);
+                    if (group) {
+                        let result = getGroupAvatar(group);
+                        if (result && result.length > 0) {
+                            const groupElement = result[0];
+                            groupElement.style.width = '100%';
+                            groupElement.style.height = '100%';
+                            groupElement.style.minWidth = 'unset';
+                            previewImg.appendChild(groupElement);
+                        }
+                    }
                 } else {
-                    chevron.classList.remove('fa-chevron-right');
-                    chevron.classList.add('fa-chevron-down');
+                    previewImg = document.createElement('img');
+                    previewImg.className = 'tabItem-previewImg';
+                    previewImg.src = typeof getThumbnailUrl === 'function' ? getThumbnailUrl('avatar', chat.avatar) : (chat.avatar || '');
+                    previewImg.alt = chat.character || '';
+                }
+                previewImg.style.width = '32px';
+                previewImg.style.height = '32px';
+
+                // Chat info
+                const chatInfo = document.createElement('div');
+                chatInfo.style.flex = '1 1 auto';
+                chatInfo.style.overflow = 'hidden';
+
+                const nameRow = document.createElement('div');
+                nameRow.className = 'tabItem-nameRow';
+                nameRow.textContent = `${chat.character}: ${chat.file_name}`;
+                nameRow.style.whiteSpace = 'nowrap';
+                nameRow.style.overflow = 'hidden';
+                nameRow.style.textOverflow = 'ellipsis';
+
+                const messageRow = document.createElement('div');
+                messageRow.className = 'tabItem-message';
+                messageRow.style.fontSize = '0.85em';
+                messageRow.style.color = '#888';
+                messageRow.style.whiteSpace = 'nowrap';
+                messageRow.style.overflow = 'hidden';
+                messageRow.style.textOverflow = 'ellipsis';
+                messageRow.textContent = chat.stat && chat.stat.mes ? chat.stat.mes : 'No messages';
+
+                chatInfo.appendChild(nameRow);
+                chatInfo.appendChild(messageRow);
+
+                chatItem.appendChild(checkbox);
+                chatItem.appendChild(previewImg);
+                chatItem.appendChild(chatInfo);
+
+                // Click handling
+                const toggleSelection = () => {
+                    if (selectedChats.has(chatKey)) {
+                        selectedChats.delete(chatKey);
+                        checkbox.checked = false;
+                        chatItem.style.backgroundColor = '';
+                        chatItem.style.border = '1px solid transparent';
+                    } else {
+                        selectedChats.set(chatKey, chat);
+                        checkbox.checked = true;
+                        chatItem.style.backgroundColor = 'rgba(100, 150, 255, 0.2)';
+                        chatItem.style.border = '1px solid rgba(100, 150, 255, 0.5)';
+                    }
+                    updateSelectedCount();
+                };
+
+                chatItem.addEventListener('click', toggleSelection);
+                checkbox.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    toggleSelection();
+                });
+
+                // Initial styling if selected
+                if (selectedChats.has(chatKey)) {
+                    chatItem.style.backgroundColor = 'rgba(100, 150, 255, 0.2)';
+                    chatItem.style.border = '1px solid rgba(100, 150, 255, 0.5)';
+                }
+
+                container.appendChild(chatItem);
+            }
+
+            // Function to update selected count
+            function updateSelectedCount() {
+                selectedCount.textContent = `${selectedChats.size} selected`;
+            }
+
+            // Function to populate chats
+            async function populateChats(filterValue = '') {
+                loader.style.display = 'block';
+
+                // Get all chats from the shared chat index
+                if (allChatsData.length === 0) {
+                    const index = await getChatIndex();
+                    allChatsData = index.chats.filter(chat => chat.last_mes).sort((a, b) => b.last_mes - a.last_mes);
+                }
+
+                // Filter chats
+                const filteredChats = allChatsData.filter(getChatFilterPredicate(filterValue));
+
+                // Clear container (except loader)
+                const chatItems = chatsContainer.querySelectorAll('.bookmark-chat-item');
+                chatItems.forEach(item => item.remove());
+
+                // Render filtered chats
+                filteredChats.forEach(chat => {
+                    renderChatItemWithCheckbox(chat, chatsContainer);
+                });
+
+                loader.style.display = 'none';
+                updateSelectedCount();
+            }
+
+            // Filter input handling
+            filterInput.addEventListener('input', (e) => {
+                const value = e.target.value.trim();
+                populateChats(value);
+                clearButton.style.display = value.length > 0 ? 'block' : 'none';
+            });
+
+            clearButton.addEventListener('click', () => {
+                filterInput.value = '';
+                clearButton.style.display = 'none';
+                populateChats('');
+                queryAssist.validate();
+                filterInput.focus();
+            });
+
+            // Initial population
+            await populateChats();
+
+            const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+                okButton: t`Add to Folder`,
+                cancelButton: t`Cancel`,
+                wide: true,
+                large: true
+            });
+
+            const result = await popup.show();
+            if (result === POPUP_RESULT.AFFIRMATIVE && selectedChats.size > 0) {
+                // Add the selected chats to the folder
+                let addedCount = 0;
+                await recordHistory(t`Add chats to` + ` "${folder.name}"`, () => {
+                    for (const chat of selectedChats.values()) {
+                        // Check if chat is already in the folder
+                        const existingFolders = getChatFolderIds(chat);
+                        if (!existingFolders.includes(folder.id)) {
+                            assignChatToFolder(chat, folder.id);
+                            addedCount++;
+                        }
+                    }
+                });
+
+                // Show success message
+                const confirmContent = document.createElement('div');
+                confirmContent.innerHTML = `<h3>Success!</h3><p>Added ${addedCount} chats to "${folder.name}".</p>`;
+                if (addedCount !== selectedChats.size) {
+                    const skipped = selectedChats.size - addedCount;
+                    confirmContent.innerHTML += `<p><small>${skipped} chats were already in the folder.</small></p>`;
+                }
+                const confirmPopup = new Popup(confirmContent, POPUP_TYPE.TEXT, '', {
+                    okButton: t`OK`
+                });
+                await confirmPopup.show();
+
+                // Refresh the folders tab to show the updated folder contents
+                await refreshFoldersTab();
+            }
+        }
+
+        // Pencil icon click triggers rename popup
+        pencilIcon.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await showRenameFolderPopup(folder);
+        });
+
+        // Bookmark icon for folder bookmarking, smart folders get their definition editor instead
+        const bookmarkBtn = document.createElement('button');
+        bookmarkBtn.className = 'bookmarkFolderBtn pinBtn tabItem-pinBtn';
+        if (isSmartFolder(folder)) {
+            bookmarkBtn.title = t`Edit smart folder`;
+            bookmarkBtn.innerHTML = '<i class="fa-solid fa-sliders"></i>';
+        } else {
+            bookmarkBtn.title = 'Add multiple chats to folder';
+            bookmarkBtn.innerHTML = '<i class="fa-regular fa-bookmark"></i>';
+        }
+        bookmarkBtn.onclick = async (e) => {
+            e.stopPropagation();
+            if (isSmartFolder(folder)) {
+                await showSmartFolderEditorPopup(folderMap[folder.id] || folder);
+            } else {
+                await showAddChatsToFolderPopup(folder);
+            }
+        };
+        header.appendChild(bookmarkBtn);
+
+        // Zip export of the folder with its subfolders, see Chat Bundles
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'exportFolderBtn pinBtn tabItem-pinBtn';
+        exportBtn.title = t`Export folder chats as zip`;
+        exportBtn.innerHTML = '<i class="fa-solid fa-file-zipper"></i>';
+        exportBtn.onclick = async (e) => {
+            e.stopPropagation();
+            await exportFolderBundle(folder);
+        };
+        header.appendChild(exportBtn);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'removeFolderBtn';
+        removeBtn.title = 'Remove folder';
+        removeBtn.innerHTML = '<i class="fa-solid fa-xmark icon-grey"></i>';
+        removeBtn.onclick = async (e) => {
+            e.stopPropagation();
+            // Folder preview for the remove confirmation popup
+            const folderPreview = document.createElement('div');
+            folderPreview.style.display = 'flex';
+            folderPreview.style.alignItems = 'center';
+            folderPreview.style.gap = '8px';
+            folderPreview.style.margin = '8px 0 4px 0';
+            folderPreview.style.fontWeight = 'bold';
+            folderPreview.style.fontSize = '1em';
+            const folderIcon = document.createElement('i');
+            folderIcon.className = isSmartFolder(folder) ? 'fa-solid fa-wand-magic-sparkles folder-title-icon' : 'fa-solid fa-folder folder-title-icon';
+            folderIcon.style.fontSize = '1.1em';
+            folderPreview.appendChild(folderIcon);
+            const folderName = document.createElement('span');
+            folderName.textContent = folder ? folder.name : folder.id;
+            folderPreview.appendChild(folderName);
+            // Popup content
+            const content = document.createElement('div');
+            content.innerHTML = `<h3 style='margin-bottom:8px;'>${t`Remove this folder?`}</h3>`;
+            content.appendChild(folderPreview);
+            // Choices for the subfolders and chats, with how many of them are affected
+            const impact = getFolderRemovalImpact(folder.id);
+            const parentFolder = folder.parent ? folderMap[folder.parent] : null;
+            const radioName = 'remove-folder-mode-radio';
+            if (impact.childCount > 0 || impact.chatCount > 0) {
+                const radioGroup = document.createElement('div');
+                radioGroup.className = 'chatplus_radio_group remove-folder-options';
+                const addOption = (mode, label, checked) => {
+                    const optionLabel = document.createElement('label');
+                    const radio = document.createElement('input');
+                    radio.type = 'radio';
+                    radio.name = radioName;
+                    radio.value = mode;
+                    radio.checked = checked;
+                    optionLabel.appendChild(radio);
+                    optionLabel.appendChild(document.createTextNode(' ' + label));
+                    radioGroup.appendChild(optionLabel);
+                };
+                const moved = `${impact.childCount} ${t`subfolders`}, ${impact.chatCount} ${t`chats`}`;
+                if (parentFolder) {
+                    addOption('parent', t`Move contents to` + ` "${parentFolder.name}" (${moved})`, true);
+                }
+                addOption('root', t`Move contents to the top level` + ` (${moved})`, !parentFolder);
+                addOption('subtree', t`Delete with all subfolders` + ` (${impact.subfolderCount} ${t`subfolders`}, ${impact.subtreeChatCount} ${t`chats leave their folders`})`, false);
+                content.appendChild(radioGroup);
+                const note = document.createElement('small');
+                note.textContent = t`Chats themselves are never deleted.`;
+                content.appendChild(note);
+            }
+            const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+                okButton: t`Remove`,
+                cancelButton: t`Cancel`
+            });
+            const result = await popup.show();
+            if (result === POPUP_RESULT.AFFIRMATIVE) {
+                const selectedRadio = content.querySelector(`input[name="${radioName}"]:checked`);
+                await snapshotBeforeDestructive(t`Remove folder` + ` "${folder.name}"`);
+                await recordHistory(t`Remove folder` + ` "${folder.name}"`, () => removeFolder(folder.id, selectedRadio ? selectedRadio.value : 'root'));
+                await refreshFoldersTab();
+            }
+        };
+        header.appendChild(removeBtn);
+        // Toggle between alphabetical and manual order of the subfolders
+        if (folder.children && folder.children.length > 1) {
+            header.insertBefore(createFolderSortToggle(folder.id), removeBtn);
+        }
+        // Regular folder headers accept dragged chats, and every header can be dragged, see Drag and Drop
+        if (!isSmartFolder(folder)) header.dataset.dropFolderId = folder.id;
+        makeFolderDraggable(header, folder);
+        folderSection.appendChild(header);
+        const content = document.createElement('div');
+        content.className = 'collapsible-content';
+        content.setAttribute('role', 'group');
+        folderSection.appendChild(content);
+        let collapsed = false;
+        try { collapsed = localStorage.getItem('topInfoBar_folder_collapsed_' + folder.id) === '1'; } catch { }
+        setFolderSectionCollapsed(folderSection, collapsed);
+        navItemActions.set(folderSection, {
+            rename: () => pencilIcon.click(),
+            remove: () => removeBtn.click(),
+        });
+        const chats = folderedChats[folder.id] || [];
+        if (chats.length > 0) {
+            for (const chat of chats) renderAllChatsTabItem(chat, content, false, folder.id);
+        }
+        container.appendChild(folderSection);
+        // Render subfolders recursively inside content
+        if (folder.children && folder.children.length > 0) {
+            renderAllChatsFoldersUI(content, folderedChats, folder.children, level + 1);
+        }
+    });
+}
+
+/**
+ * Render a single chat item in the Recent Chats tab.
+ * @param {Object} chat - Chat object.
+ * @param {HTMLElement} container - Container to append the item to.
+ * @param {boolean} isPinned - Whether the chat is pinned.
+ * @param {string|null} folderId - Folder ID if in a folder, else null.
+ */
+function renderAllChatsTabItem(chat, container, isPinned, folderId) {
+    const stat = chat.stat;
+    const tabItem = document.createElement('div');
+    tabItem.classList.add('tabItem');
+    if (isPinned) tabItem.classList.add('pinned');
+    tabItem.classList.add('tabItem-root');
+    tabItem.dataset.chatKey = getChatKey(chat);
+    // Recent items are listbox options, Folders tab items treeitems, see Keyboard Navigation
+    tabItem.setAttribute('role', folderId === null ? 'option' : 'treeitem');
+    tabItem.setAttribute('aria-label', `${chat.character}: ${chat.file_name}`);
+    tabItem.dataset.navKey = `chat:${isPinned ? 'pinned' : folderId || 'recent'}:${getChatKey(chat)}`;
+    tabItem.tabIndex = -1;
+
+    // Character/Group image (character = img, group = div)
+    // Check if this is a group chat
+    const isGroup = chat.isGroup || false;
+    let previewImg;
+    if (isGroup) {
+        previewImg = document.createElement('div');
+        previewImg.className = 'tabItem-previewImg group-preview';
+
+        // Find the actual group object using the chat's characterId (which is the group ID for group chats)
+        const group = groups.find(g => g.id === chat.characterId);
+        if (group) {
+            // getGroupBlock returns a jQuery object, so we need to get the actual DOM element
+            let result = getGroupAvatar(group);
+            if (result && result.length > 0) {
+                // Extract the actual DOM element from the jQuery object
+                const groupElement = result[0];
+                // Set required styles for consistent sizing
+                groupElement.style.width = '100%';
+                groupElement.style.height = '100%';
+                groupElement.style.minWidth = 'unset';
+                previewImg.appendChild(groupElement);
+            }
+        }
+    } else {
+        previewImg = document.createElement('img');
+        previewImg.className = 'tabItem-previewImg';
+        previewImg.src = typeof getThumbnailUrl === 'function' ? getThumbnailUrl('avatar', chat.avatar) : (chat.avatar || '');
+        previewImg.alt = chat.character || '';
+        previewImg.style.width = '32px';
+        previewImg.style.height = '32px';
+    }
+
+    // Pencil icon for renaming chat
+    const pencilIcon = document.createElement('i');
+    pencilIcon.className = 'fa-solid fa-pencil-alt chat-rename-icon';
+    pencilIcon.style.cursor = 'pointer';
+    pencilIcon.style.margin = '0 6px 0 6px';
+    pencilIcon.title = t`Rename chat`;
+    pencilIcon.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        // Show rename popup for chat
+        const content = document.createElement('div');
+        content.innerHTML = `<h3>${t`Rename chat`}</h3>`;
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = chat.file_name;
+        nameInput.style.width = '100%';
+        nameInput.style.marginTop = '8px';
+        nameInput.className = 'chatplus_menu_input';
+        content.appendChild(nameInput);
+        const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+            okButton: t`Rename`,
+            cancelButton: t`Cancel`,
+            wide: true
+        });
+        nameInput.addEventListener('keydown', function (e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                popup.okButton.click();
+            }
+        });
+        const result = await popup.show();
+        if ((result === POPUP_RESULT.AFFIRMATIVE) && nameInput.value.trim() && nameInput.value.trim() !== chat.file_name) {
+            await renameChatFile(chat, nameInput.value.trim());
+        }
+    });
+
+    // Trash icon for deleting the chat, see Trash
+    const deleteIcon = document.createElement('i');
+    deleteIcon.className = 'fa-solid fa-trash-can chat-delete-icon';
+    deleteIcon.title = t`Delete chat`;
+    deleteIcon.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await confirmDeleteChats([chat]);
+    });
+
+    // Box icon for archiving or unarchiving the chat, see Archive
+    const isArchived = isChatArchived(chat);
+    if (isArchived) tabItem.classList.add('archived');
+    const archiveIcon = document.createElement('i');
+    archiveIcon.className = `fa-solid ${isArchived ? 'fa-box-open' : 'fa-box-archive'} chat-archive-icon`;
+    archiveIcon.title = isArchived ? t`Unarchive chat` : t`Archive chat`;
+    archiveIcon.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await archiveChats([chat], !isArchived);
+    });
+
+    const nameRow = document.createElement('div');
+    nameRow.className = 'tabItem-nameRow';
+    nameRow.textContent = `${chat.character}: ${chat.file_name}`;
+    const pinBtn = document.createElement('button');
+    pinBtn.className = 'pinBtn tabItem-pinBtn';
+    // Chats in smart folders are matched by a query, so there is nothing to remove them from
+    const isStoredFolder = Boolean(folderId && folderId !== 'pinned' && !isSmartFolder(getFolders().find(f => f.id === folderId)));
+    if (isStoredFolder) {
+        pinBtn.title = t`Remove from folder`;
+        pinBtn.innerHTML = `
+            <span class="icon-slash-overlay">
+                <i class="fa-solid fa-thumbtack"></i>
+            </span>
+        `;
+    } else {
+        pinBtn.title = isPinned ? t`Unpin chat` : t`Pin or folder chat`;
+        pinBtn.innerHTML = isPinned
+            ? `
+                <span class="icon-slash-overlay">
+                    <i class="fa-solid fa-thumbtack"></i>
+                </span>
+            `
+            : '<i class="fa-regular fa-bookmark"></i>';
+    }
+    pinBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        if (isStoredFolder) {
+            // Show a preview in the remove confirmation popup 
+            // Folder preview
+            const folder = getFolders().find(f => f.id === folderId);
+            const folderPreview = document.createElement('div');
+            folderPreview.style.display = 'flex';
+            folderPreview.style.alignItems = 'center';
+            folderPreview.style.gap = '8px';
+            folderPreview.style.margin = '8px 0 4px 0';
+            folderPreview.style.fontWeight = 'bold';
+            folderPreview.style.fontSize = '1em';
+            const folderIcon = document.createElement('i');
+            folderIcon.className = 'fa-solid fa-folder folder-title-icon';
+            folderIcon.style.fontSize = '1.1em';
+            folderPreview.appendChild(folderIcon);
+            const folderName = document.createElement('span');
+            folderName.textContent = folder ? folder.name : folderId;
+            folderPreview.appendChild(folderName);
+            // Chat preview
+            const preview = document.createElement('div');
+            preview.className = 'tabItem tabItem-singleline';
+            preview.style.display = 'flex';
+            preview.style.flexDirection = 'row';
+            preview.style.alignItems = 'center';
+            preview.style.gap = '10px';
+            preview.style.margin = '8px 0 2px 0';
+
+            // Character/Group image (character = img, group = div)
+            const isGroup = chat.isGroup || false;
+            let previewImg;
+            if (isGroup) {
+                previewImg = document.createElement('div');
+                previewImg.className = 'tabItem-previewImg group-preview';
+
+                const group = groups.find(g => g.id === chat.characterId);
+                if (group) {
+                    let result = getGroupAvatar(group);
+                    if (result && result.length > 0) {
+                        const groupElement = result[0];
+                        groupElement.style.width = '100%';
+                        groupElement.style.height = '100%';
+                        groupElement.style.minWidth = 'unset';
+                        previewImg.appendChild(groupElement);
+                    }
+                }
+            } else {
+                previewImg = document.createElement('img');
+                previewImg.className = 'tabItem-previewImg';
+                previewImg.src = typeof getThumbnailUrl === 'function' ? getThumbnailUrl('avatar', chat.avatar) : (chat.avatar || '');
+                previewImg.alt = chat.character || '';
+            }
+
+            const nameRow = document.createElement('div');
+            nameRow.className = 'tabItem-nameRow';
+            nameRow.textContent = `${chat.character}: ${chat.file_name}`;
+            preview.appendChild(previewImg);
+            preview.appendChild(nameRow);
+            // Popup content
+            const content = document.createElement('div');
+            content.innerHTML = `<h3 style='margin-bottom:8px;'>${t`Remove the chat from the folder?`}</h3>`;
+            content.appendChild(folderPreview);
+            content.appendChild(preview);
+            // Use Popup constructor to allow DOM content
+            const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+                okButton: t`Remove`,
+                cancelButton: t`Cancel`
+            });
+            const result = await popup.show();
+            if (result === POPUP_RESULT.AFFIRMATIVE) {
+                await recordHistory(t`Remove chat from folder` + ` "${folder ? folder.name : folderId}"`, () => removeChatFromFolder(chat, folderId));
+                await refreshFoldersTab();
+            }
+            return;
+        }
+        if (isPinned) {
+            // Show a preview in the unpin confirmation popup
+            const preview = document.createElement('div');
+            preview.className = 'tabItem tabItem-singleline';
+            preview.style.display = 'flex';
+            preview.style.flexDirection = 'row';
+            preview.style.alignItems = 'center';
+            preview.style.gap = '10px';
+            preview.style.margin = '8px 0 2px 0';
+
+            // Character/Group image (character = img, group = div)
+            const isGroup = chat.isGroup || false;
+            let previewImg;
+            if (isGroup) {
+                previewImg = document.createElement('div');
+                previewImg.className = 'tabItem-previewImg group-preview';
+
+                const group = groups.find(g => g.id === chat.characterId);
+                if (group) {
+                    let result = getGroupAvatar(group);
+                    if (result && result.length > 0) {
+                        const groupElement = result[0];
+                        groupElement.style.width = '100%';
+                        groupElement.style.height = '100%';
+                        groupElement.style.minWidth = 'unset';
+                        previewImg.appendChild(groupElement);
+                    }
                 }
+            } else {
+                previewImg = document.createElement('img');
+                previewImg.className = 'tabItem-previewImg';
+                previewImg.src = typeof getThumbnailUrl === 'function' ? getThumbnailUrl('avatar', chat.avatar) : (chat.avatar || '');
+                previewImg.alt = chat.character || '';
             }
-        });
-        // Helper function to show the rename folder popup
-        async function showRenameFolderPopup(folder) {
+
+            const nameRow = document.createElement('div');
+            nameRow.className = 'tabItem-nameRow';
+            nameRow.textContent = `${chat.character}: ${chat.file_name}`;
+            preview.appendChild(previewImg);
+            preview.appendChild(nameRow);
+            // Popup content
             const content = document.createElement('div');
-            content.innerHTML = `<h3>Rename folder</h3>`;
-            const nameInput = document.createElement('input');
-            nameInput.type = 'text';
-            nameInput.value = folder.name;
-            nameInput.style.width = '100%';
-            nameInput.style.marginTop = '8px';
-            nameInput.className = 'chatplus_menu_input';
-            content.appendChild(nameInput);
-            const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
-                okButton: t`Rename`,
-                cancelButton: t`Cancel`,
-                wide: true
-            });
-            // Add Enter key support
-            nameInput.addEventListener('keydown', function (e) {
-                if (e.key === 'Enter') {
-                    e.preventDefault();
-                    popup.okButton.click(); // Trigger the popup's OK button
-                }
+            content.innerHTML = `<h3 style='margin-bottom:8px;'>${t`Unpin this chat?`}</h3>`;
+            content.appendChild(preview);
+            const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+                okButton: t`Unpin`,
+                cancelButton: t`Cancel`
             });
             const result = await popup.show();
-            if ((result === POPUP_RESULT.AFFIRMATIVE) && nameInput.value.trim() && nameInput.value.trim() !== folder.name) {
-                // Update folder name
-                const folders = getFolders();
-                const idx = folders.findIndex(f => f.id === folder.id);
-                if (idx !== -1) {
-                    folders[idx].name = nameInput.value.trim();
-                    setFolders(folders);
-                    await refreshFoldersTab();
-                }
+            if (result === POPUP_RESULT.AFFIRMATIVE) {
+                await recordHistory(t`Unpin chat` + ` "${chat.file_name}"`, () => togglePinChat(chat));
+                await populateAllChatsTab();
+                await refreshFoldersTab();
+            }
+            return;
+        }
+        const selectedFolderId = await promptSelectFolderOrPinned(chat);
+        if (selectedFolderId === 'pinned') {
+            await recordHistory(t`Pin chat` + ` "${chat.file_name}"`, () => togglePinChat(chat));
+            await populateAllChatsTab();
+            await refreshFoldersTab();
+        } else if (selectedFolderId) {
+            const folderIds = getChatFolderIds(chat);
+            // The folder may have been removed while the picker was open
+            const folder = getFolders().find(f => f.id === selectedFolderId);
+            if (folder && !folderIds.includes(selectedFolderId)) {
+                await recordHistory(t`Add chat to folder` + ` "${folder.name}"`, () => assignChatToFolder(chat, selectedFolderId));
+                await refreshFoldersTab();
             }
         }
+    });
+    if (isPinned || (folderId && folderId !== 'recent')) {
+        tabItem.classList.add('tabItem-singleline');
+        tabItem.style.display = 'flex';
+        tabItem.style.flexDirection = 'row';
+        tabItem.style.alignItems = 'center';
+        tabItem.style.gap = '10px';
+        nameRow.style.flex = '1 1 auto';
+        nameRow.style.overflow = 'hidden';
+        nameRow.style.textOverflow = 'ellipsis';
+        nameRow.style.whiteSpace = 'nowrap';
+        tabItem.appendChild(previewImg);
+        tabItem.appendChild(nameRow);
+        tabItem.appendChild(pinBtn);
+        if (isPinned) {
+            const rePinBtn = document.createElement('button');
+            rePinBtn.className = 'pinBtn tabItem-pinBtn';
+            rePinBtn.title = t`Pin or folder chat`;
+            rePinBtn.innerHTML = '<i class="fa-regular fa-bookmark"></i>';
+            rePinBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const selectedFolderId = await promptSelectFolderOrPinned(chat);
+                if (selectedFolderId === 'pinned') return;
+                else if (selectedFolderId) {
+                    const folderIds = getChatFolderIds(chat);
+                    // The folder may have been removed while the picker was open
+                    const folder = getFolders().find(f => f.id === selectedFolderId);
+                    if (folder && !folderIds.includes(selectedFolderId)) {
+                        await recordHistory(t`Add chat to folder` + ` "${folder.name}"`, () => assignChatToFolder(chat, selectedFolderId));
+                        await refreshFoldersTab();
+                    }
+                    await populateAllChatsTab();
+                }
+            });
+            tabItem.appendChild(rePinBtn);
+        }
+    } else {
+        const infoContainer = document.createElement('div');
+        infoContainer.className = 'tabItem-infoContainer';
+        const nameRow = document.createElement('div');
+        nameRow.className = 'tabItem-nameRow';
+        nameRow.textContent = chat.isGroup
+            ? `👥 ${chat.character}: ${chat.file_name}`
+            : `${chat.character}: ${chat.file_name}`;
+        const bottomRow = document.createElement('div');
+        bottomRow.className = 'tabItem-bottomRow';
+        // Pencil icon, trash icon, archive icon, first message, pin button (in this order)
+        bottomRow.appendChild(pencilIcon);
+        bottomRow.appendChild(deleteIcon);
+        bottomRow.appendChild(archiveIcon);
+        const chatMessage = document.createElement('div');
+        chatMessage.classList.add('chatMessage', 'tabItem-message');
+        chatMessage.textContent = stat && stat.mes ? stat.mes : '';
+        chatMessage.title = stat && stat.mes ? stat.mes : '';
+        bottomRow.appendChild(chatMessage);
+        bottomRow.appendChild(pinBtn);
+        infoContainer.appendChild(nameRow);
+        infoContainer.appendChild(bottomRow);
+        previewImg.classList.add('tabItem-img');
+        tabItem.appendChild(previewImg);
+        tabItem.appendChild(infoContainer);
+    }
+    // Recent tab items can be selected for bulk actions, see Bulk Selection
+    if (folderId === null) makeChatSelectable(tabItem, chat);
+    container.appendChild(tabItem);
+    tabItem.addEventListener('click', async (e) => {
+        if (e.target.closest('.tabItem-pinBtn')) return;
+        if (e.target.closest('.chat-rename-icon')) return;
+        if (e.target.closest('.chat-delete-icon')) return;
+        if (e.target.closest('.chat-archive-icon')) return;
+        if (folderId === null && handleRecentSelectionClick(e, tabItem, chat)) return;
+        await openChatFromList(chat);
+    });
+    // Only stored memberships are moved out of their folder, smart folder items drag like Recent chats
+    makeChatDraggable(tabItem, chat, isPinned ? 'pinned' : (isStoredFolder ? folderId : null));
+    // Delete moves Recent chats to the trash and takes folder chats out of their folder
+    navItemActions.set(tabItem, {
+        rename: () => pencilIcon.click(),
+        remove: folderId === null ? () => deleteIcon.click() : isStoredFolder ? () => pinBtn.click() : null,
+    });
+}
+
+// =========================
+// 5.1. Live Recent Chats Updates
+// =========================
+/**
+ * Build the stats of the open chat from the messages in memory,
+ * in the same shape as returned by getPastCharacterChats.
+ * @param {Object} chat - The open chat.
+ * @returns {Object} Chat stats.
+ */
+function getOpenChatStat(chat) {
+    const context = SillyTavern.getContext();
+    const messages = Array.isArray(context.chat) ? context.chat : [];
+    const lastMessage = messages[messages.length - 1];
+    const index = getCachedChatIndex();
+    const existing = index ? index.chatStatsMap[chat.characterId + ':' + chat.file_name] : null;
+    return {
+        ...existing,
+        file_name: chat.file_name + '.jsonl',
+        chat_items: messages.length,
+        mes: lastMessage && typeof lastMessage.mes === 'string' ? lastMessage.mes : '',
+        last_mes: lastMessage && lastMessage.send_date ? lastMessage.send_date : Date.now(),
+    };
+}
+
+/**
+ * Remove a date separator from the Recent list if no chat item follows it anymore.
+ * @param {Element|null} separator - Element that may be an empty date separator.
+ */
+function removeEmptyDateSeparator(separator) {
+    if (!separator || !separator.classList.contains('allChatsDateSeparator')) return;
+    if (separator.classList.contains('pinned-section-header')) return;
+    const next = separator.nextElementSibling;
+    if (!next || next.classList.contains('allChatsDateSeparator')) separator.remove();
+}
+
+/**
+ * Move a chat to the top of the Recent list, re-rendering its item with the latest preview.
+ * Adds a date separator for the chat's day if the list does not start with one.
+ * A pinned chat's row keeps its place among the pins and is only re-rendered.
+ * @param {Object} chat - Index entry of the chat, with stat and last_mes.
+ */
+function moveChatToTopOfRecentTab(chat) {
+    const container = document.getElementById('extensionAllChatsTabContainer');
+    if (!container || container.classList.contains('fulltext-results')) return;
+    const key = getChatKey(chat);
+    const pinnedItem = [...container.querySelectorAll('.tabItem.pinned')].find(item => item.dataset.chatKey === key);
+    if (pinnedItem) {
+        const pinnedFragment = document.createDocumentFragment();
+        renderAllChatsTabItem(chat, pinnedFragment, true, null);
+        pinnedItem.replaceWith(pinnedFragment);
+        ensureRovingTabStop(container, 'option', recentListFocusKey);
+    }
+    const existing = [...container.querySelectorAll('.tabItem:not(.pinned)')].find(item => item.dataset.chatKey === key);
+    if (existing) {
+        const previous = existing.previousElementSibling;
+        existing.remove();
+        removeEmptyDateSeparator(previous);
+    }
+    const filterInput = document.querySelector('#chatsplus-recent-chats-tab .filter-input');
+    if (!chat.last_mes || !getChatListPredicate(filterInput ? filterInput.value.trim() : '')(chat)) return;
+
+    const chatMoment = timestampToMoment(chat.stat.last_mes);
+    const chatDateStr = chatMoment.format('YYYY-MM-DD');
+    let separator = container.querySelector('.allChatsDateSeparator:not(.pinned-section-header)');
+    if (!separator || separator.getAttribute('data-date') !== chatDateStr) {
+        const dateSeparator = document.createElement('div');
+        dateSeparator.className = 'allChatsDateSeparator';
+        dateSeparator.textContent = chatMoment.format('LL');
+        dateSeparator.setAttribute('data-date', chatDateStr); // For tracking
+        if (separator) separator.before(dateSeparator);
+        else container.appendChild(dateSeparator);
+        separator = dateSeparator;
+    }
+    const fragment = document.createDocumentFragment();
+    renderAllChatsTabItem(chat, fragment, false, null);
+    separator.after(fragment);
+    ensureRovingTabStop(container, 'option', recentListFocusKey);
+}
+
+/**
+ * Handle a sent or received message: update the open chat's preview and move it to the top.
+ */
+function handleChatMessageEvent() {
+    const chat = getCurrentChat();
+    if (!chat) return;
+    // New activity brings an archived chat back, see Archive
+    if (isChatArchived(chat)) {
+        setChatsArchived([chat], false);
+        if (document.querySelector('#chatsplus-folders-tab .folders-tab-container')) refreshFoldersTab();
+    }
+    const entry = upsertChatIndexEntry(chat, getOpenChatStat(chat));
+    if (entry) moveChatToTopOfRecentTab(entry);
+}
+
+/**
+ * Handle a newly created chat: add it to the index and the top of the Recent list.
+ */
+function handleChatCreatedEvent() {
+    handleChatMessageEvent();
+    window['chatsPlusRenderSelectedChat']?.();
+}
+
+/**
+ * Handle a switch to another chat: refresh the "Currently Selected Chat".
+ * The owner is refetched on the next index build, a chat renamed in SillyTavern keeps its signature.
+ */
+function handleChatChangedEvent() {
+    const current = getCurrentChat();
+    if (current) chatIndexForcedOwners.add(getChatOwnerKey(current));
+    window['chatsPlusRenderSelectedChat']?.();
+}
+
+/**
+ * Handle a deleted chat of the current character or group: drop it from the index and the tabs.
+ * @param {string} chatName - File name of the deleted chat.
+ */
+function handleChatDeletedEvent(chatName) {
+    const current = getCurrentChat();
+    if (!chatName || !current) {
+        invalidateChatIndex();
+        return;
+    }
+    const chat = { ...current, file_name: String(chatName).replace('.jsonl', '') };
+    removeChatIndexEntry(chat);
+    const container = document.getElementById('extensionAllChatsTabContainer');
+    if (container) {
+        const key = getChatKey(chat);
+        for (const item of container.querySelectorAll('.tabItem')) {
+            if (item.dataset.chatKey !== key) continue;
+            const previous = item.previousElementSibling;
+            item.remove();
+            removeEmptyDateSeparator(previous);
+        }
+    }
+    if (document.querySelector('#chatsplus-folders-tab .folders-tab-container')) refreshFoldersTab();
+}
 
-        // Helper function to show the add chats to folder popup
-        async function showAddChatsToFolderPopup(folder) {
-            const content = document.createElement('div');
-            content.innerHTML = `<h3>Add Chats to "${folder.name}"</h3>`;
-            content.style.width = '100%';
-            content.style.maxHeight = '70vh';
-            content.style.overflow = 'hidden';
-            content.style.display = 'flex';
-            content.style.flexDirection = 'column';
+// =========================
+// 5.2. Full-Text Search
+// =========================
+const MAX_SEARCH_RESULT_CHATS = 50;
+const MAX_SEARCH_HITS_PER_CHAT = 5;
+const SEARCH_FETCH_CONCURRENCY = 4;
+const SEARCH_SNIPPET_RADIUS = 60;
+// Inverted index from token to the keys of the chats containing it, per-message matching
+// is done on the stored message texts of the candidate chats only
+let searchIndex = null; // { signatures: Map<key, string>, docTokens: Map<key, string[]>, postings: Map<token, Set<key>> }
+let searchIndexSyncPromise = null;
 
-            // Add filter input
-            const filterRow = document.createElement('div');
-            filterRow.className = 'filter-row';
-            filterRow.style.marginBottom = '10px';
+/**
+ * Split text into unique lowercase word tokens.
+ * @param {string} text - Text to tokenize.
+ * @returns {string[]} Unique tokens.
+ */
+function tokenizeSearchText(text) {
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return [...new Set(words)];
+}
 
-            const inputWrapper = document.createElement('div');
-            inputWrapper.className = 'filter-input-wrapper';
-            inputWrapper.style.position = 'relative';
-            inputWrapper.style.display = 'flex';
-            inputWrapper.style.alignItems = 'center';
+/**
+ * Get a signature of a chat's content from its stats, changing whenever messages change.
+ * @param {Object} chat - Chat index entry.
+ * @returns {string} The signature.
+ */
+function getChatSearchSignature(chat) {
+    const stat = chat.stat || {};
+    return `${stat.chat_items ?? ''}|${stat.file_size ?? ''}|${stat.last_mes ?? ''}`;
+}
+
+/**
+ * Fetch the raw lines of a chat file from the server, the metadata header first.
+ * @param {Object} chat - Chat object.
+ * @returns {Promise<Array<Object>>} Parsed lines of the jsonl file.
+ */
+async function fetchChatFile(chat) {
+    const response = chat.isGroup
+        ? await fetch('/api/chats/group/get', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ id: chat.file_name }),
+        })
+        : await fetch('/api/chats/get', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ ch_name: chat.character, file_name: chat.file_name, avatar_url: chat.avatar }),
+        });
+    if (!response.ok) throw new Error(`Failed to fetch chat ${chat.file_name}: ${response.status}`);
+    const data = await response.json();
+    return Array.isArray(data) ? data : [];
+}
+
+/**
+ * Fetch the messages of a chat as plain records for indexing.
+ * @param {Object} chat - Chat object.
+ * @returns {Promise<Array<{id: number, name: string, text: string}>>} Messages in chat order.
+ */
+async function fetchChatMessages(chat) {
+    const data = await fetchChatFile(chat);
+    // The first line of a chat file is its metadata header, not a message
+    const messages = data.length > 0 && data[0] && data[0].mes === undefined ? data.slice(1) : data;
+    return messages.map((message, id) => ({
+        id,
+        name: message && message.name ? String(message.name) : '',
+        text: message && typeof message.mes === 'string' ? message.mes : '',
+    }));
+}
+
+/**
+ * Add a chat's tokens to the in-memory inverted index, replacing any previous ones.
+ * @param {string} key - Chat key.
+ * @param {string[]} tokens - Unique tokens of the chat.
+ */
+function setSearchDocTokens(key, tokens) {
+    removeSearchDocTokens(key);
+    searchIndex.docTokens.set(key, tokens);
+    for (const token of tokens) {
+        if (!searchIndex.postings.has(token)) searchIndex.postings.set(token, new Set());
+        searchIndex.postings.get(token).add(key);
+    }
+}
+
+/**
+ * Remove a chat from the in-memory inverted index.
+ * @param {string} key - Chat key.
+ */
+function removeSearchDocTokens(key) {
+    const tokens = searchIndex.docTokens.get(key);
+    if (!tokens) return;
+    for (const token of tokens) {
+        const keys = searchIndex.postings.get(token);
+        if (!keys) continue;
+        keys.delete(key);
+        if (keys.size === 0) searchIndex.postings.delete(token);
+    }
+    searchIndex.docTokens.delete(key);
+    searchIndex.signatures.delete(key);
+}
+
+/**
+ * Load the stored search documents into the in-memory inverted index.
+ * Documents are streamed with a cursor so their texts are not all held in memory.
+ */
+async function loadSearchIndex() {
+    searchIndex = { signatures: new Map(), docTokens: new Map(), postings: new Map() };
+    try {
+        await runDbTransaction('searchDocs', 'readonly', store => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                const doc = cursor.value;
+                setSearchDocTokens(doc.key, tokenizeSearchText(doc.messages.map(m => m.text).join(' ')));
+                searchIndex.signatures.set(doc.key, doc.signature);
+                cursor.continue();
+            };
+        });
+    } catch (error) {
+        console.warn('ChatsPlus: Failed to load the search index', error);
+    }
+}
+
+/**
+ * Bring the search index up to date with the chat index.
+ * Only chats that are new or whose stats changed are fetched, deleted chats are dropped.
+ * @param {Function} [onProgress] - Called with (done, total) while fetching chats.
+ * @returns {Promise<void>}
+ */
+function syncSearchIndex(onProgress) {
+    if (searchIndexSyncPromise) return searchIndexSyncPromise;
+    searchIndexSyncPromise = (async () => {
+        if (!searchIndex) await loadSearchIndex();
+        const { chats } = await getChatIndex();
+        const chatsByKey = new Map(chats.map(chat => [getChatKey(chat), chat]));
+
+        const removedKeys = [...searchIndex.signatures.keys()].filter(key => !chatsByKey.has(key));
+        removedKeys.forEach(removeSearchDocTokens);
+        if (removedKeys.length > 0) {
+            await runDbTransaction('searchDocs', 'readwrite', store => {
+                removedKeys.forEach(key => store.delete(key));
+            }).catch(error => console.warn('ChatsPlus: Failed to remove search documents', error));
+        }
 
-            const filterInput = document.createElement('input');
-            filterInput.type = 'text';
-            filterInput.placeholder = 'Filter chats...';
-            filterInput.className = 'filter-input chatplus_menu_input';
-            filterInput.style.paddingRight = '30px';
-            filterInput.style.width = '100%';
+        const changed = [...chatsByKey.entries()].filter(([key, chat]) => searchIndex.signatures.get(key) !== getChatSearchSignature(chat));
+        let done = 0;
+        if (onProgress) onProgress(done, changed.length);
+        await runWithConcurrency(changed, SEARCH_FETCH_CONCURRENCY, async ([key, chat]) => {
+            try {
+                const messages = await fetchChatMessages(chat);
+                const signature = getChatSearchSignature(chat);
+                await runDbTransaction('searchDocs', 'readwrite', store => store.put({ key, signature, messages }));
+                setSearchDocTokens(key, tokenizeSearchText(messages.map(m => m.text).join(' ')));
+                searchIndex.signatures.set(key, signature);
+            } catch (error) {
+                console.warn(`ChatsPlus: Failed to index chat ${key}`, error);
+            }
+            done++;
+            if (onProgress) onProgress(done, changed.length);
+        });
+    })().finally(() => {
+        searchIndexSyncPromise = null;
+    });
+    return searchIndexSyncPromise;
+}
 
-            const clearButton = document.createElement('button');
-            clearButton.className = 'filter-clear-button';
-            clearButton.innerHTML = '<i class="fa-solid fa-xmark"></i>';
-            clearButton.title = 'Clear filter';
-            clearButton.style.position = 'absolute';
-            clearButton.style.right = '5px';
-            clearButton.style.background = 'none';
-            clearButton.style.border = 'none';
-            clearButton.style.cursor = 'pointer';
-            clearButton.style.display = 'none';
+/**
+ * Build a short excerpt of a message around the first matched term.
+ * @param {string} text - Message text.
+ * @param {string[]} terms - Lowercase search terms.
+ * @returns {string} The snippet.
+ */
+function buildSearchSnippet(text, terms) {
+    const lower = text.toLowerCase();
+    const positions = terms.map(term => lower.indexOf(term)).filter(pos => pos !== -1);
+    const pos = positions.length > 0 ? Math.min(...positions) : 0;
+    const start = Math.max(0, pos - SEARCH_SNIPPET_RADIUS);
+    const end = Math.min(text.length, pos + SEARCH_SNIPPET_RADIUS * 2);
+    return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '');
+}
 
-            inputWrapper.appendChild(filterInput);
-            inputWrapper.appendChild(clearButton);
-            filterRow.appendChild(inputWrapper);
-            content.appendChild(filterRow);
+/**
+ * Search every message of every indexed chat. A message matches if it contains every term,
+ * each term matching as a word prefix. Quoted phrases must appear as is.
+ * @param {string} query - Search query.
+ * @returns {Promise<{terms: string[], results: Array<{chat: Object, hits: Array}>}>} Matching chats, most recent first.
+ */
+async function searchChatMessages(query) {
+    const phrases = [...String(query).matchAll(/"([^"]+)"/g)].map(m => m[1].toLowerCase().trim()).filter(Boolean);
+    const terms = tokenizeSearchText(String(query).replace(/"[^"]*"/g, ' '));
+    const phraseTokens = phrases.flatMap(tokenizeSearchText);
+    const indexTerms = [...new Set([...terms, ...phraseTokens])];
+    if (indexTerms.length === 0) return { terms: [], results: [] };
+
+    // Candidate chats contain a token starting with every term
+    let candidates = null;
+    for (const term of indexTerms) {
+        const keys = new Set();
+        for (const [token, tokenKeys] of searchIndex.postings) {
+            if (token.startsWith(term)) tokenKeys.forEach(key => keys.add(key));
+        }
+        candidates = candidates ? new Set([...candidates].filter(key => keys.has(key))) : keys;
+        if (candidates.size === 0) return { terms: indexTerms, results: [] };
+    }
 
-            // Add selection controls
-            const selectionControls = document.createElement('div');
-            selectionControls.style.display = 'flex';
-            selectionControls.style.gap = '10px';
-            selectionControls.style.marginBottom = '10px';
-            selectionControls.style.alignItems = 'center';
+    const { chats } = await getChatIndex();
+    const chatsByKey = new Map(chats.map(chat => [getChatKey(chat), chat]));
+    const candidateChats = [...candidates]
+        .map(key => chatsByKey.get(key))
+        .filter(Boolean)
+        .sort((a, b) => (b.last_mes || 0) - (a.last_mes || 0));
+
+    const matchTerms = [...terms, ...phrases];
+    const results = [];
+    // Read the stored messages in batches, stopping once enough chats matched
+    for (let start = 0; start < candidateChats.length && results.length < MAX_SEARCH_RESULT_CHATS; start += 20) {
+        const batch = candidateChats.slice(start, start + 20);
+        const docs = [];
+        await runDbTransaction('searchDocs', 'readonly', store => {
+            batch.forEach((chat, idx) => {
+                const request = store.get(getChatKey(chat));
+                request.onsuccess = () => { docs[idx] = request.result; };
+            });
+        });
+        batch.forEach((chat, idx) => {
+            const doc = docs[idx];
+            if (!doc || results.length >= MAX_SEARCH_RESULT_CHATS) return;
+            const hits = [];
+            let hitCount = 0;
+            for (const message of doc.messages) {
+                const lower = message.text.toLowerCase();
+                if (!phrases.every(phrase => lower.includes(phrase))) continue;
+                const tokens = tokenizeSearchText(lower);
+                if (!terms.every(term => tokens.some(token => token.startsWith(term)))) continue;
+                hitCount++;
+                if (hits.length < MAX_SEARCH_HITS_PER_CHAT) {
+                    hits.push({ id: message.id, name: message.name, snippet: buildSearchSnippet(message.text, matchTerms) });
+                }
+            }
+            if (hits.length > 0) results.push({ chat, hits, hitCount });
+        });
+    }
+    return { terms: matchTerms, results };
+}
 
-            const selectedCount = document.createElement('span');
-            selectedCount.style.marginLeft = 'auto';
-            selectedCount.style.fontSize = '0.9em';
-            selectedCount.style.color = '#888';
-            selectedCount.textContent = '0 selected';
+/**
+ * Render full-text search results: each chat followed by its matching message snippets.
+ * @param {HTMLElement} container - Container to render into.
+ * @param {{terms: string[], results: Array}} search - Result of searchChatMessages.
+ */
+function renderFullTextResults(container, { terms, results }) {
+    container.innerHTML = '';
+    if (results.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'emptyFolderMessage';
+        empty.textContent = terms.length > 0 ? t`No messages found.` : t`Type to search the messages of all chats.`;
+        container.appendChild(empty);
+        return;
+    }
+    for (const { chat, hits, hitCount } of results) {
+        renderAllChatsTabItem(chat, container, false, null);
+        for (const hit of hits) {
+            const hitRow = document.createElement('div');
+            hitRow.className = 'fulltext-hit';
+            hitRow.title = t`Open chat at this message`;
+            const hitName = document.createElement('span');
+            hitName.className = 'fulltext-hit-name';
+            hitName.textContent = `#${hit.id} ${hit.name}:`;
+            const hitText = document.createElement('span');
+            hitText.className = 'fulltext-hit-text';
+            hitText.textContent = hit.snippet;
+            hitRow.append(hitName, ' ', hitText);
+            hitRow.addEventListener('click', async () => {
+                await openChatFromList(chat);
+                await scrollToChatMessage(hit.id, terms);
+            });
+            container.appendChild(hitRow);
+        }
+        if (hitCount > hits.length) {
+            const more = document.createElement('div');
+            more.className = 'fulltext-hit-more';
+            more.textContent = `+${hitCount - hits.length} more`;
+            container.appendChild(more);
+        }
+    }
+    $(container).find('.fulltext-hit-text').highlight(terms, { className: 'chatsplus-search-highlight' });
+}
 
-            selectionControls.appendChild(selectedCount);
-            content.appendChild(selectionControls);
+/**
+ * Scroll the open chat to a message and briefly highlight the search terms in it.
+ * Messages that are not rendered yet are loaded with the /chat-jump command when available.
+ * @param {number} messageId - Index of the message in the chat.
+ * @param {string[]} terms - Terms to highlight.
+ */
+async function scrollToChatMessage(messageId, terms) {
+    const findMessage = () => document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+    let element = findMessage();
+    const context = SillyTavern.getContext();
+    if (!element && typeof context.executeSlashCommandsWithOptions === 'function') {
+        try {
+            await context.executeSlashCommandsWithOptions(`/chat-jump ${messageId}`, { handleExecutionErrors: true });
+        } catch (error) {
+            console.warn('ChatsPlus: Failed to jump to message', error);
+        }
+        element = findMessage();
+    }
+    if (!element) return;
+    element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    const messageText = $(element).find('.mes_text');
+    messageText.highlight(terms, { className: 'chatsplus-search-highlight' });
+    setTimeout(() => messageText.unhighlight({ className: 'chatsplus-search-highlight' }), 5000);
+}
 
-            // Chat list container
-            const chatsContainer = document.createElement('div');
-            chatsContainer.style.flex = '1 1 auto';
-            chatsContainer.style.overflow = 'auto';
-            chatsContainer.style.maxHeight = '50vh';
-            chatsContainer.style.border = '1px solid #444';
-            chatsContainer.style.borderRadius = '4px';
-            chatsContainer.style.padding = '8px';
-            content.appendChild(chatsContainer);
+// =========================
+// 5.3. Drag and Drop
+// =========================
+// Chats and folders are dragged with pointer events so mouse, pen and touch share one code path:
+// a mouse drag starts after a few pixels of movement, a touch drag after a long press,
+// which leaves normal swiping free for scrolling.
+// Chats: while dragging, a tray with Pinned and all regular folders is shown, and folder headers
+// in the Folders tab accept drops too. Dropping moves the chat out of the folder (or Pinned) it
+// was dragged from; holding Ctrl/Alt/Cmd, or passing over the Copy toggle of the tray on touch, copies instead.
+// Folders: dropping on the middle of another folder header nests the folder inside it, dropping on
+// its top or bottom edge places it before or after that folder, and the "Add Folder" row moves it to the root.
+const DRAG_START_DISTANCE = 6;
+const TOUCH_DRAG_DELAY = 400;
+let activeDrag = null;
 
-            // Loader
-            const loader = document.createElement('div');
-            loader.className = 'allChatsTabLoader';
-            loader.style.textAlign = 'center';
-            loader.style.padding = '20px';
-            const loaderIcon = document.createElement('i');
-            loaderIcon.className = 'fa-2x fa-solid fa-gear fa-spin';
-            loader.appendChild(loaderIcon);
-            chatsContainer.appendChild(loader);
+/**
+ * Start a drag from an element once the press turns into one: after some movement for
+ * mouse and pen, or after a long press without movement for touch.
+ * @param {HTMLElement} element - Element to drag from.
+ * @param {Function} onStart - Called with the event that started the drag.
+ */
+function attachPointerDrag(element, onStart) {
+    // Native image dragging and the long-press menu would interfere with the pointer drag
+    element.addEventListener('dragstart', (e) => e.preventDefault());
+    element.addEventListener('contextmenu', (e) => {
+        if (activeDrag) e.preventDefault();
+    });
+    element.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0 || activeDrag || e.target.closest('button, input, .chat-rename-icon, .folder-rename-icon')) return;
+        const startX = e.clientX;
+        const startY = e.clientY;
+        let timer = null;
+        const cleanup = () => {
+            clearTimeout(timer);
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', cleanup);
+            document.removeEventListener('pointercancel', cleanup);
+        };
+        const onMove = (moveEvent) => {
+            if (moveEvent.pointerId !== e.pointerId) return;
+            if (Math.hypot(moveEvent.clientX - startX, moveEvent.clientY - startY) < DRAG_START_DISTANCE) return;
+            cleanup();
+            // A touch that moves before the long press is a scroll, not a drag
+            if (moveEvent.pointerType !== 'touch') onStart(moveEvent);
+        };
+        if (e.pointerType === 'touch') {
+            timer = setTimeout(() => {
+                cleanup();
+                onStart(e);
+            }, TOUCH_DRAG_DELAY);
+        }
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', cleanup);
+        document.addEventListener('pointercancel', cleanup);
+    });
+}
 
-            // Track selected chats
-            const selectedChats = new Set();
-            let allChatsData = [];
+/**
+ * Show the drag ghost and follow the pointer until the drag is dropped or cancelled.
+ * @param {Object} drag - Drag state with sourceElement, label, and update/drop callbacks.
+ * @param {PointerEvent} e - The event that started the drag.
+ */
+function beginPointerDrag(drag, e) {
+    activeDrag = drag;
+    drag.pointerId = e.pointerId;
+    drag.ghost = document.createElement('div');
+    drag.ghost.className = 'chatsplus-drag-ghost';
+    drag.ghost.textContent = drag.label;
+    document.body.appendChild(drag.ghost);
+    drag.sourceElement.classList.add('dragging');
+    // Text is only unselectable while dragging, a long press may already have selected some
+    document.body.classList.add('chatsplus-dragging');
+    window.getSelection()?.removeAllRanges();
+    if (navigator.vibrate && e.pointerType === 'touch') navigator.vibrate(20);
+
+    drag.onMove = (moveEvent) => {
+        if (moveEvent.pointerId !== drag.pointerId) return;
+        drag.ghost.style.left = moveEvent.clientX + 12 + 'px';
+        drag.ghost.style.top = moveEvent.clientY + 12 + 'px';
+        drag.update(moveEvent, document.elementFromPoint(moveEvent.clientX, moveEvent.clientY));
+    };
+    drag.onUp = (upEvent) => {
+        if (upEvent.pointerId !== drag.pointerId) return;
+        drag.onMove(upEvent);
+        endPointerDrag();
+        // The click that follows the pointerup must not open the chat or toggle the folder
+        const suppressClick = (clickEvent) => {
+            clickEvent.stopPropagation();
+            clickEvent.preventDefault();
+        };
+        window.addEventListener('click', suppressClick, { capture: true, once: true });
+        setTimeout(() => window.removeEventListener('click', suppressClick, { capture: true }), 300);
+        drag.drop();
+    };
+    drag.onCancel = () => endPointerDrag();
+    drag.onKey = (keyEvent) => {
+        if (keyEvent.key === 'Escape') endPointerDrag();
+        else if (drag.onModifiers) drag.onModifiers(keyEvent);
+    };
+    // Keeps the page from scrolling under a touch drag
+    drag.onTouchMove = (touchEvent) => touchEvent.preventDefault();
+    document.addEventListener('pointermove', drag.onMove);
+    document.addEventListener('pointerup', drag.onUp);
+    document.addEventListener('pointercancel', drag.onCancel);
+    document.addEventListener('keydown', drag.onKey);
+    document.addEventListener('keyup', drag.onKey);
+    document.addEventListener('touchmove', drag.onTouchMove, { passive: false });
+    drag.onMove(e);
+}
 
-            // Function to render chat items with checkboxes
-            function renderChatItemWithCheckbox(chat, container) {
-                const chatItem = document.createElement('div');
-                chatItem.className = 'tabItem tabItem-singleline bookmark-chat-item';
-                chatItem.style.display = 'flex';
-                chatItem.style.alignItems = 'center';
-                chatItem.style.gap = '10px';
-                chatItem.style.padding = '8px';
-                chatItem.style.margin = '2px 0';
-                chatItem.style.borderRadius = '4px';
-                chatItem.style.cursor = 'pointer';
-                chatItem.style.border = '1px solid transparent';
+/**
+ * Remove the drag ghost, highlights and listeners of the active drag.
+ */
+function endPointerDrag() {
+    const drag = activeDrag;
+    if (!drag) return;
+    activeDrag = null;
+    drag.ghost.remove();
+    drag.sourceElement.classList.remove('dragging');
+    document.body.classList.remove('chatsplus-dragging');
+    if (drag.cleanup) drag.cleanup();
+    document.removeEventListener('pointermove', drag.onMove);
+    document.removeEventListener('pointerup', drag.onUp);
+    document.removeEventListener('pointercancel', drag.onCancel);
+    document.removeEventListener('keydown', drag.onKey);
+    document.removeEventListener('keyup', drag.onKey);
+    document.removeEventListener('touchmove', drag.onTouchMove);
+}
 
-                // Checkbox
-                const checkbox = document.createElement('input');
-                checkbox.type = 'checkbox';
-                checkbox.style.marginRight = '8px';
-                const chatKey = `${chat.characterId}:${chat.file_name}`;
-                checkbox.checked = selectedChats.has(chatKey);
+/**
+ * Make a rendered chat item draggable onto folders and Pinned.
+ * @param {HTMLElement} tabItem - The chat item element.
+ * @param {Object} chat - Chat object.
+ * @param {string|null} sourceId - Folder ID or 'pinned' the item is listed in, null for Recent chats.
+ */
+function makeChatDraggable(tabItem, chat, sourceId) {
+    tabItem.classList.add('chatsplus-draggable');
+    attachPointerDrag(tabItem, (e) => startChatDrag(chat, sourceId, tabItem, e));
+}
 
-                // Character/Group image
-                let previewImg;
-                if (chat.isGroup) {
-                    previewImg = document.createElement('div');
-                    previewImg.className = 'tabItem-previewImg group-preview';
+/**
+ * Build the drop tray listing Pinned and the regular folders as a tree.
+ * Smart folders are listed without being drop targets, to keep their subfolders reachable.
+ * @param {string|null} sourceId - Folder ID or 'pinned' the chat is dragged from.
+ * @returns {HTMLElement} The tray element.
+ */
+function renderChatDropTray(sourceId) {
+    const tray = document.createElement('div');
+    tray.className = 'chatsplus-drop-tray';
+    const modeToggle = document.createElement('div');
+    modeToggle.className = 'chatsplus-drop-mode';
+    modeToggle.dataset.dropMode = 'copy';
+    modeToggle.innerHTML = `<i class="fa-solid fa-copy"></i> ${t`Copy`}`;
+    modeToggle.title = t`Hold Ctrl/Alt or drag over here to copy instead of move`;
+    tray.appendChild(modeToggle);
+    const addTarget = (targetId, label, icon, level, isTarget) => {
+        const target = document.createElement('div');
+        target.className = 'chatsplus-drop-target' + (isTarget ? '' : ' disabled');
+        if (isTarget) target.dataset.dropFolderId = targetId;
+        target.style.paddingLeft = (8 + level * 14) + 'px';
+        const iconEl = document.createElement('i');
+        iconEl.className = icon;
+        target.appendChild(iconEl);
+        target.appendChild(document.createTextNode(' ' + label));
+        if (targetId === sourceId) target.classList.add('source');
+        tray.appendChild(target);
+    };
+    addTarget('pinned', t`Pinned Chats`, 'fa-solid fa-thumbtack', 0, true);
+    const renderNodes = (nodes, level) => {
+        nodes.forEach(folder => {
+            const smart = isSmartFolder(folder);
+            addTarget(folder.id, folder.name, smart ? 'fa-solid fa-wand-magic-sparkles' : 'fa-solid fa-folder', level, !smart);
+            if (folder.children.length > 0) renderNodes(folder.children, level + 1);
+        });
+    };
+    renderNodes(buildFolderTree(getFolders()), 0);
+    return tray;
+}
 
-                    const group = groups.find(g => g.id === chat.characterId);
-                    if (group) {
-                        let result = getGroupAvatar(group);
-                        if (result && result.length > 0) {
-                            const groupElement = result[0];
-                            groupElement.style.width = '100%';
-                            groupElement.style.height = '100%';
-                            groupElement.style.minWidth = 'unset';
-                            previewImg.appendChild(groupElement);
-                        }
-                    }
-                } else {
-                    previewImg = document.createElement('img');
-                    previewImg.className = 'tabItem-previewImg';
-                    previewImg.src = typeof getThumbnailUrl === 'function' ? getThumbnailUrl('avatar', chat.avatar) : (chat.avatar || '');
-                    previewImg.alt = chat.character || '';
-                }
-                previewImg.style.width = '32px';
-                previewImg.style.height = '32px';
+/**
+ * Start dragging a chat: show the drop tray and highlight the drop target under the pointer.
+ * @param {Object} chat - Chat object.
+ * @param {string|null} sourceId - Folder ID or 'pinned' the chat is dragged from.
+ * @param {HTMLElement} tabItem - The dragged chat item.
+ * @param {PointerEvent} e - The event that started the drag.
+ */
+function startChatDrag(chat, sourceId, tabItem, e) {
+    const tray = renderChatDropTray(sourceId);
+    document.body.appendChild(tray);
+    let stickyCopy = false;
+    let copy = false;
+    let target = null;
+    const drag = {
+        label: `${chat.character}: ${chat.file_name}`,
+        sourceElement: tabItem,
+        onModifiers: (event) => {
+            copy = stickyCopy || event.ctrlKey || event.altKey || event.metaKey;
+            drag.ghost.classList.toggle('copy', copy);
+            tray.classList.toggle('copy', copy);
+        },
+        update: (event, element) => {
+            if (element && element.closest('[data-drop-mode="copy"]')) stickyCopy = true;
+            drag.onModifiers(event);
+            const newTarget = element ? element.closest('[data-drop-folder-id]') : null;
+            if (newTarget === target) return;
+            if (target) target.classList.remove('drop-hover');
+            target = newTarget;
+            if (target) target.classList.add('drop-hover');
+        },
+        drop: () => {
+            if (target) applyChatDrop(chat, sourceId, target.dataset.dropFolderId, copy);
+        },
+        cleanup: () => {
+            tray.remove();
+            if (target) target.classList.remove('drop-hover');
+        },
+    };
+    beginPointerDrag(drag, e);
+}
 
-                // Chat info
-                const chatInfo = document.createElement('div');
-                chatInfo.style.flex = '1 1 auto';
-                chatInfo.style.overflow = 'hidden';
+/**
+ * Make a folder header draggable to re-parent or reorder the folder.
+ * @param {HTMLElement} header - The folder header element.
+ * @param {Object} folder - Folder object.
+ */
+function makeFolderDraggable(header, folder) {
+    header.classList.add('chatsplus-draggable');
+    header.dataset.folderId = folder.id;
+    attachPointerDrag(header, (e) => startFolderDrag(folder, header, e));
+}
 
-                const nameRow = document.createElement('div');
-                nameRow.className = 'tabItem-nameRow';
-                nameRow.textContent = `${chat.character}: ${chat.file_name}`;
-                nameRow.style.whiteSpace = 'nowrap';
-                nameRow.style.overflow = 'hidden';
-                nameRow.style.textOverflow = 'ellipsis';
+/**
+ * Start dragging a folder, showing where it would land: before, after or inside the folder under the pointer.
+ * @param {Object} folder - The dragged folder.
+ * @param {HTMLElement} header - The dragged folder header.
+ * @param {PointerEvent} e - The event that started the drag.
+ */
+function startFolderDrag(folder, header, e) {
+    let target = null;
+    let position = null;
+    const clearHighlight = () => {
+        if (target) target.classList.remove('drop-before', 'drop-after', 'drop-inside', 'drop-hover', 'drop-invalid');
+    };
+    const drag = {
+        label: folder.name,
+        sourceElement: header,
+        update: (event, element) => {
+            clearHighlight();
+            target = element ? element.closest('[data-folder-id], .add-folder-row') : null;
+            position = null;
+            if (!target || target === header) {
+                target = null;
+                return;
+            }
+            if (target.classList.contains('add-folder-row')) {
+                position = 'root';
+                target.classList.add('drop-hover');
+                return;
+            }
+            // The top and bottom quarter of a header reorder, the middle nests
+            const rect = target.getBoundingClientRect();
+            const offset = (event.clientY - rect.top) / rect.height;
+            position = offset < 0.25 ? 'before' : offset > 0.75 ? 'after' : 'inside';
+            const targetFolder = getFolders().find(f => f.id === target.dataset.folderId);
+            const newParent = position === 'inside' ? target.dataset.folderId : (targetFolder ? targetFolder.parent : null);
+            if (newParent && isFolderInside(newParent, folder.id)) {
+                target.classList.add('drop-invalid');
+                position = null;
+                return;
+            }
+            target.classList.add('drop-' + position);
+        },
+        drop: () => {
+            if (target && position) applyFolderDrop(folder.id, position === 'root' ? null : target.dataset.folderId, position);
+        },
+        cleanup: clearHighlight,
+    };
+    beginPointerDrag(drag, e);
+}
 
-                const messageRow = document.createElement('div');
-                messageRow.className = 'tabItem-message';
-                messageRow.style.fontSize = '0.85em';
-                messageRow.style.color = '#888';
-                messageRow.style.whiteSpace = 'nowrap';
-                messageRow.style.overflow = 'hidden';
-                messageRow.style.textOverflow = 'ellipsis';
-                messageRow.textContent = chat.stat && chat.stat.mes ? chat.stat.mes : 'No messages';
+/**
+ * Re-parent or reorder a dropped folder.
+ * Reordering under a parent sorted alphabetically switches that parent to manual order.
+ * @param {string} folderId - The dropped folder ID.
+ * @param {string|null} targetId - Folder ID dropped on, null for the root.
+ * @param {'before'|'after'|'inside'|'root'} position - Where the folder was dropped.
+ */
+async function applyFolderDrop(folderId, targetId, position) {
+    const folders = getFolders();
+    const folder = folders.find(f => f.id === folderId);
+    const targetFolder = folders.find(f => f.id === targetId);
+    if (!folder || (position !== 'root' && !targetFolder)) return;
+    const label = position === 'inside' ? t`Move folder` + ` "${folder.name}" → "${targetFolder.name}"`
+        : position === 'root' ? t`Move folder` + ` "${folder.name}" → ` + t`top level`
+            : t`Reorder folder` + ` "${folder.name}"`;
+    const moved = await recordHistory(label, () => {
+        if (position === 'root') return moveFolder(folderId, null);
+        if (position === 'inside') return moveFolder(folderId, targetId);
+        const isMoved = moveFolder(folderId, targetFolder.parent, { siblingId: targetId, after: position === 'after' });
+        if (isMoved && getFolderSortMode(targetFolder.parent) === 'alpha') {
+            // Keep the current alphabetical order as the starting point of the manual order
+            const siblings = getFolders().filter(f => (f.parent || null) === (targetFolder.parent || null) && f.id !== folderId)
+                .sort((a, b) => a.name.localeCompare(b.name));
+            const anchorIdx = siblings.findIndex(f => f.id === targetId);
+            siblings.splice(position === 'after' ? anchorIdx + 1 : anchorIdx, 0, getFolders().find(f => f.id === folderId));
+            const siblingIds = new Set(siblings.map(f => f.id));
+            const others = getFolders().filter(f => !siblingIds.has(f.id));
+            setFolders([...others, ...siblings]);
+            setFolderSortMode(targetFolder.parent, 'manual');
+            toastr.info(t`Folders here are now in manual order.`);
+        }
+        return isMoved;
+    });
+    if (!moved) {
+        toastr.warning(t`A folder cannot be moved into itself.`);
+        return;
+    }
+    await refreshFoldersTab();
+}
 
-                chatInfo.appendChild(nameRow);
-                chatInfo.appendChild(messageRow);
+/**
+ * File a dropped chat into a folder or Pinned, removing it from its source when moving.
+ * @param {Object} chat - Chat object.
+ * @param {string|null} sourceId - Folder ID or 'pinned' the chat was dragged from, null for Recent chats.
+ * @param {string} targetId - Folder ID or 'pinned' the chat was dropped on.
+ * @param {boolean} copy - Keep the chat in its source as well.
+ */
+async function applyChatDrop(chat, sourceId, targetId, copy) {
+    if (targetId === sourceId) return;
+    const targetFolder = getFolders().find(f => f.id === targetId);
+    if (targetId !== 'pinned' && (!targetFolder || isSmartFolder(targetFolder))) return;
+    const targetName = targetId === 'pinned' ? t`Pinned Chats` : targetFolder.name;
+    const label = (copy ? t`Copy chat to` : t`Move chat to`) + ` "${targetName}"`;
+    await recordHistory(label, () => {
+        if (targetId === 'pinned') {
+            if (!isChatPinned(chat)) togglePinChat(chat);
+        } else {
+            assignChatToFolder(chat, targetId);
+        }
+        if (!copy && sourceId === 'pinned') {
+            if (isChatPinned(chat)) togglePinChat(chat);
+        } else if (!copy && sourceId) {
+            removeChatFromFolder(chat, sourceId);
+        }
+    });
+    await populateAllChatsTab();
+    await refreshFoldersTab();
+}
 
-                chatItem.appendChild(checkbox);
-                chatItem.appendChild(previewImg);
-                chatItem.appendChild(chatInfo);
+// =========================
+// 5.4. Bulk Selection
+// =========================
+// Selection mode of the Recent tab. Ctrl/Cmd-click selects single chats and turns the mode on,
+// Shift-click selects the range from the last clicked chat, and while the mode is on a plain
+// click or the checkbox toggles a chat instead of opening it. Selected chats are kept by key so
+// the selection survives re-renders, e.g. after Load More or an index rebuild.
+const recentSelection = new Map(); // Chat key -> chat
+const tabItemChats = new WeakMap(); // Recent tab item -> its chat, for range selection
+let isRecentSelectionMode = false;
+let recentSelectionAnchor = null; // Chat key that Shift-click ranges start from
 
-                // Click handling
-                const toggleSelection = () => {
-                    if (selectedChats.has(chatKey)) {
-                        selectedChats.delete(chatKey);
-                        checkbox.checked = false;
-                        chatItem.style.backgroundColor = '';
-                        chatItem.style.border = '1px solid transparent';
-                    } else {
-                        selectedChats.add(chatKey);
-                        checkbox.checked = true;
-                        chatItem.style.backgroundColor = 'rgba(100, 150, 255, 0.2)';
-                        chatItem.style.border = '1px solid rgba(100, 150, 255, 0.5)';
-                    }
-                    updateSelectedCount();
-                };
+/**
+ * Get the Recent list if it shows the filtered chats, i.e. not full-text results.
+ * @returns {HTMLElement|null} The list container.
+ */
+function getSelectableRecentContainer() {
+    const container = document.getElementById('extensionAllChatsTabContainer');
+    return container && !container.classList.contains('fulltext-results') ? container : null;
+}
 
-                chatItem.addEventListener('click', toggleSelection);
-                checkbox.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    toggleSelection();
-                });
+/**
+ * Turn the selection mode of the Recent tab on or off. Turning it off clears the selection.
+ * @param {boolean} enabled - Whether the mode is on.
+ */
+function setRecentSelectionMode(enabled) {
+    isRecentSelectionMode = enabled;
+    if (!enabled) {
+        recentSelection.clear();
+        recentSelectionAnchor = null;
+    }
+    const container = document.getElementById('extensionAllChatsTabContainer');
+    if (container) {
+        container.classList.toggle('selection-mode', enabled);
+        if (!enabled) container.querySelectorAll('.tabItem.selected').forEach(item => setTabItemSelected(item, false));
+    }
+    updateRecentBulkBar();
+}
 
-                // Initial styling if selected
-                if (selectedChats.has(chatKey)) {
-                    chatItem.style.backgroundColor = 'rgba(100, 150, 255, 0.2)';
-                    chatItem.style.border = '1px solid rgba(100, 150, 255, 0.5)';
-                }
+/**
+ * Show a Recent tab item as selected or not.
+ * @param {HTMLElement} tabItem - Chat item.
+ * @param {boolean} selected - Whether it is selected.
+ */
+function setTabItemSelected(tabItem, selected) {
+    tabItem.classList.toggle('selected', selected);
+    tabItem.setAttribute('aria-selected', String(selected));
+    const checkbox = tabItem.querySelector('.tabItem-select');
+    if (checkbox) checkbox.checked = selected;
+}
+
+/**
+ * Select or deselect a chat, updating all of its items (a pinned chat is listed twice).
+ * @param {Object} chat - Chat object.
+ * @param {boolean} selected - Whether it is selected.
+ */
+function setChatSelected(chat, selected) {
+    const key = getChatKey(chat);
+    if (selected) recentSelection.set(key, chat);
+    else recentSelection.delete(key);
+    const container = document.getElementById('extensionAllChatsTabContainer');
+    if (container) {
+        for (const item of container.querySelectorAll('.tabItem')) {
+            if (item.dataset.chatKey === key) setTabItemSelected(item, selected);
+        }
+    }
+}
 
-                container.appendChild(chatItem);
+/**
+ * Handle a click on a Recent tab item for selection.
+ * @param {MouseEvent} e - Click event.
+ * @param {HTMLElement} tabItem - Clicked chat item.
+ * @param {Object} chat - Its chat.
+ * @returns {boolean} True if the click changed the selection and must not open the chat.
+ */
+function handleRecentSelectionClick(e, tabItem, chat) {
+    const container = getSelectableRecentContainer();
+    if (!container || !container.contains(tabItem)) return false;
+    const isToggle = e.ctrlKey || e.metaKey;
+    if (!isRecentSelectionMode && !isToggle && !e.shiftKey) return false;
+    const key = getChatKey(chat);
+    if (e.shiftKey && recentSelectionAnchor) {
+        const items = [...container.querySelectorAll('.tabItem')].filter(item => tabItemChats.has(item));
+        const from = items.findIndex(item => item.dataset.chatKey === recentSelectionAnchor);
+        const to = items.indexOf(tabItem);
+        if (from !== -1 && to !== -1) {
+            for (const item of items.slice(Math.min(from, to), Math.max(from, to) + 1)) {
+                setChatSelected(tabItemChats.get(item), true);
             }
+        }
+    } else {
+        setChatSelected(chat, !recentSelection.has(key));
+        recentSelectionAnchor = key;
+    }
+    if (!isRecentSelectionMode) setRecentSelectionMode(true);
+    else updateRecentBulkBar();
+    return true;
+}
 
-            // Function to update selected count
-            function updateSelectedCount() {
-                selectedCount.textContent = `${selectedChats.size} selected`;
+/**
+ * Add the selection checkbox to a Recent tab item and restore its selected state.
+ * @param {HTMLElement} tabItem - Chat item.
+ * @param {Object} chat - Its chat.
+ */
+function makeChatSelectable(tabItem, chat) {
+    tabItemChats.set(tabItem, chat);
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'tabItem-select';
+    checkbox.title = t`Select chat`;
+    // The item's click handler toggles the selection, the checkbox only mirrors it
+    checkbox.addEventListener('click', (e) => e.preventDefault());
+    tabItem.prepend(checkbox);
+    tabItem.setAttribute('aria-selected', 'false');
+    if (recentSelection.has(getChatKey(chat))) setTabItemSelected(tabItem, true);
+}
+
+/**
+ * Create the bulk action bar of the Recent tab, shown while the selection mode is on.
+ * @returns {HTMLElement} The bar.
+ */
+function createRecentBulkBar() {
+    const bar = document.createElement('div');
+    bar.id = 'chatsplus-bulk-bar';
+    bar.className = 'chatsplus-bulk-bar hidden';
+    const count = document.createElement('span');
+    count.className = 'chatsplus-bulk-count';
+    bar.appendChild(count);
+    const addAction = (icon, title, action) => {
+        const btn = document.createElement('button');
+        btn.className = 'filter-mode-toggle';
+        btn.innerHTML = `<i class="fa-solid ${icon}"></i>`;
+        btn.title = title;
+        btn.addEventListener('click', async () => {
+            if (recentSelection.size === 0 && action !== selectAllRecentChats && action !== exitSelection) {
+                toastr.info(t`Select chats first.`);
+                return;
             }
+            await action();
+        });
+        bar.appendChild(btn);
+        return btn;
+    };
+    const exitSelection = () => setRecentSelectionMode(false);
+    addAction('fa-check-double', t`Select all listed chats`, selectAllRecentChats);
+    addAction('fa-thumbtack', t`Pin selected chats`, () => bulkSetPinned(true));
+    addAction('fa-thumbtack-slash', t`Unpin selected chats`, () => bulkSetPinned(false));
+    addAction('fa-folder-plus', t`Add selected chats to a folder`, bulkAddToFolder);
+    addAction('fa-folder-minus', t`Remove selected chats from all folders`, bulkRemoveFromFolders);
+    addAction('fa-box-archive', t`Archive selected chats`, () => bulkSetArchived(true));
+    addAction('fa-box-open', t`Unarchive selected chats`, () => bulkSetArchived(false));
+    addAction('fa-file-export', t`Export selected chats`, bulkExportChats);
+    addAction('fa-trash-can', t`Delete selected chats`, bulkDeleteChats).classList.add('chatsplus-bulk-danger');
+    addAction('fa-xmark', t`Exit selection`, exitSelection);
+    return bar;
+}
 
-            // Function to populate chats
-            async function populateChats(filterValue = '') {
-                loader.style.display = 'block';
+/**
+ * Show or hide the bulk action bar and update its selection count.
+ */
+function updateRecentBulkBar() {
+    const bar = document.getElementById('chatsplus-bulk-bar');
+    if (!bar) return;
+    bar.classList.toggle('hidden', !isRecentSelectionMode);
+    bar.querySelector('.chatsplus-bulk-count').textContent = `${recentSelection.size} ` + t`selected`;
+    document.querySelector('#chatsplus-recent-chats-tab .chatsplus-select-btn')?.classList.toggle('active', isRecentSelectionMode);
+}
 
-                // Get all chats (similar to populateAllChatsTab)
-                if (allChatsData.length === 0) {
-                    const context = SillyTavern.getContext();
-                    const characters = context.characters || {};
-
-                    // Fetch all chat lists for all characters in parallel
-                    const chatListPromises = Object.entries(characters).map(async ([charId, char]) => {
-                        try {
-                            const chats = await getListOfCharacterChats(char.avatar);
-                            return chats.filter(chatName => typeof chatName === 'string' && chatName).map(chatName => ({
-                                character: char.name || charId,
-                                avatar: char.avatar,
-                                file_name: chatName,
-                                characterId: charId,
-                                isGroup: false
-                            }));
-                        } catch (e) {
-                            return [];
-                        }
-                    });
-                    const chatLists = await Promise.all(chatListPromises);
-                    let allChats = chatLists.flat();
-
-                    // Add group chats
-                    try {
-                        const groupsResponse = await fetch('/api/groups/all', {
-                            method: 'POST',
-                            headers: getRequestHeaders(),
-                        });
-                        if (groupsResponse.ok) {
-                            const groups = await groupsResponse.json();
-                            const groupChatPromises = groups.map(async (group) => {
-                                try {
-                                    const chats = await getGroupPastChats(group.id);
-                                    return chats.map(chat => {
-                                        const fileName = typeof chat === 'string' ? chat.replace('.jsonl', '') : String(chat.file_name || chat).replace('.jsonl', '');
-                                        return {
-                                            character: group.name || `Group ${group.id}`,
-                                            avatar: group.avatar || '',
-                                            file_name: fileName,
-                                            characterId: group.id,
-                                            isGroup: true,
-                                            groupMembers: group.members || []
-                                        };
-                                    });
-                                } catch (e) {
-                                    return [];
-                                }
-                            });
-
-                            const groupChatLists = await Promise.all(groupChatPromises);
-                            allChats = allChats.concat(groupChatLists.flat());
-                        }
-                    } catch (e) {
-                        console.warn('Failed to load group chats in add to folder popup:', e);
-                    }
+/**
+ * Select every chat currently listed in the Recent tab.
+ */
+function selectAllRecentChats() {
+    const container = getSelectableRecentContainer();
+    if (!container) return;
+    for (const item of container.querySelectorAll('.tabItem')) {
+        if (tabItemChats.has(item)) setChatSelected(tabItemChats.get(item), true);
+    }
+    updateRecentBulkBar();
+}
 
-                    // Fetch stats for both character and group chats
-                    const uniqueCharacterIds = [...new Set(allChats.filter(chat => !chat.isGroup).map(chat => chat.characterId))];
-                    const uniqueGroupIds = [...new Set(allChats.filter(chat => chat.isGroup).map(chat => chat.characterId))];
-
-                    // Character stats
-                    const characterStatsPromises = uniqueCharacterIds.map(async (charId) => {
-                        try {
-                            const statsList = await getPastCharacterChats(charId);
-                            return statsList.map(stat => {
-                                const fileName = String(stat.file_name).replace('.jsonl', '');
-                                return [charId + ':' + fileName, stat];
-                            });
-                        } catch (e) {
-                            return [];
-                        }
-                    });
+/**
+ * Refresh both tabs after a bulk action changed pins or folders.
+ */
+async function refreshAfterBulkAction() {
+    await populateAllChatsTab();
+    await refreshFoldersTab();
+    updateRecentBulkBar();
+}
 
-                    // Group stats
-                    const groupStatsPromises = uniqueGroupIds.map(async (groupId) => {
-                        try {
-                            const statsList = await getGroupPastChats(groupId);
-                            return statsList.map(stat => {
-                                const fileName = typeof stat === 'string' ? stat.replace('.jsonl', '') : String(stat.file_name || stat).replace('.jsonl', '');
-                                return [groupId + ':' + fileName, stat];
-                            });
-                        } catch (e) {
-                            return [];
-                        }
-                    });
+/**
+ * Pin or unpin all selected chats as one undoable command.
+ * @param {boolean} pin - Pin if true, unpin if false.
+ */
+async function bulkSetPinned(pin) {
+    const chats = [...recentSelection.values()].filter(chat => isChatPinned(chat) !== pin);
+    if (chats.length === 0) return;
+    const label = (pin ? t`Pin chats` : t`Unpin chats`) + ` (${chats.length})`;
+    await recordHistory(label, () => chats.forEach(togglePinChat));
+    await refreshAfterBulkAction();
+}
 
-                    const statsEntries = (await Promise.all([...characterStatsPromises, ...groupStatsPromises])).flat();
-                    const chatStatsMap = Object.fromEntries(statsEntries);
+/**
+ * Archive or unarchive all selected chats as one undoable command, see Archive.
+ * @param {boolean} archived - Archive if true, unarchive if false.
+ */
+async function bulkSetArchived(archived) {
+    await archiveChats([...recentSelection.values()], archived);
+    updateRecentBulkBar();
+}
 
-                    allChatsData = allChats.map(chat => {
-                        const stat = chatStatsMap[chat.characterId + ':' + chat.file_name];
-                        let lastMesDate = null;
-                        if (stat && stat.last_mes) {
-                            const momentObj = timestampToMoment(stat.last_mes);
-                            if (momentObj && momentObj.isValid()) {
-                                lastMesDate = momentObj.toDate();
-                            }
-                        }
-                        return { ...chat, stat, last_mes: lastMesDate };
-                    }).filter(chat => chat.last_mes).sort((a, b) => b.last_mes - a.last_mes);
-                }
+/**
+ * Ask for a regular folder to add chats to.
+ * @param {number} chatCount - Number of chats that are added, for the title.
+ * @param {Object} [options] - Wording for other uses than adding.
+ * @param {string} [options.title] - Popup title, the chat count is appended.
+ * @param {string} [options.okButton] - Label of the confirm button.
+ * @param {string} [options.note] - Explanation shown under the folder list.
+ * @returns {Promise<string|null>} The folder ID, or null if cancelled.
+ */
+async function promptSelectFolder(chatCount, { title = t`Add chats to folder`, okButton = t`Add`, note = '' } = {}) {
+    const folderMap = Object.fromEntries(getFolders().map(f => [f.id, f]));
+    const folders = getFolders()
+        .filter(f => !isSmartFolder(f))
+        .map(f => ({ id: f.id, path: getFolderPath(f, folderMap) }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+    if (folders.length === 0) {
+        toastr.info(t`Create a folder in the Folders tab first.`);
+        return null;
+    }
+    const content = document.createElement('div');
+    content.innerHTML = `<h3>${title} (${chatCount})</h3>`;
+    const select = document.createElement('select');
+    select.className = 'text_pole';
+    for (const { id, path } of folders) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = path;
+        select.appendChild(option);
+    }
+    content.appendChild(select);
+    if (note) {
+        const noteElement = document.createElement('small');
+        noteElement.className = 'chatsplus-select-folder-note';
+        noteElement.textContent = note;
+        content.appendChild(noteElement);
+    }
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', { okButton, cancelButton: t`Cancel` });
+    const result = await popup.show();
+    return result === POPUP_RESULT.AFFIRMATIVE ? select.value : null;
+}
 
-                // Filter chats
-                const filterLower = filterValue.toLowerCase();
-                const filteredChats = allChatsData.filter(chat => {
-                    if (!filterLower) return true;
-                    return (
-                        (chat.character && chat.character.toLowerCase().includes(filterLower)) ||
-                        (chat.file_name && chat.file_name.toLowerCase().includes(filterLower)) ||
-                        (chat.stat && chat.stat.mes && chat.stat.mes.toLowerCase().includes(filterLower))
-                    );
-                });
+/**
+ * Add all selected chats to a folder as one undoable command.
+ */
+async function bulkAddToFolder() {
+    const chats = [...recentSelection.values()];
+    const folderId = await promptSelectFolder(chats.length);
+    if (!folderId) return;
+    const folder = getFolders().find(f => f.id === folderId);
+    // The folder may have been removed while the picker was open
+    if (!folder) return;
+    await recordHistory(t`Add chats to folder` + ` "${folder.name}" (${chats.length})`, () => {
+        chats.forEach(chat => assignChatToFolder(chat, folderId));
+    });
+    await refreshAfterBulkAction();
+}
 
-                // Clear container (except loader)
-                const chatItems = chatsContainer.querySelectorAll('.bookmark-chat-item');
-                chatItems.forEach(item => item.remove());
+/**
+ * Remove all selected chats from every folder as one undoable command.
+ */
+async function bulkRemoveFromFolders() {
+    const chats = [...recentSelection.values()].filter(chat => getChatFolderIds(chat).length > 0);
+    if (chats.length === 0) {
+        toastr.info(t`None of the selected chats are in a folder.`);
+        return;
+    }
+    await recordHistory(t`Remove chats from folders` + ` (${chats.length})`, () => {
+        const map = getChatFoldersMap();
+        chats.forEach(chat => delete map[getChatKey(chat)]);
+        setChatFoldersMap(map);
+    });
+    await refreshAfterBulkAction();
+}
 
-                // Render filtered chats
-                filteredChats.forEach(chat => {
-                    renderChatItemWithCheckbox(chat, chatsContainer);
-                });
+/**
+ * Export the selected chats as a chat bundle, see Chat Bundles.
+ */
+async function bulkExportChats() {
+    const entries = [...recentSelection.values()].map(chat => ({ chat, folderIds: [...getChatFolderIds(chat)] }));
+    await showChatBundleExportPopup(entries, { name: t`chats` + ` ${new Date().toISOString().slice(0, 10)}` });
+}
 
-                loader.style.display = 'none';
-                updateSelectedCount();
-            }
+/**
+ * Move the selected chats to the trash after confirmation.
+ */
+async function bulkDeleteChats() {
+    const deleted = await confirmDeleteChats([...recentSelection.values()]);
+    if (deleted.length === 0) return;
+    deleted.forEach(chat => recentSelection.delete(getChatKey(chat)));
+    await refreshAfterBulkAction();
+}
 
-            // Filter input handling
-            filterInput.addEventListener('input', (e) => {
-                const value = e.target.value.trim();
-                populateChats(value);
-                clearButton.style.display = value.length > 0 ? 'block' : 'none';
-            });
+// =========================
+// 5.5. Archive
+// =========================
+// Archived chats are hidden from Recent and the Folders tab until a filter uses archived:, or
+// the Folders tab is set to show them. A new message in an archived chat unarchives it.
+// Auto-archive (settings.autoArchiveDays) archives chats when they pass that many days without
+// activity, so a chat unarchived by hand is not archived again until it goes inactive again.
+// Changing the number of days starts over and archives every chat inactive for that long.
+const AUTO_ARCHIVE_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+let autoArchiveTimer = null;
 
-            clearButton.addEventListener('click', () => {
-                filterInput.value = '';
-                clearButton.style.display = 'none';
-                populateChats('');
-                filterInput.focus();
-            });
+/**
+ * Archive or unarchive chats as one undoable command and refresh both tabs.
+ * @param {Array<Object>} chats - Chat objects.
+ * @param {boolean} archived - Archive if true, unarchive if false.
+ */
+async function archiveChats(chats, archived) {
+    const changed = chats.filter(chat => isChatArchived(chat) !== archived);
+    if (changed.length === 0) return;
+    const label = (archived ? t`Archive chats` : t`Unarchive chats`) + ` (${changed.length})`;
+    await recordHistory(label, () => setChatsArchived(changed, archived));
+    await populateAllChatsTab();
+    await refreshFoldersTab();
+}
 
-            // Initial population
-            await populateChats();
+/**
+ * Archive the chats that passed the auto-archive period since the last run.
+ * Pinned chats and the open chat are never archived automatically.
+ */
+async function runAutoArchive() {
+    const days = Number(getSettings().autoArchiveDays);
+    if (!Number.isInteger(days) || days <= 0) return;
+    try {
+        const { chats } = await getChatIndex();
+        const now = Date.now();
+        const lastRun = Number(getSettings().lastAutoArchiveAt) || 0;
+        const period = days * 24 * 60 * 60 * 1000;
+        const current = getCurrentChat();
+        const currentKey = current ? getChatKey(current) : null;
+        const due = chats.filter(chat => {
+            if (!chat.last_mes || isChatArchived(chat) || isChatPinned(chat) || getChatKey(chat) === currentKey) return false;
+            const inactiveSince = chat.last_mes.getTime() + period;
+            return inactiveSince <= now && inactiveSince > lastRun;
+        });
+        getSettings().lastAutoArchiveAt = now;
+        saveSettingsDebounced();
+        if (due.length === 0) return;
+        setChatsArchived(due, true);
+        toastr.info(t`Click to open the archive.`, `${due.length} ` + t`inactive chats archived`, { onclick: () => showArchivePopup() });
+        await populateAllChatsTab();
+        await refreshFoldersTab();
+    } catch (error) {
+        console.warn('ChatsPlus: Auto-archive failed', error);
+    }
+}
 
-            const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
-                okButton: t`Add to Folder`,
-                cancelButton: t`Cancel`,
-                wide: true,
-                large: true
+/**
+ * Run auto-archive now and then periodically.
+ */
+function scheduleAutoArchive() {
+    runAutoArchive();
+    clearInterval(autoArchiveTimer);
+    autoArchiveTimer = setInterval(runAutoArchive, AUTO_ARCHIVE_CHECK_INTERVAL);
+}
+
+/**
+ * Show the archived chats with bulk unarchive. Clicking a chat opens it.
+ */
+async function showArchivePopup() {
+    const content = document.createElement('div');
+    content.className = 'chatsplus-archive';
+    content.innerHTML = `<h3>${t`Archived chats`}</h3>`;
+    const actions = document.createElement('div');
+    actions.className = 'chatsplus-trash-actions';
+    const selectAllLabel = document.createElement('label');
+    selectAllLabel.className = 'checkbox_label';
+    const selectAll = document.createElement('input');
+    selectAll.type = 'checkbox';
+    selectAllLabel.append(selectAll, document.createTextNode(' ' + t`Select all`));
+    const unarchiveBtn = document.createElement('button');
+    unarchiveBtn.className = 'menu_button';
+    unarchiveBtn.textContent = t`Unarchive selected`;
+    actions.append(selectAllLabel, unarchiveBtn);
+    content.appendChild(actions);
+    const list = document.createElement('div');
+    list.className = 'chatsplus-snapshot-list chatsplus-trash-list';
+    content.appendChild(list);
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', { okButton: t`Close`, wide: true });
+
+    const render = async () => {
+        list.innerHTML = '';
+        const archivedMap = getArchivedChatsMap();
+        const { chats } = await getChatIndex();
+        const archivedChats = chats
+            .filter(chat => getChatKey(chat) in archivedMap)
+            .sort((a, b) => archivedMap[getChatKey(b)] - archivedMap[getChatKey(a)]);
+        selectAll.checked = false;
+        selectAll.disabled = unarchiveBtn.disabled = archivedChats.length === 0;
+        if (archivedChats.length === 0) {
+            list.textContent = t`No archived chats.`;
+            return;
+        }
+        for (const chat of archivedChats) {
+            const row = document.createElement('label');
+            row.className = 'chatsplus-snapshot-row';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.chatKey = getChatKey(chat);
+            const info = document.createElement('div');
+            info.className = 'chatsplus-snapshot-info';
+            const title = document.createElement('a');
+            title.textContent = `${chat.character}: ${chat.file_name}`;
+            title.href = '#';
+            title.title = t`Open chat`;
+            title.addEventListener('click', async (e) => {
+                e.preventDefault();
+                await popup.complete(POPUP_RESULT.AFFIRMATIVE);
+                await openChatFromList(chat);
             });
+            const details = document.createElement('small');
+            // Chats without stats have no last message date
+            details.textContent = t`Archived` + ' ' + new Date(archivedMap[getChatKey(chat)]).toLocaleDateString()
+                + (chat.last_mes ? ' · ' + t`last message` + ' ' + chat.last_mes.toLocaleDateString() : '');
+            info.append(title, details);
+            row.append(checkbox, info);
+            list.appendChild(row);
+        }
+        unarchiveBtn.onclick = async () => {
+            const keys = new Set([...list.querySelectorAll('input:checked')].map(input => input.dataset.chatKey));
+            if (keys.size === 0) return;
+            await archiveChats(archivedChats.filter(chat => keys.has(getChatKey(chat))), false);
+            await render();
+        };
+    };
+    selectAll.addEventListener('change', () => {
+        list.querySelectorAll('input[type="checkbox"]').forEach(input => input.checked = selectAll.checked);
+    });
+    await render();
+    await popup.show();
+}
 
-            const result = await popup.show();
-            if (result === POPUP_RESULT.AFFIRMATIVE && selectedChats.size > 0) {
-                // Add the selected chats to the folder
-                let addedCount = 0;
-                for (const chatKey of selectedChats) {
-                    const [characterId, fileName] = chatKey.split(':', 2);
-                    const chat = { characterId, file_name: fileName };
-
-                    // Check if chat is already in the folder
-                    const existingFolders = getChatFolderIds(chat);
-                    if (!existingFolders.includes(folder.id)) {
-                        assignChatToFolder(chat, folder.id);
-                        addedCount++;
-                    }
-                }
+// =========================
+// 5.6. Chat Bundles
+// =========================
+// Zip exports of chats for keeping them outside SillyTavern, and their import. A bundle holds
+// each chat's jsonl file, optional Markdown/HTML/plain-text renderings, and manifest.json:
+// {
+//   "format": "chatsplus-bundle", "formatVersion": 1, "exportedAt": ISO date,
+//   "root": folder path of a folder export, or null,
+//   "folders": [folder paths, e.g. "Stories/Horror"],
+//   "chats": [{ "file": path of the jsonl in the zip, "renderings": [paths], "avatar" | "group",
+//               "character", "file_name", "folders": [folder paths], "pinned", "archived", "messages" }]
+// }
+const CHAT_BUNDLE_FORMAT = 'chatsplus-bundle';
+const CHAT_BUNDLE_FORMAT_VERSION = 1;
+const CHAT_BUNDLE_RENDERINGS = {
+    md: 'Markdown',
+    html: 'HTML',
+    txt: t`Plain text`,
+};
+const BUNDLE_FETCH_CONCURRENCY = 4;
 
-                // Show success message
-                const confirmContent = document.createElement('div');
-                confirmContent.innerHTML = `<h3>Success!</h3><p>Added ${addedCount} chats to "${folder.name}".</p>`;
-                if (addedCount !== selectedChats.size) {
-                    const skipped = selectedChats.size - addedCount;
-                    confirmContent.innerHTML += `<p><small>${skipped} chats were already in the folder.</small></p>`;
-                }
-                const confirmPopup = new Popup(confirmContent, POPUP_TYPE.TEXT, '', {
-                    okButton: t`OK`
-                });
-                await confirmPopup.show();
+/**
+ * Replace the characters file systems do not allow in a file or folder name.
+ * @param {string} name - Name to clean.
+ * @returns {string} Safe name.
+ */
+function sanitizeFileName(name) {
+    return String(name).replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_').replace(/^\.+/, '_').trim() || '_';
+}
 
-                // Refresh the folders tab to show the updated folder contents
-                await refreshFoldersTab();
-            }
-        }
+/**
+ * Get the messages of a chat file, without its metadata header.
+ * @param {Array<Object>} lines - Parsed lines of the jsonl file.
+ * @returns {Array<Object>} Messages.
+ */
+function getChatFileMessages(lines) {
+    return lines.filter(line => line && typeof line.mes === 'string');
+}
 
-        // Pencil icon click triggers rename popup
-        pencilIcon.addEventListener('click', async (e) => {
-            e.stopPropagation();
-            await showRenameFolderPopup(folder);
-        });
+/**
+ * Format the send date of a message for renderings.
+ * @param {Object} message - Chat message.
+ * @returns {string} Readable date, empty if unknown.
+ */
+function formatMessageDate(message) {
+    if (!message.send_date) return '';
+    const date = timestampToMoment(message.send_date);
+    return date && date.isValid() ? date.format('LLL') : '';
+}
 
-        // Bookmark icon for folder bookmarking
-        const bookmarkBtn = document.createElement('button');
-        bookmarkBtn.className = 'bookmarkFolderBtn pinBtn tabItem-pinBtn';
-        bookmarkBtn.title = 'Add multiple chats to folder';
-        bookmarkBtn.innerHTML = '<i class="fa-regular fa-bookmark"></i>';
-        bookmarkBtn.onclick = async (e) => {
-            e.stopPropagation();
-            await showAddChatsToFolderPopup(folder);
-        };
-        header.appendChild(bookmarkBtn);
+/**
+ * Render a chat as Markdown.
+ * @param {Object} chat - Chat object.
+ * @param {Array<Object>} messages - Chat messages.
+ * @returns {string} Markdown document.
+ */
+function renderChatAsMarkdown(chat, messages) {
+    const blocks = messages.map(message => {
+        const date = formatMessageDate(message);
+        return `**${message.name || ''}**${date ? ` _(${date})_` : ''}\n\n${message.mes}`;
+    });
+    return `# ${chat.character}: ${chat.file_name}\n\n${blocks.join('\n\n---\n\n')}\n`;
+}
 
-        const removeBtn = document.createElement('button');
-        removeBtn.className = 'removeFolderBtn';
-        removeBtn.title = 'Remove folder';
-        removeBtn.innerHTML = '<i class="fa-solid fa-xmark icon-grey"></i>';
-        removeBtn.onclick = async (e) => {
-            e.stopPropagation();
-            // Folder preview for the remove confirmation popup
-            const folderPreview = document.createElement('div');
-            folderPreview.style.display = 'flex';
-            folderPreview.style.alignItems = 'center';
-            folderPreview.style.gap = '8px';
-            folderPreview.style.margin = '8px 0 4px 0';
-            folderPreview.style.fontWeight = 'bold';
-            folderPreview.style.fontSize = '1em';
-            const folderIcon = document.createElement('i');
-            folderIcon.className = 'fa-solid fa-folder folder-title-icon';
-            folderIcon.style.fontSize = '1.1em';
-            folderPreview.appendChild(folderIcon);
-            const folderName = document.createElement('span');
-            folderName.textContent = folder ? folder.name : folder.id;
-            folderPreview.appendChild(folderName);
-            // Popup content
-            const content = document.createElement('div');
-            content.innerHTML = `<h3 style='margin-bottom:8px;'>${t`Remove this folder?`}</h3>`;
-            content.appendChild(folderPreview);
-            const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
-                okButton: t`Remove`,
-                cancelButton: t`Cancel`
-            });
-            const result = await popup.show();
-            if (result === POPUP_RESULT.AFFIRMATIVE) {
-                removeFolder(folder.id);
-                await refreshFoldersTab();
-            }
-        };
-        header.appendChild(removeBtn);
-        folderSection.appendChild(header);
-        const content = document.createElement('div');
-        content.className = 'collapsible-content';
-        folderSection.appendChild(content);
-        let collapsed = false;
-        try { collapsed = localStorage.getItem('topInfoBar_folder_collapsed_' + folder.id) === '1'; } catch { }
-        if (collapsed) {
-            folderSection.classList.add('collapsed');
-            content.classList.add('collapsed');
-            chevron.classList.remove('fa-chevron-down');
-            chevron.classList.add('fa-chevron-right');
-        }
-        const chats = folderedChats[folder.id] || [];
-        if (chats.length > 0) {
-            for (const chat of chats) renderAllChatsTabItem(chat, content, false, folder.id);
+/**
+ * Render a chat as a standalone HTML page.
+ * @param {Object} chat - Chat object.
+ * @param {Array<Object>} messages - Chat messages.
+ * @returns {string} HTML document.
+ */
+function renderChatAsHtml(chat, messages) {
+    const escape = (text) => String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+    const title = escape(`${chat.character}: ${chat.file_name}`);
+    const body = messages.map(message => {
+        const date = formatMessageDate(message);
+        return `<div class="message ${message.is_user ? 'user' : 'char'}"><div class="name">${escape(message.name || '')}`
+            + `${date ? ` <small>${escape(date)}</small>` : ''}</div><div class="text">${escape(message.mes)}</div></div>`;
+    }).join('\n');
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${title}</title>
+<style>body{font-family:sans-serif;max-width:800px;margin:auto;padding:1em}.message{margin:1em 0;padding:.5em 1em;border-radius:8px;background:#f2f2f2}.message.user{background:#e3ecf7}.name{font-weight:bold}.name small{font-weight:normal;color:#777}.text{white-space:pre-wrap}</style>
+</head><body><h1>${title}</h1>
+${body}
+</body></html>
+`;
+}
+
+/**
+ * Render a chat as plain text.
+ * @param {Object} chat - Chat object.
+ * @param {Array<Object>} messages - Chat messages.
+ * @returns {string} Text document.
+ */
+function renderChatAsText(chat, messages) {
+    const blocks = messages.map(message => {
+        const date = formatMessageDate(message);
+        return `${message.name || ''}${date ? ` (${date})` : ''}:\n${message.mes}`;
+    });
+    return `${chat.character}: ${chat.file_name}\n\n${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Collect the chats of a folder and its subfolders, with the subtree folders each one is in.
+ * Smart folders contribute the chats matching their query, archived chats included.
+ * @param {string} folderId - Root folder ID.
+ * @returns {Promise<Array<{chat: Object, folderIds: Array<string>}>>} Chats of the subtree.
+ */
+async function getFolderSubtreeChats(folderId) {
+    const { chats } = await getChatIndex();
+    const folders = getFolders();
+    const subtreeIds = new Set(getFolderSubtreeIds(folderId));
+    const entries = new Map();
+    const add = (chat, id) => {
+        const key = getChatKey(chat);
+        if (!entries.has(key)) entries.set(key, { chat, folderIds: [] });
+        if (!entries.get(key).folderIds.includes(id)) entries.get(key).folderIds.push(id);
+    };
+    for (const folder of folders.filter(f => subtreeIds.has(f.id))) {
+        if (isSmartFolder(folder)) {
+            chats.filter(getChatFilterPredicate(folder.query)).forEach(chat => add(chat, folder.id));
+            continue;
         }
-        container.appendChild(folderSection);
-        // Render subfolders recursively inside content
-        if (folder.children && folder.children.length > 0) {
-            renderAllChatsFoldersUI(content, folderedChats, folder.children, level + 1);
+        chats.filter(chat => getChatFolderIds(chat).includes(folder.id)).forEach(chat => add(chat, folder.id));
+    }
+    return [...entries.values()];
+}
+
+/**
+ * Build a chat bundle zip.
+ * @param {Array<{chat: Object, folderIds: Array<string>}>} entries - Chats with the folders they are listed under.
+ * @param {Object} options - Bundle options.
+ * @param {Array<string>} options.renderings - Keys of CHAT_BUNDLE_RENDERINGS to add next to each jsonl.
+ * @param {string|null} [options.rootFolderId] - Folder of a folder export, chats are laid out in its folder paths.
+ * @param {Function} [options.onProgress] - Called with the number of fetched chats and the total.
+ * @returns {Promise<{blob: Blob, failed: Array<Object>}>} The zip and the chats that could not be fetched.
+ */
+async function buildChatBundle(entries, { renderings, rootFolderId = null, onProgress }) {
+    const folders = getFolders();
+    const folderMap = Object.fromEntries(folders.map(f => [f.id, f]));
+    const pathOf = (id) => folderMap[id] ? getFolderPath(folderMap[id], folderMap) : null;
+    const manifest = {
+        format: CHAT_BUNDLE_FORMAT,
+        formatVersion: CHAT_BUNDLE_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        root: rootFolderId ? pathOf(rootFolderId) : null,
+        folders: [],
+        chats: [],
+    };
+    const folderIds = rootFolderId ? getFolderSubtreeIds(rootFolderId) : [...new Set(entries.flatMap(entry => entry.folderIds))];
+    manifest.folders = folderIds.map(pathOf).filter(Boolean).sort();
+
+    const files = [];
+    const takenPaths = new Set();
+    const failed = [];
+    let done = 0;
+    const fetched = await runWithConcurrency(entries, BUNDLE_FETCH_CONCURRENCY, async ({ chat }) => {
+        try {
+            return await fetchChatFile(chat);
+        } catch (error) {
+            console.error('ChatsPlus: Failed to export chat', error);
+            failed.push(chat);
+            return null;
+        } finally {
+            onProgress?.(++done, entries.length);
         }
     });
+    entries.forEach(({ chat, folderIds: chatFolderIds }, idx) => {
+        const lines = fetched[idx];
+        if (!lines) return;
+        const folderPaths = chatFolderIds.map(pathOf).filter(Boolean);
+        const directory = rootFolderId && folderPaths.length > 0
+            ? folderPaths[0].split('/').map(sanitizeFileName).join('/')
+            : 'chats';
+        const baseName = sanitizeFileName(`${chat.character} - ${chat.file_name}`);
+        let base = `${directory}/${baseName}`;
+        for (let n = 2; takenPaths.has(base); n++) base = `${directory}/${baseName} (${n})`;
+        takenPaths.add(base);
+        files.push({ name: `${base}.jsonl`, data: lines.map(line => JSON.stringify(line)).join('\n') });
+        const messages = getChatFileMessages(lines);
+        const renderers = { md: renderChatAsMarkdown, html: renderChatAsHtml, txt: renderChatAsText };
+        const renderingPaths = renderings.map(format => {
+            files.push({ name: `${base}.${format}`, data: renderers[format](chat, messages) });
+            return `${base}.${format}`;
+        });
+        manifest.chats.push({
+            file: `${base}.jsonl`,
+            renderings: renderingPaths,
+            ...(chat.isGroup ? { group: chat.character } : { avatar: chat.avatar }),
+            character: chat.character,
+            file_name: chat.file_name,
+            folders: folderPaths,
+            pinned: isChatPinned(chat),
+            archived: isChatArchived(chat),
+            messages: messages.length,
+        });
+    });
+    files.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+    return { blob: createZip(files), failed };
 }
 
 /**
- * Render a single chat item in the Recent Chats tab.
- * @param {Object} chat - Chat object.
- * @param {HTMLElement} container - Container to append the item to.
- * @param {boolean} isPinned - Whether the chat is pinned.
- * @param {string|null} folderId - Folder ID if in a folder, else null.
+ * Ask which renderings to include, then build and download a chat bundle.
+ * @param {Array<{chat: Object, folderIds: Array<string>}>} entries - Chats to export.
+ * @param {Object} options - Export options.
+ * @param {string} options.name - Name shown in the popup and used for the zip file name.
+ * @param {string|null} [options.rootFolderId] - Folder of a folder export.
  */
-function renderAllChatsTabItem(chat, container, isPinned, folderId) {
-    const stat = chat.stat;
-    const tabItem = document.createElement('div');
-    tabItem.classList.add('tabItem');
-    if (isPinned) tabItem.classList.add('pinned');
-    tabItem.classList.add('tabItem-root');
+async function showChatBundleExportPopup(entries, { name, rootFolderId = null }) {
+    if (entries.length === 0) {
+        toastr.info(t`There are no chats to export.`);
+        return;
+    }
+    const content = document.createElement('div');
+    const title = document.createElement('h3');
+    title.textContent = t`Export chats` + `: ${name} (${entries.length})`;
+    content.appendChild(title);
+    const options = document.createElement('div');
+    options.className = 'chatsplus-import-modes';
+    const intro = document.createElement('span');
+    intro.textContent = t`Each chat is saved as a SillyTavern .jsonl file, readable copies can be added too:`;
+    options.appendChild(intro);
+    for (const [format, label] of Object.entries(CHAT_BUNDLE_RENDERINGS)) {
+        const optionLabel = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = format;
+        checkbox.checked = true;
+        optionLabel.append(checkbox, document.createTextNode(` ${label} (.${format})`));
+        options.appendChild(optionLabel);
+    }
+    content.appendChild(options);
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', { okButton: t`Export`, cancelButton: t`Cancel` });
+    if (await popup.show() !== POPUP_RESULT.AFFIRMATIVE) return;
+    const renderings = [...options.querySelectorAll('input:checked')].map(input => input.value);
 
-    // Character/Group image (character = img, group = div)
-    // Check if this is a group chat
-    const isGroup = chat.isGroup || false;
-    let previewImg;
-    if (isGroup) {
-        previewImg = document.createElement('div');
-        previewImg.className = 'tabItem-previewImg group-preview';
+    const progress = toastr.info(t`Preparing export...`, '', { timeOut: 0, extendedTimeOut: 0 });
+    try {
+        const { blob, failed } = await buildChatBundle(entries, {
+            renderings,
+            rootFolderId,
+            onProgress: (done, total) => progress.find('.toast-message').text(t`Preparing export...` + ` ${done}/${total}`),
+        });
+        downloadBlob(blob, `ChatsPlus-${sanitizeFileName(name)}.zip`);
+        if (failed.length > 0) toastr.error(`${failed.length} ` + t`chats could not be exported.`);
+    } catch (error) {
+        console.error('ChatsPlus: Failed to export chat bundle', error);
+        toastr.error(t`The chats could not be exported:` + ' ' + error.message);
+    } finally {
+        toastr.clear(progress);
+    }
+}
 
-        // Find the actual group object using the chat's characterId (which is the group ID for group chats)
-        const group = groups.find(g => g.id === chat.characterId);
-        if (group) {
-            // getGroupBlock returns a jQuery object, so we need to get the actual DOM element
-            let result = getGroupAvatar(group);
-            if (result && result.length > 0) {
-                // Extract the actual DOM element from the jQuery object
-                const groupElement = result[0];
-                // Set required styles for consistent sizing
-                groupElement.style.width = '100%';
-                groupElement.style.height = '100%';
-                groupElement.style.minWidth = 'unset';
-                previewImg.appendChild(groupElement);
+/**
+ * Export a folder with its subfolders as a chat bundle.
+ * @param {Object} folder - Folder object.
+ */
+async function exportFolderBundle(folder) {
+    await showChatBundleExportPopup(await getFolderSubtreeChats(folder.id), { name: folder.name, rootFolderId: folder.id });
+}
+
+/**
+ * Parse the text of a SillyTavern chat file.
+ * @param {string} text - jsonl text.
+ * @returns {Array<Object>} Parsed lines, the metadata header first.
+ * @throws {Error} If a line is not valid JSON.
+ */
+function parseChatJsonl(text) {
+    return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+/**
+ * Read chats from the files picked for import: chat bundles (zip) or loose jsonl chat files.
+ * @param {Array<File>} files - Picked files.
+ * @returns {Promise<{items: Array<Object>, folders: Array<string>, errors: Array<string>}>} Chats to import
+ * ({ source, lines, meta }, meta being the bundle manifest entry if any), folder paths of the manifests, and read errors.
+ */
+async function readChatImportFiles(files) {
+    const decoder = new TextDecoder();
+    const items = [];
+    const folders = new Set();
+    const errors = [];
+    for (const file of files) {
+        try {
+            if (!file.name.toLowerCase().endsWith('.zip')) {
+                items.push({ source: file.name, lines: parseChatJsonl(await file.text()), meta: null });
+                continue;
+            }
+            const entries = await readZip(file);
+            const manifestEntry = entries.find(entry => entry.name === 'manifest.json');
+            const manifest = manifestEntry ? JSON.parse(decoder.decode(manifestEntry.data)) : null;
+            if (manifest && manifest.format !== CHAT_BUNDLE_FORMAT) throw new Error(t`manifest.json is not a ChatsPlus chat bundle.`);
+            if (manifest && manifest.formatVersion > CHAT_BUNDLE_FORMAT_VERSION) throw new Error(t`The bundle was made by a newer version of ChatsPlus, update the extension first.`);
+            const metaByFile = new Map((manifest?.chats || []).map(meta => [meta.file, meta]));
+            (manifest?.folders || []).forEach(path => folders.add(path));
+            for (const entry of entries.filter(e => e.name.toLowerCase().endsWith('.jsonl'))) {
+                try {
+                    items.push({ source: `${file.name}/${entry.name}`, lines: parseChatJsonl(decoder.decode(entry.data)), meta: metaByFile.get(entry.name) || null });
+                } catch (error) {
+                    errors.push(`${file.name}/${entry.name}: ${error.message}`);
+                }
             }
+        } catch (error) {
+            errors.push(`${file.name}: ${error.message}`);
         }
-    } else {
-        previewImg = document.createElement('img');
-        previewImg.className = 'tabItem-previewImg';
-        previewImg.src = typeof getThumbnailUrl === 'function' ? getThumbnailUrl('avatar', chat.avatar) : (chat.avatar || '');
-        previewImg.alt = chat.character || '';
-        previewImg.style.width = '32px';
-        previewImg.style.height = '32px';
     }
+    return { items, folders: [...folders], errors };
+}
 
-    // Pencil icon for renaming chat
-    const pencilIcon = document.createElement('i');
-    pencilIcon.className = 'fa-solid fa-pencil-alt chat-rename-icon';
-    pencilIcon.style.cursor = 'pointer';
-    pencilIcon.style.margin = '0 6px 0 6px';
-    pencilIcon.title = t`Rename chat`;
-    pencilIcon.addEventListener('click', async (e) => {
-        e.stopPropagation();
-        // Show rename popup for chat
-        const content = document.createElement('div');
-        content.innerHTML = `<h3>${t`Rename chat`}</h3>`;
-        const nameInput = document.createElement('input');
-        nameInput.type = 'text';
-        nameInput.value = chat.file_name;
-        nameInput.style.width = '100%';
-        nameInput.style.marginTop = '8px';
-        nameInput.className = 'chatplus_menu_input';
-        content.appendChild(nameInput);
-        const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
-            okButton: t`Rename`,
-            cancelButton: t`Cancel`,
-            wide: true
-        });
-        nameInput.addEventListener('keydown', function (e) {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                popup.okButton.click();
-            }
+/**
+ * Guess the owner a chat belongs to: the character avatar or group name of the manifest,
+ * or else the character name in the chat's metadata header.
+ * @param {Object} item - Chat read by readChatImportFiles.
+ * @returns {string|null} Owner key, or null if no character or group matches.
+ */
+function guessChatImportOwner(item) {
+    const characters = SillyTavern.getContext().characters || [];
+    if (item.meta?.avatar && characters.some(c => c && c.avatar === item.meta.avatar)) return item.meta.avatar;
+    if (item.meta?.group) {
+        const group = groups.find(g => g.name === item.meta.group);
+        if (group) return String(group.id);
+    }
+    const header = item.lines[0] && item.lines[0].mes === undefined ? item.lines[0] : null;
+    const name = item.meta?.character || header?.character_name;
+    const character = name ? characters.find(c => c && c.name === name) : null;
+    return character ? character.avatar : null;
+}
+
+/**
+ * Rename a chat file the server just imported. When the index missed a chat with the wanted name,
+ * the next numbered name is tried.
+ * @param {Object} chat - Chat object of the imported file.
+ * @param {string} fileName - Wanted chat file name.
+ * @returns {Promise<string>} The file name the chat got.
+ * @throws {Error} If the file could not be renamed.
+ */
+async function renameImportedChatFile(chat, fileName) {
+    let name = fileName;
+    for (let n = 2; n <= 100; n++) {
+        if (name === chat.file_name) return name;
+        const response = await fetch('/api/chats/rename', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({
+                is_group: Boolean(chat.isGroup),
+                avatar_url: chat.avatar,
+                original_file: `${chat.file_name}.jsonl`,
+                renamed_file: `${name}.jsonl`,
+            }),
         });
-        const result = await popup.show();
-        if ((result === POPUP_RESULT.AFFIRMATIVE) && nameInput.value.trim() && nameInput.value.trim() !== chat.file_name) {
-            const context = SillyTavern.getContext();
-            const loader = document.getElementById('extensionAllChatsTabLoader') || null;
-            await renameGroupOrCharacterChat({
-                characterId: chat.characterId,
-                groupId: context.groupId,
-                oldFileName: chat.file_name,
-                newFileName: nameInput.value.trim(),
-                loader
-            });
-            handleChatRename(chat, nameInput.value.trim());
-            // Refresh UI after renaming
-            if (typeof populateAllChatsTab === 'function') await populateAllChatsTab();
-            if (typeof refreshFoldersTab === 'function') await refreshFoldersTab();
+        if (response.ok) {
+            const data = await response.json();
+            return data.sanitizedFileName || name;
         }
-    });
+        if (response.status !== 400) break;
+        name = `${fileName} (${n})`;
+    }
+    throw new Error(`Failed to rename imported chat ${chat.file_name} to ${fileName}`);
+}
 
-    const nameRow = document.createElement('div');
-    nameRow.className = 'tabItem-nameRow';
-    nameRow.textContent = `${chat.character}: ${chat.file_name}`;
-    const pinBtn = document.createElement('button');
-    pinBtn.className = 'pinBtn tabItem-pinBtn';
-    if (folderId && folderId !== 'pinned') {
-        pinBtn.title = t`Remove from folder`;
-        pinBtn.innerHTML = `
-            <span class="icon-slash-overlay">
-                <i class="fa-solid fa-thumbtack"></i>
-            </span>
-        `;
+/**
+ * Import a chat file with SillyTavern's import endpoints, then rename it from the name the server
+ * picked to the wanted one. Group chats are added to their group's chat list.
+ * @param {Object} target - Chat object of the character or group the chat goes to.
+ * @param {Array<Object>} lines - Parsed lines of the jsonl file, the metadata header first.
+ * @param {string} fileName - Wanted chat file name.
+ * @returns {Promise<Object>} Chat object of the imported chat.
+ * @throws {Error} If the server rejected the file, or it could not be renamed or added to its group.
+ */
+async function importChatFile(target, lines, fileName) {
+    const formData = new FormData();
+    formData.append('avatar', new File([lines.map(line => JSON.stringify(line)).join('\n')], `${fileName}.jsonl`));
+    formData.append('file_type', 'jsonl');
+    const headers = getRequestHeaders();
+    delete headers['Content-Type'];
+    let importedName;
+    if (target.isGroup) {
+        const response = await fetch('/api/chats/group/import', { method: 'POST', headers, body: formData, cache: 'no-cache' });
+        if (!response.ok) throw new Error(`Failed to import chat ${fileName}: ${response.status}`);
+        const data = await response.json();
+        importedName = data.res ? String(data.res) : null;
     } else {
-        pinBtn.title = isPinned ? t`Unpin chat` : t`Pin or folder chat`;
-        pinBtn.innerHTML = isPinned
-            ? `
-                <span class="icon-slash-overlay">
-                    <i class="fa-solid fa-thumbtack"></i>
-                </span>
-            `
-            : '<i class="fa-regular fa-bookmark"></i>';
+        formData.append('avatar_url', target.avatar);
+        formData.append('character_name', target.character);
+        formData.append('user_name', SillyTavern.getContext().name1);
+        const previousList = await getListOfCharacterChats(target.avatar);
+        const response = await fetch('/api/chats/import', { method: 'POST', headers, body: formData, cache: 'no-cache' });
+        if (!response.ok) throw new Error(`Failed to import chat ${fileName}: ${response.status}`);
+        const data = await response.json();
+        if (data.error) throw new Error(`Failed to import chat ${fileName}`);
+        if (Array.isArray(data.fileNames) && data.fileNames.length === 1) {
+            importedName = String(data.fileNames[0]).replace(/\.jsonl$/i, '');
+        } else {
+            // Older servers do not say which file they wrote, look for the one new file
+            const currentList = await getListOfCharacterChats(target.avatar);
+            const added = previousList && currentList ? currentList.filter(name => !previousList.includes(name)) : [];
+            importedName = added.length === 1 ? added[0] : null;
+        }
     }
-    pinBtn.addEventListener('click', async (e) => {
-        e.stopPropagation();
-        if (folderId && folderId !== 'pinned') {
-            // Show a preview in the remove confirmation popup 
-            // Folder preview
-            const folder = getFolders().find(f => f.id === folderId);
-            const folderPreview = document.createElement('div');
-            folderPreview.style.display = 'flex';
-            folderPreview.style.alignItems = 'center';
-            folderPreview.style.gap = '8px';
-            folderPreview.style.margin = '8px 0 4px 0';
-            folderPreview.style.fontWeight = 'bold';
-            folderPreview.style.fontSize = '1em';
-            const folderIcon = document.createElement('i');
-            folderIcon.className = 'fa-solid fa-folder folder-title-icon';
-            folderIcon.style.fontSize = '1.1em';
-            folderPreview.appendChild(folderIcon);
-            const folderName = document.createElement('span');
-            folderName.textContent = folder ? folder.name : folderId;
-            folderPreview.appendChild(folderName);
-            // Chat preview
-            const preview = document.createElement('div');
-            preview.className = 'tabItem tabItem-singleline';
-            preview.style.display = 'flex';
-            preview.style.flexDirection = 'row';
-            preview.style.alignItems = 'center';
-            preview.style.gap = '10px';
-            preview.style.margin = '8px 0 2px 0';
+    if (!importedName) throw new Error(`Failed to find the imported chat ${fileName}`);
 
-            // Character/Group image (character = img, group = div)
-            const isGroup = chat.isGroup || false;
-            let previewImg;
-            if (isGroup) {
-                previewImg = document.createElement('div');
-                previewImg.className = 'tabItem-previewImg group-preview';
+    const chat = { ...target, file_name: importedName };
+    try {
+        chat.file_name = await renameImportedChatFile(chat, fileName);
+        const group = chat.isGroup ? groups.find(g => String(g.id) === String(chat.characterId)) : null;
+        if (group) await saveGroupChatList(group, [...(group.chats || []), chat.file_name]);
+    } catch (error) {
+        // Do not leave a file behind that no group lists or that has the name the server picked
+        await deleteChatFile(chat).catch(deleteError => console.error('ChatsPlus: Failed to remove the imported chat', deleteError));
+        throw error;
+    }
+    return chat;
+}
 
-                const group = groups.find(g => g.id === chat.characterId);
-                if (group) {
-                    let result = getGroupAvatar(group);
-                    if (result && result.length > 0) {
-                        const groupElement = result[0];
-                        groupElement.style.width = '100%';
-                        groupElement.style.height = '100%';
-                        groupElement.style.minWidth = 'unset';
-                        previewImg.appendChild(groupElement);
-                    }
-                }
+/**
+ * Import chats into their characters and groups, then recreate their folders, pins and archive state.
+ * New chats go through the import endpoints and are renamed to the name the collisions are resolved
+ * against. Only an explicit overwrite of the owner's own chat saves over the existing file.
+ * @param {Array<Object>} items - Chats read by readChatImportFiles, with an owner key set.
+ * @param {Object} options - Import options.
+ * @param {'rename'|'skip'|'overwrite'} options.collisionMode - What to do when the owner has a chat with the same name.
+ * @param {boolean} options.restoreOrganization - Recreate folders, pins and archive state from the manifest.
+ * @param {Array<string>} options.folders - Folder paths of the manifests, recreated even if empty.
+ * @returns {Promise<Object>} Summary: { imported, renamed, overwritten, skipped, failed } lists of readable names.
+ */
+async function importChats(items, { collisionMode, restoreOrganization, folders }) {
+    const { chats } = await getChatIndex();
+    const takenKeys = new Set(chats.map(getChatKey));
+    const current = getCurrentChat();
+    const currentKey = current ? getChatKey(current) : null;
+    const summary = { imported: [], renamed: [], overwritten: [], skipped: [], failed: [] };
+    const imported = [];
+    for (const item of items) {
+        const baseName = item.meta?.file_name || item.source.split('/').pop().replace(/\.jsonl$/i, '');
+        const target = item.owner ? resolveChatRef({ owner: item.owner, file_name: baseName }) : null;
+        if (!target) {
+            summary.failed.push(`${item.source}: ` + t`no character or group selected`);
+            continue;
+        }
+        let fileName = baseName;
+        let overwrite = false;
+        if (isChatFileNameTaken(item.owner, fileName, takenKeys)) {
+            if (collisionMode === 'skip' || item.owner + ':' + fileName === currentKey) {
+                summary.skipped.push(`${target.character}: ${fileName}`);
+                continue;
+            }
+            // A chat of another group is never overwritten, the import gets a numbered name instead
+            if (collisionMode === 'overwrite' && takenKeys.has(item.owner + ':' + fileName)) {
+                overwrite = true;
             } else {
-                previewImg = document.createElement('img');
-                previewImg.className = 'tabItem-previewImg';
-                previewImg.src = typeof getThumbnailUrl === 'function' ? getThumbnailUrl('avatar', chat.avatar) : (chat.avatar || '');
-                previewImg.alt = chat.character || '';
+                for (let n = 2; isChatFileNameTaken(item.owner, fileName, takenKeys); n++) fileName = `${baseName} (${n})`;
+            }
+        }
+        let chat = { ...target, file_name: fileName };
+        try {
+            if (overwrite) {
+                await saveChatFile(chat, item.lines, { force: true });
+            } else {
+                chat = await importChatFile(target, item.lines, fileName);
             }
+        } catch (error) {
+            console.error('ChatsPlus: Failed to import chat', error);
+            summary.failed.push(`${item.source}: ${error.message}`);
+            continue;
+        }
+        if (overwrite) {
+            summary.overwritten.push(`${chat.character}: ${chat.file_name}`);
+        } else if (chat.file_name !== baseName) {
+            summary.renamed.push(`${chat.character}: ${baseName} → ${chat.file_name}`);
+        }
+        takenKeys.add(getChatKey(chat));
+        summary.imported.push(`${chat.character}: ${chat.file_name}`);
+        imported.push({ chat, meta: item.meta });
+    }
 
-            const nameRow = document.createElement('div');
-            nameRow.className = 'tabItem-nameRow';
-            nameRow.textContent = `${chat.character}: ${chat.file_name}`;
-            preview.appendChild(previewImg);
-            preview.appendChild(nameRow);
-            // Popup content
-            const content = document.createElement('div');
-            content.innerHTML = `<h3 style='margin-bottom:8px;'>${t`Remove the chat from the folder?`}</h3>`;
-            content.appendChild(folderPreview);
-            content.appendChild(preview);
-            // Use Popup constructor to allow DOM content
-            const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
-                okButton: t`Remove`,
-                cancelButton: t`Cancel`
-            });
-            const result = await popup.show();
-            if (result === POPUP_RESULT.AFFIRMATIVE) {
-                removeChatFromFolder(chat, folderId);
-                await refreshFoldersTab();
+    if (restoreOrganization && (imported.some(({ meta }) => meta) || folders.length > 0)) {
+        await recordHistory(t`Import chat bundle`, () => {
+            folders.forEach(ensureFolderPath);
+            for (const { chat, meta } of imported) {
+                if (!meta) continue;
+                for (const path of meta.folders || []) {
+                    const folderId = ensureFolderPath(path);
+                    if (folderId) assignChatToFolder(chat, folderId);
+                }
+                if (meta.pinned && !isChatPinned(chat)) togglePinChat(chat);
+                if (meta.archived) setChatsArchived([chat], true);
             }
+        });
+    }
+    if (imported.length > 0) {
+        // Refetch the owners of the imported chats, subscribed tabs refresh themselves
+        invalidateChatIndex({ owners: imported.map(({ chat }) => getChatOwnerKey(chat)) });
+    }
+    return summary;
+}
+
+/**
+ * Pick chat bundles or jsonl chat files and show the import preview.
+ */
+function showChatImportDialog() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.zip,.jsonl,application/zip';
+    fileInput.multiple = true;
+    fileInput.style.display = 'none';
+    fileInput.onchange = async (e) => {
+        const files = [...e.target.files];
+        if (files.length === 0) return;
+        const { items, folders, errors } = await readChatImportFiles(files);
+        if (items.length === 0) {
+            await showImportErrors(errors.length > 0 ? errors : [t`No chat files were found.`]);
             return;
         }
-        if (isPinned) {
-            // Show a preview in the unpin confirmation popup
-            const preview = document.createElement('div');
-            preview.className = 'tabItem tabItem-singleline';
-            preview.style.display = 'flex';
-            preview.style.flexDirection = 'row';
-            preview.style.alignItems = 'center';
-            preview.style.gap = '10px';
-            preview.style.margin = '8px 0 2px 0';
+        await showChatImportPreviewPopup(items, folders, errors);
+    };
+    document.body.appendChild(fileInput);
+    fileInput.click();
+    setTimeout(() => document.body.removeChild(fileInput), 5000);
+}
+
+/**
+ * Show the chats about to be imported with the character or group each one goes to,
+ * ask how to resolve name collisions, import on confirm and show a summary.
+ * @param {Array<Object>} items - Chats read by readChatImportFiles.
+ * @param {Array<string>} folders - Folder paths of the manifests.
+ * @param {Array<string>} errors - Files that could not be read.
+ */
+async function showChatImportPreviewPopup(items, folders, errors) {
+    const { chats } = await getChatIndex();
+    const takenKeys = new Set(chats.map(getChatKey));
+    const characters = (SillyTavern.getContext().characters || []).filter(c => c && c.avatar);
+    const hasManifest = items.some(item => item.meta) || folders.length > 0;
+
+    const content = document.createElement('div');
+    content.className = 'chatsplus-chat-import';
+    content.innerHTML = `<h3>${t`Import chats`} (${items.length})</h3>`;
+    if (errors.length > 0) {
+        const errorList = document.createElement('ul');
+        errorList.className = 'chatsplus-import-errors';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            errorList.appendChild(item);
+        });
+        content.appendChild(errorList);
+    }
+    const list = document.createElement('div');
+    list.className = 'chatsplus-snapshot-list chatsplus-chat-import-list';
+    content.appendChild(list);
+    for (const item of items) {
+        item.owner = guessChatImportOwner(item);
+        const row = document.createElement('div');
+        row.className = 'chatsplus-snapshot-row';
+        const info = document.createElement('div');
+        info.className = 'chatsplus-snapshot-info';
+        const title = document.createElement('span');
+        const baseName = item.meta?.file_name || item.source.split('/').pop().replace(/\.jsonl$/i, '');
+        title.textContent = baseName;
+        const details = document.createElement('small');
+        info.append(title, details);
+        const select = document.createElement('select');
+        select.className = 'text_pole';
+        select.innerHTML = `<option value="">${t`Choose character or group...`}</option>`;
+        for (const character of characters) select.add(new Option(character.name, character.avatar));
+        for (const group of groups) select.add(new Option('👥 ' + group.name, String(group.id)));
+        select.value = item.owner || '';
+        const update = () => {
+            item.owner = select.value || null;
+            const messageCount = getChatFileMessages(item.lines).length;
+            const collision = item.owner && isChatFileNameTaken(item.owner, baseName, takenKeys);
+            details.textContent = `${messageCount} ${t`messages`}` + (item.meta?.folders?.length ? ` · ${item.meta.folders.join(', ')}` : '')
+                + (collision ? ' · ' + t`a chat with this name exists` : '');
+            row.classList.toggle('chatsplus-import-collision', Boolean(collision));
+            row.classList.toggle('chatsplus-import-unassigned', !item.owner);
+        };
+        select.addEventListener('change', update);
+        update();
+        row.append(info, select);
+        list.appendChild(row);
+    }
+
+    const modes = document.createElement('div');
+    modes.className = 'chatplus_radio_group chatsplus-import-modes';
+    const modesTitle = document.createElement('span');
+    modesTitle.textContent = t`When a chat with the same name exists:`;
+    modes.appendChild(modesTitle);
+    const radioName = 'chatsplus-chat-import-collisions';
+    const addMode = (value, label, checked) => {
+        const optionLabel = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = radioName;
+        radio.value = value;
+        radio.checked = checked;
+        optionLabel.append(radio, document.createTextNode(' ' + label));
+        modes.appendChild(optionLabel);
+    };
+    addMode('rename', t`Import under a numbered name`, true);
+    addMode('skip', t`Skip the chat`, false);
+    addMode('overwrite', t`Overwrite the existing chat`, false);
+    content.appendChild(modes);
+    const organizationLabel = document.createElement('label');
+    organizationLabel.className = 'checkbox_label';
+    const organizationCheckbox = document.createElement('input');
+    organizationCheckbox.type = 'checkbox';
+    organizationCheckbox.checked = hasManifest;
+    organizationCheckbox.disabled = !hasManifest;
+    organizationLabel.append(organizationCheckbox, document.createTextNode(' ' + t`Recreate folders, pins and archive state from the bundle`));
+    content.appendChild(organizationLabel);
+
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', { okButton: t`Import`, cancelButton: t`Cancel`, wide: true, large: true });
+    if (await popup.show() !== POPUP_RESULT.AFFIRMATIVE) return;
+    const summary = await importChats(items, {
+        collisionMode: content.querySelector(`input[name="${radioName}"]:checked`).value,
+        restoreOrganization: organizationCheckbox.checked,
+        folders: organizationCheckbox.checked ? folders : [],
+    });
+    await refreshFoldersTab();
+
+    // Show the outcome, like adding chats to a folder does
+    const summaryContent = document.createElement('div');
+    summaryContent.innerHTML = `<h3>${t`Import finished`}</h3>`;
+    const addSummary = (title, names) => {
+        if (names.length === 0) return;
+        const heading = document.createElement('p');
+        heading.textContent = `${title} (${names.length})`;
+        const list = document.createElement('ul');
+        list.className = 'chatsplus-snapshot-diff';
+        names.forEach(name => {
+            const item = document.createElement('li');
+            item.textContent = name;
+            list.appendChild(item);
+        });
+        summaryContent.append(heading, list);
+    };
+    addSummary(t`Imported`, summary.imported);
+    addSummary(t`Renamed`, summary.renamed);
+    addSummary(t`Overwritten`, summary.overwritten);
+    addSummary(t`Skipped`, summary.skipped);
+    addSummary(t`Failed`, summary.failed);
+    await new Popup(summaryContent, POPUP_TYPE.TEXT, '', { okButton: t`OK`, wide: true }).show();
+}
+
+// =========================
+// 5.7. Quick Switcher
+// =========================
+// Ctrl+K (Cmd+K on macOS) opens a palette searching every chat of the index and every folder.
+// Results are ranked by how well they match and, for chats, by how recently they were used.
+// Picking a folder narrows the search to the chats filed anywhere in it.
+const QUICK_SWITCHER_LIMIT = 50;
+let isQuickSwitcherOpen = false;
+
+/**
+ * Score how well a search term matches a text. A substring scores higher than letters
+ * scattered through the text, and matches at the start of a word score higher still.
+ * @param {string} term - Lowercase search term.
+ * @param {string} text - Text to search.
+ * @returns {{score: number, positions: Array<number>}|null} Score from 1 to 100 and the matched
+ *   UTF-16 positions in the lowercased text, or null if the letters of the term do not appear in order.
+ */
+function scoreFuzzyMatch(term, text) {
+    const lowerText = text.toLowerCase();
+    const isBoundary = idx => idx === 0 || /[\s:_\-/.()]/.test(lowerText[idx - 1]);
+    const idx = lowerText.indexOf(term);
+    if (idx !== -1) {
+        const score = 60 + (isBoundary(idx) ? 20 : 0) + (idx === 0 ? 10 : 0) + Math.round(10 * term.length / lowerText.length);
+        return { score, positions: Array.from({ length: term.length }, (_, i) => idx + i) };
+    }
+    const positions = [];
+    let points = 0;
+    let from = 0;
+    for (const char of term) {
+        const found = lowerText.indexOf(char, from);
+        if (found === -1) return null;
+        const previous = positions[positions.length - 1];
+        points += previous !== undefined && found === previous + 1 ? 3 : isBoundary(found) ? 2 : 0;
+        // Characters outside the BMP take two positions, both are marked so the pair is not split
+        for (let i = 0; i < char.length; i++) positions.push(found + i);
+        from = found + char.length;
+    }
+    const spread = positions[positions.length - 1] - positions[0] + 1 - term.length;
+    return { score: Math.max(1, Math.round(10 + 40 * points / (term.length * 3) - spread / 2)), positions };
+}
+
+/**
+ * Match every whitespace-separated term of a query against a text.
+ * @param {Array<string>} terms - Lowercase search terms.
+ * @param {string} text - Text to search.
+ * @returns {{score: number, positions: Set<number>}|null} Average score and all matched positions,
+ *   or null if some term does not match.
+ */
+function matchQuickSwitcherTerms(terms, text) {
+    const positions = new Set();
+    let total = 0;
+    for (const term of terms) {
+        const match = scoreFuzzyMatch(term, text);
+        if (!match) return null;
+        total += match.score;
+        match.positions.forEach(position => positions.add(position));
+    }
+    return { score: terms.length > 0 ? total / terms.length : 0, positions };
+}
+
+/**
+ * Rank the chats and folders for a query, best first.
+ * With an empty query pinned chats come first, then the most recent chats, and folders are left out.
+ * @param {string} query - Search text.
+ * @param {Array<Object>} chats - Chats to search.
+ * @param {Array<Object>} folders - Folders to search.
+ * @param {Object} folderMap - Map of folder ID to folder, for the folder paths.
+ * @returns {Array<Object>} Items: { type: 'chat', chat, text, positions } or { type: 'folder', folder, text, positions }.
+ */
+function rankQuickSwitcherItems(query, chats, folders, folderMap) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const now = Date.now();
+    const ranked = [];
+    for (const chat of chats) {
+        const text = `${chat.character}: ${chat.file_name}`;
+        const match = matchQuickSwitcherTerms(terms, text);
+        if (!match) continue;
+        const days = chat.last_mes ? (now - chat.last_mes) / 86400000 : 365;
+        let score = match.score + 25 / (1 + days / 3);
+        if (isChatPinned(chat)) score += terms.length > 0 ? 10 : 1000;
+        if (isChatArchived(chat)) score -= 15;
+        ranked.push({ type: 'chat', chat, text, positions: match.positions, score });
+    }
+    if (terms.length > 0) {
+        for (const folder of folders) {
+            const text = getFolderPath(folder, folderMap);
+            const match = matchQuickSwitcherTerms(terms, text);
+            if (match) ranked.push({ type: 'folder', folder, text, positions: match.positions, score: match.score + 5 });
+        }
+    }
+    return ranked.sort((a, b) => b.score - a.score).slice(0, QUICK_SWITCHER_LIMIT);
+}
 
-            // Character/Group image (character = img, group = div)
-            const isGroup = chat.isGroup || false;
-            let previewImg;
-            if (isGroup) {
-                previewImg = document.createElement('div');
-                previewImg.className = 'tabItem-previewImg group-preview';
+/**
+ * Render a text with its matched characters highlighted.
+ * @param {string} text - Text to render.
+ * @param {Set<number>} positions - Matched UTF-16 positions, as returned by scoreFuzzyMatch.
+ * @returns {DocumentFragment} Text nodes and <mark> elements.
+ */
+function renderMatchHighlight(text, positions) {
+    const fragment = document.createDocumentFragment();
+    let run = '';
+    let runMarked = false;
+    const flush = () => {
+        if (!run) return;
+        if (runMarked) {
+            const mark = document.createElement('mark');
+            mark.textContent = run;
+            fragment.appendChild(mark);
+        } else {
+            fragment.appendChild(document.createTextNode(run));
+        }
+        run = '';
+    };
+    text.split('').forEach((char, idx) => {
+        if (positions.has(idx) !== runMarked) {
+            flush();
+            runMarked = positions.has(idx);
+        }
+        run += char;
+    });
+    flush();
+    return fragment;
+}
 
-                const group = groups.find(g => g.id === chat.characterId);
-                if (group) {
-                    let result = getGroupAvatar(group);
-                    if (result && result.length > 0) {
-                        const groupElement = result[0];
-                        groupElement.style.width = '100%';
-                        groupElement.style.height = '100%';
-                        groupElement.style.minWidth = 'unset';
-                        previewImg.appendChild(groupElement);
-                    }
-                }
-            } else {
-                previewImg = document.createElement('img');
-                previewImg.className = 'tabItem-previewImg';
-                previewImg.src = typeof getThumbnailUrl === 'function' ? getThumbnailUrl('avatar', chat.avatar) : (chat.avatar || '');
-                previewImg.alt = chat.character || '';
-            }
+/**
+ * Move a chat into a single folder, replacing its other folder assignments, as one undoable command.
+ * @param {Object} chat - Chat object.
+ * @returns {Promise<boolean>} False if cancelled.
+ */
+async function moveChatToFolder(chat) {
+    const folderId = await promptSelectFolder(1, {
+        title: t`Move chat to folder`,
+        okButton: t`Move`,
+        note: t`The chat is removed from its other folders.`,
+    });
+    if (!folderId) return false;
+    const folder = getFolders().find(f => f.id === folderId);
+    // The folder may have been removed while the picker was open
+    if (!folder) return false;
+    await recordHistory(t`Move chat to folder` + ` "${folder.name}"`, () => {
+        getChatFolderIds(chat).filter(id => id !== folderId).forEach(id => removeChatFromFolder(chat, id));
+        assignChatToFolder(chat, folderId);
+    });
+    await refreshAfterHistoryChange();
+    return true;
+}
 
-            const nameRow = document.createElement('div');
-            nameRow.className = 'tabItem-nameRow';
-            nameRow.textContent = `${chat.character}: ${chat.file_name}`;
-            preview.appendChild(previewImg);
-            preview.appendChild(nameRow);
-            // Popup content
-            const content = document.createElement('div');
-            content.innerHTML = `<h3 style='margin-bottom:8px;'>${t`Unpin this chat?`}</h3>`;
-            content.appendChild(preview);
-            const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
-                okButton: t`Unpin`,
-                cancelButton: t`Cancel`
-            });
-            const result = await popup.show();
-            if (result === POPUP_RESULT.AFFIRMATIVE) {
-                togglePinChat(chat);
-                await populateAllChatsTab();
-                await refreshFoldersTab();
+/**
+ * Show the quick switcher. Arrow keys pick a result, Enter opens the chat or narrows the search
+ * to the folder, Alt+P pins or unpins the chat and Alt+F moves it to a folder.
+ */
+async function showQuickSwitcher() {
+    if (isQuickSwitcherOpen) return;
+    isQuickSwitcherOpen = true;
+    const content = document.createElement('div');
+    content.className = 'chatsplus-quick-switcher';
+    const searchRow = document.createElement('div');
+    searchRow.className = 'chatsplus-quick-switcher-search';
+    const scopeChip = document.createElement('span');
+    scopeChip.className = 'chatsplus-quick-switcher-scope';
+    scopeChip.title = t`Backspace in the empty search searches all chats again`;
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.className = 'text_pole';
+    input.placeholder = t`Search chats and folders...`;
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-expanded', 'true');
+    input.setAttribute('aria-controls', 'chatsplus-quick-switcher-list');
+    searchRow.append(scopeChip, input);
+    const list = document.createElement('div');
+    list.id = 'chatsplus-quick-switcher-list';
+    list.className = 'chatsplus-quick-switcher-list';
+    list.setAttribute('role', 'listbox');
+    list.textContent = t`Loading chats...`;
+    const hint = document.createElement('small');
+    hint.className = 'chatsplus-quick-switcher-hint';
+    hint.textContent = t`↑↓ select · Enter open · Alt+P pin · Alt+F move to folder · Esc close`;
+    content.append(searchRow, list, hint);
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', { okButton: t`Close`, wide: true, allowVerticalScrolling: true });
+
+    let scope = null;
+    let items = [];
+    let selectedIndex = 0;
+    let chats = [];
+    let renderGeneration = 0;
+
+    const select = (index) => {
+        if (items.length === 0) return;
+        selectedIndex = (index + items.length) % items.length;
+        list.querySelectorAll('.chatsplus-quick-switcher-item').forEach((row, idx) => {
+            row.classList.toggle('selected', idx === selectedIndex);
+            row.setAttribute('aria-selected', String(idx === selectedIndex));
+            if (idx === selectedIndex) {
+                input.setAttribute('aria-activedescendant', row.id);
+                row.scrollIntoView({ block: 'nearest' });
             }
+        });
+    };
+
+    const runAction = async (item, action) => {
+        if (!item) return;
+        if (item.type === 'folder') {
+            scope = item.folder;
+            input.value = '';
+            await render();
             return;
         }
-        const selectedFolderId = await promptSelectFolderOrPinned(chat);
-        if (selectedFolderId === 'pinned') {
-            togglePinChat(chat);
-            await populateAllChatsTab();
-            await refreshFoldersTab();
-        } else if (selectedFolderId) {
-            const folderIds = getChatFolderIds(chat);
-            if (!folderIds.includes(selectedFolderId)) {
-                assignChatToFolder(chat, selectedFolderId);
-                await refreshFoldersTab();
-            }
+        if (action === 'pin') {
+            const pinned = isChatPinned(item.chat);
+            await recordHistory((pinned ? t`Unpin chat` : t`Pin chat`) + ` "${item.chat.file_name}"`, () => togglePinChat(item.chat));
+            await refreshAfterHistoryChange();
+            await render();
+        } else if (action === 'move') {
+            if (await moveChatToFolder(item.chat)) await render();
+        } else {
+            await popup.complete(POPUP_RESULT.AFFIRMATIVE);
+            await openChatFromList(item.chat);
+            return;
         }
-    });
-    if (isPinned || (folderId && folderId !== 'recent')) {
-        tabItem.classList.add('tabItem-singleline');
-        tabItem.style.display = 'flex';
-        tabItem.style.flexDirection = 'row';
-        tabItem.style.alignItems = 'center';
-        tabItem.style.gap = '10px';
-        nameRow.style.flex = '1 1 auto';
-        nameRow.style.overflow = 'hidden';
-        nameRow.style.textOverflow = 'ellipsis';
-        nameRow.style.whiteSpace = 'nowrap';
-        tabItem.appendChild(previewImg);
-        tabItem.appendChild(nameRow);
-        tabItem.appendChild(pinBtn);
-        if (isPinned) {
-            const rePinBtn = document.createElement('button');
-            rePinBtn.className = 'pinBtn tabItem-pinBtn';
-            rePinBtn.title = t`Pin or folder chat`;
-            rePinBtn.innerHTML = '<i class="fa-regular fa-bookmark"></i>';
-            rePinBtn.addEventListener('click', async (e) => {
-                e.stopPropagation();
-                const selectedFolderId = await promptSelectFolderOrPinned(chat);
-                if (selectedFolderId === 'pinned') return;
-                else if (selectedFolderId) {
-                    const folderIds = getChatFolderIds(chat);
-                    if (!folderIds.includes(selectedFolderId)) {
-                        assignChatToFolder(chat, selectedFolderId);
-                        await refreshFoldersTab();
-                    }
-                    await populateAllChatsTab();
-                }
+        input.focus();
+    };
+
+    const render = async () => {
+        const generation = ++renderGeneration;
+        const folders = getFolders();
+        const folderMap = Object.fromEntries(folders.map(f => [f.id, f]));
+        let candidateChats = chats;
+        let candidateFolders = folders;
+        if (scope) {
+            candidateChats = (await getFolderSubtreeChats(scope.id)).map(entry => entry.chat);
+            // Typing on while the folder's chats load starts a newer render
+            if (generation !== renderGeneration) return;
+            const subtreeIds = new Set(getFolderSubtreeIds(scope.id));
+            candidateFolders = folders.filter(f => f.id !== scope.id && subtreeIds.has(f.id));
+        }
+        scopeChip.textContent = scope ? getFolderPath(scope, folderMap) : '';
+        scopeChip.style.display = scope ? '' : 'none';
+        items = rankQuickSwitcherItems(input.value, candidateChats, candidateFolders, folderMap);
+        list.innerHTML = '';
+        if (items.length === 0) {
+            list.textContent = t`No matching chats or folders.`;
+            return;
+        }
+        items.forEach((item, idx) => {
+            const row = document.createElement('div');
+            row.id = `chatsplus-quick-switcher-item-${idx}`;
+            row.className = 'chatsplus-quick-switcher-item';
+            row.setAttribute('role', 'option');
+            const icon = document.createElement('i');
+            const title = document.createElement('div');
+            title.className = 'chatsplus-quick-switcher-title';
+            title.appendChild(renderMatchHighlight(item.text, item.positions));
+            const details = document.createElement('small');
+            if (item.type === 'folder') {
+                icon.className = isSmartFolder(item.folder) ? 'fa-solid fa-wand-magic-sparkles' : 'fa-solid fa-folder';
+                details.textContent = t`Search in this folder`;
+            } else {
+                const pinned = isChatPinned(item.chat);
+                icon.className = pinned ? 'fa-solid fa-thumbtack' : item.chat.isGroup ? 'fa-solid fa-users' : 'fa-solid fa-comment';
+                const folderPaths = getChatFolderIds(item.chat).filter(id => folderMap[id]).map(id => getFolderPath(folderMap[id], folderMap));
+                details.textContent = [
+                    item.chat.last_mes ? item.chat.last_mes.toLocaleDateString() : '',
+                    ...folderPaths,
+                    isChatArchived(item.chat) ? t`Archived` : '',
+                ].filter(Boolean).join(' · ');
+            }
+            const info = document.createElement('div');
+            info.className = 'chatsplus-quick-switcher-info';
+            info.append(title, details);
+            row.append(icon, info);
+            if (item.type === 'chat') {
+                const pinBtn = document.createElement('i');
+                pinBtn.className = 'fa-solid fa-thumbtack chatsplus-quick-switcher-action' + (isChatPinned(item.chat) ? ' active' : '');
+                pinBtn.title = isChatPinned(item.chat) ? t`Unpin chat` + ' (Alt+P)' : t`Pin chat` + ' (Alt+P)';
+                pinBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    runAction(item, 'pin').catch(showError);
+                });
+                const moveBtn = document.createElement('i');
+                moveBtn.className = 'fa-solid fa-folder-open chatsplus-quick-switcher-action';
+                moveBtn.title = t`Move to folder` + ' (Alt+F)';
+                moveBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    runAction(item, 'move').catch(showError);
+                });
+                row.append(pinBtn, moveBtn);
+            }
+            row.addEventListener('mousemove', () => {
+                if (selectedIndex !== idx) select(idx);
             });
-            tabItem.appendChild(rePinBtn);
+            row.addEventListener('click', () => runAction(item, 'open').catch(showError));
+            list.appendChild(row);
+        });
+        select(Math.min(selectedIndex, items.length - 1));
+    };
+
+    // Renders and actions started by events report their errors here instead of failing silently
+    const showError = (error) => {
+        console.error('ChatsPlus: Quick switcher action failed', error);
+        toastr.error(t`The quick switcher could not complete this action.`);
+    };
+    input.addEventListener('input', () => {
+        selectedIndex = 0;
+        render().catch(showError);
+    });
+    // Handled keys stay away from the popup, which would otherwise close on Enter
+    input.addEventListener('keydown', (e) => {
+        const key = e.key.toLowerCase();
+        let handled = true;
+        if (e.key === 'ArrowDown') select(selectedIndex + 1);
+        else if (e.key === 'ArrowUp') select(selectedIndex - 1);
+        else if (e.key === 'Enter') runAction(items[selectedIndex], 'open').catch(showError);
+        else if (e.altKey && key === 'p') runAction(items[selectedIndex], 'pin').catch(showError);
+        else if (e.altKey && key === 'f') runAction(items[selectedIndex], 'move').catch(showError);
+        else if (e.key === 'Backspace' && scope && !input.value) {
+            scope = null;
+            render().catch(showError);
+        } else handled = false;
+        if (handled) {
+            e.preventDefault();
+            e.stopPropagation();
         }
+    });
+
+    const shown = popup.show();
+    input.focus();
+    try {
+        ({ chats } = await getChatIndex());
+        await render();
+    } catch (error) {
+        console.error('ChatsPlus: Failed to load chats for the quick switcher', error);
+        list.textContent = t`Could not load the chats.`;
+    }
+    await shown;
+    isQuickSwitcherOpen = false;
+}
+
+/**
+ * Open the quick switcher with Ctrl+K / Cmd+K, unless turned off in the settings.
+ * @param {KeyboardEvent} e - Keyboard event.
+ */
+function handleQuickSwitcherShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || e.key.toLowerCase() !== 'k') return;
+    if (getSettings().quickSwitcherShortcut === false) return;
+    e.preventDefault();
+    showQuickSwitcher();
+}
+
+// =========================
+// 5.8. Keyboard Navigation
+// =========================
+// The Folders tab is an ARIA tree (folders and their chats are treeitems) and the Recent list a
+// listbox. Both use a roving tabindex: only the last focused item is in the tab order, the arrow
+// keys move between items. Rename and remove keys reuse the item's own buttons, with their popups.
+const navItemActions = new WeakMap(); // Tree or list item -> { rename, remove } callbacks
+let folderTreeFocusKey = null; // data-nav-key of the last focused Folders tab item
+let recentListFocusKey = null; // data-nav-key of the last focused Recent item
+
+/**
+ * Get the items of a tree or list that are not inside a collapsed folder.
+ * @param {HTMLElement} root - Tree or listbox element.
+ * @param {string} role - Item role, treeitem or option.
+ * @returns {Array<HTMLElement>} Items in document order.
+ */
+function getVisibleNavItems(root, role) {
+    return [...root.querySelectorAll(`[role="${role}"]`)]
+        .filter(item => !item.parentElement.closest('.collapsible-content.collapsed'));
+}
+
+/**
+ * Make an item the one tab stop of its tree or list, and focus it.
+ * @param {HTMLElement} root - Tree or listbox element.
+ * @param {HTMLElement} item - Item to move to.
+ * @param {boolean} [focus] - Also focus the item.
+ */
+function setRovingTabStop(root, item, focus = true) {
+    root.querySelectorAll('[data-nav-key][tabindex="0"]').forEach(other => {
+        if (other !== item) other.tabIndex = -1;
+    });
+    item.tabIndex = 0;
+    if (focus) item.focus();
+}
+
+/**
+ * Make sure a re-rendered tree or list has a tab stop, preferring the item focused before.
+ * @param {HTMLElement} root - Tree or listbox element.
+ * @param {string} role - Item role, treeitem or option.
+ * @param {string|null} focusKey - data-nav-key of the previously focused item.
+ * @param {boolean} [restoreFocus] - Focus that item again, e.g. when a refresh removed the focused element.
+ */
+function ensureRovingTabStop(root, role, focusKey, restoreFocus = false) {
+    const items = getVisibleNavItems(root, role);
+    if (items.length === 0) return;
+    const remembered = focusKey ? items.find(item => item.dataset.navKey === focusKey) : null;
+    const current = items.find(item => item.tabIndex === 0);
+    const target = remembered || current || items[0];
+    setRovingTabStop(root, target, false);
+    if (restoreFocus && remembered) target.focus({ preventScroll: true });
+}
+
+/**
+ * Handle the keys moving between items, shared by the tree and the list.
+ * @param {HTMLElement} root - Tree or listbox element.
+ * @param {Array<HTMLElement>} items - Visible items.
+ * @param {HTMLElement} item - Focused item.
+ * @param {string} key - Pressed key.
+ * @returns {boolean} True if the key moved the focus.
+ */
+function moveNavFocus(root, items, item, key) {
+    const idx = items.indexOf(item);
+    let target = null;
+    if (key === 'ArrowDown') target = items[idx + 1];
+    else if (key === 'ArrowUp') target = items[idx - 1];
+    else if (key === 'Home') target = items[0];
+    else if (key === 'End') target = items[items.length - 1];
+    else return false;
+    if (target) setRovingTabStop(root, target);
+    return true;
+}
+
+/**
+ * Run the rename or remove action of an item, if it has one.
+ * @param {HTMLElement} item - Tree or list item.
+ * @param {'rename'|'remove'} action - Action to run.
+ */
+function runNavItemAction(item, action) {
+    const actions = navItemActions.get(item);
+    if (actions && actions[action]) actions[action]();
+}
+
+/**
+ * Handle keys in the Folders tab tree. Right expands a folder or enters it, Left collapses it or
+ * goes to the parent folder, Enter opens a chat or toggles a folder, F2 renames and Delete removes
+ * the folder or takes the chat out of it, both after confirmation.
+ * @param {KeyboardEvent} e - Keyboard event.
+ */
+function handleFolderTreeKeydown(e) {
+    const tree = e.currentTarget;
+    const item = e.target.closest('[role="treeitem"]');
+    // Keys typed on the buttons inside an item keep their own meaning
+    if (!item || e.target !== item || e.ctrlKey || e.metaKey || e.altKey) return;
+    const isFolder = item.classList.contains('folder-collapsible-section');
+    const expanded = item.getAttribute('aria-expanded') === 'true';
+    const items = getVisibleNavItems(tree, 'treeitem');
+    let handled = true;
+    if (e.key === 'ArrowRight' && isFolder) {
+        const firstChild = items[items.indexOf(item) + 1];
+        if (!expanded) setFolderSectionCollapsed(item, false);
+        else if (firstChild && item.contains(firstChild)) setRovingTabStop(tree, firstChild);
+    } else if (e.key === 'ArrowLeft') {
+        const parent = item.parentElement.closest('[role="treeitem"]');
+        if (isFolder && expanded) setFolderSectionCollapsed(item, true);
+        else if (parent && tree.contains(parent)) setRovingTabStop(tree, parent);
+    } else if (e.key === 'Enter' || (e.key === ' ' && isFolder)) {
+        if (isFolder) setFolderSectionCollapsed(item, expanded);
+        else item.click();
+    } else if (e.key === 'F2') {
+        runNavItemAction(item, 'rename');
+    } else if (e.key === 'Delete') {
+        runNavItemAction(item, 'remove');
     } else {
-        const infoContainer = document.createElement('div');
-        infoContainer.className = 'tabItem-infoContainer';
-        const nameRow = document.createElement('div');
-        nameRow.className = 'tabItem-nameRow';
-        nameRow.textContent = chat.isGroup
-            ? `👥 ${chat.character}: ${chat.file_name}`
-            : `${chat.character}: ${chat.file_name}`;
-        const bottomRow = document.createElement('div');
-        bottomRow.className = 'tabItem-bottomRow';
-        // Pencil icon, first message, pin button (in this order)
-        bottomRow.appendChild(pencilIcon);
-        const chatMessage = document.createElement('div');
-        chatMessage.classList.add('chatMessage', 'tabItem-message');
-        chatMessage.textContent = stat && stat.mes ? stat.mes : '';
-        chatMessage.title = stat && stat.mes ? stat.mes : '';
-        bottomRow.appendChild(chatMessage);
-        bottomRow.appendChild(pinBtn);
-        infoContainer.appendChild(nameRow);
-        infoContainer.appendChild(bottomRow);
-        previewImg.classList.add('tabItem-img');
-        tabItem.appendChild(previewImg);
-        tabItem.appendChild(infoContainer);
+        handled = moveNavFocus(tree, items, item, e.key);
     }
-    container.appendChild(tabItem);
-    tabItem.addEventListener('click', async (e) => {
-        if (e.target.closest('.tabItem-pinBtn')) return;
-        if (e.target.closest('.chat-rename-icon')) return;
-        const context = SillyTavern.getContext();
+    if (handled) e.preventDefault();
+}
 
-        if (chat.isGroup) {
-            // Handle group chat opening
-            // First set the active group, then open the group chat
-            const group = groups.find(g => g.id === chat.characterId);
-            setActiveGroup(group);
-            select_group_chats(group.id, true);
-            await openChatById(chat.file_name, true, group.id);
-        } else {
-            // Existing character chat logic
-            if (String(context.characterId) !== String(chat.characterId)) {
-                await selectCharacterById(chat.characterId);
-                await new Promise(resolve => setTimeout(resolve, 150));
-            }
-            await openChatById(chat.file_name);
-        }
+/**
+ * Handle keys in the Recent list. Enter opens the chat (or toggles it in selection mode),
+ * Space selects it, Shift+Space selects a range, F2 renames and Delete moves it to the trash
+ * after confirmation.
+ * @param {KeyboardEvent} e - Keyboard event.
+ */
+function handleRecentListKeydown(e) {
+    const list = e.currentTarget;
+    const item = e.target.closest('[role="option"]');
+    if (!item || e.target !== item || e.ctrlKey || e.metaKey || e.altKey) return;
+    let handled = true;
+    if (e.key === 'Enter') {
+        item.click();
+    } else if (e.key === ' ') {
+        const chat = tabItemChats.get(item);
+        if (chat) handleRecentSelectionClick({ ctrlKey: true, metaKey: false, shiftKey: e.shiftKey }, item, chat);
+    } else if (e.key === 'F2') {
+        runNavItemAction(item, 'rename');
+    } else if (e.key === 'Delete') {
+        runNavItemAction(item, 'remove');
+    } else {
+        handled = moveNavFocus(list, getVisibleNavItems(list, 'option'), item, e.key);
+    }
+    if (handled) e.preventDefault();
+}
+
+/**
+ * Make a Folders tab tree or the Recent list keyboard navigable.
+ * @param {HTMLElement} root - Tree or listbox element.
+ * @param {'tree'|'recent'} kind - Which of the two it is.
+ */
+function attachKeyboardNavigation(root, kind) {
+    root.addEventListener('keydown', kind === 'tree' ? handleFolderTreeKeydown : handleRecentListKeydown);
+    // Clicking an item focuses it too, so the tab stop always follows the last used item
+    root.addEventListener('focusin', (e) => {
+        const item = e.target.closest('[data-nav-key]');
+        if (!item || e.target !== item) return;
+        setRovingTabStop(root, item, false);
+        if (kind === 'tree') folderTreeFocusKey = item.dataset.navKey;
+        else recentListFocusKey = item.dataset.navKey;
     });
 }
 
@@ -1878,6 +7789,42 @@ function renderExtensionSettings() {
     enabledCheckboxLabel.append(enabledCheckbox, enabledCheckboxText);
     inlineDrawerContent.append(enabledCheckboxLabel);
     // =========================
+    // Auto Re-link Checkbox
+    // =========================
+    const relinkCheckboxLabel = document.createElement('label');
+    relinkCheckboxLabel.classList.add('checkbox_label');
+    relinkCheckboxLabel.htmlFor = `${settingsKey}-auto-relink`;
+    const relinkCheckbox = document.createElement('input');
+    relinkCheckbox.id = `${settingsKey}-auto-relink`;
+    relinkCheckbox.type = 'checkbox';
+    relinkCheckbox.checked = settings.autoRelinkRenamedChats ?? true;
+    relinkCheckbox.addEventListener('change', () => {
+        getSettings().autoRelinkRenamedChats = relinkCheckbox.checked;
+        context.saveSettingsDebounced();
+    });
+    const relinkCheckboxText = document.createElement('span');
+    relinkCheckboxText.textContent = t`Automatically re-link chats renamed outside ChatsPlus (otherwise ask)`;
+    relinkCheckboxLabel.append(relinkCheckbox, relinkCheckboxText);
+    inlineDrawerContent.append(relinkCheckboxLabel);
+    // =========================
+    // Quick Switcher Shortcut Checkbox
+    // =========================
+    const switcherCheckboxLabel = document.createElement('label');
+    switcherCheckboxLabel.classList.add('checkbox_label');
+    switcherCheckboxLabel.htmlFor = `${settingsKey}-quick-switcher`;
+    const switcherCheckbox = document.createElement('input');
+    switcherCheckbox.id = `${settingsKey}-quick-switcher`;
+    switcherCheckbox.type = 'checkbox';
+    switcherCheckbox.checked = settings.quickSwitcherShortcut ?? true;
+    switcherCheckbox.addEventListener('change', () => {
+        getSettings().quickSwitcherShortcut = switcherCheckbox.checked;
+        context.saveSettingsDebounced();
+    });
+    const switcherCheckboxText = document.createElement('span');
+    switcherCheckboxText.textContent = t`Open the quick switcher with Ctrl+K`;
+    switcherCheckboxLabel.append(switcherCheckbox, switcherCheckboxText);
+    inlineDrawerContent.append(switcherCheckboxLabel);
+    // =========================
     // Default Tab Selection UI
     // =========================
     const defaultTabSection = document.createElement('div');
@@ -1909,6 +7856,44 @@ function renderExtensionSettings() {
     defaultTabSection.appendChild(tabRow);
     inlineDrawerContent.appendChild(defaultTabSection);
 
+    // =========================
+    // Archive Section
+    // =========================
+    const archiveSection = document.createElement('div');
+    archiveSection.style.margin = '16px 0';
+    archiveSection.innerHTML = `<div><b>${t`Archive:`}</b></div>`;
+    const autoArchiveControls = document.createElement('div');
+    autoArchiveControls.className = 'chatsplus-snapshot-controls';
+    const autoArchiveLabel = document.createElement('label');
+    autoArchiveLabel.htmlFor = `${settingsKey}-auto-archive`;
+    autoArchiveLabel.textContent = t`Archive chats inactive for`;
+    const autoArchiveInput = document.createElement('input');
+    autoArchiveInput.id = `${settingsKey}-auto-archive`;
+    autoArchiveInput.type = 'number';
+    autoArchiveInput.min = '0';
+    autoArchiveInput.max = '3650';
+    autoArchiveInput.className = 'text_pole';
+    autoArchiveInput.value = String(Number(getSettings().autoArchiveDays) || 0);
+    autoArchiveInput.addEventListener('change', () => {
+        const value = Math.max(0, Math.min(3650, parseInt(autoArchiveInput.value, 10) || 0));
+        autoArchiveInput.value = String(value);
+        const settings = getSettings();
+        // A new period starts over, chats past it are archived even if they passed it before the last run
+        if ((Number(settings.autoArchiveDays) || 0) !== value) delete settings.lastAutoArchiveAt;
+        settings.autoArchiveDays = value;
+        context.saveSettingsDebounced();
+        runAutoArchive();
+    });
+    const autoArchiveSuffix = document.createElement('span');
+    autoArchiveSuffix.textContent = t`days (0 = never)`;
+    const openArchiveBtn = document.createElement('button');
+    openArchiveBtn.textContent = t`Open archive`;
+    openArchiveBtn.className = 'settings-action-btn';
+    openArchiveBtn.onclick = () => showArchivePopup();
+    autoArchiveControls.append(autoArchiveLabel, autoArchiveInput, autoArchiveSuffix, openArchiveBtn);
+    archiveSection.appendChild(autoArchiveControls);
+    inlineDrawerContent.appendChild(archiveSection);
+
     // =========================
     // Backup Management Section
     // =========================
@@ -1934,38 +7919,7 @@ function renderExtensionSettings() {
     importBtn.style.background = '#2a7';
     importBtn.style.color = '#fff';
     importBtn.style.border = 'none';
-    importBtn.onclick = async () => {
-        const fileInput = document.createElement('input');
-        fileInput.type = 'file';
-        fileInput.accept = '.json,application/json';
-        fileInput.style.display = 'none';
-        fileInput.onchange = async (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
-            try {
-                const text = await file.text();
-                const imported = JSON.parse(text);
-                if (typeof imported !== 'object' || Array.isArray(imported)) throw new Error('Invalid data');
-                const content = document.createElement('div');
-                content.innerHTML = `<h3 style='margin-bottom:8px;'>${t`Import ChatsPlus data?`}</h3><p>${t`This will overwrite your current ChatsPlus settings, folders, and pinned chats.`}</p>`;
-                const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
-                    okButton: t`Import`,
-                    cancelButton: t`Cancel`
-                });
-                const result = await popup.show();
-                if (result === POPUP_RESULT.AFFIRMATIVE) {
-                    context.extensionSettings[settingsKey] = imported;
-                    await context.saveSettingsDebounced();
-                    alert(t`ChatsPlus data imported successfully!\nA reload is necessary to apply changes.`);
-                }
-            } catch (err) {
-                alert(t`Failed to import: ` + err.message);
-            }
-        };
-        document.body.appendChild(fileInput);
-        fileInput.click();
-        setTimeout(() => document.body.removeChild(fileInput), 5000);
-    };
+    importBtn.onclick = () => showImportSettingsDialog();
     // Export Button
     const exportBtn = document.createElement('button');
     exportBtn.textContent = t`Export`;
@@ -1973,25 +7927,97 @@ function renderExtensionSettings() {
     exportBtn.style.background = '#27a';
     exportBtn.style.color = '#fff';
     exportBtn.style.border = 'none';
-    exportBtn.onclick = () => {
-        const data = JSON.stringify(context.extensionSettings[settingsKey] ?? {}, null, 2);
-        const blob = new Blob([data], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'ChatsPlus-settings.json';
-        document.body.appendChild(a);
-        a.click();
-        setTimeout(() => {
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-        }, 100);
-    };
+    exportBtn.onclick = () => showExportDialog();
     // Append buttons to the row and drawer content
     exportImportRow.appendChild(importBtn);
     exportImportRow.appendChild(exportBtn);
     backupSection.appendChild(exportImportRow);
 
+    // Chat bundles made by the zip export, or loose jsonl chat files
+    const chatImportHeader = document.createElement('span');
+    chatImportHeader.textContent = t`Import chats from bundles (.zip) or chat files (.jsonl):`;
+    backupSection.appendChild(chatImportHeader);
+    const chatImportRow = document.createElement('div');
+    chatImportRow.style.display = 'flex';
+    chatImportRow.style.gap = '10px';
+    chatImportRow.style.margin = '8px 0';
+    const chatImportBtn = document.createElement('button');
+    chatImportBtn.textContent = t`Import chats`;
+    chatImportBtn.className = 'settings-action-btn';
+    chatImportBtn.onclick = () => showChatImportDialog();
+    chatImportRow.appendChild(chatImportBtn);
+    backupSection.appendChild(chatImportRow);
+
+    // Snapshots kept in IndexedDB, with retention, diff and restore
+    const snapshotsHeader = document.createElement('span');
+    snapshotsHeader.textContent = t`Automatic snapshots of pins and folders:`;
+    backupSection.appendChild(snapshotsHeader);
+    const snapshotControls = document.createElement('div');
+    snapshotControls.className = 'chatsplus-snapshot-controls';
+    const retentionLabel = document.createElement('label');
+    retentionLabel.htmlFor = `${settingsKey}-snapshot-retention`;
+    retentionLabel.textContent = t`Keep`;
+    const retentionInput = document.createElement('input');
+    retentionInput.id = `${settingsKey}-snapshot-retention`;
+    retentionInput.type = 'number';
+    retentionInput.min = '1';
+    retentionInput.max = '500';
+    retentionInput.className = 'text_pole';
+    retentionInput.value = String(getSnapshotRetention());
+    retentionInput.addEventListener('change', () => {
+        const value = Math.max(1, Math.min(500, parseInt(retentionInput.value, 10) || DEFAULT_SNAPSHOT_RETENTION));
+        retentionInput.value = String(value);
+        getSettings().snapshotRetention = value;
+        context.saveSettingsDebounced();
+    });
+    const retentionSuffix = document.createElement('span');
+    retentionSuffix.textContent = t`snapshots`;
+    const snapshotNowBtn = document.createElement('button');
+    snapshotNowBtn.textContent = t`Take snapshot now`;
+    snapshotNowBtn.className = 'settings-action-btn';
+    snapshotControls.append(retentionLabel, retentionInput, retentionSuffix, snapshotNowBtn);
+    backupSection.appendChild(snapshotControls);
+    const snapshotList = document.createElement('div');
+    snapshotList.className = 'chatsplus-snapshot-list';
+    backupSection.appendChild(snapshotList);
+    snapshotNowBtn.onclick = async () => {
+        await createSnapshot(t`Manual`, { force: true });
+        await renderSnapshotList(snapshotList);
+    };
+    // The list is read when the drawer is opened, so it is current without polling
+    inlineDrawerToggle.addEventListener('click', () => renderSnapshotList(snapshotList));
+
+    // Trash of chats deleted from ChatsPlus
+    const trashHeader = document.createElement('span');
+    trashHeader.textContent = t`Deleted chats:`;
+    backupSection.appendChild(trashHeader);
+    const trashControls = document.createElement('div');
+    trashControls.className = 'chatsplus-snapshot-controls';
+    const trashRetentionLabel = document.createElement('label');
+    trashRetentionLabel.htmlFor = `${settingsKey}-trash-retention`;
+    trashRetentionLabel.textContent = t`Keep for`;
+    const trashRetentionInput = document.createElement('input');
+    trashRetentionInput.id = `${settingsKey}-trash-retention`;
+    trashRetentionInput.type = 'number';
+    trashRetentionInput.min = '1';
+    trashRetentionInput.max = '3650';
+    trashRetentionInput.className = 'text_pole';
+    trashRetentionInput.value = String(getTrashRetentionDays());
+    trashRetentionInput.addEventListener('change', () => {
+        const value = Math.max(1, Math.min(3650, parseInt(trashRetentionInput.value, 10) || DEFAULT_TRASH_RETENTION_DAYS));
+        trashRetentionInput.value = String(value);
+        getSettings().trashRetentionDays = value;
+        context.saveSettingsDebounced();
+    });
+    const trashRetentionSuffix = document.createElement('span');
+    trashRetentionSuffix.textContent = t`days`;
+    const openTrashBtn = document.createElement('button');
+    openTrashBtn.textContent = t`Open trash`;
+    openTrashBtn.className = 'settings-action-btn';
+    openTrashBtn.onclick = () => showTrashPopup();
+    trashControls.append(trashRetentionLabel, trashRetentionInput, trashRetentionSuffix, openTrashBtn);
+    backupSection.appendChild(trashControls);
+
     inlineDrawerContent.appendChild(backupSection);
 
     // =========================
@@ -2024,6 +8050,9 @@ function renderExtensionSettings() {
         reloadBtn.disabled = true;
 
         try {
+            // Drop the shared chat index and its persisted copy so everything is fetched again
+            invalidateChatIndex({ full: true });
+
             // Clear the Recent Chats tab container to force a full reload
             const recentChatsContainer = getOrCreateRecentChatsTabContainer();
             if (recentChatsContainer) {
@@ -2135,36 +8164,9 @@ function addTabToCharManagementMenu() {
 
     // Helper to render the currently selected chat
     function renderSelectedChat() {
-        selectedChatContainer.innerHTML = '';
-        const context = SillyTavern.getContext();
-        let chatId = getCurrentChatId && getCurrentChatId();
-        let charId = context.characterId;
-        let groupId = context.groupId;
-        let chat = null;
-
-        // Check if we're in a group chat
-        if (groupId && groups) {
-            const group = groups.find(g => g.id === groupId);
-            if (group) {
-                chat = {
-                    character: group.name || `Group ${groupId}`,
-                    avatar: group.avatar || '',
-                    file_name: chatId,
-                    characterId: groupId,
-                    isGroup: true
-                };
-            }
-        } else if (context.characters && charId && context.characters[charId]) {
-            const char = context.characters[charId];
-            chat = {
-                character: char.name || charId,
-                avatar: char.avatar,
-                file_name: chatId,
-                characterId: charId,
-                isGroup: false
-            };
-        }
-        if (!chat || !chat.file_name) {
+        selectedChatContainer.innerHTML = '';
+        const chat = getCurrentChat();
+        if (!chat) {
             selectedChatWrapper.style.display = 'none';
             return;
         }
@@ -2235,19 +8237,7 @@ function addTabToCharManagementMenu() {
             });
             const result = await popup.show();
             if ((result === POPUP_RESULT.AFFIRMATIVE) && nameInput.value.trim() && nameInput.value.trim() !== chat.file_name) {
-                const context = SillyTavern.getContext();
-                const loader = document.getElementById('extensionAllChatsTabLoader') || null;
-                await renameGroupOrCharacterChat({
-                    characterId: chat.characterId,
-                    groupId: context.groupId,
-                    oldFileName: chat.file_name,
-                    newFileName: nameInput.value.trim(),
-                    loader
-                });
-                handleChatRename(chat, nameInput.value.trim());
-                // Refresh UI after renaming
-                if (typeof populateAllChatsTab === 'function') await populateAllChatsTab();
-                if (typeof refreshFoldersTab === 'function') await refreshFoldersTab();
+                await renameChatFile(chat, nameInput.value.trim());
             }
         });
 
@@ -2261,15 +8251,17 @@ function addTabToCharManagementMenu() {
             // Show pin/folder selection popup
             const selectedFolderId = await promptSelectFolderOrPinned(chat);
             if (selectedFolderId === 'pinned') {
-                togglePinChat(chat);
+                await recordHistory(isChatPinned(chat) ? t`Unpin chat` + ` "${chat.file_name}"` : t`Pin chat` + ` "${chat.file_name}"`, () => togglePinChat(chat));
                 // Refresh UI after pinning
                 if (typeof populateAllChatsTab === 'function') await populateAllChatsTab();
                 if (typeof refreshFoldersTab === 'function') await refreshFoldersTab();
                 renderSelectedChat(); // Refresh the selected chat display
             } else if (selectedFolderId) {
                 const folderIds = getChatFolderIds(chat);
-                if (!folderIds.includes(selectedFolderId)) {
-                    assignChatToFolder(chat, selectedFolderId);
+                // The folder may have been removed while the picker was open
+                const folder = getFolders().find(f => f.id === selectedFolderId);
+                if (folder && !folderIds.includes(selectedFolderId)) {
+                    await recordHistory(t`Add chat to folder` + ` "${folder.name}"`, () => assignChatToFolder(chat, selectedFolderId));
                     // Refresh UI after assigning to folder
                     if (typeof populateAllChatsTab === 'function') await populateAllChatsTab();
                     if (typeof refreshFoldersTab === 'function') await refreshFoldersTab();
@@ -2299,10 +8291,12 @@ function addTabToCharManagementMenu() {
     const recentChatsTab = document.createElement('div');
     recentChatsTab.id = 'chatsplus-recent-chats-tab';
     recentChatsTab.style.display = 'none';
+    recentChatsTab.tabIndex = -1; // Focusable on click, for the undo shortcuts
     tabsWrapper.appendChild(recentChatsTab);
     const foldersTab = document.createElement('div');
     foldersTab.id = 'chatsplus-folders-tab';
     foldersTab.style.display = 'none';
+    foldersTab.tabIndex = -1;
     tabsWrapper.appendChild(foldersTab);
     existingSiblings.forEach(sibling => { charactersTab.appendChild(sibling); });
     activateTab = function (tabIdx) {
@@ -2339,15 +8333,35 @@ function addTabToCharManagementMenu() {
 // 7.1. Folders Tab Helper Functions
 // =========================
 
+/**
+ * Collapse or expand a folder of the Folders tab, updating its chevron and aria-expanded.
+ * @param {HTMLElement} folderSection - The folder's section element.
+ * @param {boolean} collapsed - Whether the folder is collapsed.
+ */
+function setFolderSectionCollapsed(folderSection, collapsed) {
+    const content = folderSection.querySelector(':scope > .collapsible-content');
+    const chevron = folderSection.querySelector(':scope > .collapsible-header > .chevron');
+    folderSection.classList.toggle('collapsed', collapsed);
+    if (content) content.classList.toggle('collapsed', collapsed);
+    if (chevron) {
+        chevron.classList.toggle('fa-chevron-right', collapsed);
+        chevron.classList.toggle('fa-chevron-down', !collapsed);
+    }
+    folderSection.setAttribute('aria-expanded', String(!collapsed));
+}
+
 /**
  * Build folderedChats map from chatFolders data and all available chats.
  * This function properly transforms the raw chatFolders data into the format
- * expected by renderAllChatsFoldersUI.
+ * expected by renderAllChatsFoldersUI. Smart folders get the chats matching their query.
+ * Archived chats are left out unless settings.showArchivedInFolders is set.
  * @param {Array} allChats - Array of all chat objects.
  * @returns {Object} Map of folderId to array of chats.
  */
 function buildFolderedChatsMap(allChats) {
     const folderedChats = {};
+    const showArchived = Boolean(getSettings().showArchivedInFolders);
+    const listedChats = showArchived ? allChats : allChats.filter(chat => !isChatArchived(chat));
     const chatFoldersMap = getChatFoldersMap();
 
     // Initialize empty arrays for all folders
@@ -2355,14 +8369,22 @@ function buildFolderedChatsMap(allChats) {
     folders.forEach(folder => {
         folderedChats[folder.id] = [];
     });
+    const smartFolderIds = new Set(folders.filter(isSmartFolder).map(f => f.id));
+
+    // Smart folders are computed from their saved query, most recent first
+    folders.filter(isSmartFolder).forEach(folder => {
+        folderedChats[folder.id] = allChats
+            .filter(getChatListPredicate(folder.query, showArchived))
+            .sort((a, b) => (b.last_mes || 0) - (a.last_mes || 0));
+    });
 
     // Process each chat and assign to folders
-    allChats.forEach(chat => {
-        const chatKey = chat.characterId + ':' + chat.file_name;
+    listedChats.forEach(chat => {
+        const chatKey = getChatKey(chat);
         const folderIds = chatFoldersMap[chatKey] || [];
 
         folderIds.forEach(folderId => {
-            if (folderedChats[folderId]) {
+            if (folderedChats[folderId] && !smartFolderIds.has(folderId)) {
                 folderedChats[folderId].push(chat);
             }
         });
@@ -2387,6 +8409,8 @@ refreshFoldersTab = async function () {
 
         // Check for existing containers before clearing
         const existingContainers = foldersTab.querySelectorAll('.folders-tab-container');
+        // Re-rendering removes the focused item, it is focused again once the tree is rebuilt
+        const restoreFocus = foldersTab.contains(document.activeElement);
 
         foldersTab.innerHTML = '';
         const foldersTabContainer = document.createElement('div');
@@ -2411,14 +8435,14 @@ refreshFoldersTab = async function () {
                     radio.name = radioName;
                     radio.value = folder.id;
                     label.appendChild(radio);
-                    label.appendChild(document.createTextNode(' 📁 ' + folder.name));
+                    label.appendChild(document.createTextNode((isSmartFolder(folder) ? ' ✨ ' : ' 📁 ') + folder.name));
                     container.appendChild(label);
                     if (folder.children && folder.children.length > 0) {
                         renderFolderRadios(folder.children, radioName, container, level + 1);
                     }
                 });
             }
-            const folders = getFolders().slice().sort((a, b) => a.name.localeCompare(b.name));
+            const folders = getFolders();
             const content = document.createElement('div');
             content.innerHTML = `<h3>${t`Select a parent folder (optional):`}</h3>`;
             const radioGroup = document.createElement('div');
@@ -2475,7 +8499,7 @@ refreshFoldersTab = async function () {
             const selectedFolderId = selectedRadio && selectedRadio.value ? selectedRadio.value : null;
             const name = nameInput.value;
             if (name && name.trim()) {
-                addFolder(name.trim(), selectedFolderId);
+                await recordHistory(t`Add folder` + ` "${name.trim()}"`, () => addFolder(name.trim(), selectedFolderId));
                 await refreshFoldersTab();
             }
         });
@@ -2485,109 +8509,54 @@ refreshFoldersTab = async function () {
         addFolderLabel.addEventListener('click', () => addFolderBtn.click());
         addFolderRow.appendChild(addFolderBtn);
         addFolderRow.appendChild(addFolderLabel);
-        foldersTabContainer.appendChild(addFolderRow);
-        let allChats = [];
-        if (SillyTavern.getContext().characters) {
-            const characters = SillyTavern.getContext().characters;
-            // Parallelize fetching chat lists for all characters
-            const chatListPromises = Object.entries(characters).map(async ([charId, char]) => {
-                try {
-                    const chats = await getListOfCharacterChats(char.avatar);
-                    return chats.filter(chatName => typeof chatName === 'string' && chatName).map(chatName => ({
-                        character: char.name || charId,
-                        avatar: char.avatar,
-                        file_name: chatName,
-                        characterId: charId,
-                        isGroup: false
-                    }));
-                } catch (e) {
-                    return [];
-                }
-            });
-            const chatLists = await Promise.all(chatListPromises);
-            allChats = allChats.concat(chatLists.flat());
-        }
-
-        // Add group chats
-        try {
-            const groupsResponse = await fetch('/api/groups/all', {
-                method: 'POST',
-                headers: getRequestHeaders(),
-            });
-            if (groupsResponse.ok) {
-                const groups = await groupsResponse.json();
-                const groupChatPromises = groups.map(async (group) => {
-                    try {
-                        const chats = await getGroupPastChats(group.id);
-                        return chats.map(chat => {
-                            const fileName = typeof chat === 'string' ? chat.replace('.jsonl', '') : String(chat.file_name || chat).replace('.jsonl', '');
-                            return {
-                                character: group.name || `Group ${group.id}`,
-                                avatar: group.avatar || '',
-                                file_name: fileName,
-                                characterId: group.id,
-                                isGroup: true,
-                                groupMembers: group.members || []
-                            };
-                        });
-                    } catch (e) {
-                        return [];
-                    }
-                });
-
-                const groupChatLists = await Promise.all(groupChatPromises);
-                allChats = allChats.concat(groupChatLists.flat());
-            }
-        } catch (e) {
-            console.warn('Failed to load group chats in folders tab:', e);
-        }
-
-        let chatStatsMap = {};
-        // Parallelize fetching stats for all characters and groups
-        const uniqueCharacterIds = [...new Set(allChats.filter(chat => !chat.isGroup).map(chat => chat.characterId))];
-        const uniqueGroupIds = [...new Set(allChats.filter(chat => chat.isGroup).map(chat => chat.characterId))];
-
-        const characterStatsPromises = uniqueCharacterIds.map(async (charId) => {
-            try {
-                const statsList = await getPastCharacterChats(charId);
-                return statsList.map(stat => {
-                    const fileName = String(stat.file_name).replace('.jsonl', '');
-                    return [charId + ':' + fileName, stat];
-                });
-            } catch (e) { return []; }
-        });
-
-        const groupStatsPromises = uniqueGroupIds.map(async (groupId) => {
-            try {
-                const statsList = await getGroupPastChats(groupId);
-                return statsList.map(stat => {
-                    const fileName = typeof stat === 'string' ? stat.replace('.jsonl', '') : String(stat.file_name || stat).replace('.jsonl', '');
-                    return [groupId + ':' + fileName, stat];
-                });
-            } catch (e) { return []; }
-        });
-
-        const statsEntries = (await Promise.all([...characterStatsPromises, ...groupStatsPromises])).flat();
-        chatStatsMap = Object.fromEntries(statsEntries);
-
-        allChats = allChats.map(chat => {
-            const stat = chatStatsMap[chat.characterId + ':' + chat.file_name];
-            let lastMesRaw = stat && stat.last_mes ? stat.last_mes : null;
-            let lastMesDate = null;
-            if (lastMesRaw) {
-                // Use timestampToMoment (dayjs wrapper) for robust parsing
-                const momentObj = timestampToMoment(lastMesRaw);
-                if (momentObj && momentObj.isValid()) {
-                    lastMesDate = momentObj.toDate();
-                }
-            }
-            return { ...chat, stat, last_mes: lastMesDate };
+        const addSmartFolderBtn = document.createElement('button');
+        addSmartFolderBtn.className = 'add-folder-btn add-smart-folder-btn';
+        addSmartFolderBtn.title = t`Add Smart Folder`;
+        addSmartFolderBtn.innerHTML = '<i class="fa-solid fa-wand-magic-sparkles"></i>';
+        addSmartFolderBtn.addEventListener('click', () => showSmartFolderEditorPopup(null));
+        addFolderRow.appendChild(addSmartFolderBtn);
+        const importChatsBtn = document.createElement('button');
+        importChatsBtn.className = 'add-folder-btn import-chats-btn';
+        importChatsBtn.title = t`Import chat bundle`;
+        importChatsBtn.innerHTML = '<i class="fa-solid fa-file-import"></i>';
+        importChatsBtn.addEventListener('click', () => showChatImportDialog());
+        addFolderRow.appendChild(importChatsBtn);
+        const rootSortToggle = createFolderSortToggle(null);
+        rootSortToggle.style.marginLeft = 'auto';
+        addFolderRow.appendChild(rootSortToggle);
+        const historyBtn = document.createElement('button');
+        historyBtn.className = 'folder-sort-toggle chatsplus-history-btn';
+        historyBtn.title = t`Undo history`;
+        historyBtn.innerHTML = '<i class="fa-solid fa-clock-rotate-left"></i>';
+        historyBtn.addEventListener('click', () => showHistoryPopup());
+        addFolderRow.appendChild(historyBtn);
+        // Show or hide archived chats in the folders, see Archive
+        const showArchived = Boolean(getSettings().showArchivedInFolders);
+        const archivedToggle = document.createElement('button');
+        archivedToggle.className = 'folder-sort-toggle chatsplus-archived-toggle';
+        archivedToggle.classList.toggle('active', showArchived);
+        archivedToggle.title = showArchived ? t`Hide archived chats` : t`Show archived chats`;
+        archivedToggle.innerHTML = `<i class="fa-solid ${showArchived ? 'fa-box-open' : 'fa-box-archive'}"></i>`;
+        archivedToggle.addEventListener('click', async () => {
+            getSettings().showArchivedInFolders = !showArchived;
+            saveSettingsDebounced();
+            await refreshFoldersTab();
         });
+        addFolderRow.appendChild(archivedToggle);
+        foldersTabContainer.appendChild(addFolderRow);
+        const { chats: allChats } = await getChatIndex();
 
         // Build the folderedChats map using the new helper function
         const folderedChats = buildFolderedChatsMap(allChats);
-        renderAllChatsFoldersUI(foldersTabContainer, folderedChats);
+        const folderTree = document.createElement('div');
+        folderTree.className = 'chatsplus-folder-tree';
+        folderTree.setAttribute('role', 'tree');
+        folderTree.setAttribute('aria-label', t`Folders`);
+        attachKeyboardNavigation(folderTree, 'tree');
+        renderAllChatsFoldersUI(folderTree, folderedChats);
+        foldersTabContainer.appendChild(folderTree);
         foldersTab.appendChild(foldersTabContainer);
+        ensureRovingTabStop(folderTree, 'treeitem', folderTreeFocusKey, restoreFocus);
     } finally {
         isRefreshingFoldersTab = false;
     }
@@ -2695,7 +8664,19 @@ async function removeAllBackupFiles() {
         });
     }
 
-    // Listen for character management events that can shift character IDs
+    // Keep the Folders tab in sync with the shared chat index
+    subscribeChatIndex(() => {
+        if (document.querySelector('#chatsplus-folders-tab .folders-tab-container')) refreshFoldersTab();
+    });
+
+    // Convert stored data to the current data model once characters and groups are loaded
+    if (eventSource && event_types && event_types.APP_READY) {
+        eventSource.once(event_types.APP_READY, () => runDataMigrations().then(startBackgroundTasks));
+    } else {
+        setTimeout(() => runDataMigrations().then(startBackgroundTasks), 1000);
+    }
+
+    // Listen for character management events that change character avatars
     if (eventSource && event_types) {
         if (event_types.CHARACTER_RENAMED) {
             eventSource.on(event_types.CHARACTER_RENAMED, handleCharacterRename);
@@ -2705,20 +8686,46 @@ async function removeAllBackupFiles() {
             eventSource.on(event_types.CHARACTER_DELETED, handleCharacterDelete);
         }
 
-        if (event_types.CHARACTER_DUPLICATED) {
-            eventSource.on(event_types.CHARACTER_DUPLICATED, handleCharacterDuplicated);
+        // Chat events that keep the Recent Chats list and the selected chat up to date
+        if (event_types.MESSAGE_SENT) {
+            eventSource.on(event_types.MESSAGE_SENT, handleChatMessageEvent);
+        }
+
+        if (event_types.MESSAGE_RECEIVED) {
+            eventSource.on(event_types.MESSAGE_RECEIVED, handleChatMessageEvent);
+        }
+
+        if (event_types.CHAT_CHANGED) {
+            eventSource.on(event_types.CHAT_CHANGED, handleChatChangedEvent);
+        }
+
+        if (event_types.CHAT_CREATED) {
+            eventSource.on(event_types.CHAT_CREATED, handleChatCreatedEvent);
+        }
+
+        if (event_types.GROUP_CHAT_CREATED) {
+            eventSource.on(event_types.GROUP_CHAT_CREATED, handleChatCreatedEvent);
         }
 
-        // Settings events that rebuild character data
-        if (event_types.SETTINGS_LOADED_AFTER) {
-            eventSource.on(event_types.SETTINGS_LOADED_AFTER, handleSettingsReloaded);
+        if (event_types.CHAT_DELETED) {
+            eventSource.on(event_types.CHAT_DELETED, handleChatDeletedEvent);
         }
 
-        // Character page events that might reload character data
-        if (event_types.CHARACTER_PAGE_LOADED) {
-            eventSource.on(event_types.CHARACTER_PAGE_LOADED, handleCharacterPageLoaded);
+        if (event_types.GROUP_CHAT_DELETED) {
+            eventSource.on(event_types.GROUP_CHAT_DELETED, handleChatDeletedEvent);
         }
     }
+
+    // Undo/redo of organization changes while the Recent or Folders tab has focus
+    document.addEventListener('keydown', handleHistoryShortcut);
+    document.addEventListener('keydown', handleQuickSwitcherShortcut);
+
+    registerSlashCommands();
+    registerMacros();
+
+    window['chatsPlusApi'] = createPublicApi();
+    apiEventState = captureApiEventState();
+    emitApiEvent(API_EVENTS.READY, { version: API_VERSION });
 })();
 
 /**
@@ -2727,22 +8734,13 @@ async function removeAllBackupFiles() {
  * @param {string} newName - The new file_name for the chat.
  */
 function handleChatRename(chat, newName) {
-    // Try to extract characterId from chat object
-    let characterId = chat.characterId;
-    if (!characterId) {
-        const context = SillyTavern.getContext();
-        if (context.characterId !== undefined) {
-            characterId = context.characterId;
-        } else if (context.groupId !== undefined) {
-            characterId = context.groupId; // fallback for group chats
-        }
-    }
-    if (!characterId) return;
+    const owner = getChatOwnerKey(chat);
+    if (!owner) return;
     // Update pinnedChats
     let pinned = getPinnedChats();
     let changed = false;
     pinned = pinned.map(p => {
-        if (p.file_name === chat.file_name && p.characterId === characterId) {
+        if (p.file_name === chat.file_name && p.owner === owner) {
             changed = true;
             return { ...p, file_name: newName };
         }
@@ -2751,250 +8749,849 @@ function handleChatRename(chat, newName) {
     if (changed) setPinnedChats(pinned);
     // Update chatFolders
     let map = getChatFoldersMap();
-    const oldKey = characterId + ':' + chat.file_name;
-    const newKey = characterId + ':' + newName;
+    const oldKey = owner + ':' + chat.file_name;
+    const newKey = owner + ':' + newName;
     if (map[oldKey]) {
         map[newKey] = map[oldKey];
         delete map[oldKey];
         setChatFoldersMap(map);
     }
+    // Update the archived state
+    const archived = getArchivedChatsMap();
+    if (oldKey in archived) {
+        const newArchived = { ...archived, [newKey]: archived[oldKey] };
+        delete newArchived[oldKey];
+        getSettings().archivedChats = newArchived;
+        saveSettingsDebounced();
+    }
+    // Update the fingerprint used to detect renames made outside ChatsPlus
+    const fingerprints = getSettings().chatFingerprints;
+    if (fingerprints && fingerprints[oldKey]) {
+        fingerprints[newKey] = fingerprints[oldKey];
+        delete fingerprints[oldKey];
+        saveSettingsDebounced();
+    }
+    emitApiEvent(API_EVENTS.RENAME, { owner, oldName: chat.file_name, newName });
 }
 
 /**
- * Process the character rename update after SillyTavern has rebuilt character data.
- * This function remaps ALL character references based on current avatar mappings.
- * @param {Object} renameData - Contains oldAvatar, newAvatar, and timestamp.
+ * Drop the pins, folder assignments and fingerprints of chats that no longer exist,
+ * so they are not mistaken for renamed chats.
+ * @param {Array<Object>} chats - Deleted chats.
  */
-async function processCharacterRenameUpdate(renameData) {
-    const { oldAvatar, newAvatar } = renameData;
+function forgetChatReferences(chats) {
+    const keys = new Set(chats.map(getChatKey));
+    const pinned = getPinnedChats();
+    const remainingPins = pinned.filter(p => !keys.has(p.owner + ':' + p.file_name));
+    if (remainingPins.length !== pinned.length) setPinnedChats(remainingPins);
+    const map = getChatFoldersMap();
+    if (Object.keys(map).some(key => keys.has(key))) {
+        for (const key of keys) delete map[key];
+        setChatFoldersMap(map);
+    }
+    const fingerprints = getSettings().chatFingerprints || {};
+    if (Object.keys(fingerprints).some(key => keys.has(key))) {
+        for (const key of keys) delete fingerprints[key];
+        saveSettingsDebounced();
+    }
+    if ([...keys].some(key => key in getArchivedChatsMap())) setChatsArchived(chats, false);
+}
 
-    const context = SillyTavern.getContext();
-    const characters = context.characters;
+/**
+ * Replace the owner of all pinned chats and chatFolders entries.
+ * @param {string} oldOwner - Previous owner identifier.
+ * @param {string|null} newOwner - New owner identifier, or null to drop the entries.
+ * @returns {boolean} True if anything changed.
+ */
+function replaceChatOwner(oldOwner, newOwner) {
+    let updatesMade = false;
 
-    if (!characters) {
-        return;
+    const pinned = [];
+    for (const p of getPinnedChats()) {
+        if (p.owner !== oldOwner) {
+            pinned.push(p);
+            continue;
+        }
+        updatesMade = true;
+        if (newOwner) pinned.push({ ...p, owner: newOwner });
     }
 
-    // Build a map of avatars to their current character IDs
-    const avatarToCharacterId = {};
-    for (const [charId, char] of Object.entries(characters)) {
-        if (char.avatar) {
-            avatarToCharacterId[char.avatar] = charId;
+    const newMap = {};
+    for (const [key, folderIds] of Object.entries(getChatFoldersMap())) {
+        const ref = parseChatKey(key);
+        if (ref.owner !== oldOwner) {
+            newMap[key] = folderIds;
+            continue;
         }
+        updatesMade = true;
+        if (newOwner) newMap[newOwner + ':' + ref.file_name] = folderIds;
     }
 
-    // Build a comprehensive mapping of chat files to their correct character IDs
-    // by actually checking which character has which chat files
-    const chatFileToCharacterId = {};
+    const fingerprints = getSettings().chatFingerprints || {};
+    for (const key of Object.keys(fingerprints)) {
+        const ref = parseChatKey(key);
+        if (ref.owner !== oldOwner) continue;
+        if (newOwner) fingerprints[newOwner + ':' + ref.file_name] = fingerprints[key];
+        delete fingerprints[key];
+    }
 
-    try {
-        // Get all chat files for all characters to build accurate mapping
-        for (const [charId, char] of Object.entries(characters)) {
-            if (char.avatar) {
-                try {
-                    const chats = await getListOfCharacterChats(char.avatar);
-                    if (Array.isArray(chats)) {
-                        for (const chatName of chats) {
-                            if (typeof chatName === 'string' && chatName) {
-                                chatFileToCharacterId[chatName] = charId;
-                            }
-                        }
-                    }
-                } catch (e) {
-                    // Continue with other characters if one fails
-                }
-            }
+    const archived = {};
+    for (const [key, time] of Object.entries(getArchivedChatsMap())) {
+        const ref = parseChatKey(key);
+        if (ref.owner !== oldOwner) {
+            archived[key] = time;
+            continue;
         }
-    } catch (e) {
-        // Continue with what we have
+        updatesMade = true;
+        if (newOwner) archived[newOwner + ':' + ref.file_name] = time;
     }
 
-    let updatesMade = false;
+    if (updatesMade) {
+        getSettings().archivedChats = archived;
+        setPinnedChats(pinned);
+        setChatFoldersMap(newMap);
+    }
+    return updatesMade;
+}
 
-    // Update pinned chats - remap all character IDs based on actual chat ownership
-    let pinned = getPinnedChats();
-    let pinnedChanged = false;
+/**
+ * Update all internal references when a character is renamed.
+ * Renaming a character changes its avatar file name, which is the stable chat owner.
+ * @param {string} oldAvatar - The old character avatar file name.
+ * @param {string} newAvatar - The new character avatar file name.
+ */
+function handleCharacterRename(oldAvatar, newAvatar) {
+    if (!oldAvatar || !newAvatar || oldAvatar === newAvatar) {
+        return;
+    }
 
-    pinned = pinned.map(p => {
-        // Try to find the correct character ID for this chat file
-        const correctCharacterId = chatFileToCharacterId[p.file_name];
+    replaceChatOwner(oldAvatar, newAvatar);
+    // The chat list changed owner, subscribed tabs refresh themselves
+    invalidateChatIndex();
+}
 
-        if (correctCharacterId && correctCharacterId !== p.characterId) {
-            pinnedChanged = true;
-            updatesMade = true;
-            return { ...p, characterId: correctCharacterId };
-        } else if (!correctCharacterId) {
-            // Chat file not found in any character, check if character ID is still valid
-            const currentChar = characters[p.characterId];
-            if (!currentChar) {
-                // Keep the entry but it might be orphaned
-            }
-        }
+/**
+ * Handle character deletion - remove orphaned references.
+ * @param {Object} data - Event payload with the deleted character.
+ */
+function handleCharacterDelete(data) {
+    const avatar = data && data.character ? data.character.avatar : null;
+    if (!avatar) return;
 
-        return p;
-    });
+    replaceChatOwner(avatar, null);
+    // The character's chats are gone, subscribed tabs refresh themselves
+    invalidateChatIndex();
+}
 
-    if (pinnedChanged) {
-        setPinnedChats(pinned);
+// =========================
+// 9. Slash Commands
+// =========================
+
+/**
+ * Get the paths of all folders, for the autocomplete of folder arguments.
+ * @returns {Array<string>} Folder paths, alphabetically.
+ */
+function getFolderPathList() {
+    const folders = getFolders();
+    const folderMap = Object.fromEntries(folders.map(f => [f.id, f]));
+    return folders.map(folder => getFolderPath(folder, folderMap)).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Get the path of a folder from the root by its ID.
+ * @param {string} folderId - Folder ID.
+ * @returns {string} The folder path, empty if the folder does not exist.
+ */
+function getFolderPathById(folderId) {
+    const folders = getFolders();
+    const folder = folders.find(f => f.id === folderId);
+    return folder ? getFolderPath(folder, Object.fromEntries(folders.map(f => [f.id, f]))) : '';
+}
+
+/**
+ * Get the enum values offered for folder path arguments.
+ * @returns {Array<SlashCommandEnumValue>} One value per folder.
+ */
+function getFolderPathEnumValues() {
+    return getFolderPathList().map(path => new SlashCommandEnumValue(path, null, 'name', '📁'));
+}
+
+/**
+ * Find the folder a slash command refers to, warning if there is none.
+ * @param {string} path - Folder path given to the command.
+ * @param {boolean} [regularOnly] - Reject smart folders, which cannot hold chats.
+ * @returns {Object|null} The folder, or null after a warning.
+ */
+function getCommandFolder(path, regularOnly = false) {
+    const folder = findFolderByPath(String(path || ''));
+    if (!folder) {
+        toastr.warning(t`No folder found at` + ` "${path}"`);
+        return null;
     }
+    if (regularOnly && isSmartFolder(folder)) {
+        toastr.warning(t`Smart folders cannot hold chats:` + ` "${path}"`);
+        return null;
+    }
+    return folder;
+}
 
-    // Update chat folders - remap all character IDs based on actual chat ownership
-    let map = getChatFoldersMap();
-    let foldersChanged = false;
-    const newMap = {};
+/**
+ * Find the smart folder a path for a new folder runs through, warning about it. ensureFolderPath
+ * never reuses smart folders and would create a regular folder of the same name beside it.
+ * @param {string} path - Folder path.
+ * @returns {Object|null} The smart folder, or null if the path can be created.
+ */
+function getCommandSmartFolderOnPath(path) {
+    let parent = null;
+    for (const name of String(path || '').split('/').map(part => part.trim()).filter(Boolean)) {
+        const siblings = getFolders().filter(f => (f.parent || null) === parent && f.name.toLowerCase() === name.toLowerCase());
+        const regular = siblings.find(f => !isSmartFolder(f));
+        if (regular) {
+            parent = regular.id;
+            continue;
+        }
+        // The rest of the path is missing and gets created
+        const smartFolder = siblings.find(f => isSmartFolder(f)) || null;
+        if (smartFolder) toastr.warning(t`Smart folders cannot hold chats or folders:` + ` "${getFolderPathById(smartFolder.id)}"`);
+        return smartFolder;
+    }
+    return null;
+}
 
-    for (const [key, folderIds] of Object.entries(map)) {
-        const [charId, fileName] = key.split(':', 2);
+/**
+ * Get the open chat for a slash command, warning if no chat is open.
+ * @returns {Object|null} Chat object, or null after a warning.
+ */
+function getCommandChat() {
+    const chat = getCurrentChat();
+    if (!chat) toastr.warning(t`No chat is open.`);
+    return chat;
+}
 
-        // Try to find the correct character ID for this chat file
-        const correctCharacterId = chatFileToCharacterId[fileName];
+/**
+ * Get the name slash commands use for a chat, e.g. "Alice: Branch 2".
+ * @param {Object} chat - Chat object.
+ * @returns {string} Character or group name and chat file name.
+ */
+function getCommandChatName(chat) {
+    return `${chat.character}: ${chat.file_name}`;
+}
 
-        if (correctCharacterId) {
-            // We found the correct character for this chat file
-            const correctKey = correctCharacterId + ':' + fileName;
+/**
+ * Get the chats listed in a folder, the same ones the Folders tab shows, most recent first.
+ * @param {Object} folder - Folder object.
+ * @returns {Promise<Array>} Chat objects.
+ */
+async function getCommandFolderChats(folder) {
+    const { chats } = await getChatIndex();
+    return (buildFolderedChatsMap(chats)[folder.id] || []).slice().sort((a, b) => (b.last_mes || 0) - (a.last_mes || 0));
+}
 
-            if (correctKey !== key) {
-                foldersChanged = true;
-                updatesMade = true;
-            }
+/**
+ * Pin or unpin the open chat.
+ * @param {boolean} pinned - Whether the chat should end up pinned.
+ * @returns {Promise<string>} "true" or "false", the new pinned state, or an empty string if no chat is open.
+ */
+async function setCommandChatPinned(pinned) {
+    const chat = getCommandChat();
+    if (!chat) return '';
+    if (isChatPinned(chat) !== pinned) {
+        await recordHistory((pinned ? t`Pin chat` : t`Unpin chat`) + ` "${chat.file_name}"`, () => togglePinChat(chat));
+        await refreshAfterHistoryChange();
+    }
+    return String(pinned);
+}
 
-            newMap[correctKey] = folderIds;
-        } else {
-            // Chat file not found in any character, check if current character ID is still valid
-            const currentChar = characters[charId];
-            if (currentChar) {
-                // Character still exists, keep the mapping
-                newMap[key] = folderIds;
-            } else {
-                // Skip this entry as it's orphaned
-            }
-        }
+/**
+ * Add the open chat to a folder.
+ * @param {Object} args - Named arguments.
+ * @param {string} path - Folder path.
+ * @returns {Promise<string>} Path of the folder, or an empty string on failure.
+ */
+async function addCommandChatToFolder(args, path) {
+    const chat = getCommandChat();
+    if (!chat) return '';
+    const create = String(args.create) === 'true';
+    const folder = create ? null : getCommandFolder(path, true);
+    if (!create && !folder) return '';
+    if (create && getCommandSmartFolderOnPath(path)) return '';
+    const folderId = await recordHistory(t`Add chat to folder` + ` "${path}"`, () => {
+        const id = folder ? folder.id : ensureFolderPath(String(path || ''));
+        if (id) assignChatToFolder(chat, id);
+        return id;
+    });
+    if (!folderId) {
+        toastr.warning(t`Enter a folder path.`);
+        return '';
     }
+    await refreshAfterHistoryChange();
+    return getFolderPathById(folderId);
+}
 
-    if (foldersChanged) {
-        setChatFoldersMap(newMap);
+/**
+ * Remove the open chat from a folder.
+ * @param {string} path - Folder path.
+ * @returns {Promise<string>} Path of the folder, or an empty string on failure.
+ */
+async function removeCommandChatFromFolder(path) {
+    const chat = getCommandChat();
+    if (!chat) return '';
+    const folder = getCommandFolder(path, true);
+    if (!folder) return '';
+    if (!getChatFolderIds(chat).includes(folder.id)) {
+        toastr.warning(t`The chat is not in` + ` "${path}"`);
+        return '';
     }
+    await recordHistory(t`Remove chat from folder` + ` "${folder.name}"`, () => removeChatFromFolder(chat, folder.id));
+    await refreshAfterHistoryChange();
+    return getFolderPathById(folder.id);
+}
 
-    if (updatesMade) {
-        // Refresh UI
-        if (typeof refreshFoldersTab === 'function') {
-            setTimeout(() => {
-                refreshFoldersTab();
-            }, 100);
-        }
+/**
+ * Create a folder, along with any missing parent folders.
+ * @param {Object} args - Named arguments, query makes the new folder a smart folder.
+ * @param {string} path - Folder path.
+ * @returns {Promise<string>} Path of the folder, or an empty string on failure.
+ */
+async function createCommandFolder(args, path) {
+    const names = String(path || '').split('/').map(part => part.trim()).filter(Boolean);
+    if (names.length === 0) {
+        toastr.warning(t`Enter a folder path.`);
+        return '';
+    }
+    const query = typeof args.query === 'string' ? args.query.trim() : '';
+    const queryError = query ? validateChatQuery(query) : null;
+    if (queryError) {
+        toastr.warning(queryError);
+        return '';
+    }
+    if (findFolderByPath(names.join('/'))) {
+        toastr.warning(t`A folder already exists at` + ` "${names.join('/')}"`);
+        return '';
+    }
+    const name = names.pop();
+    if (getCommandSmartFolderOnPath(names.join('/'))) return '';
+    const label = query ? t`Add smart folder` : t`Add folder`;
+    const folderId = await recordHistory(label + ` "${name}"`, () => addFolder(name, ensureFolderPath(names.join('/')), query || null));
+    await refreshAfterHistoryChange();
+    return getFolderPathById(folderId);
+}
 
-        if (typeof populateAllChatsTab === 'function') {
-            setTimeout(() => {
-                populateAllChatsTab();
-            }, 100);
-        }
+/**
+ * Rename a folder.
+ * @param {Object} args - Named arguments, folder is the path of the folder to rename.
+ * @param {string} name - New folder name.
+ * @returns {Promise<string>} New path of the folder, or an empty string on failure.
+ */
+async function renameCommandFolder(args, name) {
+    const folder = getCommandFolder(args.folder);
+    if (!folder) return '';
+    const newName = String(name || '').trim();
+    if (!newName || newName.includes('/')) {
+        toastr.warning(t`Enter a folder name without "/".`);
+        return '';
+    }
+    if (newName !== folder.name) {
+        await recordHistory(t`Rename folder` + ` "${folder.name}"`, () => {
+            setFolders(getFolders().map(f => f.id === folder.id ? { ...f, name: newName } : f));
+        });
+        await refreshAfterHistoryChange();
     }
+    return getFolderPathById(folder.id);
 }
 
 /**
- * Update all internal references when a character is renamed.
- * Since character IDs get reassigned during rename, we need to use avatar paths
- * as the stable identifier and defer the update to when character data is refreshed.
- * @param {string} oldAvatar - The old character avatar/identifier.
- * @param {string} newAvatar - The new character avatar/identifier.
+ * Remove a folder, like its remove button does. Chats are never deleted.
+ * @param {Object} args - Named arguments, mode is what happens to the subfolders and chats.
+ * @param {string} path - Folder path.
+ * @returns {Promise<string>} Path of the removed folder, or an empty string on failure.
  */
-function handleCharacterRename(oldAvatar, newAvatar) {
-    if (!oldAvatar || !newAvatar) {
-        return;
+async function removeCommandFolder(args, path) {
+    const folder = getCommandFolder(path);
+    if (!folder) return '';
+    const mode = ['parent', 'root', 'subtree'].includes(args.mode) ? args.mode : 'parent';
+    const folderPath = getFolderPathById(folder.id);
+    await snapshotBeforeDestructive(t`Remove folder` + ` "${folder.name}"`);
+    await recordHistory(t`Remove folder` + ` "${folder.name}"`, () => removeFolder(folder.id, mode));
+    await refreshAfterHistoryChange();
+    return folderPath;
+}
+
+/**
+ * List the chats of a folder, or every folder path when no folder is given.
+ * @param {string} path - Folder path, may be empty.
+ * @returns {Promise<string>} JSON array of chat names or folder paths.
+ */
+async function listCommandFolder(path) {
+    if (!String(path || '').trim()) return JSON.stringify(getFolderPathList());
+    const folder = getCommandFolder(path);
+    if (!folder) return '';
+    const chats = await getCommandFolderChats(folder);
+    return JSON.stringify(chats.map(getCommandChatName));
+}
+
+/**
+ * Open a chat by name, optionally only looking in one folder.
+ * The name is matched against the chat file name and "Character: file name", exact matches first,
+ * then partial matches. Among several matches the most recent chat wins.
+ * @param {Object} args - Named arguments, folder restricts the search to a folder.
+ * @param {string} name - Chat name, may be empty to open the most recent chat of the folder.
+ * @returns {Promise<string>} Name of the opened chat, or an empty string if none matched.
+ */
+async function openCommandChat(args, name) {
+    const folder = args.folder ? getCommandFolder(args.folder) : null;
+    if (args.folder && !folder) return '';
+    const query = String(name || '').trim().toLowerCase();
+    if (!folder && !query) {
+        toastr.warning(t`Enter a chat name or a folder.`);
+        return '';
     }
+    const candidates = folder
+        ? await getCommandFolderChats(folder)
+        : (await getChatIndex()).chats.slice().sort((a, b) => (b.last_mes || 0) - (a.last_mes || 0));
+    const names = chat => [chat.file_name.toLowerCase(), getCommandChatName(chat).toLowerCase()];
+    const chat = !query ? candidates[0]
+        : candidates.find(c => names(c).includes(query)) || candidates.find(c => names(c).some(n => n.includes(query)));
+    if (!chat) {
+        toastr.warning(t`No chat found matching` + ` "${name}"`);
+        return '';
+    }
+    await openChatFromList(chat);
+    return getCommandChatName(chat);
+}
 
-    // Store the rename mapping for delayed processing
-    const renameData = { oldAvatar, newAvatar, timestamp: Date.now() };
+/**
+ * Register the ChatsPlus slash commands. They go through the same functions as the UI,
+ * so their changes can be undone and show up in the tabs right away.
+ */
+function registerSlashCommands() {
+    const folderArgument = (description, isRequired = true) => SlashCommandArgument.fromProps({
+        description,
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired,
+        enumProvider: getFolderPathEnumValues,
+        forceEnum: false,
+    });
 
-    // Defer the actual update to allow SillyTavern to rebuild character data
-    setTimeout(async () => {
-        await processCharacterRenameUpdate(renameData);
-    }, 500); // Give SillyTavern time to rebuild character data
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chatsplus-pin',
+        callback: () => setCommandChatPinned(true),
+        returns: 'true, or nothing if no chat is open',
+        helpString: t`Pin the open chat in ChatsPlus.`,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chatsplus-unpin',
+        callback: () => setCommandChatPinned(false),
+        returns: 'false, or nothing if no chat is open',
+        helpString: t`Unpin the open chat in ChatsPlus.`,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chatsplus-folder-add',
+        callback: (args, path) => addCommandChatToFolder(args, path),
+        returns: 'the folder path',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'create',
+                description: 'create the folder and its parents if they do not exist',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: ['true', 'false'],
+            }),
+        ],
+        unnamedArgumentList: [folderArgument('folder path, e.g. Stories/Horror')],
+        helpString: t`Add the open chat to a ChatsPlus folder. Example: /chatsplus-folder-add create=true Stories/Horror`,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chatsplus-folder-remove',
+        callback: (_args, path) => removeCommandChatFromFolder(path),
+        returns: 'the folder path',
+        unnamedArgumentList: [folderArgument('folder path')],
+        helpString: t`Remove the open chat from a ChatsPlus folder.`,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chatsplus-folder-create',
+        callback: (args, path) => createCommandFolder(args, path),
+        returns: 'the path of the new folder',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'query',
+                description: 'filter query, makes the folder a smart folder',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        unnamedArgumentList: [folderArgument('path of the new folder, missing parents are created')],
+        helpString: t`Create a ChatsPlus folder. Example: /chatsplus-folder-create query="after:7d" Recent/This week`,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chatsplus-folder-rename',
+        callback: (args, name) => renameCommandFolder(args, name),
+        returns: 'the new folder path',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'folder',
+                description: 'path of the folder to rename',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+                enumProvider: getFolderPathEnumValues,
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'new folder name',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: t`Rename a ChatsPlus folder. Example: /chatsplus-folder-rename folder=Stories/Horror Scary`,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chatsplus-folder-delete',
+        callback: (args, path) => removeCommandFolder(args, path),
+        returns: 'the path of the removed folder',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'mode',
+                description: 'move the subfolders and chats to the parent folder or to the root, or delete the subfolders too',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'parent',
+                enumList: ['parent', 'root', 'subtree'],
+            }),
+        ],
+        unnamedArgumentList: [folderArgument('folder path')],
+        helpString: t`Remove a ChatsPlus folder. Chats are never deleted, and a snapshot is taken first.`,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chatsplus-folder-list',
+        callback: (_args, path) => listCommandFolder(path),
+        returns: 'JSON array of "Character: chat" names, or of folder paths without a folder',
+        unnamedArgumentList: [folderArgument('folder path, lists every folder if omitted', false)],
+        helpString: t`List the chats in a ChatsPlus folder, most recent first, or all folder paths.`,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chatsplus-open',
+        callback: (args, name) => openCommandChat(args, name),
+        returns: 'the "Character: chat" name of the opened chat',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'folder',
+                description: 'only look for the chat in this folder',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: getFolderPathEnumValues,
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'chat file name or "Character: chat", partial names match too; the most recent chat of the folder if omitted',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        helpString: t`Open a chat by name. Example: /chatsplus-open folder=Stories Branch 2`,
+    }));
 }
 
+// =========================
+// 10. Macros
+// =========================
 
 /**
- * Handle character deletion - remove orphaned references.
- * @param {string} characterId - The ID of the deleted character.
- */
-function handleCharacterDelete(characterId) {
-    if (!characterId) return;
-
-    setTimeout(async () => {
-        let updatesMade = false;
-
-        // Remove from pinned chats
-        let pinned = getPinnedChats();
-        const originalPinnedLength = pinned.length;
-        pinned = pinned.filter(p => p.characterId !== characterId);
-        if (pinned.length !== originalPinnedLength) {
-            setPinnedChats(pinned);
-            updatesMade = true;
-        }
-
-        // Remove from chat folders
-        let map = getChatFoldersMap();
-        const newMap = {};
-        for (const [key, folderIds] of Object.entries(map)) {
-            const [charId] = key.split(':', 1);
-            if (charId !== characterId) {
-                newMap[key] = folderIds;
-            } else {
-                updatesMade = true;
-            }
-        }
-        setChatFoldersMap(newMap);
+ * Get the folders the open chat is in: the ones it is filed in, then the smart folders whose query
+ * matches it. Smart folders need the chat's stats, so they are only matched once the index is loaded.
+ * @returns {{folders: Array<Object>, folderMap: Object}} The chat's folders in assignment order, and all folders by ID.
+ */
+function getCurrentChatFolders() {
+    const folderMap = Object.fromEntries(getFolders().map(f => [f.id, f]));
+    const chat = getCurrentChat();
+    if (!chat) return { folders: [], folderMap };
+    const folders = getChatFolderIds(chat).map(id => folderMap[id]).filter(Boolean);
+    const key = getChatKey(chat);
+    const entry = getCachedChatIndex()?.chats.find(c => getChatKey(c) === key);
+    if (entry) {
+        const showArchived = getSettings().showArchivedInFolders;
+        // Same membership as the Folders tab shows
+        folders.push(...getFolders().filter(f => isSmartFolder(f) && getChatListPredicate(f.query, showArchived)(entry)));
+    }
+    return { folders, folderMap };
+}
 
-        if (updatesMade) {
-            // Refresh UI
-            if (typeof refreshFoldersTab === 'function') {
-                setTimeout(() => refreshFoldersTab(), 100);
-            }
-            if (typeof populateAllChatsTab === 'function') {
-                setTimeout(() => populateAllChatsTab(), 100);
-            }
+/**
+ * Get the notes that apply to the open chat: those of its folders and of their parent folders,
+ * outermost first, each note once.
+ * @returns {string} The notes separated by blank lines, empty if there are none.
+ */
+function getCurrentChatNote() {
+    const { folders, folderMap } = getCurrentChatFolders();
+    const notes = [];
+    for (const folder of folders) {
+        const chain = [];
+        const seen = new Set();
+        for (let current = folder; current && !seen.has(current.id); current = folderMap[current.parent]) {
+            seen.add(current.id);
+            chain.unshift(current);
         }
-    }, 100);
+        for (const { note } of chain) {
+            if (note && !notes.includes(note)) notes.push(note);
+        }
+    }
+    return notes.join('\n\n');
 }
 
 /**
- * Handle character duplication - character IDs may shift.
+ * Register the macros exposing the open chat's folders, pin and folder notes to prompts.
+ * They are resolved each time a prompt is built, so they follow chat switches and edits.
  */
-function handleCharacterDuplicated() {
-    // Defer the remapping to allow SillyTavern to rebuild character data
-    setTimeout(async () => {
-        await processCharacterRenameUpdate({
-            oldAvatar: '',
-            newAvatar: '',
-            timestamp: Date.now()
-        });
-    }, 500);
+function registerMacros() {
+    const { registerMacro } = SillyTavern.getContext();
+    if (typeof registerMacro !== 'function') return;
+    registerMacro('chatFolder', () => getCurrentChatFolders().folders.map(f => f.name).join(', '),
+        t`Names of the ChatsPlus folders the open chat is in, matching smart folders included, comma-separated.`);
+    registerMacro('chatFolderPath', () => {
+        const { folders, folderMap } = getCurrentChatFolders();
+        return folders.map(folder => getFolderPath(folder, folderMap)).join(', ');
+    }, t`Full paths of the ChatsPlus folders the open chat is in, e.g. "Stories/Horror", comma-separated.`);
+    registerMacro('chatPinned', () => {
+        const chat = getCurrentChat();
+        return String(Boolean(chat) && isChatPinned(chat));
+    }, t`"true" if the open chat is pinned in ChatsPlus, "false" otherwise.`);
+    registerMacro('chatNote', getCurrentChatNote,
+        t`Notes of the ChatsPlus folders the open chat is in, including their parent folders.`);
 }
 
+// =========================
+// 11. Public API
+// =========================
+// window.chatsPlusApi lets other extensions read and change ChatsPlus data. Chats are referenced
+// like in the settings, as { owner, file_name } with the character avatar or the group ID as owner.
+// Writes are checked like their UI counterparts, throw an Error when they are refused, and are
+// recorded as undoable commands.
+
 /**
- * Handle settings reload - character IDs may be reassigned.
+ * Describe a chat for API callers, without internal fields.
+ * @param {Object} chat - Chat object from the index.
+ * @returns {Object} Plain chat description.
  */
-function handleSettingsReloaded() {
-    // Defer the remapping to allow SillyTavern to rebuild character data
-    setTimeout(async () => {
-        await processCharacterRenameUpdate({
-            oldAvatar: '',
-            newAvatar: '',
-            timestamp: Date.now()
-        });
-    }, 1000); // Longer delay for settings reload
+function toApiChat(chat) {
+    return {
+        owner: getChatOwnerKey(chat),
+        file_name: chat.file_name,
+        character: chat.character,
+        isGroup: Boolean(chat.isGroup),
+        lastMessage: chat.last_mes instanceof Date ? chat.last_mes.getTime() : null,
+        messageCount: chat.stat ? Number(chat.stat.chat_items) || 0 : null,
+        pinned: isChatPinned(chat),
+        archived: isChatArchived(chat),
+        folders: getChatFolderIds(chat).slice(),
+    };
 }
 
 /**
- * Handle character page loaded - might indicate character data changes.
+ * Describe the folder tree for API callers.
+ * @returns {Array<Object>} Root folders in display order, each with its path and children.
  */
-function handleCharacterPageLoaded() {
-    // Defer the remapping with a short delay
-    setTimeout(async () => {
-        await processCharacterRenameUpdate({
-            oldAvatar: '',
-            newAvatar: '',
-            timestamp: Date.now()
-        });
-    }, 200);
-}
\ No newline at end of file
+function getApiFolderTree() {
+    const folders = getFolders();
+    const folderMap = Object.fromEntries(folders.map(f => [f.id, f]));
+    const describe = node => ({
+        id: node.id,
+        name: node.name,
+        parent: node.parent || null,
+        path: getFolderPath(folderMap[node.id], folderMap),
+        smart: isSmartFolder(node),
+        query: isSmartFolder(node) ? node.query : null,
+        note: node.note || '',
+        children: node.children.map(describe),
+    });
+    return buildFolderTree(folders).map(describe);
+}
+
+/**
+ * Find a chat of the index from an API chat reference.
+ * @param {{owner: string, file_name: string}} ref - Chat reference.
+ * @returns {Promise<Object>} Chat object from the index.
+ * @throws {Error} If the reference is malformed or the chat does not exist.
+ */
+async function resolveApiChat(ref) {
+    if (!ref || typeof ref.owner !== 'string' || typeof ref.file_name !== 'string') {
+        throw new Error('ChatsPlus: chats are referenced as { owner, file_name }');
+    }
+    const key = ref.owner + ':' + ref.file_name;
+    const { chats } = await getChatIndex();
+    const chat = chats.find(c => getChatKey(c) === key);
+    if (!chat) throw new Error(`ChatsPlus: no chat "${ref.file_name}" for "${ref.owner}"`);
+    return chat;
+}
+
+/**
+ * Find a folder by ID for an API call.
+ * @param {string} folderId - Folder ID.
+ * @param {boolean} [regularOnly] - Refuse smart folders, which cannot hold chats.
+ * @returns {Object} The folder.
+ * @throws {Error} If the folder does not exist, or is a smart folder when regularOnly is set.
+ */
+function getApiFolder(folderId, regularOnly = false) {
+    const folder = getFolders().find(f => f.id === folderId);
+    if (!folder) throw new Error(`ChatsPlus: no folder with id "${folderId}"`);
+    if (regularOnly && isSmartFolder(folder)) throw new Error(`ChatsPlus: smart folder "${folder.name}" cannot hold chats`);
+    return folder;
+}
+
+/**
+ * Check a folder name for an API call.
+ * @param {string} name - Folder name.
+ * @returns {string} The trimmed name.
+ * @throws {Error} If the name is empty.
+ */
+function getApiFolderName(name) {
+    if (typeof name !== 'string' || !name.trim()) throw new Error('ChatsPlus: folder names cannot be empty');
+    return name.trim();
+}
+
+/**
+ * Run an API write as an undoable command and update the tabs.
+ * @param {string} label - Label of the command.
+ * @param {Function} mutate - Function changing the settings.
+ * @returns {Promise<*>} The result of mutate.
+ */
+async function runApiCommand(label, mutate) {
+    const result = await recordHistory(label, mutate);
+    await refreshAfterHistoryChange();
+    return result;
+}
+
+/**
+ * Build the public API object.
+ * @returns {Object} The API, frozen so extensions cannot replace its methods for each other.
+ */
+function createPublicApi() {
+    return Object.freeze({
+        version: API_VERSION,
+        events: Object.freeze({ ...API_EVENTS }),
+
+        /** @returns {Array<Object>} The folder tree. */
+        getFolders: () => getApiFolderTree(),
+        /**
+         * @param {string} folderId - Folder ID.
+         * @returns {Promise<Array<Object>>} Chats shown in the folder, smart folders included, most recent first.
+         */
+        getChatsInFolder: async (folderId) => {
+            const folder = getApiFolder(folderId);
+            const { chats } = await getChatIndex();
+            return (buildFolderedChatsMap(chats)[folder.id] || [])
+                .slice()
+                .sort((a, b) => (b.last_mes || 0) - (a.last_mes || 0))
+                .map(toApiChat);
+        },
+        /** @returns {Array<{owner: string, file_name: string}>} Pinned chats in pin order. */
+        getPinnedChats: () => getPinnedChats().map(p => ({ owner: p.owner, file_name: p.file_name })),
+        /** @returns {Promise<Array<Object>>} Every chat of every character and group. */
+        getChatIndex: async () => (await getChatIndex()).chats.map(toApiChat),
+        /** @returns {{owner: string, file_name: string}|null} The open chat. */
+        getCurrentChat: () => {
+            const chat = getCurrentChat();
+            return chat ? { owner: getChatOwnerKey(chat), file_name: chat.file_name } : null;
+        },
+
+        /**
+         * @param {{owner: string, file_name: string}} ref - Chat reference.
+         * @param {boolean} [pinned] - Pin, or unpin if false.
+         * @returns {Promise<boolean>} False if the chat already had that state.
+         */
+        setPinned: async (ref, pinned = true) => {
+            const chat = await resolveApiChat(ref);
+            if (isChatPinned(chat) === Boolean(pinned)) return false;
+            await runApiCommand((pinned ? t`Pin chat` : t`Unpin chat`) + ` "${chat.file_name}"`, () => togglePinChat(chat));
+            return true;
+        },
+        /**
+         * @param {{owner: string, file_name: string}} ref - Chat reference.
+         * @param {string} folderId - Regular folder ID.
+         * @returns {Promise<boolean>} False if the chat was already in the folder.
+         */
+        addChatToFolder: async (ref, folderId) => {
+            const chat = await resolveApiChat(ref);
+            const folder = getApiFolder(folderId, true);
+            if (getChatFolderIds(chat).includes(folder.id)) return false;
+            await runApiCommand(t`Add chat to folder` + ` "${folder.name}"`, () => assignChatToFolder(chat, folder.id));
+            return true;
+        },
+        /**
+         * @param {{owner: string, file_name: string}} ref - Chat reference.
+         * @param {string} folderId - Folder ID.
+         * @returns {Promise<boolean>} False if the chat was not in the folder.
+         */
+        removeChatFromFolder: async (ref, folderId) => {
+            const chat = await resolveApiChat(ref);
+            const folder = getApiFolder(folderId);
+            if (!getChatFolderIds(chat).includes(folder.id)) return false;
+            await runApiCommand(t`Remove chat from folder` + ` "${folder.name}"`, () => removeChatFromFolder(chat, folder.id));
+            return true;
+        },
+        /**
+         * @param {string} name - Folder name.
+         * @param {Object} [options] - Folder options.
+         * @param {string|null} [options.parent] - Parent folder ID, the root by default.
+         * @param {string|null} [options.query] - Filter query, makes it a smart folder.
+         * @param {string} [options.note] - Note for the {{chatNote}} macro.
+         * @returns {Promise<string>} The new folder ID.
+         */
+        createFolder: async (name, { parent = null, query = null, note = '' } = {}) => {
+            const folderName = getApiFolderName(name);
+            if (parent) getApiFolder(parent);
+            if (query !== null) {
+                const queryError = typeof query === 'string' && query.trim() ? validateChatQuery(query.trim()) : t`Enter a name and a valid filter query.`;
+                if (queryError) throw new Error(`ChatsPlus: ${queryError}`);
+            }
+            const label = (query !== null ? t`Add smart folder` : t`Add folder`) + ` "${folderName}"`;
+            return runApiCommand(label, () => {
+                const id = addFolder(folderName, parent || null, query !== null ? query.trim() : null);
+                if (typeof note === 'string' && note.trim()) {
+                    setFolders(getFolders().map(f => f.id === id ? { ...f, note: note.trim() } : f));
+                }
+                return id;
+            });
+        },
+        /**
+         * @param {string} folderId - Folder ID.
+         * @param {Object} changes - New name and/or note, an empty note removes it.
+         * @returns {Promise<void>}
+         */
+        updateFolder: async (folderId, { name, note } = {}) => {
+            const folder = getApiFolder(folderId);
+            const newName = name === undefined ? folder.name : getApiFolderName(name);
+            const newNote = note === undefined ? (folder.note || '') : String(note).trim();
+            if (newName === folder.name && newNote === (folder.note || '')) return;
+            await runApiCommand((newName !== folder.name ? t`Rename folder` : t`Edit folder note`) + ` "${folder.name}"`, () => {
+                setFolders(getFolders().map(f => {
+                    if (f.id !== folder.id) return f;
+                    const updated = { ...f, name: newName };
+                    if (newNote) updated.note = newNote;
+                    else delete updated.note;
+                    return updated;
+                }));
+            });
+        },
+        /**
+         * @param {string} folderId - Folder ID.
+         * @param {string|null} parent - New parent folder ID, or null for the root.
+         * @returns {Promise<void>}
+         */
+        moveFolder: async (folderId, parent) => {
+            const folder = getApiFolder(folderId);
+            if (parent) getApiFolder(parent);
+            if ((folder.parent || null) === (parent || null)) return;
+            const moved = await runApiCommand(t`Move folder` + ` "${folder.name}"`, () => moveFolder(folder.id, parent || null));
+            if (!moved) throw new Error(`ChatsPlus: folder "${folder.name}" cannot be moved inside itself`);
+        },
+        /**
+         * Remove a folder like its remove button, after taking a snapshot. Chats are never deleted.
+         * @param {string} folderId - Folder ID.
+         * @param {'parent'|'root'|'subtree'} [mode] - Where the subfolders and chats go.
+         * @returns {Promise<void>}
+         */
+        removeFolder: async (folderId, mode = 'parent') => {
+            const folder = getApiFolder(folderId);
+            if (!['parent', 'root', 'subtree'].includes(mode)) throw new Error(`ChatsPlus: unknown removal mode "${mode}"`);
+            await snapshotBeforeDestructive(t`Remove folder` + ` "${folder.name}"`);
+            await runApiCommand(t`Remove folder` + ` "${folder.name}"`, () => removeFolder(folder.id, mode));
+        },
+    });
+}